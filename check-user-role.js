@@ -38,7 +38,7 @@ async function checkAndFixUserRole() {
     }
     
     // Check permissions
-    const permissions = user.getPermissions();
+    const permissions = await user.getPermissions();
     console.log('\\n📋 User permissions:', permissions);
     
   } catch (error) {
@@ -0,0 +1,373 @@
+import mongoose from 'mongoose';
+import Blog from '../model/blog.model.js';
+import BlogReaction from '../model/blogReaction.model.js';
+import Comment, { MODERATION_STATUS_QUERIES } from '../model/comment.model.js';
+import User from '../model/user.model.js';
+import ViewRollup from '../model/viewRollup.model.js';
+import GuestSubmission from '../model/guestSubmission.model.js';
+import SponsoredSubmission from '../model/sponsoredSubmission.model.js';
+import Newsletter from '../model/newsletter.model.js';
+import { asyncHandler, AuthorizationError } from '../utils/errorHandler.js';
+import { getRequestPermissions } from '../middleware/permissions.middleware.js';
+import { TOP_POST_METRICS, parseRange, inRange, countByPeriod, buildSeries, sendReport } from '../utils/analytics.js';
+
+// Staff who may edit every post see site-wide numbers; everyone else sees their own
+export const SITE_ANALYTICS_PERMISSION = 'edit_all_blogs';
+
+const APPROVED_COMMENTS = MODERATION_STATUS_QUERIES.approved;
+
+// Submission stages, each counting submissions that got at least that far
+const FUNNEL_STAGES = {
+  submitted: {},
+  reviewed: { $or: [{ reviewDate: { $ne: null } }, { status: { $ne: 'pending' } }] },
+  approved: { $or: [{ approvalDate: { $ne: null } }, { status: { $in: ['approved', 'published', 'expired'] } }] },
+  published: { $or: [{ publishDate: { $ne: null } }, { status: { $in: ['published', 'expired'] } }] },
+  rejected: { status: 'rejected' }
+};
+
+/**
+ * Whose numbers a request may see. Site-wide viewers can narrow to one author
+ * with ?author=; authors always get their own posts.
+ * @returns {Promise<{author: ObjectId|null, blogMatch: object, relatedMatch: object}>}
+ *   blogMatch filters Blog, relatedMatch filters collections with a `blog` field
+ */
+const resolveScope = async (req) => {
+  const permissions = await getRequestPermissions(req);
+  const siteWide = permissions.includes(SITE_ANALYTICS_PERMISSION);
+  const requested = req.query.author;
+
+  if (!siteWide && requested && requested !== req.user.userId) {
+    throw new AuthorizationError('You can only view analytics for your own posts');
+  }
+
+  const authorId = siteWide ? requested : req.user.userId;
+  if (!authorId) {
+    return { author: null, blogMatch: {}, relatedMatch: {} };
+  }
+
+  const author = new mongoose.Types.ObjectId(authorId);
+  const blogIds = await Blog.find({ 'author.user': author }).distinct('_id');
+  return {
+    author,
+    blogMatch: { 'author.user': author },
+    relatedMatch: { blog: { $in: blogIds } }
+  };
+};
+
+// Published posts that have content in a language
+const hasLanguage = (language) => ({ $gt: [{ $strLenCP: { $ifNull: [`$title.${language}`, ''] } }, 0] });
+
+const sumBy = async (Model, match, value = 1) => {
+  const [row] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: value } } }
+  ]);
+  return row?.total || 0;
+};
+
+// Totals per blog for a metric within the range, highest first; pass blogIds to
+// total specific posts, or limit to keep only the top ones
+const blogTotals = async (metric, range, scope, { blogIds = null, limit = null } = {}) => {
+  const idMatch = blogIds ? { blog: { $in: blogIds } } : scope.relatedMatch;
+  const sources = {
+    views: [ViewRollup, { ...idMatch, day: inRange(range) }, '$views'],
+    reactions: [BlogReaction, { ...idMatch, createdAt: inRange(range) }, 1],
+    comments: [Comment, { ...idMatch, ...APPROVED_COMMENTS, createdAt: inRange(range) }, 1]
+  };
+  const [Model, match, value] = sources[metric];
+  return Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$blog', total: { $sum: value } } },
+    { $sort: { total: -1, _id: -1 } },
+    ...(limit ? [{ $limit: limit }] : [])
+  ]);
+};
+
+// @desc    Headline totals for the range
+// @route   GET /api/analytics/overview
+// @access  Private (view_analytics)
+export const getOverview = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const scope = await resolveScope(req);
+
+  const [postsPublished, views, reactions, comments] = await Promise.all([
+    Blog.countDocuments({ ...scope.blogMatch, status: 'published', publishedAt: inRange(range) }),
+    sumBy(ViewRollup, { ...scope.relatedMatch, day: inRange(range) }, '$views'),
+    BlogReaction.countDocuments({ ...scope.relatedMatch, createdAt: inRange(range) }),
+    Comment.countDocuments({ ...scope.relatedMatch, ...APPROVED_COMMENTS, createdAt: inRange(range) })
+  ]);
+  const totals = { postsPublished, views, reactions, comments };
+
+  sendReport(req, res, {
+    name: 'overview',
+    range,
+    data: { author: scope.author, totals },
+    rows: Object.entries(totals).map(([metric, value]) => ({ metric, value })),
+    columns: ['metric', 'value']
+  });
+});
+
+// @desc    Posts published per period, in total and per language
+// @route   GET /api/analytics/posts
+// @access  Private (view_analytics)
+export const getPublishingStats = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const scope = await resolveScope(req);
+  const match = { ...scope.blogMatch, status: 'published' };
+
+  const [published, en, bn] = await Promise.all([
+    countByPeriod(Blog, match, 'publishedAt', range),
+    countByPeriod(Blog, match, 'publishedAt', range, { $cond: [hasLanguage('en'), 1, 0] }),
+    countByPeriod(Blog, match, 'publishedAt', range, { $cond: [hasLanguage('bn'), 1, 0] })
+  ]);
+  const series = buildSeries(range, { published, en, bn });
+
+  sendReport(req, res, {
+    name: 'posts-published',
+    range,
+    data: { author: scope.author, series },
+    rows: series,
+    columns: ['period', 'published', 'en', 'bn']
+  });
+});
+
+// @desc    Views, reactions and comments per period
+// @route   GET /api/analytics/engagement?lang=
+// @access  Private (view_analytics)
+export const getEngagementStats = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const language = req.query.lang || null;
+  const scope = await resolveScope(req);
+
+  const [views, reactions, comments] = await Promise.all([
+    countByPeriod(ViewRollup, { ...scope.relatedMatch, ...(language ? { language } : {}) }, 'day', range, '$views'),
+    countByPeriod(BlogReaction, scope.relatedMatch, 'createdAt', range),
+    countByPeriod(Comment, { ...scope.relatedMatch, ...APPROVED_COMMENTS }, 'createdAt', range)
+  ]);
+  const series = buildSeries(range, { views, reactions, comments });
+
+  sendReport(req, res, {
+    name: 'engagement',
+    range,
+    data: { author: scope.author, language, series },
+    rows: series,
+    columns: ['period', 'views', 'reactions', 'comments']
+  });
+});
+
+// @desc    Posts with the most views, reactions or comments in the range
+// @route   GET /api/analytics/top-posts?by=views|reactions|comments&limit=
+// @access  Private (view_analytics)
+export const getTopPosts = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const scope = await resolveScope(req);
+  const { by, limit } = req.query;
+
+  const ranked = await blogTotals(by, range, scope, { limit });
+  const ids = ranked.map(row => row._id);
+  const others = TOP_POST_METRICS.filter(metric => metric !== by);
+  const [blogs, ...otherTotals] = await Promise.all([
+    Blog.find({ _id: { $in: ids } }).select('title slug category author.name author.user publishedAt status').lean(),
+    ...others.map(metric => blogTotals(metric, range, scope, { blogIds: ids }))
+  ]);
+
+  const blogsById = new Map(blogs.map(blog => [blog._id.toString(), blog]));
+  const totals = Object.fromEntries([
+    [by, new Map(ranked.map(row => [row._id.toString(), row.total]))],
+    ...others.map((metric, index) => [metric, new Map(otherTotals[index].map(row => [row._id.toString(), row.total]))])
+  ]);
+
+  const posts = ids
+    .filter(id => blogsById.has(id.toString()))
+    .map(id => {
+      const key = id.toString();
+      return {
+        blog: blogsById.get(key),
+        ...Object.fromEntries(TOP_POST_METRICS.map(metric => [metric, totals[metric].get(key) || 0]))
+      };
+    });
+
+  sendReport(req, res, {
+    name: 'top-posts',
+    range,
+    data: { author: scope.author, by, posts },
+    rows: posts.map(post => ({
+      id: post.blog._id,
+      title: post.blog.title?.en || post.blog.title?.bn,
+      author: post.blog.author?.name,
+      publishedAt: post.blog.publishedAt,
+      views: post.views,
+      reactions: post.reactions,
+      comments: post.comments
+    })),
+    columns: ['id', 'title', 'author', 'publishedAt', 'views', 'reactions', 'comments']
+  });
+});
+
+// @desc    Authors with the most views in the range, with posts published
+// @route   GET /api/analytics/top-authors?limit=
+// @access  Private (site-wide analytics)
+export const getTopAuthors = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const { limit } = req.query;
+
+  const ranked = await ViewRollup.aggregate([
+    { $match: { day: inRange(range) } },
+    { $group: { _id: '$blog', views: { $sum: '$views' } } },
+    { $lookup: { from: 'blogs', localField: '_id', foreignField: '_id', as: 'blog', pipeline: [{ $project: { 'author.user': 1 } }] } },
+    { $unwind: '$blog' },
+    { $match: { 'blog.author.user': { $ne: null } } },
+    { $group: { _id: '$blog.author.user', views: { $sum: '$views' }, postsViewed: { $sum: 1 } } },
+    { $sort: { views: -1, _id: -1 } },
+    { $limit: limit }
+  ]);
+  const ids = ranked.map(row => row._id);
+
+  const [users, published] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select('name username profileImage').lean(),
+    Blog.aggregate([
+      { $match: { 'author.user': { $in: ids }, status: 'published', publishedAt: inRange(range) } },
+      { $group: { _id: '$author.user', count: { $sum: 1 } } }
+    ])
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const publishedById = new Map(published.map(row => [row._id.toString(), row.count]));
+
+  const authors = ranked.map(row => ({
+    author: usersById.get(row._id.toString()) || { _id: row._id },
+    views: row.views,
+    postsViewed: row.postsViewed,
+    postsPublished: publishedById.get(row._id.toString()) || 0
+  }));
+
+  sendReport(req, res, {
+    name: 'top-authors',
+    range,
+    data: { authors },
+    rows: authors.map(entry => ({
+      id: entry.author._id,
+      name: entry.author.name,
+      username: entry.author.username,
+      views: entry.views,
+      postsViewed: entry.postsViewed,
+      postsPublished: entry.postsPublished
+    })),
+    columns: ['id', 'name', 'username', 'views', 'postsViewed', 'postsPublished']
+  });
+});
+
+// @desc    Posts published and views per category in one language
+// @route   GET /api/analytics/categories?lang=en
+// @access  Private (view_analytics)
+export const getCategoryStats = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const language = req.query.lang;
+  const scope = await resolveScope(req);
+
+  const [published, viewed] = await Promise.all([
+    Blog.aggregate([
+      {
+        $match: {
+          ...scope.blogMatch,
+          status: 'published',
+          publishedAt: inRange(range),
+          [`category.${language}`]: { $exists: true, $nin: [null, ''] }
+        }
+      },
+      { $group: { _id: `$category.${language}`, postsPublished: { $sum: 1 } } }
+    ]),
+    ViewRollup.aggregate([
+      { $match: { ...scope.relatedMatch, language, day: inRange(range) } },
+      { $group: { _id: '$category', views: { $sum: '$views' }, posts: { $addToSet: '$blog' } } },
+      { $project: { views: 1, postsViewed: { $size: '$posts' } } }
+    ])
+  ]);
+
+  const byName = new Map();
+  const entry = (name) => {
+    if (!byName.has(name)) {
+      byName.set(name, { category: name, postsPublished: 0, views: 0, postsViewed: 0 });
+    }
+    return byName.get(name);
+  };
+  published.forEach(row => { entry(row._id).postsPublished = row.postsPublished; });
+  viewed.filter(row => row._id).forEach(row => Object.assign(entry(row._id), { views: row.views, postsViewed: row.postsViewed }));
+
+  const categories = [...byName.values()].sort((a, b) => b.views - a.views || b.postsPublished - a.postsPublished);
+
+  sendReport(req, res, {
+    name: `categories-${language}`,
+    range,
+    data: { author: scope.author, language, categories },
+    rows: categories,
+    columns: ['category', 'postsPublished', 'views', 'postsViewed']
+  });
+});
+
+const funnelFor = async (Model, dateField, range) => {
+  const base = { [dateField]: inRange(range) };
+  const counts = await Promise.all(
+    Object.values(FUNNEL_STAGES).map(stage => Model.countDocuments({ ...base, ...stage }))
+  );
+  const stages = Object.fromEntries(Object.keys(FUNNEL_STAGES).map((name, index) => [name, counts[index]]));
+  return {
+    ...stages,
+    // Share of submissions in the range that were published, in percent
+    conversionRate: stages.submitted ? Math.round((stages.published / stages.submitted) * 1000) / 10 : 0
+  };
+};
+
+// @desc    Guest and sponsored submissions from submission to published
+// @route   GET /api/analytics/submissions
+// @access  Private (manage_submissions)
+export const getSubmissionFunnel = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+
+  const [guest, sponsored] = await Promise.all([
+    funnelFor(GuestSubmission, 'submissionDate', range),
+    funnelFor(SponsoredSubmission, 'requestDate', range)
+  ]);
+
+  sendReport(req, res, {
+    name: 'submission-funnel',
+    range,
+    data: { guest, sponsored },
+    rows: [...Object.keys(FUNNEL_STAGES), 'conversionRate'].map(stage => ({
+      stage,
+      guest: guest[stage],
+      sponsored: sponsored[stage]
+    })),
+    columns: ['stage', 'guest', 'sponsored']
+  });
+});
+
+// @desc    Newsletter sign-ups, confirmations and unsubscribes per period
+// @route   GET /api/analytics/newsletter
+// @access  Private (manage_newsletter)
+export const getNewsletterGrowth = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+
+  const [signups, confirmations, unsubscribes, activeAtEnd] = await Promise.all([
+    countByPeriod(Newsletter, {}, 'createdAt', range),
+    countByPeriod(Newsletter, {}, 'confirmedAt', range),
+    countByPeriod(Newsletter, {}, 'unsubscribedAt', range),
+    Newsletter.countDocuments({ status: 'confirmed', confirmedAt: { $lt: range.end } })
+  ]);
+  const series = buildSeries(range, { signups, confirmations, unsubscribes })
+    .map(row => ({ ...row, net: row.confirmations - row.unsubscribes }));
+
+  const totals = series.reduce((sum, row) => ({
+    signups: sum.signups + row.signups,
+    confirmations: sum.confirmations + row.confirmations,
+    unsubscribes: sum.unsubscribes + row.unsubscribes,
+    net: sum.net + row.net
+  }), { signups: 0, confirmations: 0, unsubscribes: 0, net: 0 });
+
+  sendReport(req, res, {
+    name: 'newsletter-growth',
+    range,
+    data: { totals: { ...totals, activeSubscribers: activeAtEnd }, series },
+    rows: series,
+    columns: ['period', 'signups', 'confirmations', 'unsubscribes', 'net']
+  });
+});
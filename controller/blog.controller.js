@@ -1,10 +1,41 @@
 import mongoose from 'mongoose';
-import Blog from '../model/blog.model.js';
+import Blog, { LIST_SORT_FIELDS, POPULARITY_SORTS } from '../model/blog.model.js';
+import SearchDocument from '../model/searchDocument.model.js';
 import User from '../model/user.model.js';
 import { asyncHandler, NotFoundError, AuthorizationError, ValidationError } from '../utils/errorHandler.js';
 import logger from '../utils/logger.js';
 import { generateSlug, generateUniqueSlug } from '../utils/slugGenerator.js';
 import cloudinary from '../config/cloudinary.js';
+import { TEXT_LANGUAGES, parseSearchQuery, buildTextSearch, highlightText, escapeRegex } from '../utils/searchText.js';
+import { getRequestPermissions } from '../middleware/permissions.middleware.js';
+import { notifyBlogReviewed } from '../utils/notificationService.js';
+import { recordView } from '../utils/viewTracker.js';
+import { paginateWithCursor, paginateWithOffset, buildSort, parseFields, paginationInfo } from '../utils/cursorPagination.js';
+
+// ?fields= names for post lists
+const LIST_FIELDS = [
+  'title', 'content', 'excerpt', 'slug', 'category', 'tags', 'readTime', 'featuredImage', 'publishedAt',
+  'createdAt', 'updatedAt', 'viewCount', 'reactionCounts', 'reactionTotal', 'saveCount', 'author', 'status', 'isFeatured', 'postType'
+];
+const LOCALIZED_FIELDS = ['title', 'content', 'excerpt', 'slug', 'category', 'tags', 'readTime'];
+
+// Select for a post list; localized fields are narrowed to the language when there is one
+const listSelect = (req, { lang = null, sort, defaults = null }) => parseFields(req.query.fields, {
+  allowed: LIST_FIELDS,
+  sort,
+  defaults,
+  expand: name => (lang && LOCALIZED_FIELDS.includes(name) ? `${name}.${lang}` : name)
+});
+
+// Reset scheduling fields on a blog document
+const clearSchedule = (blog) => {
+  blog.scheduledFor = null;
+  blog.scheduledAt = null;
+  blog.scheduledBy = null;
+  blog.publishAttempts = 0;
+  blog.nextPublishAttemptAt = null;
+  blog.lastPublishError = null;
+};
 
 // @desc    Create a new blog post
 // @route   POST /api/blogs
@@ -15,63 +46,7 @@ export const createBlog = asyncHandler(async (req, res) => {
   try {
     let { title, content, excerpt, slug, category, tags, featuredImage, status, seoTitle, seoDescription, seoKeywords, author } = req.body;
 
-    // Sanitize: Remove all fields for a language if all its fields are empty or falsy
-    const isEmptyLang = (obj) => !obj || Object.values(obj).every(val => !val || (typeof val === 'string' && val.trim() === ''));
-    if (isEmptyLang(title?.en) && isEmptyLang(content?.en) && isEmptyLang(excerpt?.en) && isEmptyLang(slug?.en) && isEmptyLang(category?.en)) {
-      if (title) delete title.en;
-      if (content) delete content.en;
-      if (excerpt) delete excerpt.en;
-      if (slug) delete slug.en;
-      if (category) delete category.en;
-      if (seoTitle) delete seoTitle.en;
-      if (seoDescription) delete seoDescription.en;
-      if (seoKeywords) delete seoKeywords.en;
-    }
-    if (isEmptyLang(title?.bn) && isEmptyLang(content?.bn) && isEmptyLang(excerpt?.bn) && isEmptyLang(slug?.bn) && isEmptyLang(category?.bn)) {
-      if (title) delete title.bn;
-      if (content) delete content.bn;
-      if (excerpt) delete excerpt.bn;
-      if (slug) delete slug.bn;
-      if (category) delete category.bn;
-      if (seoTitle) delete seoTitle.bn;
-      if (seoDescription) delete seoDescription.bn;
-      if (seoKeywords) delete seoKeywords.bn;
-    }
-
-    // Validate that at least one language is provided
-    const hasEnglish = title?.en && content?.en && excerpt?.en && slug?.en && category?.en;
-    const hasBengali = title?.bn && content?.bn && excerpt?.bn && slug?.bn && category?.bn;
-
-    if (!hasEnglish && !hasBengali) {
-      throw new ValidationError('At least one language (English or Bengali) must be provided with all required fields');
-    }
-
-    // If a language is partially provided, make sure all required fields for that language are complete
-    if (title?.en || content?.en || excerpt?.en || slug?.en || category?.en) {
-      if (!hasEnglish) {
-        throw new ValidationError('If providing English content, all English fields (title, content, excerpt, slug, category) are required');
-      }
-      if (content?.en && content.en.length < 50) {
-        throw new ValidationError('English content must be at least 50 characters long');
-      }
-    }
-
-    // Only run Bengali validation if at least one Bengali field is truly non-empty (not just empty string/whitespace/null/undefined)
-    const anyBengaliProvided = [title?.bn, content?.bn, excerpt?.bn, slug?.bn, category?.bn]
-      .some(val => val && typeof val === 'string' && val.trim().length > 0);
-
-    if (anyBengaliProvided) {
-      if (!hasBengali) {
-        throw new ValidationError('If providing Bengali content, all Bengali fields (title, content, excerpt, slug, category) are required');
-      }
-      if (content?.bn && typeof content.bn === 'string' && content.bn.trim().length > 0 && content.bn.length < 50) {
-        throw new ValidationError('Bangla content must be at least 50 characters long');
-      }
-    }
-
-    if (!featuredImage) {
-      throw new ValidationError('Featured image is required');
-    }
+    // The route schema has checked the languages and dropped any left empty
 
     // Handle author information
     let authorData = {
@@ -109,17 +84,6 @@ export const createBlog = asyncHandler(async (req, res) => {
       }
     }
 
-    // Ensure tags is always an array
-    let tagsArray = tags;
-    if (!Array.isArray(tagsArray)) {
-      tagsArray = typeof tagsArray === 'string' ? [tagsArray] : [];
-    }
-
-    // Check if user has permission to create posts
-    if (!['admin', 'editor'].includes(req.user.role)) {
-      throw new AuthorizationError('You do not have permission to create blog posts');
-    }
-
     // Auto-generate slugs from titles if not provided
     if (!slug) slug = {};
     
@@ -172,13 +136,24 @@ export const createBlog = asyncHandler(async (req, res) => {
       publishedAt = new Date();
     }
 
+    // Scheduled posts stay unpublished until the background publisher picks them up
+    let scheduling = {};
+    if (status === 'scheduled') {
+      scheduling = {
+        scheduledFor: req.body.scheduledFor,
+        scheduledBy: req.user.userId,
+        scheduledAt: new Date()
+      };
+      publishedAt = null;
+    }
+
     const blogData = {
       title,
       content,
       excerpt,
       slug,
       category,
-      tags: tagsArray,
+      tags: tags || [],
       featuredImage,
       status: status || 'draft',
       author: authorData,
@@ -189,10 +164,13 @@ export const createBlog = asyncHandler(async (req, res) => {
       seoTitle,
       seoDescription,
       seoKeywords,
-      publishedAt
+      publishedAt,
+      ...scheduling
     };
 
-    const blog = await Blog.create(blogData);
+    const blog = new Blog(blogData);
+    blog.$locals.revisionAuthor = req.user.userId;
+    await blog.save();
     
     const duration = Date.now() - startTime;
     logger.logDatabase('create', 'blogs', duration, true);
@@ -219,8 +197,6 @@ export const getBlogsByLanguage = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { lang } = req.params;
   const { 
-    page = 1, 
-    limit = 10, 
     search = '', 
     category = '', 
     status = 'published',
@@ -283,26 +259,22 @@ export const getBlogsByLanguage = asyncHandler(async (req, res) => {
       ];
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const blogs = await Blog.find(query)
-      .populate('author', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select(`title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`);
-
-    // Get total count for pagination
-    const total = await Blog.countDocuments(query);
+    const sort = buildSort(sortBy, sortOrder, LIST_SORT_FIELDS);
+    const { limit, cursor, includeTotal } = req.query;
+    const select = listSelect(req, {
+      lang,
+      sort,
+      defaults: `title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`
+    });
 
-    // Check if there are more pages
-    const hasMore = skip + blogs.length < total;
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => Blog.find({ $and: [query, filter] })
+        .populate('author', 'name')
+        .sort(sort)
+        .limit(pageLimit)
+        .select(select),
+      { sort, cursor, limit, count: includeTotal ? () => Blog.countDocuments(query) : null }
+    );
 
     const duration = Date.now() - startTime;
     logger.logDatabase('find', 'blogs', duration, true);
@@ -310,15 +282,8 @@ export const getBlogsByLanguage = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        blogs,
-        total,
-        hasMore,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalItems: total,
-          itemsPerPage: parseInt(limit)
-        }
+        blogs: page.items,
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -343,7 +308,7 @@ export const getFeaturedBlogs = asyncHandler(async (req, res) => {
       throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
     }
 
-    const blogs = await Blog.getFeaturedByLanguage(lang, parseInt(limit));
+    const blogs = await Blog.getFeaturedByLanguage(lang, limit);
     
     const duration = Date.now() - startTime;
     logger.logDatabase('read', 'blogs', duration, true);
@@ -384,10 +349,9 @@ export const getBlogById = asyncHandler(async (req, res) => {
       isOwner = blog.author.toString() === req.user.userId;
     }
     
-    const isAdmin = req.user.role === 'admin';
-    const isEditor = req.user.role === 'editor';
+    const permissions = await getRequestPermissions(req);
 
-    if (!isOwner && !isAdmin && !isEditor) {
+    if (!isOwner && !permissions.includes('view_admin')) {
       throw new AuthorizationError('You do not have permission to view this blog post');
     }
     
@@ -438,8 +402,8 @@ export const getBlogBySlug = asyncHandler(async (req, res) => {
       throw new NotFoundError('Blog post not found');
     }
 
-    // Increment view count
-    await blog.incrementViewCount();
+    // Counted in the background, once per visitor and dedup window
+    recordView(req, blog, lang);
     
     const duration = Date.now() - startTime;
     logger.logDatabase('read', 'blogs', duration, true);
@@ -480,10 +444,9 @@ export const updateBlog = asyncHandler(async (req, res) => {
       isOwner = blog.author.toString() === req.user.userId;
     }
     
-    const isAdmin = req.user.role === 'admin';
-    const isEditor = req.user.role === 'editor';
+    const permissions = await getRequestPermissions(req);
 
-    if (!isOwner && !isAdmin && !isEditor) {
+    if (!isOwner && !permissions.includes('edit_all_blogs')) {
       throw new AuthorizationError('You do not have permission to update this blog post');
     }
 
@@ -567,6 +530,11 @@ export const updateBlog = asyncHandler(async (req, res) => {
       req.body.readTime = { en: readTimeEn, bn: readTimeBn };
     }
 
+    // Scheduling has its own endpoint so the date and scheduler are always recorded
+    if (req.body.status === 'scheduled' && blog.status !== 'scheduled') {
+      throw new ValidationError('Use PUT /api/blogs/:id/schedule to schedule a post');
+    }
+
     // --- Robust publishedAt logic for update ---
     if (
       req.body.status === 'published' &&
@@ -579,7 +547,7 @@ export const updateBlog = asyncHandler(async (req, res) => {
     const updatedBlog = await Blog.findByIdAndUpdate(
       id,
       req.body,
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, revisionAuthor: req.user.userId }
     ).populate('author.user', 'name');
 
     const duration = Date.now() - startTime;
@@ -622,9 +590,9 @@ export const deleteBlog = asyncHandler(async (req, res) => {
       isOwner = blog.author.toString() === req.user.userId;
     }
     
-    const isAdmin = req.user.role === 'admin';
+    const permissions = await getRequestPermissions(req);
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !permissions.includes('delete_all_blogs')) {
       throw new AuthorizationError('You do not have permission to delete this blog post');
     }
 
@@ -830,6 +798,7 @@ export const approveBlog = asyncHandler(async (req, res) => {
   blog.approvedAt = new Date();
   
   await blog.save();
+  notifyBlogReviewed(blog, 'blog_approved', req.user.userId);
 
   logger.info('Blog approved', { 
     blogId: blog._id, 
@@ -871,6 +840,7 @@ export const rejectBlog = asyncHandler(async (req, res) => {
   blog.rejectionReason = reason || 'No reason provided';
   
   await blog.save();
+  notifyBlogReviewed(blog, 'blog_rejected', req.user.userId);
 
   logger.info('Blog rejected', { 
     blogId: blog._id, 
@@ -893,11 +863,7 @@ export const toggleBlogStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
   
-  const validStatuses = ['draft', 'published', 'archived', 'rejected'];
-  if (!validStatuses.includes(status)) {
-    throw new ValidationError('Invalid status. Must be one of: draft, published, archived, rejected');
-  }
-  
+  // 'scheduled' needs a publish time, so it goes through scheduleBlog instead
   const blog = await Blog.findById(id);
   if (!blog) {
     throw new NotFoundError('Blog not found');
@@ -924,6 +890,11 @@ export const toggleBlogStatus = asyncHandler(async (req, res) => {
     blog.rejectedAt = undefined;
     blog.rejectionReason = undefined;
   }
+
+  // Changing the status by hand takes the post off the schedule
+  if (oldStatus === 'scheduled') {
+    clearSchedule(blog);
+  }
   
   await blog.save();
 
@@ -973,6 +944,123 @@ export const toggleBlogFeatured = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Schedule or reschedule a blog post
+// @route   PUT /api/blogs/:id/schedule
+// @access  Private (Admin/Moderator/Owner)
+export const scheduleBlog = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { scheduledFor } = req.body;
+
+  const blog = await Blog.findById(id);
+  if (!blog) {
+    throw new NotFoundError('Blog not found');
+  }
+
+  // Published, rejected and archived posts would reach readers without review
+  if (!['draft', 'scheduled'].includes(blog.status)) {
+    throw new ValidationError(`Only drafts can be scheduled; this blog is ${blog.status}`);
+  }
+
+  const isReschedule = blog.status === 'scheduled';
+  const previousScheduledFor = blog.scheduledFor;
+
+  blog.status = 'scheduled';
+  blog.scheduledFor = scheduledFor;
+  blog.scheduledBy = req.user.userId;
+  blog.scheduledAt = new Date();
+  blog.publishedAt = null;
+  blog.publishAttempts = 0;
+  blog.nextPublishAttemptAt = null;
+  blog.lastPublishError = null;
+
+  await blog.save();
+
+  logger.info(isReschedule ? 'Blog rescheduled' : 'Blog scheduled', {
+    blogId: blog._id,
+    scheduledBy: req.user.userId,
+    scheduledFor,
+    previousScheduledFor,
+    title: blog.title?.en || blog.title?.bn
+  });
+
+  res.status(200).json({
+    success: true,
+    message: isReschedule ? 'Blog rescheduled successfully' : 'Blog scheduled successfully',
+    data: { blog }
+  });
+});
+
+// @desc    Cancel a scheduled blog post
+// @route   DELETE /api/blogs/:id/schedule
+// @access  Private (Admin/Moderator/Owner)
+export const cancelScheduledBlog = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const blog = await Blog.findById(id);
+  if (!blog) {
+    throw new NotFoundError('Blog not found');
+  }
+
+  if (blog.status !== 'scheduled') {
+    throw new ValidationError('Blog is not scheduled');
+  }
+
+  const scheduledFor = blog.scheduledFor;
+  blog.status = 'draft';
+  clearSchedule(blog);
+
+  await blog.save();
+
+  logger.info('Blog schedule cancelled', {
+    blogId: blog._id,
+    cancelledBy: req.user.userId,
+    scheduledFor,
+    title: blog.title?.en || blog.title?.bn
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scheduled publishing cancelled, blog moved back to draft',
+    data: { blog }
+  });
+});
+
+// @desc    Get scheduled blog posts
+// @route   GET /api/blogs/admin/scheduled
+// @access  Private (Editor/Moderator/Admin)
+export const getScheduledBlogs = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const query = { status: 'scheduled' };
+
+    // Users who cannot edit every post only see their own schedule
+    if (!(await getRequestPermissions(req)).includes('edit_all_blogs')) {
+      query['author.user'] = req.user.userId;
+    }
+
+    const blogs = await Blog.find(query)
+      .sort({ scheduledFor: 1 })
+      .select('title slug category featuredImage status scheduledFor scheduledBy scheduledAt publishAttempts nextPublishAttemptAt lastPublishError author postType')
+      .populate('scheduledBy', 'name email');
+
+    const duration = Date.now() - startTime;
+    logger.logDatabase('find', 'blogs', duration, true);
+
+    res.status(200).json({
+      success: true,
+      data: { blogs }
+    });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.logDatabase('find', 'blogs', duration, false);
+    logger.error('Scheduled blogs retrieval failed', { error: error.message, userId: req.user?.userId });
+    throw error;
+  }
+});
+
 // @desc    Get all blogs with filtering and pagination
 // @route   GET /api/blogs
 // @access  Public
@@ -981,8 +1069,6 @@ export const getAllBlogs = asyncHandler(async (req, res) => {
   
   try {
     const { 
-      page = 1, 
-      limit = 10, 
       status = 'published',
       language = req.query.lang || req.query.language || 'en',
       category,
@@ -991,8 +1077,6 @@ export const getAllBlogs = asyncHandler(async (req, res) => {
       sort = 'publishedAt',
       order = 'desc'
     } = req.query;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
     
     // Build query
     let query = {};
@@ -1033,19 +1117,18 @@ export const getAllBlogs = asyncHandler(async (req, res) => {
       query['author.user'] = author;
     }
 
-    // Build sort object
-    let sortObj = {};
-    sortObj[sort] = order === 'desc' ? -1 : 1;
-    sortObj['createdAt'] = -1; // Secondary sort
-
-    const blogs = await Blog.find(query)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author.user', 'name username profileImage');
+    const sortObj = buildSort(sort, order, LIST_SORT_FIELDS);
+    const { limit, cursor, includeTotal } = req.query;
+    const select = listSelect(req, { sort: sortObj });
 
-    const total = await Blog.countDocuments(query);
-    const hasMore = skip + blogs.length < total;
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => Blog.find({ $and: [query, filter] })
+        .sort(sortObj)
+        .limit(pageLimit)
+        .select(select)
+        .populate('author.user', 'name username profileImage'),
+      { sort: sortObj, cursor, limit, count: includeTotal ? () => Blog.countDocuments(query) : null }
+    );
 
     const duration = Date.now() - startTime;
     logger.logDatabase('find', 'blogs', duration, true);
@@ -1053,15 +1136,8 @@ export const getAllBlogs = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        blogs,
-        total,
-        hasMore,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        blogs: page.items,
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -1073,7 +1149,7 @@ export const getAllBlogs = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Search blogs
+// @desc    Search blogs with relevance ranking and highlighted snippets
 // @route   GET /api/blogs/search
 // @access  Public
 export const searchBlogs = asyncHandler(async (req, res) => {
@@ -1082,40 +1158,119 @@ export const searchBlogs = asyncHandler(async (req, res) => {
   try {
     const { 
       q, 
-      page = 1, 
-      limit = 10, 
       language = 'en',
-      status = 'published'
+      category,
+      postType,
+      author,
+      from,
+      to
     } = req.query;
 
     if (!q || q.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
-      });
+      throw new ValidationError('Search query is required');
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Build search query
+    if (!['en', 'bn'].includes(language)) {
+      throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
+    }
+
+    const parsed = parseSearchQuery(q, language);
+    const textSearch = buildTextSearch(parsed);
+
+    if (!textSearch && parsed.prefixes.length === 0) {
+      throw new ValidationError('Search query must contain at least one word');
+    }
+
+    // Only published posts are searchable
     const searchQuery = {
-      status: status,
-      $or: [
-        { [`title.${language}`]: { $regex: q, $options: 'i' } },
-        { [`content.${language}`]: { $regex: q, $options: 'i' } },
-        { [`excerpt.${language}`]: { $regex: q, $options: 'i' } },
-        { [`category.${language}`]: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } }
-      ]
+      language,
+      status: 'published',
+      publishedAt: { $lte: new Date() }
     };
 
-    const blogs = await Blog.find(searchQuery)
-      .sort({ publishedAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author.user', 'name username profileImage');
+    if (textSearch) {
+      searchQuery.$text = { $search: textSearch, $language: TEXT_LANGUAGES[language] };
+    }
 
-    const total = await Blog.countDocuments(searchQuery);
+    // Prefix terms (foo*) match against the stored term list
+    if (parsed.prefixes.length > 0) {
+      searchQuery.$and = parsed.prefixes.map(prefix => ({
+        terms: { $regex: `^${escapeRegex(prefix)}` }
+      }));
+    }
+
+    // Exclusions in a prefix-only query cannot go through $text
+    if (!textSearch && parsed.excluded.length > 0) {
+      searchQuery.terms = { $nin: parsed.excluded };
+    }
+
+    if (category) {
+      searchQuery.category = category;
+    }
+
+    if (postType) {
+      if (!['regular', 'guest', 'sponsored'].includes(postType)) {
+        throw new ValidationError('Invalid postType. Must be one of: regular, guest, sponsored');
+      }
+      searchQuery.postType = postType;
+    }
+
+    if (author) {
+      if (!mongoose.Types.ObjectId.isValid(author)) {
+        throw new ValidationError('Invalid author id');
+      }
+      searchQuery.authorUser = author;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        throw new ValidationError('Invalid date range. Use ISO dates for "from" and "to"');
+      }
+      if (fromDate) searchQuery.publishedAt.$gte = fromDate;
+      if (toDate && toDate < searchQuery.publishedAt.$lte) searchQuery.publishedAt.$lte = toDate;
+    }
+
+    const { limit, cursor, includeTotal } = req.query;
+
+    // Rank by text score when there is one, otherwise by recency. Relevance is not
+    // a stored value, so search pages by position rather than by keyset.
+    const projection = textSearch
+      ? { blog: 1, display: 1, score: { $meta: 'textScore' } }
+      : { blog: 1, display: 1 };
+    const sort = textSearch ? { score: { $meta: 'textScore' }, publishedAt: -1, _id: -1 } : { publishedAt: -1, _id: -1 };
+
+    const page = await paginateWithOffset(
+      (skip, pageLimit) => SearchDocument.find(searchQuery, projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(pageLimit)
+        .lean(),
+      { cursor, limit, count: includeTotal ? () => SearchDocument.countDocuments(searchQuery) : null }
+    );
+    const matches = page.items;
+
+    const blogs = await Blog.find({ _id: { $in: matches.map(match => match.blog) } })
+      .select(listSelect(req, {
+        lang: language,
+        defaults: `title.${language} excerpt.${language} slug.${language} category.${language} tags.${language} featuredImage publishedAt readTime.${language} viewCount author postType sponsorship.isDisclosed`
+      }))
+      .populate('author.user', 'name username profileImage')
+      .lean();
+
+    const blogsById = new Map(blogs.map(blog => [blog._id.toString(), blog]));
+    const results = matches
+      .filter(match => blogsById.has(match.blog.toString()))
+      .map(match => ({
+        ...blogsById.get(match.blog.toString()),
+        score: match.score ?? null,
+        highlights: {
+          title: highlightText(match.display?.title, parsed, language),
+          excerpt: highlightText(match.display?.excerpt, parsed, language),
+          snippet: highlightText(match.display?.content, parsed, language, { maxLength: 240 })
+        }
+      }));
 
     const duration = Date.now() - startTime;
     logger.logDatabase('search', 'blogs', duration, true);
@@ -1123,13 +1278,16 @@ export const searchBlogs = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        blogs,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        blogs: results,
+        query: {
+          q,
+          language,
+          terms: parsed.terms,
+          phrases: parsed.phrases,
+          prefixes: parsed.prefixes,
+          excluded: parsed.excluded
+        },
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -1141,22 +1299,30 @@ export const searchBlogs = asyncHandler(async (req, res) => {
   }
 });
 
+const popularitySort = (sortBy = 'views') => {
+  if (!POPULARITY_SORTS[sortBy]) {
+    throw new ValidationError(`sortBy must be one of: ${Object.keys(POPULARITY_SORTS).join(', ')}`);
+  }
+  return POPULARITY_SORTS[sortBy];
+};
+
 // @desc    Get trending blog posts by language
-// @route   GET /api/blogs/:lang/trending
+// @route   GET /api/blogs/:lang/trending?sortBy=views|reactions|saves
 // @access  Public
 export const getTrendingBlogs = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { lang } = req.params;
-  const { limit = 6, days = 30 } = req.query;
+  const { limit = 6, days = 30, sortBy } = req.query;
 
   try {
     if (!['en', 'bn'].includes(lang)) {
       throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
     }
+    const sort = popularitySort(sortBy);
 
     // Calculate date for trending window
     const trendingDate = new Date();
-    trendingDate.setDate(trendingDate.getDate() - parseInt(days));
+    trendingDate.setDate(trendingDate.getDate() - days);
 
     const blogs = await Blog.find({
       status: 'published',
@@ -1168,9 +1334,9 @@ export const getTrendingBlogs = asyncHandler(async (req, res) => {
       [`category.${lang}`]: { $exists: true, $ne: null, $ne: '' }
     })
     .populate('author', 'name')
-    .sort({ viewCount: -1, publishedAt: -1 })
-    .limit(parseInt(limit))
-    .select(`title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`);
+    .sort(sort)
+    .limit(limit)
+    .select(`title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount reactionCounts reactionTotal saveCount author status isFeatured`);
 
     const duration = Date.now() - startTime;
     logger.logDatabase('read', 'blogs', duration, true);
@@ -1194,7 +1360,7 @@ export const getTrendingBlogs = asyncHandler(async (req, res) => {
 export const getBlogsByCategory = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { lang, category } = req.params;
-  const { limit = 6, page = 1, sortBy = 'publishedAt', sortOrder = 'desc' } = req.query;
+  const { sortBy = 'publishedAt', sortOrder = 'desc' } = req.query;
 
   try {
     if (!['en', 'bn'].includes(lang)) {
@@ -1211,19 +1377,22 @@ export const getBlogsByCategory = asyncHandler(async (req, res) => {
       [`slug.${lang}`]: { $exists: true, $ne: null, $ne: '' }
     };
 
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const blogs = await Blog.find(query)
-      .populate('author', 'name')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select(`title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`);
+    const sort = buildSort(sortBy, sortOrder, LIST_SORT_FIELDS);
+    const { limit, cursor, includeTotal } = req.query;
+    const select = listSelect(req, {
+      lang,
+      sort,
+      defaults: `title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`
+    });
 
-    const total = await Blog.countDocuments(query);
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => Blog.find({ $and: [query, filter] })
+        .populate('author', 'name')
+        .sort(sort)
+        .limit(pageLimit)
+        .select(select),
+      { sort, cursor, limit, count: includeTotal ? () => Blog.countDocuments(query) : null }
+    );
 
     const duration = Date.now() - startTime;
     logger.logDatabase('read', 'blogs', duration, true);
@@ -1231,15 +1400,9 @@ export const getBlogsByCategory = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        blogs,
-        total,
+        blogs: page.items,
         category,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalItems: total,
-          itemsPerPage: parseInt(limit)
-        }
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -1283,7 +1446,7 @@ export const getHomepageData = asyncHandler(async (req, res) => {
     const featuredBlogs = await Blog.find(featuredQuery)
       .populate('author', 'name')
       .sort({ publishedAt: -1 })
-      .limit(parseInt(featuredLimit))
+      .limit(featuredLimit)
       .select(`title.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`);
 
     // Get recent posts (excluding featured posts) - EXCLUDE content field
@@ -1297,7 +1460,7 @@ export const getHomepageData = asyncHandler(async (req, res) => {
     const recentBlogs = await Blog.find(recentQuery)
       .populate('author', 'name')
       .sort({ publishedAt: -1 })
-      .limit(parseInt(recentLimit))
+      .limit(recentLimit)
       .select(`title.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`);
 
     // Get popular posts (excluding featured posts, sorted by viewCount) - EXCLUDE content field
@@ -1312,7 +1475,7 @@ export const getHomepageData = asyncHandler(async (req, res) => {
     const popularBlogs = await Blog.find(popularQuery)
       .populate('author', 'name')
       .sort({ viewCount: -1, publishedAt: -1 })
-      .limit(parseInt(popularLimit))
+      .limit(popularLimit)
       .select(`title.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author status isFeatured`);
 
     const duration = Date.now() - startTime;
@@ -1401,7 +1564,9 @@ async function getCategoryHighlights(lang) {
   }
 }
 
-// @desc    Get blogs by author
+const AUTHOR_BLOGS_SORT = { publishedAt: -1, _id: -1 };
+
+// @desc    Get published blogs by author
 // @route   GET /api/blogs/author/:authorId
 // @access  Public
 export const getBlogsByAuthor = asyncHandler(async (req, res) => {
@@ -1409,26 +1574,21 @@ export const getBlogsByAuthor = asyncHandler(async (req, res) => {
   
   try {
     const { authorId } = req.params;
-    const { 
-      page = 1, 
-      limit = 10, 
-      status = 'published'
-    } = req.query;
+    const { limit, cursor, includeTotal } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
+    // Public route: drafts and other unpublished posts stay out of it
     const query = {
-      status: status,
+      status: 'published',
       'author.user': authorId
     };
 
-    const blogs = await Blog.find(query)
-      .sort({ publishedAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author.user', 'name username profileImage');
-
-    const total = await Blog.countDocuments(query);
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => Blog.find({ $and: [query, filter] })
+        .sort(AUTHOR_BLOGS_SORT)
+        .limit(pageLimit)
+        .populate('author.user', 'name username profileImage'),
+      { sort: AUTHOR_BLOGS_SORT, cursor, limit, count: includeTotal ? () => Blog.countDocuments(query) : null }
+    );
 
     const duration = Date.now() - startTime;
     logger.logDatabase('find', 'blogs', duration, true);
@@ -1436,13 +1596,8 @@ export const getBlogsByAuthor = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        blogs,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        }
+        blogs: page.items,
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -1471,7 +1626,7 @@ export const getRecentBlogs = asyncHandler(async (req, res) => {
 
     const blogs = await Blog.find(query)
       .sort({ publishedAt: -1 })
-      .limit(parseInt(limit))
+      .limit(limit)
       .populate('author.user', 'name username profileImage');
 
     const duration = Date.now() - startTime;
@@ -1491,13 +1646,14 @@ export const getRecentBlogs = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get popular blogs
-// @route   GET /api/blogs/popular
+// @route   GET /api/blogs/popular?sortBy=views|reactions|saves
 // @access  Public
 export const getPopularBlogs = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const { limit = 5, language = 'en', period = '7d' } = req.query;
+    const { limit = 5, language = 'en', period = '7d', sortBy } = req.query;
+    const sort = popularitySort(sortBy);
     
     // Calculate date range based on period
     const now = new Date();
@@ -1524,8 +1680,8 @@ export const getPopularBlogs = asyncHandler(async (req, res) => {
     };
 
     const blogs = await Blog.find(query)
-      .sort({ viewCount: -1, publishedAt: -1 })
-      .limit(parseInt(limit))
+      .sort(sort)
+      .limit(limit)
       .populate('author.user', 'name username profileImage');
 
     const duration = Date.now() - startTime;
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import Blog from '../model/blog.model.js';
+import User from '../model/user.model.js';
+import BlogReaction, { REACTION_TYPES, REACTION_EMOJI } from '../model/blogReaction.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { paginateWithCursor, paginationInfo } from '../utils/cursorPagination.js';
+
+const REACTOR_SORT = { updatedAt: -1, _id: -1 };
+
+const findPublishedBlog = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError('Blog');
+  }
+  const blog = await Blog.findOne({ _id: id, status: 'published' }).select('author.user').lean();
+  if (!blog) {
+    throw new NotFoundError('Blog');
+  }
+  return blog;
+};
+
+// Keep the Blog counters and the author's totalLikes in step with a reaction change
+const applyCounters = async (blog, { added = null, removed = null }) => {
+  const inc = {};
+  if (added) inc[`reactionCounts.${added}`] = 1;
+  if (removed) inc[`reactionCounts.${removed}`] = -1;
+  // A changed reaction moves between types; only new or removed ones change the totals
+  const totalDelta = (added ? 1 : 0) - (removed ? 1 : 0);
+  if (totalDelta !== 0) inc.reactionTotal = totalDelta;
+
+  await Blog.updateOne({ _id: blog._id }, { $inc: inc });
+  if (totalDelta !== 0 && blog.author?.user) {
+    await User.updateOne({ _id: blog.author.user }, { $inc: { totalLikes: totalDelta } });
+  }
+};
+
+const reactionSummary = async (blogId, userId) => {
+  const [blog, mine] = await Promise.all([
+    Blog.findById(blogId).select('reactionCounts reactionTotal').lean(),
+    userId ? BlogReaction.findOne({ blog: blogId, user: userId }).select('type').lean() : null
+  ]);
+
+  return {
+    counts: Object.fromEntries(REACTION_TYPES.map(type => [type, blog?.reactionCounts?.[type] || 0])),
+    total: blog?.reactionTotal || 0,
+    myReaction: mine?.type || null,
+    emoji: REACTION_EMOJI
+  };
+};
+
+// @desc    Reaction counts for a post, with the viewer's own reaction when signed in
+// @route   GET /api/blogs/:id/reactions
+// @access  Public
+export const getBlogReactions = asyncHandler(async (req, res) => {
+  const blog = await findPublishedBlog(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: await reactionSummary(blog._id, req.user?.userId)
+  });
+});
+
+// @desc    Who reacted to a post, most recent first; ?type= narrows to one reaction
+// @route   GET /api/blogs/:id/reactions/users
+// @access  Public
+export const getBlogReactionUsers = asyncHandler(async (req, res) => {
+  const blog = await findPublishedBlog(req.params.id);
+  const { type, cursor, limit } = req.query;
+
+  const query = { blog: blog._id };
+  if (type) {
+    query.type = type;
+  }
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => BlogReaction.find({ ...query, ...filter })
+      .populate('user', 'name username profileImage')
+      .sort(REACTOR_SORT)
+      .limit(pageLimit)
+      .lean(),
+    { sort: REACTOR_SORT, cursor, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reactions: page.items
+        .filter(reaction => reaction.user)
+        .map(reaction => ({ user: reaction.user, type: reaction.type, reactedAt: reaction.updatedAt })),
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    React to a post, replacing any earlier reaction by the same user
+// @route   PUT /api/blogs/:id/reactions
+// @access  Private
+export const setBlogReaction = asyncHandler(async (req, res) => {
+  const { type } = req.body;
+  const blog = await findPublishedBlog(req.params.id);
+
+  // The previous document tells whether this adds a reaction or changes one
+  const previous = await BlogReaction.findOneAndUpdate(
+    { blog: blog._id, user: req.user.userId },
+    { $set: { type } },
+    { upsert: true, new: false, runValidators: true }
+  ).lean();
+
+  if (!previous) {
+    await applyCounters(blog, { added: type });
+  } else if (previous.type !== type) {
+    await applyCounters(blog, { added: type, removed: previous.type });
+  }
+
+  res.status(previous ? 200 : 201).json({
+    success: true,
+    message: previous ? 'Reaction updated' : 'Reaction added',
+    data: await reactionSummary(blog._id, req.user.userId)
+  });
+});
+
+// @desc    Remove the current user's reaction from a post
+// @route   DELETE /api/blogs/:id/reactions
+// @access  Private
+export const removeBlogReaction = asyncHandler(async (req, res) => {
+  const blog = await findPublishedBlog(req.params.id);
+
+  const reaction = await BlogReaction.findOneAndDelete({ blog: blog._id, user: req.user.userId }).lean();
+  if (!reaction) {
+    throw new NotFoundError('Reaction');
+  }
+  await applyCounters(blog, { removed: reaction.type });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reaction removed',
+    data: await reactionSummary(blog._id, req.user.userId)
+  });
+});
@@ -0,0 +1,188 @@
+import Blog from '../model/blog.model.js';
+import BlogRevision, { REVISION_LANG_FIELDS } from '../model/blogRevision.model.js';
+import { asyncHandler, NotFoundError, ValidationError, ConflictError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { diffText } from '../utils/textDiff.js';
+import { paginateWithCursor, paginationInfo } from '../utils/cursorPagination.js';
+
+const LANGUAGES = ['en', 'bn'];
+
+// Long-form fields are diffed line by line, everything else word by word
+const LINE_DIFF_FIELDS = ['content'];
+
+// Newest first; revision numbers are unique per post
+const REVISION_SORT = { revision: -1, _id: -1 };
+
+const findBlogOrThrow = async (id) => {
+  const blog = await Blog.findById(id);
+  if (!blog) {
+    throw new NotFoundError('Blog');
+  }
+  return blog;
+};
+
+const findRevisionOrThrow = async (blogId, revision) => {
+  const found = await BlogRevision.findOne({ blog: blogId, revision })
+    .populate('author', 'name email')
+    .lean();
+  if (!found) {
+    throw new NotFoundError(`Revision ${revision}`);
+  }
+  return found;
+};
+
+// Flatten a snapshot field into diffable text for one language
+const fieldText = (snapshot, field, lang) => {
+  if (field === 'tags') {
+    return (snapshot.tags || []).map(tag => tag?.[lang]).filter(Boolean).join(', ');
+  }
+  const value = snapshot[field]?.[lang];
+  return Array.isArray(value) ? value.join(', ') : (value || '');
+};
+
+// @desc    List revisions of a blog post
+// @route   GET /api/blogs/:id/revisions
+// @access  Private (Admin/Moderator/Owner)
+export const getBlogRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { limit, cursor, includeTotal } = req.query;
+
+  await findBlogOrThrow(id);
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => BlogRevision.find({ blog: id, ...filter })
+      .select('-snapshot')
+      .populate('author', 'name email')
+      .sort(REVISION_SORT)
+      .limit(pageLimit)
+      .lean(),
+    { sort: REVISION_SORT, cursor, limit, count: includeTotal ? () => BlogRevision.countDocuments({ blog: id }) : null }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revisions: page.items,
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    Get a single revision snapshot
+// @route   GET /api/blogs/:id/revisions/:revision
+// @access  Private (Admin/Moderator/Owner)
+export const getBlogRevision = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const revisionNumber = req.params.revision;
+
+  await findBlogOrThrow(id);
+  const revision = await findRevisionOrThrow(id, revisionNumber);
+
+  res.status(200).json({
+    success: true,
+    data: { revision }
+  });
+});
+
+// @desc    Diff two revisions of a blog post, per language
+// @route   GET /api/blogs/:id/revisions/diff?from=1&to=3&lang=en
+// @access  Private (Admin/Moderator/Owner)
+export const diffBlogRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { lang } = req.query;
+
+  await findBlogOrThrow(id);
+
+  // Default to comparing the latest revision with the one before it
+  let to = req.query.to || null;
+  if (!to) {
+    const latest = await BlogRevision.findOne({ blog: id }).sort({ revision: -1 }).select('revision').lean();
+    if (!latest) {
+      throw new NotFoundError('Revision');
+    }
+    to = latest.revision;
+  }
+  const from = req.query.from || to - 1;
+
+  if (from < 1 || from === to) {
+    throw new ValidationError('from and to must be two different revisions');
+  }
+
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevisionOrThrow(id, from),
+    findRevisionOrThrow(id, to)
+  ]);
+
+  const languages = lang ? [lang] : LANGUAGES;
+  const changes = {};
+
+  for (const language of languages) {
+    changes[language] = {};
+    for (const field of [...REVISION_LANG_FIELDS, 'tags']) {
+      const oldText = fieldText(fromRevision.snapshot, field, language);
+      const newText = fieldText(toRevision.snapshot, field, language);
+      if (oldText === newText) continue;
+
+      changes[language][field] = diffText(oldText, newText, LINE_DIFF_FIELDS.includes(field) ? 'line' : 'word');
+    }
+  }
+
+  const oldImage = fromRevision.snapshot.featuredImage || null;
+  const newImage = toRevision.snapshot.featuredImage || null;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: { revision: fromRevision.revision, author: fromRevision.author, createdAt: fromRevision.createdAt },
+      to: { revision: toRevision.revision, author: toRevision.author, createdAt: toRevision.createdAt },
+      changes,
+      featuredImage: oldImage === newImage ? null : { from: oldImage, to: newImage }
+    }
+  });
+});
+
+// @desc    Restore a blog post to an earlier revision
+// @route   POST /api/blogs/:id/revisions/:revision/restore
+// @access  Private (Admin/Moderator/Owner)
+export const restoreBlogRevision = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const revisionNumber = req.params.revision;
+
+  const blog = await findBlogOrThrow(id);
+  const { snapshot } = await findRevisionOrThrow(id, revisionNumber);
+
+  // Another post may have taken the slug since this revision was saved
+  for (const language of LANGUAGES) {
+    const slug = snapshot.slug?.[language];
+    if (slug && slug !== blog.slug?.[language]) {
+      const taken = await Blog.exists({ _id: { $ne: blog._id }, [`slug.${language}`]: slug });
+      if (taken) {
+        throw new ConflictError(`The ${language} slug "${slug}" is now used by another post`);
+      }
+    }
+  }
+
+  for (const field of REVISION_LANG_FIELDS) {
+    for (const language of LANGUAGES) {
+      blog.set(`${field}.${language}`, snapshot[field]?.[language] ?? undefined);
+    }
+  }
+  blog.tags = snapshot.tags || [];
+  blog.featuredImage = snapshot.featuredImage ?? undefined;
+
+  blog.$locals.revisionAuthor = req.user.userId;
+  blog.$locals.restoredFrom = revisionNumber;
+  await blog.save();
+
+  logger.info('Blog revision restored', {
+    blogId: blog._id,
+    restoredFrom: revisionNumber,
+    userId: req.user.userId
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Blog restored to revision ${revisionNumber}`,
+    data: { blog }
+  });
+});
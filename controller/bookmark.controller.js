@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import Bookmark from '../model/bookmark.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { paginateWithCursor, paginationInfo } from '../utils/cursorPagination.js';
+import { populateBlogCard, requirePublishedBlog, adjustBlogCounter } from '../utils/savedPosts.js';
+
+const BOOKMARK_SORT = { createdAt: -1, _id: -1 };
+
+// @desc    The current user's bookmarks, newest first
+// @route   GET /api/bookmarks
+// @access  Private
+export const getBookmarks = asyncHandler(async (req, res) => {
+  const { limit } = req.query;
+  const user = new mongoose.Types.ObjectId(req.user.userId);
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => Bookmark.find({ user, ...filter })
+      .populate(populateBlogCard())
+      .sort(BOOKMARK_SORT)
+      .limit(pageLimit)
+      .lean(),
+    { sort: BOOKMARK_SORT, cursor: req.query.cursor, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      // Bookmarks of posts that were unpublished since are left out
+      bookmarks: page.items.filter(bookmark => bookmark.blog),
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    Which of the given posts the current user bookmarked
+// @route   GET /api/bookmarks/status?blogs=id1,id2
+// @access  Private
+export const getBookmarkStatus = asyncHandler(async (req, res) => {
+  // ?blogs= arrives as an array of ids from the route schema
+  const bookmarks = await Bookmark.find({ user: req.user.userId, blog: { $in: req.query.blogs } }).select('blog').lean();
+
+  res.status(200).json({
+    success: true,
+    data: { bookmarked: bookmarks.map(bookmark => bookmark.blog) }
+  });
+});
+
+// @desc    Bookmark a post, or update the note of an existing bookmark
+// @route   PUT /api/bookmarks/:blogId
+// @access  Private
+export const addBookmark = asyncHandler(async (req, res) => {
+  const blogId = await requirePublishedBlog(req.params.blogId);
+  const { note } = req.body;
+
+  const update = { $setOnInsert: { user: req.user.userId, blog: blogId } };
+  if (note !== undefined) {
+    update.$set = { note };
+  }
+
+  const result = await Bookmark.findOneAndUpdate(
+    { user: req.user.userId, blog: blogId },
+    update,
+    { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+  );
+  const created = !result.lastErrorObject?.updatedExisting;
+  if (created) {
+    await adjustBlogCounter(blogId, 'bookmarkCount', 1);
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Post bookmarked' : 'Bookmark updated',
+    data: { bookmark: result.value }
+  });
+});
+
+// @desc    Remove a bookmark
+// @route   DELETE /api/bookmarks/:blogId
+// @access  Private
+export const removeBookmark = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.blogId)) {
+    throw new NotFoundError('Bookmark');
+  }
+
+  const bookmark = await Bookmark.findOneAndDelete({ user: req.user.userId, blog: req.params.blogId });
+  if (!bookmark) {
+    throw new NotFoundError('Bookmark');
+  }
+  await adjustBlogCounter(bookmark.blog, 'bookmarkCount', -1);
+
+  res.status(200).json({
+    success: true,
+    message: 'Bookmark removed'
+  });
+});
@@ -8,15 +8,11 @@ import { ValidationError, NotFoundError } from '../utils/errorHandler.js';
 // @access  Public
 export const getCategories = asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { lang = 'en', active = true } = req.query;
+  const { lang, active } = req.query;
 
   try {
-    if (!['en', 'bn'].includes(lang)) {
-      throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
-    }
-
     const query = {};
-    if (active === 'true') {
+    if (active) {
       query.isActive = true;
     }
 
@@ -47,13 +43,9 @@ export const getCategories = asyncHandler(async (req, res) => {
 export const getCategory = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { id } = req.params;
-  const { lang = 'en' } = req.query;
+  const { lang } = req.query;
 
   try {
-    if (!['en', 'bn'].includes(lang)) {
-      throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
-    }
-
     const category = await Category.findById(id)
       .populate('createdBy', 'name')
       .select(`name.${lang} slug.${lang} description.${lang} color icon isActive sortOrder createdBy`);
@@ -88,20 +80,8 @@ export const createCategory = asyncHandler(async (req, res) => {
   console.log('DEBUG: req.user in createCategory:', req.user);
 
   try {
-    // Remove empty language fields
+    // The route schema has already dropped empty language fields
     const data = { ...req.body };
-    if (data.name) {
-      if (!data.name.en || data.name.en.trim() === "") delete data.name.en;
-      if (!data.name.bn || data.name.bn.trim() === "") delete data.name.bn;
-    }
-    if (data.slug) {
-      if (!data.slug.en || data.slug.en.trim() === "") delete data.slug.en;
-      if (!data.slug.bn || data.slug.bn.trim() === "") delete data.slug.bn;
-    }
-    if (data.description) {
-      if (!data.description.en || data.description.en.trim() === "") delete data.description.en;
-      if (!data.description.bn || data.description.bn.trim() === "") delete data.description.bn;
-    }
     data.createdBy = req.user.userId;
 
     const category = await Category.create(data);
@@ -141,20 +121,8 @@ export const updateCategory = asyncHandler(async (req, res) => {
       throw new NotFoundError('Category not found');
     }
 
-    // Remove empty language fields
+    // The route schema has already dropped empty language fields
     const data = { ...req.body };
-    if (data.name) {
-      if (!data.name.en || data.name.en.trim() === "") delete data.name.en;
-      if (!data.name.bn || data.name.bn.trim() === "") delete data.name.bn;
-    }
-    if (data.slug) {
-      if (!data.slug.en || data.slug.en.trim() === "") delete data.slug.en;
-      if (!data.slug.bn || data.slug.bn.trim() === "") delete data.slug.bn;
-    }
-    if (data.description) {
-      if (!data.description.en || data.description.en.trim() === "") delete data.description.en;
-      if (!data.description.bn || data.description.bn.trim() === "") delete data.description.bn;
-    }
 
     const updatedCategory = await Category.findByIdAndUpdate(
       id,
@@ -229,10 +197,6 @@ export const getAllCategoriesWithCount = asyncHandler(async (req, res) => {
   const { lang } = req.params;
 
   try {
-    if (!['en', 'bn'].includes(lang)) {
-      throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
-    }
-
     // Get all active categories
     const categories = await Category.find({ isActive: true })
       .sort({ sortOrder: 1, [`name.${lang}`]: 1 })
@@ -288,41 +252,39 @@ export const getAllCategoriesWithCount = asyncHandler(async (req, res) => {
 export const getCategoriesWithCounts = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { lang } = req.params;
-  const { limit = 8 } = req.query;
+  const { limit } = req.query;
 
   try {
-    if (!['en', 'bn'].includes(lang)) {
-      throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
-    }
-
     // Get active categories
     const categories = await Category.find({ isActive: true })
       .sort({ sortOrder: 1, [`name.${lang}`]: 1 })
-      .limit(parseInt(limit))
+      .limit(limit)
       .select(`name.${lang} slug.${lang} description.${lang} color icon isActive sortOrder`);
 
     // Import Blog model for counting
     const Blog = (await import('../model/blog.model.js')).default;
 
-    // Get blog counts for each category
-    const categoriesWithCounts = await Promise.all(
-      categories.map(async (category) => {
-        const blogCount = await Blog.countDocuments({
+    // Get blog counts for all listed categories in one pass
+    const counts = await Blog.aggregate([
+      {
+        $match: {
           status: 'published',
           publishedAt: { $lte: new Date() },
-          [`category.${lang}`]: category.name[lang],
+          [`category.${lang}`]: { $in: categories.map(category => category.name[lang]) },
           [`title.${lang}`]: { $exists: true, $ne: null, $ne: '' },
           [`content.${lang}`]: { $exists: true, $ne: null, $ne: '' },
           [`excerpt.${lang}`]: { $exists: true, $ne: null, $ne: '' },
           [`slug.${lang}`]: { $exists: true, $ne: null, $ne: '' }
-        });
+        }
+      },
+      { $group: { _id: `$category.${lang}`, count: { $sum: 1 } } }
+    ]);
+    const countByName = new Map(counts.map(row => [row._id, row.count]));
 
-        return {
-          ...category.toObject(),
-          blogCount
-        };
-      })
-    );
+    const categoriesWithCounts = categories.map(category => ({
+      ...category.toObject(),
+      blogCount: countByName.get(category.name[lang]) || 0
+    }));
 
     // Filter out categories with 0 blogs and sort by blog count
     const activeCategories = categoriesWithCounts
@@ -351,13 +313,9 @@ export const getCategoriesWithCounts = asyncHandler(async (req, res) => {
 export const getCategoryHighlights = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { lang } = req.params;
-  const { limit = 4, postsPerCategory = 3 } = req.query;
+  const { limit, postsPerCategory } = req.query;
 
   try {
-    if (!['en', 'bn'].includes(lang)) {
-      throw new ValidationError('Invalid language parameter. Use "en" or "bn"');
-    }
-
     // Get top categories by blog count
     const Blog = (await import('../model/blog.model.js')).default;
 
@@ -384,45 +342,60 @@ export const getCategoryHighlights = asyncHandler(async (req, res) => {
         $sort: { count: -1 }
       },
       {
-        $limit: parseInt(limit)
+        $limit: limit
       }
     ]);
 
-    // Get category details and sample posts
-    const highlights = await Promise.all(
-      categoryStats.map(async (stat) => {
-        const category = await Category.findOne({
-          isActive: true,
-          [`name.${lang}`]: stat._id
-        }).select(`name.${lang} slug.${lang} description.${lang} color icon`);
-
-        if (!category) return null;
-
-        // Get sample posts for this category
-        const posts = await Blog.find({
-          status: 'published',
-          publishedAt: { $lte: new Date() },
-          [`category.${lang}`]: stat._id,
-          [`title.${lang}`]: { $exists: true, $ne: null, $ne: '' },
-          [`content.${lang}`]: { $exists: true, $ne: null, $ne: '' },
-          [`excerpt.${lang}`]: { $exists: true, $ne: null, $ne: '' },
-          [`slug.${lang}`]: { $exists: true, $ne: null, $ne: '' }
-        })
-        .populate('author', 'name')
-        .sort({ publishedAt: -1 })
-        .limit(parseInt(postsPerCategory))
-        .select(`title.${lang} content.${lang} excerpt.${lang} slug.${lang} category.${lang} featuredImage publishedAt readTime.${lang} viewCount author`);
-
-        return {
-          category: category.toObject(),
-          posts,
-          totalPosts: stat.count
-        };
-      })
-    );
-
-    // Filter out null results
-    const validHighlights = highlights.filter(h => h !== null);
+    // Category details and the latest posts of every top category, in two queries
+    const names = categoryStats.map(stat => stat._id);
+    const [categories, postGroups] = await Promise.all([
+      Category.find({ isActive: true, [`name.${lang}`]: { $in: names } })
+        .select(`name.${lang} slug.${lang} description.${lang} color icon`),
+      Blog.aggregate([
+        {
+          $match: {
+            status: 'published',
+            publishedAt: { $lte: new Date() },
+            [`category.${lang}`]: { $in: names },
+            [`title.${lang}`]: { $exists: true, $ne: null, $ne: '' },
+            [`content.${lang}`]: { $exists: true, $ne: null, $ne: '' },
+            [`excerpt.${lang}`]: { $exists: true, $ne: null, $ne: '' },
+            [`slug.${lang}`]: { $exists: true, $ne: null, $ne: '' }
+          }
+        },
+        {
+          $project: {
+            [`title.${lang}`]: 1,
+            [`content.${lang}`]: 1,
+            [`excerpt.${lang}`]: 1,
+            [`slug.${lang}`]: 1,
+            [`category.${lang}`]: 1,
+            featuredImage: 1,
+            publishedAt: 1,
+            [`readTime.${lang}`]: 1,
+            viewCount: 1,
+            author: 1
+          }
+        },
+        {
+          $group: {
+            _id: `$category.${lang}`,
+            posts: { $topN: { n: postsPerCategory, sortBy: { publishedAt: -1 }, output: '$$ROOT' } }
+          }
+        }
+      ])
+    ]);
+    const categoryByName = new Map(categories.map(category => [category.name[lang], category]));
+    const postsByName = new Map(postGroups.map(group => [group._id, group.posts]));
+
+    // Categories that are inactive or no longer exist are left out
+    const validHighlights = categoryStats
+      .filter(stat => categoryByName.has(stat._id))
+      .map(stat => ({
+        category: categoryByName.get(stat._id).toObject(),
+        posts: postsByName.get(stat._id) || [],
+        totalPosts: stat.count
+      }));
 
     const duration = Date.now() - startTime;
     logger.logDatabase('read', 'categories', duration, true);
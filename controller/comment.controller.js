@@ -1,66 +1,158 @@
 import asyncHandler from 'express-async-handler';
-import Comment from '../model/comment.model.js';
+import Comment, { MODERATION_STATUS_QUERIES, THREAD_SORTS } from '../model/comment.model.js';
 import Blog from '../model/blog.model.js';
+import User from '../model/user.model.js';
+import CommentModeration from '../model/commentModeration.model.js';
 import logger from '../utils/logger.js';
 import { ValidationError, NotFoundError, AuthorizationError } from '../utils/errorHandler.js';
+import { getRequestPermissions } from '../middleware/permissions.middleware.js';
+import { scoreComment, getSpamThreshold } from '../utils/spamScore.js';
+import { paginateWithCursor, encodeCursor, paginationInfo } from '../utils/cursorPagination.js';
+import { resolveMentions, notifyCommentPublished, notifyNewMentions } from '../utils/notificationService.js';
+import { publishCommentCreated, publishModerationChange } from '../utils/realtime.js';
+
+// Moderation fields stay internal to the moderation queue
+const PRIVATE_COMMENT_FIELDS = ['spamScore', 'spamSignals', 'moderatedBy', 'moderatedAt', 'moderationReason'];
+const PUBLIC_COMMENT_FIELDS = PRIVATE_COMMENT_FIELDS.map(field => `-${field}`).join(' ');
+
+const VISIBLE_COMMENTS = MODERATION_STATUS_QUERIES.approved;
+
+const REPLY_SORT = { createdAt: 1, _id: 1 };
+
+const countBy = (rows) => new Map(rows.map(({ _id, count }) => [_id.toString(), count]));
+
+/**
+ * Add reply counts and a preview of the first direct replies to each comment.
+ * replyCount counts direct replies, totalReplies the whole thread below the
+ * comment; repliesCursor continues the preview through GET /:id/replies
+ * (null with hasMoreReplies means start from the first reply).
+ * @param {Array} comments - Lean comments
+ * @param {number} previewSize - Direct replies to include per comment
+ * @returns {Promise<Array>}
+ */
+const withThreadInfo = async (comments, previewSize) => {
+  if (comments.length === 0) {
+    return comments;
+  }
+
+  const ids = comments.map(comment => comment._id);
+  const [direct, descendants, previews] = await Promise.all([
+    Comment.aggregate([
+      { $match: { parentComment: { $in: ids }, ...VISIBLE_COMMENTS } },
+      { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+    ]),
+    Comment.aggregate([
+      { $match: { ancestors: { $in: ids }, ...VISIBLE_COMMENTS } },
+      { $unwind: '$ancestors' },
+      { $match: { ancestors: { $in: ids } } },
+      { $group: { _id: '$ancestors', count: { $sum: 1 } } }
+    ]),
+    previewSize > 0
+      ? Comment.aggregate([
+        { $match: { parentComment: { $in: ids }, ...VISIBLE_COMMENTS } },
+        { $project: Object.fromEntries(PRIVATE_COMMENT_FIELDS.map(field => [field, 0])) },
+        { $sort: REPLY_SORT },
+        { $group: { _id: '$parentComment', replies: { $push: '$$ROOT' } } },
+        { $project: { replies: { $slice: ['$replies', previewSize] } } }
+      ])
+      : []
+  ]);
+
+  const replyCounts = countBy(direct);
+  const totalCounts = countBy(descendants);
+  const previewMap = new Map(previews.map(({ _id, replies }) => [_id.toString(), replies]));
+
+  // Previewed replies get their own counts, but no deeper preview
+  const previewReplies = previews.flatMap(({ replies }) => replies);
+  if (previewReplies.length > 0) {
+    await Comment.populate(previewReplies, { path: 'author', select: 'name profileImage' });
+    await withThreadInfo(previewReplies, 0);
+  }
+
+  return comments.map(comment => {
+    const key = comment._id.toString();
+    const replies = previewMap.get(key) || [];
+    const replyCount = replyCounts.get(key) || 0;
+
+    return Object.assign(comment, {
+      replyCount,
+      totalReplies: totalCounts.get(key) || 0,
+      replies,
+      hasMoreReplies: replyCount > replies.length,
+      repliesCursor: replyCount > replies.length && replies.length > 0
+        ? encodeCursor(replies[replies.length - 1], REPLY_SORT)
+        : null
+    });
+  });
+};
+
+// Staff comments skip the moderation queue
+const skipsModeration = (permissions) => permissions.includes('approve_comments') || permissions.includes('create_blog');
+
+// Score content and flag it as spam when it crosses the threshold; returns the fields to store
+const spamCheck = async ({ req, content, blogId, commentId }) => {
+  const author = await User.findById(req.user.userId).select('createdAt').lean();
+  const { score, signals } = await scoreComment({ content, authorId: req.user.userId, author, blogId, commentId });
+  const flagged = score >= getSpamThreshold() && !skipsModeration(await getRequestPermissions(req));
+
+  return {
+    flagged,
+    fields: {
+      spamScore: score,
+      spamSignals: signals,
+      ...(flagged && {
+        isApproved: false,
+        isSpam: true,
+        isRejected: false,
+        moderatedBy: null,
+        moderatedAt: new Date(),
+        moderationReason: `Automatic: spam score ${score}`
+      })
+    }
+  };
+};
+
+// Log a decision made by the spam heuristic rather than a moderator
+const logAutomaticSpam = (comment, previousStatus, fields) => CommentModeration.create({
+  comment: comment._id,
+  blog: comment.blog,
+  commentAuthor: comment.author,
+  action: 'spam',
+  previousStatus,
+  moderator: null,
+  reason: fields.moderationReason,
+  spamScore: fields.spamScore
+});
 
-// @desc    Get comments for a blog
+// @desc    Get comment threads for a blog
 // @route   GET /api/comments/blog/:blogId
 // @access  Public
 export const getBlogComments = asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { blogId } = req.params;
-  const { page = 1, limit = 10, sort = 'newest' } = req.query;
+  const { cursor, sort, limit, includeTotal, replies: previewSize } = req.query;
 
   try {
     // Check if blog exists
-    const blog = await Blog.findById(blogId);
+    const blog = await Blog.findById(blogId).select('_id');
     if (!blog) {
-      throw new NotFoundError('Blog not found');
+      throw new NotFoundError('Blog');
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build sort object
-    let sortObj = {};
-    switch (sort) {
-      case 'newest':
-        sortObj = { createdAt: -1 };
-        break;
-      case 'oldest':
-        sortObj = { createdAt: 1 };
-        break;
-      case 'popular':
-        sortObj = { likeCount: -1, createdAt: -1 };
-        break;
-      default:
-        sortObj = { createdAt: -1 };
-    }
+    const sortObj = THREAD_SORTS[sort];
+    const query = { blog: blog._id, parentComment: null, ...VISIBLE_COMMENTS };
 
-    // Get top-level comments (no parent)
-    const comments = await Comment.find({
-      blog: blogId,
-      parentComment: null,
-      isApproved: true,
-      isSpam: false
-    })
-    .populate('author', 'name profileImage')
-    .populate({
-      path: 'replies',
-      match: { isApproved: true, isSpam: false },
-      populate: { path: 'author', select: 'name profileImage' },
-      options: { sort: { createdAt: 1 } }
-    })
-    .sort(sortObj)
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    const total = await Comment.countDocuments({
-      blog: blogId,
-      parentComment: null,
-      isApproved: true,
-      isSpam: false
-    });
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => Comment.find({ ...query, ...filter })
+        .select(PUBLIC_COMMENT_FIELDS)
+        .populate('author', 'name profileImage')
+        .sort(sortObj)
+        .limit(pageLimit)
+        .lean(),
+      { sort: sortObj, cursor, limit, count: includeTotal ? () => Comment.countDocuments(query) : null }
+    );
+
+    const comments = await withThreadInfo(page.items, previewSize);
 
     const duration = Date.now() - startTime;
     logger.logDatabase('find', 'comments', duration, true);
@@ -69,12 +161,7 @@ export const getBlogComments = asyncHandler(async (req, res) => {
       success: true,
       data: {
         comments,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalItems: total,
-          itemsPerPage: parseInt(limit)
-        }
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -86,6 +173,51 @@ export const getBlogComments = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Load more replies to a comment
+// @route   GET /api/comments/:id/replies
+// @access  Public
+export const getCommentReplies = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { id } = req.params;
+  const { cursor, limit, replies: previewSize } = req.query;
+
+  try {
+    const parent = await Comment.findOne({ _id: id, ...VISIBLE_COMMENTS }).select('_id');
+    if (!parent) {
+      throw new NotFoundError('Comment');
+    }
+
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => Comment.find({ parentComment: parent._id, ...VISIBLE_COMMENTS, ...filter })
+        .select(PUBLIC_COMMENT_FIELDS)
+        .populate('author', 'name profileImage')
+        .sort(REPLY_SORT)
+        .limit(pageLimit)
+        .lean(),
+      { sort: REPLY_SORT, cursor, limit }
+    );
+
+    const replies = await withThreadInfo(page.items, previewSize);
+
+    const duration = Date.now() - startTime;
+    logger.logDatabase('find', 'comments', duration, true);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        replies,
+        pagination: paginationInfo(page, limit)
+      }
+    });
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.logDatabase('find', 'comments', duration, false);
+    logger.error('Comment replies retrieval failed', { error: error.message, commentId: id });
+    throw error;
+  }
+});
+
 // @desc    Create comment
 // @route   POST /api/comments
 // @access  Private
@@ -100,12 +232,17 @@ export const createComment = asyncHandler(async (req, res) => {
       throw new NotFoundError('Blog not found');
     }
 
-    // Check if parent comment exists (for replies)
+    // Replies inherit the parent's path, so threads can nest to any depth
+    let ancestors = [];
     if (parentCommentId) {
-      const parentComment = await Comment.findById(parentCommentId);
+      const parentComment = await Comment.findById(parentCommentId).select('blog ancestors');
       if (!parentComment) {
-        throw new NotFoundError('Parent comment not found');
+        throw new NotFoundError('Parent comment');
       }
+      if (parentComment.blog.toString() !== blog._id.toString()) {
+        throw new ValidationError('Parent comment belongs to a different blog');
+      }
+      ancestors = [...parentComment.ancestors, parentComment._id];
     }
 
     const commentData = {
@@ -113,17 +250,35 @@ export const createComment = asyncHandler(async (req, res) => {
       author: req.user.userId,
       content,
       parentComment: parentCommentId || null,
+      ancestors,
+      depth: ancestors.length,
+      mentions: await resolveMentions(content),
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     };
 
-    // Auto-approve comments from authenticated users
-    if (req.user.role === 'admin' || req.user.role === 'editor') {
+    const { flagged, fields } = await spamCheck({ req, content, blogId });
+    Object.assign(commentData, fields);
+
+    // Everything else waits in the moderation queue
+    if (!flagged && skipsModeration(await getRequestPermissions(req))) {
       commentData.isApproved = true;
     }
 
     const comment = await Comment.create(commentData);
 
+    if (flagged) {
+      await logAutomaticSpam(comment, 'pending', fields);
+    }
+
+    // Pending comments notify once a moderator approves them
+    if (comment.isApproved) {
+      notifyCommentPublished(comment._id);
+      publishCommentCreated(comment._id);
+    } else {
+      publishModerationChange(flagged ? 'spam' : 'queued', [comment._id]);
+    }
+
     // If this is a reply, add it to parent comment's replies
     if (parentCommentId) {
       await Comment.findByIdAndUpdate(parentCommentId, {
@@ -132,6 +287,7 @@ export const createComment = asyncHandler(async (req, res) => {
     }
 
     const populatedComment = await Comment.findById(comment._id)
+      .select(PUBLIC_COMMENT_FIELDS)
       .populate('author', 'name profileImage');
 
     const duration = Date.now() - startTime;
@@ -140,7 +296,7 @@ export const createComment = asyncHandler(async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Comment created successfully',
+      message: comment.isApproved ? 'Comment created successfully' : 'Comment submitted and awaiting moderation',
       data: { comment: populatedComment }
     });
 
@@ -169,19 +325,37 @@ export const updateComment = asyncHandler(async (req, res) => {
 
     // Check if user can edit this comment
     const authorId = comment.author?.user || comment.author;
-    if (authorId && authorId.toString() !== req.user.userId && req.user.role !== 'admin') {
+    if (authorId && authorId.toString() !== req.user.userId &&
+        !(await getRequestPermissions(req)).includes('edit_all_comments')) {
       throw new AuthorizationError('Not authorized to edit this comment');
     }
 
+    // Edits are rescored so approved comments cannot be turned into spam afterwards
+    const previousStatus = comment.moderationStatus;
+    const { flagged, fields } = await spamCheck({ req, content, blogId: comment.blog, commentId: comment._id });
+    const mentions = await resolveMentions(content);
+
     const updatedComment = await Comment.findByIdAndUpdate(
       id,
       {
         content,
+        mentions,
         isEdited: true,
-        editedAt: new Date()
+        editedAt: new Date(),
+        ...fields
       },
       { new: true, runValidators: true }
-    ).populate('author', 'name profileImage');
+    ).select(PUBLIC_COMMENT_FIELDS).populate('author', 'name profileImage');
+
+    if (flagged && previousStatus !== 'spam') {
+      await logAutomaticSpam(comment, previousStatus, fields);
+      publishModerationChange('spam', [comment._id]);
+    } else if (!flagged) {
+      notifyNewMentions(
+        { _id: comment._id, blog: comment.blog, author: comment.author, content, mentions, notifiedAt: comment.notifiedAt },
+        comment.mentions
+      );
+    }
 
     const duration = Date.now() - startTime;
     logger.logDatabase('update', 'comments', duration, true);
@@ -217,7 +391,8 @@ export const deleteComment = asyncHandler(async (req, res) => {
 
     // Check if user can delete this comment
     const authorId = comment.author?.user || comment.author;
-    if (authorId && authorId.toString() !== req.user.userId && req.user.role !== 'admin') {
+    if (authorId && authorId.toString() !== req.user.userId &&
+        !(await getRequestPermissions(req)).includes('delete_comments')) {
       throw new AuthorizationError('Not authorized to delete this comment');
     }
 
@@ -228,15 +403,19 @@ export const deleteComment = asyncHandler(async (req, res) => {
       });
     }
 
-    await Comment.findByIdAndDelete(id);
+    // Replies at every depth go with the comment
+    const { deletedCount } = await Comment.deleteMany({
+      $or: [{ _id: comment._id }, { ancestors: comment._id }]
+    });
     
     const duration = Date.now() - startTime;
     logger.logDatabase('delete', 'comments', duration, true);
-    logger.info('Comment deleted', { commentId: id, userId: req.user.userId });
+    logger.info('Comment deleted', { commentId: id, userId: req.user.userId, deletedCount });
 
     res.status(200).json({
       success: true,
-      message: 'Comment deleted successfully'
+      message: 'Comment deleted successfully',
+      data: { deletedCount }
     });
 
   } catch (error) {
@@ -261,7 +440,7 @@ export const toggleLike = asyncHandler(async (req, res) => {
       throw new NotFoundError('Comment not found');
     }
 
-    await comment.toggleLike(req.user.userId);
+    const updated = await comment.toggleLike(req.user.userId);
     
     const duration = Date.now() - startTime;
     logger.logDatabase('update', 'comments', duration, true);
@@ -271,10 +450,10 @@ export const toggleLike = asyncHandler(async (req, res) => {
       success: true,
       message: 'Like toggled successfully',
       data: {
-        likeCount: comment.likeCount,
-        dislikeCount: comment.dislikeCount,
-        hasLiked: comment.hasLiked(req.user.userId),
-        hasDisliked: comment.hasDisliked(req.user.userId)
+        likeCount: updated.likeCount,
+        dislikeCount: updated.dislikeCount,
+        hasLiked: updated.hasLiked(req.user.userId),
+        hasDisliked: updated.hasDisliked(req.user.userId)
       }
     });
 
@@ -300,7 +479,7 @@ export const toggleDislike = asyncHandler(async (req, res) => {
       throw new NotFoundError('Comment not found');
     }
 
-    await comment.toggleDislike(req.user.userId);
+    const updated = await comment.toggleDislike(req.user.userId);
     
     const duration = Date.now() - startTime;
     logger.logDatabase('update', 'comments', duration, true);
@@ -310,10 +489,10 @@ export const toggleDislike = asyncHandler(async (req, res) => {
       success: true,
       message: 'Dislike toggled successfully',
       data: {
-        likeCount: comment.likeCount,
-        dislikeCount: comment.dislikeCount,
-        hasLiked: comment.hasLiked(req.user.userId),
-        hasDisliked: comment.hasDisliked(req.user.userId)
+        likeCount: updated.likeCount,
+        dislikeCount: updated.dislikeCount,
+        hasLiked: updated.hasLiked(req.user.userId),
+        hasDisliked: updated.hasDisliked(req.user.userId)
       }
     });
 
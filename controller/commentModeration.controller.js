@@ -0,0 +1,241 @@
+import Comment, { MODERATION_STATUSES, MODERATION_STATUS_QUERIES, MODERATION_ACTIONS } from '../model/comment.model.js';
+import CommentModeration from '../model/commentModeration.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { paginateWithCursor, paginationInfo } from '../utils/cursorPagination.js';
+import { notifyCommentPublished } from '../utils/notificationService.js';
+import { publishCommentCreated, publishModerationChange } from '../utils/realtime.js';
+
+// Status a comment ends up in after each action
+const ACTION_STATUS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Queue orderings, chosen with ?sort=; each ends with _id so cursors are unique
+const QUEUE_SORTS = {
+  oldest: { createdAt: 1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  score: { spamScore: -1, createdAt: 1, _id: 1 }
+};
+
+const LOG_SORT = { createdAt: -1, _id: -1 };
+
+// Apply one decision to several comments and log it; comments already in the target state are skipped
+const applyDecision = async (comments, { action, reason }, moderatorId) => {
+  const changed = comments.filter(comment => comment.moderationStatus !== ACTION_STATUS[action]);
+  if (changed.length === 0) {
+    return changed;
+  }
+
+  await Comment.updateMany(
+    { _id: { $in: changed.map(comment => comment._id) } },
+    {
+      $set: {
+        ...MODERATION_ACTIONS[action],
+        moderatedBy: moderatorId,
+        moderatedAt: new Date(),
+        moderationReason: reason
+      }
+    }
+  );
+
+  await CommentModeration.insertMany(changed.map(comment => ({
+    comment: comment._id,
+    blog: comment.blog,
+    commentAuthor: comment.author,
+    action,
+    previousStatus: comment.moderationStatus,
+    moderator: moderatorId,
+    reason,
+    spamScore: comment.spamScore
+  })));
+
+  publishModerationChange(action, changed.map(comment => comment._id), moderatorId);
+
+  // Approved comments become visible, so their notifications go out now
+  if (action === 'approve') {
+    changed.forEach(comment => {
+      notifyCommentPublished(comment._id);
+      publishCommentCreated(comment._id);
+    });
+  }
+
+  return changed;
+};
+
+// @desc    Moderation queue with filters
+// @route   GET /api/comments/moderation
+// @access  Private (approve_comments)
+export const getModerationQueue = asyncHandler(async (req, res) => {
+  const {
+    status,
+    blog,
+    author,
+    minScore,
+    maxScore,
+    olderThanHours,
+    newerThanHours,
+    sort,
+    limit,
+    cursor,
+    includeTotal
+  } = req.query;
+
+  const query = status === 'all' ? {} : { ...MODERATION_STATUS_QUERIES[status] };
+  if (blog) query.blog = blog;
+  if (author) query.author = author;
+
+  if (minScore !== undefined || maxScore !== undefined) {
+    query.spamScore = {};
+    if (minScore !== undefined) query.spamScore.$gte = minScore;
+    if (maxScore !== undefined) query.spamScore.$lte = maxScore;
+  }
+
+  // Age filters, e.g. olderThanHours=24 for comments that have waited at least a day
+  if (olderThanHours !== undefined || newerThanHours !== undefined) {
+    query.createdAt = {};
+    if (olderThanHours !== undefined) query.createdAt.$lte = new Date(Date.now() - olderThanHours * HOUR_MS);
+    if (newerThanHours !== undefined) query.createdAt.$gte = new Date(Date.now() - newerThanHours * HOUR_MS);
+  }
+
+  const sortObj = QUEUE_SORTS[sort];
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => Comment.find({ $and: [query, filter] })
+      .populate('author', 'name email username createdAt')
+      .populate('blog', 'title slug')
+      .populate('parentComment', 'content author')
+      .populate('moderatedBy', 'name email')
+      .sort(sortObj)
+      .limit(pageLimit),
+    { sort: sortObj, cursor, limit, count: includeTotal ? () => Comment.countDocuments(query) : null }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      comments: page.items,
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    Queue counts per moderation status
+// @route   GET /api/comments/moderation/stats
+// @access  Private (approve_comments)
+export const getModerationStats = asyncHandler(async (req, res) => {
+  const counts = await Promise.all(
+    MODERATION_STATUSES.map(status => Comment.countDocuments(MODERATION_STATUS_QUERIES[status]))
+  );
+  const oldestPending = await Comment.findOne(MODERATION_STATUS_QUERIES.pending)
+    .sort({ createdAt: 1 })
+    .select('createdAt')
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      counts: Object.fromEntries(MODERATION_STATUSES.map((status, index) => [status, counts[index]])),
+      oldestPendingAt: oldestPending?.createdAt || null
+    }
+  });
+});
+
+// @desc    Approve, reject or mark a single comment as spam
+// @route   PUT /api/comments/:id/moderation
+// @access  Private (approve_comments)
+export const moderateComment = asyncHandler(async (req, res) => {
+  const decision = { action: req.body.action, reason: req.body.reason || null };
+
+  const comment = await Comment.findById(req.params.id);
+  if (!comment) {
+    throw new NotFoundError('Comment');
+  }
+
+  const changed = await applyDecision([comment], decision, req.user.userId);
+
+  logger.info('Comment moderated', {
+    commentId: comment._id,
+    action: decision.action,
+    moderatorId: req.user.userId,
+    changed: changed.length > 0
+  });
+
+  const updated = await Comment.findById(comment._id)
+    .populate('author', 'name email username')
+    .populate('moderatedBy', 'name email');
+
+  res.status(200).json({
+    success: true,
+    message: changed.length > 0 ? 'Comment moderated successfully' : 'Comment was already in that state',
+    data: { comment: updated }
+  });
+});
+
+// @desc    Apply one decision to many comments
+// @route   POST /api/comments/moderation/bulk
+// @access  Private (approve_comments)
+export const bulkModerateComments = asyncHandler(async (req, res) => {
+  const decision = { action: req.body.action, reason: req.body.reason || null };
+  const ids = [...new Set(req.body.ids)];
+
+  const comments = await Comment.find({ _id: { $in: ids } });
+  const changed = await applyDecision(comments, decision, req.user.userId);
+
+  const found = new Set(comments.map(comment => comment._id.toString()));
+  const notFound = ids.filter(id => !found.has(id));
+
+  logger.info('Comments bulk moderated', {
+    action: decision.action,
+    moderatorId: req.user.userId,
+    requested: ids.length,
+    changed: changed.length
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${changed.length} comment(s) moderated`,
+    data: {
+      action: decision.action,
+      changed: changed.map(comment => comment._id),
+      unchanged: comments.length - changed.length,
+      notFound
+    }
+  });
+});
+
+// @desc    Moderation decision log
+// @route   GET /api/comments/moderation/log
+// @access  Private (approve_comments)
+export const getModerationLog = asyncHandler(async (req, res) => {
+  const { comment, blog, moderator, action, limit, cursor, includeTotal } = req.query;
+
+  const query = {};
+  if (comment) query.comment = comment;
+  if (blog) query.blog = blog;
+  // moderator=auto lists decisions taken by the spam heuristic
+  if (moderator) query.moderator = moderator === 'auto' ? null : moderator;
+  if (action) query.action = action;
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => CommentModeration.find({ ...query, ...filter })
+      .populate('moderator', 'name email')
+      .populate('commentAuthor', 'name email')
+      .populate('comment', 'content')
+      .sort(LOG_SORT)
+      .limit(pageLimit)
+      .lean(),
+    { sort: LOG_SORT, cursor, limit, count: includeTotal ? () => CommentModeration.countDocuments(query) : null }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries: page.items,
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
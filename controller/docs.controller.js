@@ -0,0 +1,18 @@
+import { buildOpenApiDocument } from '../utils/openapi.js';
+import { renderDocsViewer } from '../utils/docsViewer.js';
+
+// @desc    OpenAPI 3 document for the API
+// @route   GET /api/docs/openapi.json
+// @access  Public
+export const getOpenApiDocument = (req, res) => {
+  res.status(200).json(buildOpenApiDocument());
+};
+
+// @desc    Browsable API reference rendered from the OpenAPI document
+// @route   GET /api/docs
+// @access  Public
+export const getDocsViewer = (req, res) => {
+  res.status(200)
+    .type('html')
+    .send(renderDocsViewer(`${req.baseUrl}/openapi.json`));
+};
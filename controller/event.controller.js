@@ -0,0 +1,51 @@
+import { asyncHandler, AuthenticationError, AuthorizationError, ValidationError } from '../utils/errorHandler.js';
+import { getRequestPermissions } from '../middleware/permissions.middleware.js';
+import { channelRequirements, openEventStream } from '../utils/realtime.js';
+import logger from '../utils/logger.js';
+
+// ?channels=a,b,c without duplicates; user:me stands for the signed-in user
+const parseChannels = (req) => {
+  const names = [...new Set(req.query.channels)];
+
+  return names.map(channel => {
+    if (!channel.startsWith('user:me:')) return channel;
+    if (!req.user) throw new AuthenticationError(`Sign in to subscribe to ${channel}`);
+    return channel.replace('user:me:', `user:${req.user.userId}:`);
+  });
+};
+
+// Every channel must exist and be open to the caller; one refusal fails the whole request
+const authorizeChannels = async (req, names) => {
+  const unknown = names.filter(channel => !channelRequirements(channel));
+  if (unknown.length > 0) {
+    throw new ValidationError('Unknown channel', unknown.map(channel => ({
+      field: 'channels',
+      message: `Unknown channel: ${channel}`
+    })));
+  }
+
+  for (const channel of names) {
+    const { permission, ownerId } = channelRequirements(channel);
+    if ((permission || ownerId) && !req.user) {
+      throw new AuthenticationError(`Sign in to subscribe to ${channel}`);
+    }
+    if (ownerId && ownerId !== req.user.userId) {
+      throw new AuthorizationError(`Not allowed to subscribe to ${channel}`);
+    }
+    if (permission && !(await getRequestPermissions(req)).includes(permission)) {
+      throw new AuthorizationError(`Not allowed to subscribe to ${channel}`);
+    }
+  }
+};
+
+// @desc    Stream real-time events over Server-Sent Events
+// @route   GET /api/events?channels=blog:<id>:comments,user:me:notifications
+// @access  Public channels for anyone; private channels need the access token
+//          (Authorization header, or ?access_token= for EventSource)
+export const streamEvents = asyncHandler(async (req, res) => {
+  const names = parseChannels(req);
+  await authorizeChannels(req, names);
+
+  logger.info('Event stream opened', { userId: req.user?.userId || 'anonymous', channels: names });
+  await openEventStream(req, res, names);
+});
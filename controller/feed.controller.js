@@ -0,0 +1,172 @@
+import Blog from '../model/blog.model.js';
+import Category from '../model/category.model.js';
+import User from '../model/user.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { FEED_FORMATS, FEED_EXTENSIONS, FEED_BUILDERS } from '../utils/feedBuilder.js';
+import { SITE_NAME, LANGUAGES, apiUrl, blogUrl, categoryUrl, authorUrl, homeUrl } from '../utils/siteUrls.js';
+
+// Used when a sponsored post was published without its own disclosure text
+const DEFAULT_DISCLOSURE = {
+  en: 'This is a sponsored post. The content and opinions expressed are those of the sponsor.',
+  bn: 'এটি একটি স্পনসর করা পোস্ট। প্রকাশিত বিষয়বস্তু এবং মতামত স্পনসরের।'
+};
+
+const FEED_DESCRIPTION = {
+  en: `Latest articles from ${SITE_NAME}`,
+  bn: `${SITE_NAME}-এর সর্বশেষ লেখা`
+};
+
+// Resolve the output format from ?format= or the URL extension
+const resolveFormat = (req) => req.query.format || FEED_EXTENSIONS[req.params.ext || 'xml'];
+
+// Feed path for a language, keeping the requested extension
+const feedPath = (lang, path, format) => {
+  const extension = format === 'rss' ? 'xml' : format;
+  return `/api/feeds/${lang}${path}.${extension}`;
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Sponsored posts carry their disclosure in the summary and the body
+const disclosureFor = (blog, lang) => {
+  if (blog.postType !== 'sponsored' || blog.sponsorship?.isDisclosed === false) {
+    return null;
+  }
+  return blog.sponsorship?.disclosureText?.[lang] || DEFAULT_DISCLOSURE[lang];
+};
+
+const toFeedItem = (blog, lang) => {
+  const url = blogUrl(lang, blog.slug[lang]);
+  const disclosure = disclosureFor(blog, lang);
+
+  const alternates = LANGUAGES
+    .filter(other => other !== lang && blog.title?.[other] && blog.slug?.[other])
+    .map(other => ({ hreflang: other, href: blogUrl(other, blog.slug[other]) }));
+
+  return {
+    id: url,
+    url,
+    title: blog.title[lang],
+    summary: disclosure ? `${disclosure} ${blog.excerpt[lang]}` : blog.excerpt[lang],
+    contentHtml: disclosure
+      ? `<p><strong>${escapeHtml(disclosure)}</strong></p>\n${blog.content[lang]}`
+      : blog.content[lang],
+    publishedAt: blog.publishedAt,
+    updatedAt: blog.updatedAt,
+    author: blog.guestAuthor?.name || blog.author?.name,
+    categories: [blog.category[lang], ...(blog.tags || []).map(tag => tag?.[lang])].filter(Boolean),
+    image: blog.featuredImage,
+    alternates
+  };
+};
+
+// Load posts with the same published-and-complete filter as Blog.getPublishedByLanguage
+const findFeedPosts = (lang, filter, limit) => Blog.find({
+  ...Blog.publishedLanguageFilter(lang),
+  ...filter
+})
+  .select(`title content.${lang} excerpt.${lang} slug category.${lang} tags featuredImage publishedAt updatedAt author guestAuthor postType sponsorship.isDisclosed sponsorship.disclosureText`)
+  .sort({ publishedAt: -1 })
+  .limit(limit)
+  .lean();
+
+const sendFeed = async (req, res, { lang, path, title, description, link, filter }) => {
+  const startTime = Date.now();
+  const format = resolveFormat(req);
+  const { limit } = req.query;
+
+  try {
+    const blogs = await findFeedPosts(lang, filter, limit);
+
+    const feed = {
+      title,
+      description,
+      language: lang,
+      homeUrl: link,
+      feedUrl: apiUrl(req, feedPath(lang, path, format)),
+      updated: blogs[0]?.updatedAt || blogs[0]?.publishedAt,
+      alternates: LANGUAGES
+        .filter(other => other !== lang)
+        .map(other => ({ hreflang: other, href: apiUrl(req, feedPath(other, path, format)) })),
+      items: blogs.map(blog => toFeedItem(blog, lang))
+    };
+
+    logger.logDatabase('read', 'blogs', Date.now() - startTime, true);
+
+    res.set('Content-Type', FEED_FORMATS[format]);
+    res.set('Cache-Control', 'public, max-age=900');
+    res.status(200).send(FEED_BUILDERS[format](feed));
+  } catch (error) {
+    logger.logDatabase('read', 'blogs', Date.now() - startTime, false);
+    logger.error('Feed generation failed', { error: error.message, language: lang, path });
+    throw error;
+  }
+};
+
+// @desc    Latest posts feed for a language
+// @route   GET /api/feeds/:lang.(xml|atom|json)
+// @access  Public
+export const getLanguageFeed = asyncHandler(async (req, res) => {
+  const { lang } = req.params;
+
+  await sendFeed(req, res, {
+    lang,
+    path: '',
+    title: SITE_NAME,
+    description: FEED_DESCRIPTION[lang],
+    link: homeUrl(lang),
+    filter: {}
+  });
+});
+
+// @desc    Latest posts feed for a category
+// @route   GET /api/feeds/:lang/category/:slug.(xml|atom|json)
+// @access  Public
+export const getCategoryFeed = asyncHandler(async (req, res) => {
+  const { lang, slug } = req.params;
+
+  const category = await Category.findOne({ [`slug.${lang}`]: slug, isActive: true }).lean();
+  if (!category) {
+    throw new NotFoundError('Category');
+  }
+
+  // Posts store the category slug, older posts may still store the display name
+  const values = [category.slug[lang], category.name?.[lang]].filter(Boolean);
+  const name = category.name?.[lang] || slug;
+
+  await sendFeed(req, res, {
+    lang,
+    path: `/category/${encodeURIComponent(slug)}`,
+    title: `${name} | ${SITE_NAME}`,
+    description: category.description?.[lang] || FEED_DESCRIPTION[lang],
+    link: categoryUrl(lang, slug),
+    filter: { [`category.${lang}`]: { $in: values } }
+  });
+});
+
+// @desc    Latest posts feed for an author
+// @route   GET /api/feeds/:lang/author/:id(.xml|.atom|.json)
+// @access  Public
+export const getAuthorFeed = asyncHandler(async (req, res) => {
+  const { lang, id } = req.params;
+
+  const author = await User.findOne({ _id: id, isActive: true }).select('name displayName bio').lean();
+  if (!author) {
+    throw new NotFoundError('Author');
+  }
+
+  const name = author.displayName || author.name;
+
+  await sendFeed(req, res, {
+    lang,
+    path: `/author/${id}`,
+    title: `${name} | ${SITE_NAME}`,
+    description: author.bio || FEED_DESCRIPTION[lang],
+    link: authorUrl(lang, id),
+    filter: { 'author.user': author._id }
+  });
+});
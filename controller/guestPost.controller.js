@@ -1,13 +1,17 @@
 import mongoose from 'mongoose';
-import GuestSubmission from '../model/guestSubmission.model.js';
+import GuestSubmission, { SUBMISSION_SORT_FIELDS } from '../model/guestSubmission.model.js';
 import Blog from '../model/blog.model.js';
 import { asyncHandler, NotFoundError, AuthorizationError, ValidationError } from '../utils/errorHandler.js';
 import { sendEmail } from '../utils/emailService.js';
 import { guestApprovalEmail } from '../utils/emailTemplates.js';
+import { notifySubmissionStatus } from '../utils/notificationService.js';
+import { publishSubmissionChange } from '../utils/realtime.js';
 import logger from '../utils/logger.js';
+import { paginateWithCursor, buildSort, parseFields, paginationInfo } from '../utils/cursorPagination.js';
 import { generateSlug, generateUniqueSlug } from '../utils/slugGenerator.js';
 import { sanitizeHtmlContent } from '../utils/htmlSanitizer.js';
 import jwt from 'jsonwebtoken';
+import { getRequestPermissions } from '../middleware/permissions.middleware.js';
 import { URL } from 'url';
 import { BLOCKED_COMPETITOR_HOSTS } from '../utils/contentPolicy.js';
 
@@ -24,20 +28,6 @@ export const submitGuestPost = asyncHandler(async (req, res) => {
       submission
     } = req.body;
 
-    // Validate required fields
-    if (!author?.name || !author?.email || !author?.bio) {
-      throw new ValidationError('Author name, email, and bio are required');
-    }
-
-    if (!post?.title?.en || !post?.content?.en || !post?.excerpt?.en || !post?.category?.en || !post?.featuredImage) {
-      throw new ValidationError('All post content fields are required');
-    }
-
-    // Validate content length
-    if (post.content.en.trim().length < 800) {
-      throw new ValidationError('Content must be at least 800 characters long');
-    }
-
     // Create guest submission (attach owner if logged in)
     const guestSubmission = new GuestSubmission({
       owner: req.user?.userId || null,
@@ -47,6 +37,7 @@ export const submitGuestPost = asyncHandler(async (req, res) => {
     });
 
     await guestSubmission.save();
+    publishSubmissionChange('guest', guestSubmission);
 
     logger.info('Guest post submitted', {
       authorEmail: author.email,
@@ -87,11 +78,17 @@ export const submitGuestPost = asyncHandler(async (req, res) => {
   }
 });
 
+// ?fields= accepts any top-level field of a submission
+const SUBMISSION_FIELDS = [...new Set(Object.keys(GuestSubmission.schema.paths).map(path => path.split('.')[0]))]
+  .filter(field => field !== '__v');
+
+const submissionSelect = (req, sort) => parseFields(req.query.fields, { allowed: SUBMISSION_FIELDS, sort });
+
 // @desc    Get all guest post submissions (Admin)
 // @route   GET /api/guest-posts
 // @access  Private (Admin/Moderator)
 export const getAllGuestSubmissions = asyncHandler(async (req, res) => {
-  const { status, type, page = 1, limit = 10, sortBy = 'submissionDate', sortOrder = 'desc' } = req.query;
+  const { status, type, sortBy, sortOrder } = req.query;
   
   try {
     const query = {};
@@ -102,30 +99,23 @@ export const getAllGuestSubmissions = asyncHandler(async (req, res) => {
       query['submission.type'] = type;
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const skip = (page - 1) * limit;
-    
-    const submissions = await GuestSubmission.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('assignedTo', 'name email');
+    const sortOptions = buildSort(sortBy, sortOrder, SUBMISSION_SORT_FIELDS);
+    const { limit, cursor, includeTotal } = req.query;
 
-    const total = await GuestSubmission.countDocuments(query);
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => GuestSubmission.find({ ...query, ...filter })
+        .select(submissionSelect(req, sortOptions))
+        .sort(sortOptions)
+        .limit(pageLimit)
+        .populate('assignedTo', 'name email'),
+      { sort: sortOptions, cursor, limit, count: includeTotal ? () => GuestSubmission.countDocuments(query) : null }
+    );
 
     res.status(200).json({
       success: true,
       data: {
-        submissions,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / limit),
-          totalSubmissions: total,
-          hasNext: page * limit < total,
-          hasPrev: page > 1
-        }
+        submissions: page.items,
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -143,21 +133,24 @@ export const getAllGuestSubmissions = asyncHandler(async (req, res) => {
 // @route   GET /api/guest-posts/my
 // @access  Private (Owner)
 export const getMyGuestSubmissions = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10 } = req.query;
-  const skip = (page - 1) * limit;
-  const ownerId = req.user.userId;
-
-  const [submissions, total] = await Promise.all([
-    GuestSubmission.find({ owner: ownerId })
-      .sort({ submissionDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit)),
-    GuestSubmission.countDocuments({ owner: ownerId })
-  ]);
+  const query = { owner: req.user.userId };
+  const sort = { submissionDate: -1, _id: -1 };
+  const { limit, cursor, includeTotal } = req.query;
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => GuestSubmission.find({ ...query, ...filter })
+      .select(submissionSelect(req, sort))
+      .sort(sort)
+      .limit(pageLimit),
+    { sort, cursor, limit, count: includeTotal ? () => GuestSubmission.countDocuments(query) : null }
+  );
 
   res.status(200).json({
     success: true,
-    data: { submissions, total }
+    data: {
+      submissions: page.items,
+      pagination: paginationInfo(page, limit)
+    }
   });
 });
 
@@ -229,7 +222,8 @@ export const updateGuestSubmissionStatus = asyncHandler(async (req, res) => {
     // Allow content updates from guest edit link via token
     if (req.body.content && req.body.content.en) {
       const hdr = req.headers['x-edit-token'];
-      if (!hdr && !['admin','moderator'].includes(req.user.role)) {
+      const isReviewer = req.user && (await getRequestPermissions(req)).includes('manage_submissions');
+      if (!hdr && !isReviewer) {
         throw new AuthorizationError('Edit token required');
       }
       if (hdr) {
@@ -242,7 +236,7 @@ export const updateGuestSubmissionStatus = asyncHandler(async (req, res) => {
           throw new AuthorizationError('Invalid edit token');
         }
       }
-      if (submission.owner && req.user && submission.owner.toString() !== req.user.userId && !['admin','moderator'].includes(req.user.role)) {
+      if (submission.owner && req.user && submission.owner.toString() !== req.user.userId && !isReviewer) {
         throw new AuthorizationError('Not allowed to edit this submission');
       }
       submission.post.content = submission.post.content || {};
@@ -250,6 +244,8 @@ export const updateGuestSubmissionStatus = asyncHandler(async (req, res) => {
     }
 
     await submission.save();
+    notifySubmissionStatus('guest_submission_status', submission, oldStatus, req.user.userId);
+    publishSubmissionChange('guest', submission, oldStatus);
 
     logger.info('Guest submission status updated', {
       submissionId: id,
@@ -363,9 +359,11 @@ export const publishGuestPost = asyncHandler(async (req, res) => {
     await blog.save();
 
     // Update submission
+    const previousStatus = submission.status;
     submission.status = 'published';
     submission.publishedBlogId = blog._id;
     await submission.save();
+    publishSubmissionChange('guest', submission, previousStatus);
 
     logger.info('Guest post published', {
       submissionId: id,
@@ -1,302 +1,186 @@
 import Newsletter from '../model/newsletter.model.js';
 import logger from '../utils/logger.js';
+import { asyncHandler, ConflictError, ValidationError } from '../utils/errorHandler.js';
 import { sendEmail } from '../utils/emailService.js';
 
 // Subscribe to newsletter
-const subscribe = async (req, res) => {
-  try {
-    const { email, name, consent, locale = 'en', source = 'website_signup' } = req.body;
-    
-    // Validate required fields
-    if (!email || !consent || !consent.newsletter) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and newsletter consent are required'
-      });
-    }
+const subscribe = asyncHandler(async (req, res) => {
+  // The route schema has lowercased the email and checked newsletter consent
+  const { email, name, consent, locale, source } = req.body;
 
-    // Check if already subscribed
-    const existingSubscriber = await Newsletter.findOne({ email: email.toLowerCase() });
-    
-    if (existingSubscriber) {
-      if (existingSubscriber.status === 'confirmed' && !existingSubscriber.unsubscribedAt) {
-        return res.status(400).json({
-          success: false,
-          message: 'You are already subscribed to our newsletter'
-        });
-      }
-      
-      if (existingSubscriber.status === 'pending') {
-        return res.status(400).json({
-          success: false,
-          message: 'Please check your email to confirm your subscription'
-        });
-      }
-      
-      // Resubscribe if previously unsubscribed
-      if (existingSubscriber.status === 'unsubscribed') {
-        existingSubscriber.status = 'confirmed';
-        existingSubscriber.unsubscribedAt = undefined;
-        existingSubscriber.consent = consent;
-        existingSubscriber.locale = locale;
-        existingSubscriber.source = source;
-        existingSubscriber.ipAddress = req.ip;
-        existingSubscriber.userAgent = req.get('User-Agent');
-        
-        await existingSubscriber.save();
-        
-        logger.info(`Newsletter resubscription: ${email}`);
-        
-        return res.json({
-          success: true,
-          message: 'Successfully resubscribed to newsletter'
-        });
-      }
-    }
-
-    // Create new subscription
-    const subscriber = new Newsletter({
-      email: email.toLowerCase(),
-      name: name || null,
-      consent,
-      locale,
-      source,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
-    });
+  // Check if already subscribed
+  const existingSubscriber = await Newsletter.findOne({ email });
 
-    await subscriber.save();
-
-    // Send confirmation email
-    try {
-      await sendConfirmationEmail(subscriber);
-      logger.info(`Newsletter subscription created: ${email}`);
-    } catch (emailError) {
-      logger.error(`Failed to send confirmation email: ${emailError.message}`);
-      // Don't fail the subscription if email fails
+  if (existingSubscriber) {
+    if (existingSubscriber.status === 'confirmed' && !existingSubscriber.unsubscribedAt) {
+      throw new ConflictError('You are already subscribed to our newsletter');
     }
 
-    res.status(201).json({
-      success: true,
-      message: 'Please check your email to confirm your subscription'
-    });
-
-  } catch (error) {
-    logger.error(`Newsletter subscription error: ${error.message}`);
-    
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'This email is already subscribed'
-      });
+    if (existingSubscriber.status === 'pending') {
+      throw new ConflictError('Please check your email to confirm your subscription');
     }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to subscribe to newsletter'
-    });
-  }
-};
 
-// Confirm subscription
-const confirmSubscription = async (req, res) => {
-  try {
-    const { token } = req.params;
-    
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Confirmation token is required'
-      });
-    }
+    // Resubscribe if previously unsubscribed
+    if (existingSubscriber.status === 'unsubscribed') {
+      existingSubscriber.status = 'confirmed';
+      existingSubscriber.unsubscribedAt = undefined;
+      existingSubscriber.consent = consent;
+      existingSubscriber.locale = locale;
+      existingSubscriber.source = source;
+      existingSubscriber.ipAddress = req.ip;
+      existingSubscriber.userAgent = req.get('User-Agent');
 
-    const subscriber = await Newsletter.findOne({ 
-      confirmationToken: token,
-      status: 'pending',
-      confirmationExpires: { $gt: new Date() }
-    });
+      await existingSubscriber.save();
 
-    if (!subscriber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired confirmation token'
+      logger.info(`Newsletter resubscription: ${email}`);
+
+      return res.json({
+        success: true,
+        message: 'Successfully resubscribed to newsletter'
       });
     }
-
-    await subscriber.confirmSubscription();
-
-    logger.info(`Newsletter subscription confirmed: ${subscriber.email}`);
-
-    res.json({
-      success: true,
-      message: 'Your subscription has been confirmed successfully'
-    });
-
-  } catch (error) {
-    logger.error(`Newsletter confirmation error: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to confirm subscription'
-    });
   }
-};
 
-// Unsubscribe from newsletter
-const unsubscribe = async (req, res) => {
+  // Create new subscription; a concurrent signup for the same address hits the
+  // unique index and errorHandler answers 409
+  const subscriber = new Newsletter({
+    email,
+    name: name || null,
+    consent,
+    locale,
+    source,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await subscriber.save();
+
+  // Send confirmation email
   try {
-    const { token } = req.params;
-    
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Unsubscribe token is required'
-      });
-    }
+    await sendConfirmationEmail(subscriber);
+    logger.info(`Newsletter subscription created: ${email}`);
+  } catch (emailError) {
+    logger.error(`Failed to send confirmation email: ${emailError.message}`);
+    // Don't fail the subscription if email fails
+  }
 
-    const subscriber = await Newsletter.findOne({ 
-      unsubscribeToken: token,
-      status: { $in: ['confirmed', 'pending'] }
-    });
+  res.status(201).json({
+    success: true,
+    message: 'Please check your email to confirm your subscription'
+  });
+});
 
-    if (!subscriber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid unsubscribe token'
-      });
-    }
+// Confirm subscription
+const confirmSubscription = asyncHandler(async (req, res) => {
+  const subscriber = await Newsletter.findOne({
+    confirmationToken: req.params.token,
+    status: 'pending',
+    confirmationExpires: { $gt: new Date() }
+  });
+
+  if (!subscriber) {
+    throw new ValidationError('Invalid or expired confirmation token');
+  }
 
-    await subscriber.unsubscribe();
+  await subscriber.confirmSubscription();
 
-    logger.info(`Newsletter unsubscription: ${subscriber.email}`);
+  logger.info(`Newsletter subscription confirmed: ${subscriber.email}`);
 
-    res.json({
-      success: true,
-      message: 'You have been successfully unsubscribed'
-    });
+  res.json({
+    success: true,
+    message: 'Your subscription has been confirmed successfully'
+  });
+});
 
-  } catch (error) {
-    logger.error(`Newsletter unsubscribe error: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to unsubscribe'
-    });
+// Unsubscribe from newsletter
+const unsubscribe = asyncHandler(async (req, res) => {
+  const subscriber = await Newsletter.findOne({
+    unsubscribeToken: req.params.token,
+    status: { $in: ['confirmed', 'pending'] }
+  });
+
+  if (!subscriber) {
+    throw new ValidationError('Invalid unsubscribe token');
   }
-};
 
-// Resubscribe to newsletter
-const resubscribe = async (req, res) => {
-  try {
-    const { token } = req.params;
-    
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Resubscribe token is required'
-      });
-    }
+  await subscriber.unsubscribe();
 
-    const subscriber = await Newsletter.findOne({ 
-      unsubscribeToken: token,
-      status: 'unsubscribed'
-    });
+  logger.info(`Newsletter unsubscription: ${subscriber.email}`);
 
-    if (!subscriber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid resubscribe token'
-      });
-    }
+  res.json({
+    success: true,
+    message: 'You have been successfully unsubscribed'
+  });
+});
 
-    await subscriber.resubscribe();
+// Resubscribe to newsletter
+const resubscribe = asyncHandler(async (req, res) => {
+  const subscriber = await Newsletter.findOne({
+    unsubscribeToken: req.params.token,
+    status: 'unsubscribed'
+  });
+
+  if (!subscriber) {
+    throw new ValidationError('Invalid resubscribe token');
+  }
 
-    logger.info(`Newsletter resubscription via token: ${subscriber.email}`);
+  await subscriber.resubscribe();
 
-    res.json({
-      success: true,
-      message: 'You have been successfully resubscribed'
-    });
+  logger.info(`Newsletter resubscription via token: ${subscriber.email}`);
 
-  } catch (error) {
-    logger.error(`Newsletter resubscribe error: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to resubscribe'
-    });
-  }
-};
+  res.json({
+    success: true,
+    message: 'You have been successfully resubscribed'
+  });
+});
 
 // Get subscription status
-const getSubscriptionStatus = async (req, res) => {
-  try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email is required'
-      });
-    }
+const getSubscriptionStatus = asyncHandler(async (req, res) => {
+  const { email } = req.query;
 
-    const subscriber = await Newsletter.findOne({ email: email.toLowerCase() });
+  const subscriber = await Newsletter.findOne({ email });
 
-    if (!subscriber) {
-      return res.json({
-        success: true,
-        subscribed: false
-      });
-    }
-
-    res.json({
+  if (!subscriber) {
+    return res.json({
       success: true,
-      subscribed: subscriber.isActive,
-      status: subscriber.status,
-      confirmed: subscriber.isConfirmed,
-      unsubscribed: !!subscriber.unsubscribedAt
-    });
-
-  } catch (error) {
-    logger.error(`Get subscription status error: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get subscription status'
+      subscribed: false
     });
   }
-};
 
-// Get newsletter statistics (admin only)
-const getNewsletterStats = async (req, res) => {
-  try {
-    const stats = await Newsletter.getStats();
-    
-    const totalSubscribers = await Newsletter.countDocuments();
-    const activeSubscribers = await Newsletter.countDocuments({
-      status: 'confirmed',
-      unsubscribedAt: { $exists: false }
-    });
-    const pendingSubscribers = await Newsletter.countDocuments({ status: 'pending' });
-    const unsubscribedCount = await Newsletter.countDocuments({ status: 'unsubscribed' });
-    const bouncedCount = await Newsletter.countDocuments({ status: 'bounced' });
+  res.json({
+    success: true,
+    subscribed: subscriber.isActive,
+    status: subscriber.status,
+    confirmed: subscriber.isConfirmed,
+    unsubscribed: !!subscriber.unsubscribedAt
+  });
+});
 
-    res.json({
-      success: true,
-      stats: {
-        total: totalSubscribers,
-        active: activeSubscribers,
-        pending: pendingSubscribers,
-        unsubscribed: unsubscribedCount,
-        bounced: bouncedCount,
-        byStatus: stats
-      }
-    });
-
-  } catch (error) {
-    logger.error(`Get newsletter stats error: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get newsletter statistics'
-    });
-  }
-};
+// Get newsletter statistics (admin only)
+const getNewsletterStats = asyncHandler(async (req, res) => {
+  const stats = await Newsletter.getStats();
+
+  const totalSubscribers = await Newsletter.countDocuments();
+  const activeSubscribers = await Newsletter.countDocuments({
+    status: 'confirmed',
+    unsubscribedAt: { $exists: false }
+  });
+  const pendingSubscribers = await Newsletter.countDocuments({ status: 'pending' });
+  const unsubscribedCount = await Newsletter.countDocuments({ status: 'unsubscribed' });
+  const bouncedCount = await Newsletter.countDocuments({ status: 'bounced' });
+
+  res.json({
+    success: true,
+    stats: {
+      total: totalSubscribers,
+      active: activeSubscribers,
+      pending: pendingSubscribers,
+      unsubscribed: unsubscribedCount,
+      bounced: bouncedCount,
+      byStatus: stats
+    }
+  });
+});
 
 // Send confirmation email
 const sendConfirmationEmail = async (subscriber) => {
@@ -0,0 +1,219 @@
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_CATALOGUE, NOTIFICATION_TYPES, NOTIFICATION_CATEGORIES } from '../model/notification.model.js';
+import User from '../model/user.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { paginateWithCursor, paginationInfo } from '../utils/cursorPagination.js';
+
+const INBOX_SORT = { createdAt: -1, _id: -1 };
+
+// Types selected by ?type= (comma separated) and ?category=
+const typeFilter = ({ type, category }) => {
+  let types = NOTIFICATION_TYPES;
+  if (category) {
+    types = types.filter(key => NOTIFICATION_CATALOGUE[key].category === category);
+  }
+  if (type) {
+    types = types.filter(key => type.includes(key));
+  }
+  return types.length === NOTIFICATION_TYPES.length ? null : { $in: types };
+};
+
+// Set or clear a timestamp on one of the current user's notifications
+const stampNotification = async (req, update) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, recipient: req.user.userId },
+    update,
+    { new: true }
+  );
+  if (!notification) {
+    throw new NotFoundError('Notification');
+  }
+  return notification;
+};
+
+// @desc    List the current user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = asyncHandler(async (req, res) => {
+  const { cursor, limit, unread, archived } = req.query;
+  const recipient = new mongoose.Types.ObjectId(req.user.userId);
+
+  // The inbox hides archived notifications; ?archived=true lists only those
+  const query = { recipient, archivedAt: archived ? { $ne: null } : null };
+  if (unread) query.readAt = null;
+  const types = typeFilter(req.query);
+  if (types) query.type = types;
+
+  const [page, unreadCount] = await Promise.all([
+    paginateWithCursor(
+      (filter, pageLimit) => Notification.find({ ...query, ...filter })
+        .populate('actor', 'name username profileImage')
+        .sort(INBOX_SORT)
+        .limit(pageLimit)
+        .lean(),
+      { sort: INBOX_SORT, cursor, limit }
+    ),
+    Notification.unreadCount(recipient)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications: page.items,
+      unreadCount,
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    Number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { unreadCount: await Notification.unreadCount(req.user.userId) }
+  });
+});
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await stampNotification(req, [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notification,
+      unreadCount: await Notification.unreadCount(req.user.userId)
+    }
+  });
+});
+
+// @desc    Mark every notification as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { recipient: req.user.userId, archivedAt: null, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${modifiedCount} notification(s) marked as read`,
+    data: { unreadCount: 0 }
+  });
+});
+
+// @desc    Move a notification out of the inbox; archiving also marks it read
+// @route   PUT /api/notifications/:id/archive
+// @access  Private
+export const archiveNotification = asyncHandler(async (req, res) => {
+  const notification = await stampNotification(req, [{
+    $set: {
+      archivedAt: { $ifNull: ['$archivedAt', '$$NOW'] },
+      readAt: { $ifNull: ['$readAt', '$$NOW'] }
+    }
+  }]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notification,
+      unreadCount: await Notification.unreadCount(req.user.userId)
+    }
+  });
+});
+
+// @desc    Return an archived notification to the inbox
+// @route   PUT /api/notifications/:id/unarchive
+// @access  Private
+export const unarchiveNotification = asyncHandler(async (req, res) => {
+  const notification = await stampNotification(req, { $set: { archivedAt: null } });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notification,
+      unreadCount: await Notification.unreadCount(req.user.userId)
+    }
+  });
+});
+
+// @desc    Archive every read notification in the inbox
+// @route   PUT /api/notifications/archive-read
+// @access  Private
+export const archiveReadNotifications = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { recipient: req.user.userId, archivedAt: null, readAt: { $ne: null } },
+    { $set: { archivedAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${modifiedCount} notification(s) archived`
+  });
+});
+
+const settingsFor = (user) => {
+  const muted = new Set(user.mutedNotifications || []);
+  return {
+    categories: NOTIFICATION_CATEGORIES,
+    types: NOTIFICATION_TYPES.map(type => {
+      const { category, description, emailPreference } = NOTIFICATION_CATALOGUE[type];
+      return {
+        type,
+        category,
+        description,
+        enabled: !muted.has(type),
+        // Email follows the matching emailNotifications switch in the profile
+        emailPreference,
+        email: emailPreference ? user.emailNotifications?.[emailPreference] !== false : null
+      };
+    })
+  };
+};
+
+// @desc    Notification types and whether the current user receives each
+// @route   GET /api/notifications/settings
+// @access  Private
+export const getNotificationSettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId).select('mutedNotifications emailNotifications').lean();
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: settingsFor(user)
+  });
+});
+
+// @desc    Turn notification types on or off, e.g. { types: { new_follower: false } }
+// @route   PUT /api/notifications/settings
+// @access  Private
+export const updateNotificationSettings = asyncHandler(async (req, res) => {
+  const { types } = req.body;
+
+  const current = await User.findById(req.user.userId).select('mutedNotifications').lean();
+  if (!current) {
+    throw new NotFoundError('User');
+  }
+
+  const muted = new Set(current.mutedNotifications || []);
+  Object.entries(types).forEach(([type, enabled]) => (enabled ? muted.delete(type) : muted.add(type)));
+
+  const user = await User.findByIdAndUpdate(
+    req.user.userId,
+    { $set: { mutedNotifications: [...muted] } },
+    { new: true }
+  ).select('mutedNotifications emailNotifications').lean();
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification settings updated',
+    data: settingsFor(user)
+  });
+});
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ReadingList, { MAX_LIST_ITEMS } from '../model/readingList.model.js';
+import { asyncHandler, NotFoundError, ValidationError, ConflictError } from '../utils/errorHandler.js';
+import { generateSlug, generateUniqueSlug } from '../utils/slugGenerator.js';
+import { populateBlogCard, requirePublishedBlog, adjustBlogCounter } from '../utils/savedPosts.js';
+
+const MAX_LISTS_PER_USER = 100;
+
+const OWNER_FIELDS = 'name username profileImage';
+
+// A random suffix keeps share links unique and hard to guess
+const slugForName = async (name) => {
+  const base = `${generateSlug(name) || 'reading-list'}-${crypto.randomBytes(3).toString('hex')}`;
+  return generateUniqueSlug(base, slug => ReadingList.exists({ slug }));
+};
+
+const findOwnList = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new NotFoundError('Reading list');
+  }
+  const list = await ReadingList.findOne({ _id: req.params.id, owner: req.user.userId });
+  if (!list) {
+    throw new NotFoundError('Reading list');
+  }
+  return list;
+};
+
+// Position in the list, 0 being the top; missing means the end
+const clampPosition = (position, length) => Math.min(position ?? length, length);
+
+// The list item for a post, as an aggregation expression over the stored items
+const storedItem = (blogId) => ({
+  $arrayElemAt: [{ $filter: { input: '$items', cond: { $eq: ['$$this.blog', blogId] } } }, 0]
+});
+
+// List with its posts, leaving out posts that were unpublished since
+const withItems = async (listId) => {
+  const list = await ReadingList.findById(listId)
+    .populate(populateBlogCard('items.blog'))
+    .populate('owner', OWNER_FIELDS)
+    .lean();
+  list.items = list.items.filter(item => item.blog);
+  return list;
+};
+
+// @desc    The current user's reading lists
+// @route   GET /api/reading-lists
+// @access  Private
+export const getMyReadingLists = asyncHandler(async (req, res) => {
+  const lists = await ReadingList.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(req.user.userId) } },
+    { $sort: { updatedAt: -1 } },
+    { $addFields: { itemCount: { $size: '$items' } } },
+    { $project: { items: 0 } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { lists }
+  });
+});
+
+// @desc    Create a reading list
+// @route   POST /api/reading-lists
+// @access  Private
+export const createReadingList = asyncHandler(async (req, res) => {
+  const { name, description, isPublic } = req.body;
+  if (await ReadingList.countDocuments({ owner: req.user.userId }) >= MAX_LISTS_PER_USER) {
+    throw new ValidationError(`You can have at most ${MAX_LISTS_PER_USER} reading lists`);
+  }
+
+  const list = await ReadingList.create({
+    owner: req.user.userId,
+    name,
+    slug: await slugForName(name),
+    description: description || '',
+    isPublic: isPublic || false
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reading list created',
+    data: { list }
+  });
+});
+
+// @desc    One of the current user's reading lists with its posts
+// @route   GET /api/reading-lists/:id
+// @access  Private (owner)
+export const getReadingList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+
+  res.status(200).json({
+    success: true,
+    data: { list: await withItems(list._id) }
+  });
+});
+
+// @desc    A public reading list by its share slug
+// @route   GET /api/reading-lists/shared/:slug
+// @access  Public
+export const getSharedReadingList = asyncHandler(async (req, res) => {
+  const list = await ReadingList.findOne({ slug: req.params.slug, isPublic: true }).select('_id').lean();
+  if (!list) {
+    throw new NotFoundError('Reading list');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { list: await withItems(list._id) }
+  });
+});
+
+// @desc    Rename a list, change its description or visibility
+// @route   PUT /api/reading-lists/:id
+// @access  Private (owner)
+export const updateReadingList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const { name, description, isPublic } = req.body;
+
+  if (name !== undefined) list.name = name;
+  if (description !== undefined) list.description = description;
+  if (isPublic !== undefined) list.isPublic = isPublic;
+
+  await list.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Reading list updated',
+    data: { list: await withItems(list._id) }
+  });
+});
+
+// @desc    Delete a reading list
+// @route   DELETE /api/reading-lists/:id
+// @access  Private (owner)
+export const deleteReadingList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+
+  await list.deleteOne();
+  await adjustBlogCounter(list.items.map(item => item.blog), 'readingListCount', -1);
+
+  res.status(200).json({
+    success: true,
+    message: 'Reading list deleted'
+  });
+});
+
+// @desc    Add a post to a reading list, at the end or at `position`
+// @route   POST /api/reading-lists/:id/items
+// @access  Private (owner)
+export const addReadingListItem = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const blogId = await requirePublishedBlog(req.body.blogId);
+  const position = clampPosition(req.body.position, list.items.length);
+
+  // Guarded in the update itself so concurrent adds cannot duplicate or overfill the list
+  const { modifiedCount } = await ReadingList.updateOne(
+    { _id: list._id, 'items.blog': { $ne: blogId }, [`items.${MAX_LIST_ITEMS - 1}`]: { $exists: false } },
+    {
+      $push: {
+        items: {
+          $each: [{ blog: blogId, note: req.body.note || '', addedAt: new Date() }],
+          $position: position
+        }
+      }
+    },
+    { runValidators: true }
+  );
+  if (modifiedCount === 0) {
+    if (await ReadingList.exists({ _id: list._id, 'items.blog': blogId })) {
+      throw new ConflictError('Post is already in this list');
+    }
+    throw new ValidationError(`A reading list can hold at most ${MAX_LIST_ITEMS} posts`);
+  }
+  await adjustBlogCounter(blogId, 'readingListCount', 1);
+
+  res.status(201).json({
+    success: true,
+    message: 'Post added to reading list',
+    data: { list: await withItems(list._id) }
+  });
+});
+
+// @desc    Change the note or position of a post in a list
+// @route   PUT /api/reading-lists/:id/items/:blogId
+// @access  Private (owner)
+export const updateReadingListItem = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const blogId = new mongoose.Types.ObjectId(req.params.blogId);
+  const { note, position } = req.body;
+
+  // Worked out on the stored array in one update, so a concurrent add or remove is never overwritten
+  const item = note === undefined
+    ? storedItem(blogId)
+    : { $mergeObjects: [storedItem(blogId), { note: { $literal: note } }] };
+  const others = { $filter: { input: '$items', cond: { $ne: ['$$this.blog', blogId] } } };
+  const items = position === undefined
+    ? { $map: { input: '$items', in: { $cond: [{ $eq: ['$$this.blog', blogId] }, item, '$$this'] } } }
+    : {
+      $concatArrays: [
+        { $slice: [others, position] },
+        [item],
+        { $slice: [others, position, MAX_LIST_ITEMS] }
+      ]
+    };
+
+  const { matchedCount } = await ReadingList.updateOne(
+    { _id: list._id, 'items.blog': blogId },
+    [{ $set: { items } }]
+  );
+  if (matchedCount === 0) {
+    throw new NotFoundError('Reading list item');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Reading list item updated',
+    data: { list: await withItems(list._id) }
+  });
+});
+
+// @desc    Remove a post from a list
+// @route   DELETE /api/reading-lists/:id/items/:blogId
+// @access  Private (owner)
+export const removeReadingListItem = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  if (!mongoose.Types.ObjectId.isValid(req.params.blogId)) {
+    throw new NotFoundError('Reading list item');
+  }
+  const blogId = new mongoose.Types.ObjectId(req.params.blogId);
+
+  const { modifiedCount } = await ReadingList.updateOne(
+    { _id: list._id },
+    { $pull: { items: { blog: blogId } } }
+  );
+  if (modifiedCount === 0) {
+    throw new NotFoundError('Reading list item');
+  }
+  await adjustBlogCounter(blogId, 'readingListCount', -1);
+
+  res.status(200).json({
+    success: true,
+    message: 'Post removed from reading list',
+    data: { list: await withItems(list._id) }
+  });
+});
+
+// @desc    Reorder a whole list; blogIds must name every post in the list once
+// @route   PUT /api/reading-lists/:id/order
+// @access  Private (owner)
+export const reorderReadingList = asyncHandler(async (req, res) => {
+  const list = await findOwnList(req);
+  const { blogIds } = req.body;
+
+  const current = new Map(list.items.map(item => [item.blog.toString(), item]));
+  // The route schema guarantees distinct ids
+  if (blogIds.length !== current.size || !blogIds.every(id => current.has(id))) {
+    throw new ValidationError('blogIds must list every post in the list exactly once', [
+      { field: 'blogIds', message: `Expected ${current.size} distinct ids from this list` }
+    ]);
+  }
+
+  // Applied only while the list still holds exactly these posts; the stored items
+  // are rearranged in place so notes edited meanwhile are kept
+  const ids = blogIds.map(id => new mongoose.Types.ObjectId(id));
+  const { matchedCount } = await ReadingList.updateOne(
+    { _id: list._id, items: { $size: ids.length }, 'items.blog': { $all: ids } },
+    [{ $set: { items: ids.map(storedItem) } }]
+  );
+  if (matchedCount === 0) {
+    throw new ConflictError('The reading list changed meanwhile; reload it and try again');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Reading list reordered',
+    data: { list: await withItems(list._id) }
+  });
+});
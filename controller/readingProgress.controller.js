@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import ReadingProgress, { COMPLETED_PROGRESS } from '../model/readingProgress.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { paginateWithCursor, paginationInfo } from '../utils/cursorPagination.js';
+import { populateBlogCard, requirePublishedBlog } from '../utils/savedPosts.js';
+
+// Posts opened but barely scrolled are not worth resuming
+const CONTINUE_MIN_PROGRESS = 5;
+
+const CONTINUE_SORT = { lastReadAt: -1, _id: -1 };
+
+// @desc    Save how far the current user got through a post
+// @route   PUT /api/reading-progress/:blogId
+// @access  Private
+export const updateReadingProgress = asyncHandler(async (req, res) => {
+  const blogId = await requirePublishedBlog(req.params.blogId);
+  const { progress, language } = req.body;
+
+  // The first completion is kept; scrolling back up to re-read reopens the post
+  const entry = await ReadingProgress.findOneAndUpdate(
+    { user: new mongoose.Types.ObjectId(req.user.userId), blog: blogId },
+    [{
+      $set: {
+        progress: Math.round(progress * 10) / 10,
+        language,
+        lastReadAt: '$$NOW',
+        completedAt: progress >= COMPLETED_PROGRESS ? { $ifNull: ['$completedAt', '$$NOW'] } : null
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { progress: entry }
+  });
+});
+
+// @desc    The current user's progress on one post
+// @route   GET /api/reading-progress/:blogId
+// @access  Private
+export const getReadingProgress = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.blogId)) {
+    throw new NotFoundError('Reading progress');
+  }
+
+  const entry = await ReadingProgress.findOne({ user: req.user.userId, blog: req.params.blogId }).lean();
+
+  res.status(200).json({
+    success: true,
+    data: { progress: entry }
+  });
+});
+
+// @desc    Posts the current user started but did not finish, most recent first
+// @route   GET /api/reading-progress/continue
+// @access  Private
+export const getContinueReading = asyncHandler(async (req, res) => {
+  const { limit } = req.query;
+  const query = {
+    user: new mongoose.Types.ObjectId(req.user.userId),
+    completedAt: null,
+    progress: { $gte: CONTINUE_MIN_PROGRESS }
+  };
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => ReadingProgress.find({ ...query, ...filter })
+      .populate(populateBlogCard())
+      .sort(CONTINUE_SORT)
+      .limit(pageLimit)
+      .lean(),
+    { sort: CONTINUE_SORT, cursor: req.query.cursor, limit }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      posts: page.items.filter(entry => entry.blog),
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    Forget the progress on a post, removing it from "continue reading"
+// @route   DELETE /api/reading-progress/:blogId
+// @access  Private
+export const deleteReadingProgress = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.blogId)) {
+    throw new NotFoundError('Reading progress');
+  }
+
+  const entry = await ReadingProgress.findOneAndDelete({ user: req.user.userId, blog: req.params.blogId });
+  if (!entry) {
+    throw new NotFoundError('Reading progress');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Reading progress removed'
+  });
+});
@@ -0,0 +1,213 @@
+import Role, { PERMISSIONS, DEFAULT_ROLES, mergePermissions } from '../model/role.model.js';
+import User from '../model/user.model.js';
+import { asyncHandler, NotFoundError, ValidationError, ConflictError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Permission names are checked by the route schema; repeats are dropped
+const uniquePermissions = (permissions) => [...new Set(permissions)];
+
+const countUsersByRole = async () => {
+  const counts = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+// @desc    List roles with their permissions and user counts
+// @route   GET /api/roles
+// @access  Private (manage_roles)
+export const getRoles = asyncHandler(async (req, res) => {
+  const [roleMap, userCounts] = await Promise.all([Role.getRoleMap(), countUsersByRole()]);
+
+  const roles = [...roleMap.values()]
+    .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))
+    .map(role => ({ ...role, userCount: userCounts.get(role.name) || 0 }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles,
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+// @desc    Get a single role
+// @route   GET /api/roles/:name
+// @access  Private (manage_roles)
+export const getRole = asyncHandler(async (req, res) => {
+  const role = await Role.getRole(req.params.name);
+  if (!role) {
+    throw new NotFoundError('Role');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      role: {
+        ...role,
+        userCount: await User.countDocuments({ role: role.name })
+      }
+    }
+  });
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (manage_roles)
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, displayName, description, level, permissions } = req.body;
+
+  if (await Role.getRole(name)) {
+    throw new ConflictError('A role with this name already exists');
+  }
+
+  const role = await Role.create({
+    name,
+    displayName,
+    description,
+    level,
+    permissions: uniquePermissions(permissions),
+    updatedBy: req.user.userId
+  });
+
+  logger.info('Role created', { role: role.name, createdBy: req.user.userId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: { role }
+  });
+});
+
+// @desc    Update a role's permissions or details
+// @route   PUT /api/roles/:name
+// @access  Private (manage_roles)
+export const updateRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const existing = await Role.getRole(name);
+  if (!existing) {
+    throw new NotFoundError('Role');
+  }
+
+  const updates = { updatedBy: req.user.userId };
+  if ('displayName' in req.body) updates.displayName = req.body.displayName;
+  if ('description' in req.body) updates.description = req.body.description;
+  if ('level' in req.body) updates.level = req.body.level;
+  if ('permissions' in req.body) {
+    updates.permissions = uniquePermissions(req.body.permissions);
+
+    // Keep at least one way back into role management
+    if (name === 'admin' && !updates.permissions.includes('manage_roles')) {
+      throw new ValidationError('The admin role must keep the manage_roles permission');
+    }
+  }
+
+  // Built-in roles only exist as defaults until the migration has run
+  const defaults = DEFAULT_ROLES.find(role => role.name === name);
+  const insertDefaults = defaults
+    ? Object.fromEntries(Object.entries({ ...defaults, isSystem: true }).filter(([key]) => !(key in updates) && key !== 'name'))
+    : {};
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { $set: updates, $setOnInsert: insertDefaults },
+    { new: true, upsert: Boolean(defaults), runValidators: true }
+  );
+
+  logger.info('Role updated', { role: name, updatedBy: req.user.userId, fields: Object.keys(updates) });
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated successfully',
+    data: { role }
+  });
+});
+
+// @desc    Delete a custom role
+// @route   DELETE /api/roles/:name
+// @access  Private (manage_roles)
+export const deleteRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const role = await Role.getRole(name);
+  if (!role) {
+    throw new NotFoundError('Role');
+  }
+  if (role.isSystem || DEFAULT_ROLES.some(builtIn => builtIn.name === name)) {
+    throw new ValidationError('Built-in roles cannot be deleted');
+  }
+
+  const assigned = await User.countDocuments({ role: name });
+  if (assigned > 0) {
+    throw new ConflictError(`Role is assigned to ${assigned} user(s). Reassign them first`);
+  }
+
+  await Role.findOneAndDelete({ name });
+
+  logger.info('Role deleted', { role: name, deletedBy: req.user.userId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
+
+// @desc    Get a user's role, permission overrides and effective permissions
+// @route   GET /api/users/:id/permissions
+// @access  Private (manage_roles)
+export const getUserPermissions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role permissions deniedPermissions');
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      userId: user._id,
+      role: user.role,
+      granted: user.permissions,
+      denied: user.deniedPermissions,
+      effective: await user.getPermissions()
+    }
+  });
+});
+
+// @desc    Set a user's permission grants and denies
+// @route   PUT /api/users/:id/permissions
+// @access  Private (manage_roles)
+export const updateUserPermissions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const user = await User.findById(id).select('role permissions deniedPermissions');
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const granted = 'granted' in req.body ? uniquePermissions(req.body.granted) : user.permissions;
+  const denied = 'denied' in req.body ? uniquePermissions(req.body.denied) : user.deniedPermissions;
+
+  if (id === req.user.userId) {
+    const role = await Role.getRole(user.role);
+    if (!mergePermissions(role?.permissions, granted, denied).includes('manage_roles')) {
+      throw new ValidationError('You cannot remove your own manage_roles permission');
+    }
+  }
+
+  user.permissions = granted;
+  user.deniedPermissions = denied;
+  await user.save();
+
+  logger.info('User permissions updated', { userId: id, updatedBy: req.user.userId, granted, denied });
+
+  res.status(200).json({
+    success: true,
+    message: 'User permissions updated successfully',
+    data: {
+      userId: user._id,
+      role: user.role,
+      granted: user.permissions,
+      denied: user.deniedPermissions,
+      effective: await user.getPermissions()
+    }
+  });
+});
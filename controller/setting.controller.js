@@ -0,0 +1,59 @@
+import Setting from '../model/setting.model.js';
+import Role from '../model/role.model.js';
+import { ROLE_LEVELS } from '../model/user.model.js';
+import { asyncHandler, ValidationError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { SECURITY_SETTINGS_KEY, LOCKOUT_FIELDS, getSecuritySettings } from '../utils/securitySettings.js';
+
+// @desc    Get security settings
+// @route   GET /api/settings/security
+// @access  Private/Admin
+export const getSecuritySettingsHandler = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      settings: await getSecuritySettings(),
+      roles: [...(await Role.getRoleMap()).keys()]
+    }
+  });
+});
+
+// @desc    Update security settings
+// @route   PUT /api/settings/security
+// @access  Private/Admin
+export const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const current = await getSecuritySettings();
+  const updates = {};
+
+  if ('twoFactorRequiredFromRole' in req.body) {
+    const role = req.body.twoFactorRequiredFromRole;
+    // Requiring 2FA for every account is not supported; start at editor level
+    const roleDoc = role === null ? null : await Role.getRole(role);
+    if (role !== null && (!roleDoc || roleDoc.level < ROLE_LEVELS.editor)) {
+      throw new ValidationError('twoFactorRequiredFromRole must be a role at editor level or above, or null');
+    }
+    updates.twoFactorRequiredFromRole = role;
+  }
+
+  // Lockout tuning: positive whole numbers of attempts or minutes
+  for (const field of LOCKOUT_FIELDS) {
+    if (field in req.body) {
+      updates[field] = req.body[field];
+    }
+  }
+
+  const settings = { ...current, ...updates };
+  if (settings.lockoutBaseMinutes > settings.lockoutMaxMinutes) {
+    throw new ValidationError('lockoutBaseMinutes cannot exceed lockoutMaxMinutes');
+  }
+
+  await Setting.setValue(SECURITY_SETTINGS_KEY, settings, req.user.userId);
+
+  logger.info('Security settings updated', { updatedBy: req.user.userId, updates });
+
+  res.status(200).json({
+    success: true,
+    message: 'Security settings updated successfully',
+    data: { settings }
+  });
+});
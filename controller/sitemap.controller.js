@@ -0,0 +1,222 @@
+import Blog from '../model/blog.model.js';
+import Category from '../model/category.model.js';
+import User from '../model/user.model.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { buildSitemapIndex, buildUrlSet, MAX_SITEMAP_URLS } from '../utils/sitemapBuilder.js';
+import { LANGUAGES, apiUrl, blogUrl, categoryUrl, homeUrl, profileUrl } from '../utils/siteUrls.js';
+
+// URLs per child sitemap; lower than the protocol limit to keep responses small
+const PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 1000, MAX_SITEMAP_URLS);
+
+// Keep sponsored posts out of the sitemap when SITEMAP_EXCLUDE_SPONSORED=true
+const EXCLUDE_SPONSORED = process.env.SITEMAP_EXCLUDE_SPONSORED === 'true';
+
+const LANGUAGE_FIELDS = ['title', 'content', 'excerpt', 'slug', 'category'];
+
+const postFilter = (lang) => ({
+  ...Blog.publishedLanguageFilter(lang),
+  ...(EXCLUDE_SPONSORED ? { postType: { $ne: 'sponsored' } } : {})
+});
+
+// Aggregation expression: true when every required field of a language is non-empty
+const languageCompleteExpr = (lang) => ({
+  $and: LANGUAGE_FIELDS.map(field => ({
+    $gt: [{ $strLenCP: { $ifNull: [`$${field}.${lang}`, ''] } }, 0]
+  }))
+});
+
+const parsePage = (value) => {
+  const page = parseInt(value);
+  if (!Number.isInteger(page) || page < 1 || String(page) !== String(value)) {
+    throw new NotFoundError('Sitemap');
+  }
+  return page;
+};
+
+const validateLanguage = (lang) => {
+  if (!LANGUAGES.includes(lang)) {
+    throw new NotFoundError('Sitemap');
+  }
+};
+
+// Authors with at least one published post and a public profile
+const publicAuthorFilter = async () => {
+  const authorIds = await Blog.distinct('author.user', {
+    status: 'published',
+    publishedAt: { $lte: new Date() },
+    'author.user': { $ne: null }
+  });
+
+  return {
+    _id: { $in: authorIds },
+    isActive: true,
+    username: { $exists: true, $nin: [null, ''] }
+  };
+};
+
+const sendXml = (res, xml) => {
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(200).send(xml);
+};
+
+// @desc    Sitemap index pointing at the per-language child sitemaps
+// @route   GET /sitemap.xml
+// @access  Public
+export const getSitemapIndex = asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const sitemaps = [];
+
+    const [authorCount, latestAuthor] = await publicAuthorFilter().then(filter => Promise.all([
+      User.countDocuments(filter),
+      User.findOne(filter).sort({ updatedAt: -1 }).select('updatedAt').lean()
+    ]));
+
+    for (const lang of LANGUAGES) {
+      const categories = await Blog.aggregate([
+        { $match: postFilter(lang) },
+        {
+          $group: {
+            _id: `$category.${lang}`,
+            count: { $sum: 1 },
+            lastmod: { $max: '$updatedAt' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      const latest = categories.reduce((max, group) => (!max || group.lastmod > max ? group.lastmod : max), null);
+      sitemaps.push({ loc: apiUrl(req, `/sitemaps/${lang}/pages.xml`), lastmod: latest });
+
+      // One child sitemap per category and page range
+      for (const group of categories) {
+        const pages = Math.ceil(group.count / PAGE_SIZE);
+        for (let page = 1; page <= pages; page++) {
+          sitemaps.push({
+            loc: apiUrl(req, `/sitemaps/${lang}/category/${encodeURIComponent(group._id)}/${page}.xml`),
+            lastmod: group.lastmod
+          });
+        }
+      }
+
+      const authorPages = Math.ceil(authorCount / PAGE_SIZE);
+      for (let page = 1; page <= authorPages; page++) {
+        sitemaps.push({
+          loc: apiUrl(req, `/sitemaps/${lang}/authors/${page}.xml`),
+          lastmod: latestAuthor?.updatedAt
+        });
+      }
+    }
+
+    logger.logDatabase('aggregate', 'blogs', Date.now() - startTime, true);
+    sendXml(res, buildSitemapIndex(sitemaps));
+  } catch (error) {
+    logger.logDatabase('aggregate', 'blogs', Date.now() - startTime, false);
+    logger.error('Sitemap index generation failed', { error: error.message });
+    throw error;
+  }
+});
+
+// @desc    Home and category landing pages for a language
+// @route   GET /sitemaps/:lang/pages.xml
+// @access  Public
+export const getPagesSitemap = asyncHandler(async (req, res) => {
+  const { lang } = req.params;
+  validateLanguage(lang);
+
+  const homeAlternates = LANGUAGES.map(other => ({ hreflang: other, href: homeUrl(other) }));
+  const urls = [{ loc: homeUrl(lang), alternates: homeAlternates }];
+
+  const categories = await Category.find({
+    isActive: true,
+    [`slug.${lang}`]: { $exists: true, $nin: [null, ''] }
+  })
+    .select('slug updatedAt')
+    .sort({ sortOrder: 1 })
+    .lean();
+
+  for (const category of categories) {
+    const languages = LANGUAGES.filter(other => category.slug?.[other]);
+    urls.push({
+      loc: categoryUrl(lang, category.slug[lang]),
+      lastmod: category.updatedAt,
+      alternates: languages.length > 1
+        ? languages.map(other => ({ hreflang: other, href: categoryUrl(other, category.slug[other]) }))
+        : []
+    });
+  }
+
+  sendXml(res, buildUrlSet(urls));
+});
+
+// @desc    Published posts of one category, in page ranges
+// @route   GET /sitemaps/:lang/category/:category/:page.xml
+// @access  Public
+export const getCategorySitemap = asyncHandler(async (req, res) => {
+  const { lang, category } = req.params;
+  validateLanguage(lang);
+  const page = parsePage(req.params.page);
+
+  const blogs = await Blog.aggregate([
+    { $match: { ...postFilter(lang), [`category.${lang}`]: category } },
+    // A stable order keeps each post in the same page range between crawls
+    { $sort: { _id: 1 } },
+    { $skip: (page - 1) * PAGE_SIZE },
+    { $limit: PAGE_SIZE },
+    {
+      $project: {
+        slug: 1,
+        updatedAt: 1,
+        complete: Object.fromEntries(LANGUAGES.map(other => [other, languageCompleteExpr(other)]))
+      }
+    }
+  ]);
+
+  if (blogs.length === 0) {
+    throw new NotFoundError('Sitemap');
+  }
+
+  const urls = blogs.map(blog => {
+    const languages = LANGUAGES.filter(other => blog.complete[other]);
+    return {
+      loc: blogUrl(lang, blog.slug[lang]),
+      lastmod: blog.updatedAt,
+      alternates: languages.length > 1
+        ? languages.map(other => ({ hreflang: other, href: blogUrl(other, blog.slug[other]) }))
+        : []
+    };
+  });
+
+  sendXml(res, buildUrlSet(urls));
+});
+
+// @desc    Public author profiles, in page ranges
+// @route   GET /sitemaps/:lang/authors/:page.xml
+// @access  Public
+export const getAuthorsSitemap = asyncHandler(async (req, res) => {
+  const { lang } = req.params;
+  validateLanguage(lang);
+  const page = parsePage(req.params.page);
+
+  const authors = await User.find(await publicAuthorFilter())
+    .select('username updatedAt')
+    .sort({ _id: 1 })
+    .skip((page - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .lean();
+
+  if (authors.length === 0) {
+    throw new NotFoundError('Sitemap');
+  }
+
+  const urls = authors.map(author => ({
+    loc: profileUrl(lang, author.username),
+    lastmod: author.updatedAt,
+    alternates: LANGUAGES.map(other => ({ hreflang: other, href: profileUrl(other, author.username) }))
+  }));
+
+  sendXml(res, buildUrlSet(urls));
+});
@@ -1,13 +1,17 @@
 import mongoose from 'mongoose';
-import SponsoredSubmission from '../model/sponsoredSubmission.model.js';
+import SponsoredSubmission, { SUBMISSION_SORT_FIELDS } from '../model/sponsoredSubmission.model.js';
 import Blog from '../model/blog.model.js';
 import { asyncHandler, NotFoundError, AuthorizationError, ValidationError } from '../utils/errorHandler.js';
 import logger from '../utils/logger.js';
+import { paginateWithCursor, buildSort, parseFields, paginationInfo } from '../utils/cursorPagination.js';
 import { generateSlug, generateUniqueSlug } from '../utils/slugGenerator.js';
 import { sanitizeHtmlContent } from '../utils/htmlSanitizer.js';
 import jwt from 'jsonwebtoken';
+import { getRequestPermissions } from '../middleware/permissions.middleware.js';
 import { sendEmail } from '../utils/emailService.js';
 import { sponsoredApprovalEmail } from '../utils/emailTemplates.js';
+import { notifySubmissionStatus } from '../utils/notificationService.js';
+import { publishSubmissionChange } from '../utils/realtime.js';
 import { URL } from 'url';
 import { BLOCKED_COMPETITOR_HOSTS } from '../utils/contentPolicy.js';
 
@@ -24,19 +28,6 @@ export const submitSponsoredPost = asyncHandler(async (req, res) => {
       sponsorship
     } = req.body;
 
-    // Validate required fields
-    if (!client?.name || !client?.email || !client?.company || !client?.website || !client?.industry) {
-      throw new ValidationError('All client information is required');
-    }
-
-    if (!post?.title?.en || !post?.content?.en || !post?.excerpt?.en || !post?.category?.en || !post?.featuredImage) {
-      throw new ValidationError('All post content fields are required');
-    }
-
-    if (!sponsorship?.budget || sponsorship.budget < 50) {
-      throw new ValidationError('Budget must be at least $50');
-    }
-
     // Create sponsored submission (attach owner if logged in)
     const sponsoredSubmission = new SponsoredSubmission({
       owner: req.user?.userId || null,
@@ -46,6 +37,7 @@ export const submitSponsoredPost = asyncHandler(async (req, res) => {
     });
 
     await sponsoredSubmission.save();
+    publishSubmissionChange('sponsored', sponsoredSubmission);
 
     logger.info('Sponsored post submitted', {
       clientEmail: client.email,
@@ -86,11 +78,17 @@ export const submitSponsoredPost = asyncHandler(async (req, res) => {
   }
 });
 
+// ?fields= accepts any top-level field of a submission
+const SUBMISSION_FIELDS = [...new Set(Object.keys(SponsoredSubmission.schema.paths).map(path => path.split('.')[0]))]
+  .filter(field => field !== '__v');
+
+const submissionSelect = (req, sort) => parseFields(req.query.fields, { allowed: SUBMISSION_FIELDS, sort });
+
 // @desc    Get all sponsored post submissions (Admin)
 // @route   GET /api/sponsored-posts
 // @access  Private (Admin/Moderator)
 export const getAllSponsoredSubmissions = asyncHandler(async (req, res) => {
-  const { status, page = 1, limit = 10, sortBy = 'requestDate', sortOrder = 'desc' } = req.query;
+  const { status, sortBy, sortOrder } = req.query;
   
   try {
     const query = {};
@@ -98,30 +96,23 @@ export const getAllSponsoredSubmissions = asyncHandler(async (req, res) => {
       query.status = status;
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const skip = (page - 1) * limit;
-    
-    const submissions = await SponsoredSubmission.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('assignedTo', 'name email');
+    const sortOptions = buildSort(sortBy, sortOrder, SUBMISSION_SORT_FIELDS);
+    const { limit, cursor, includeTotal } = req.query;
 
-    const total = await SponsoredSubmission.countDocuments(query);
+    const page = await paginateWithCursor(
+      (filter, pageLimit) => SponsoredSubmission.find({ ...query, ...filter })
+        .select(submissionSelect(req, sortOptions))
+        .sort(sortOptions)
+        .limit(pageLimit)
+        .populate('assignedTo', 'name email'),
+      { sort: sortOptions, cursor, limit, count: includeTotal ? () => SponsoredSubmission.countDocuments(query) : null }
+    );
 
     res.status(200).json({
       success: true,
       data: {
-        submissions,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / limit),
-          totalSubmissions: total,
-          hasNext: page * limit < total,
-          hasPrev: page > 1
-        }
+        submissions: page.items,
+        pagination: paginationInfo(page, limit)
       }
     });
 
@@ -139,21 +130,24 @@ export const getAllSponsoredSubmissions = asyncHandler(async (req, res) => {
 // @route   GET /api/sponsored-posts/my
 // @access  Private (Owner)
 export const getMySponsoredSubmissions = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10 } = req.query;
-  const skip = (page - 1) * limit;
-  const ownerId = req.user.userId;
-
-  const [submissions, total] = await Promise.all([
-    SponsoredSubmission.find({ owner: ownerId })
-      .sort({ requestDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit)),
-    SponsoredSubmission.countDocuments({ owner: ownerId })
-  ]);
+  const query = { owner: req.user.userId };
+  const sort = { requestDate: -1, _id: -1 };
+  const { limit, cursor, includeTotal } = req.query;
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => SponsoredSubmission.find({ ...query, ...filter })
+      .select(submissionSelect(req, sort))
+      .sort(sort)
+      .limit(pageLimit),
+    { sort, cursor, limit, count: includeTotal ? () => SponsoredSubmission.countDocuments(query) : null }
+  );
 
   res.status(200).json({
     success: true,
-    data: { submissions, total }
+    data: {
+      submissions: page.items,
+      pagination: paginationInfo(page, limit)
+    }
   });
 });
 
@@ -221,7 +215,8 @@ export const updateSponsoredSubmissionStatus = asyncHandler(async (req, res) =>
     // Allow content updates from sponsor edit link via token
     if (req.body.content && req.body.content.en) {
       const hdr = req.headers['x-edit-token'];
-      if (!hdr && !['admin','moderator'].includes(req.user.role)) {
+      const isReviewer = req.user && (await getRequestPermissions(req)).includes('manage_submissions');
+      if (!hdr && !isReviewer) {
         throw new AuthorizationError('Edit token required');
       }
       if (hdr) {
@@ -234,7 +229,7 @@ export const updateSponsoredSubmissionStatus = asyncHandler(async (req, res) =>
           throw new AuthorizationError('Invalid edit token');
         }
       }
-      if (submission.owner && req.user && submission.owner.toString() !== req.user.userId && !['admin','moderator'].includes(req.user.role)) {
+      if (submission.owner && req.user && submission.owner.toString() !== req.user.userId && !isReviewer) {
         throw new AuthorizationError('Not allowed to edit this submission');
       }
       submission.post.content = submission.post.content || {};
@@ -242,6 +237,8 @@ export const updateSponsoredSubmissionStatus = asyncHandler(async (req, res) =>
     }
 
     await submission.save();
+    notifySubmissionStatus('sponsored_submission_status', submission, oldStatus, req.user.userId);
+    publishSubmissionChange('sponsored', submission, oldStatus);
 
     logger.info('Sponsored submission status updated', {
       submissionId: id,
@@ -368,9 +365,11 @@ export const publishSponsoredPost = asyncHandler(async (req, res) => {
     await blog.save();
 
     // Update submission
+    const previousStatus = submission.status;
     submission.status = 'published';
     submission.publishedBlogId = blog._id;
     await submission.save();
+    publishSubmissionChange('sponsored', submission, previousStatus);
 
     logger.info('Sponsored post published', {
       submissionId: id,
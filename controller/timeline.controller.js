@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import User from '../model/user.model.js';
+import Category from '../model/category.model.js';
+import { asyncHandler, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { paginationInfo } from '../utils/cursorPagination.js';
+import { buildTimelineQuery, feedReasons, fetchTimelinePage } from '../utils/timeline.js';
+
+// Caps per preference list, so the feed query stays bounded
+const LIST_LIMITS = {
+  categories: 100,
+  tags: 50,
+  mutedAuthors: 200,
+  mutedCategories: 100
+};
+
+const PREFERENCE_FIELDS = 'following feedPreferences';
+
+// Preferences with categories and muted users resolved for display
+const loadPreferences = async (userId) => {
+  const user = await User.findById(userId)
+    .select(PREFERENCE_FIELDS)
+    .populate('feedPreferences.categories', 'name slug')
+    .populate('feedPreferences.mutedCategories', 'name slug')
+    .populate('feedPreferences.mutedAuthors', 'name username profileImage')
+    .lean();
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const preferences = user.feedPreferences || {};
+  return {
+    ranking: preferences.ranking || 'chronological',
+    followingCount: (user.following || []).length,
+    categories: preferences.categories || [],
+    tags: preferences.tags || [],
+    mutedAuthors: preferences.mutedAuthors || [],
+    mutedCategories: preferences.mutedCategories || []
+  };
+};
+
+// Add to or remove from one preference list; adding is refused once the list is full
+const updateList = async (userId, list, value, add) => {
+  const path = `feedPreferences.${list}`;
+  if (!add) {
+    await User.updateOne({ _id: userId }, { $pull: { [path]: value } });
+    return;
+  }
+
+  const { matchedCount } = await User.updateOne(
+    { _id: userId, [`${path}.${LIST_LIMITS[list] - 1}`]: { $exists: false } },
+    { $addToSet: { [path]: value } }
+  );
+  if (matchedCount === 0) {
+    // Either the list is full or it already holds the value at the cap
+    const user = await User.findOne({ _id: userId, [path]: value }).select('_id').lean();
+    if (!user) {
+      throw new ValidationError(`You can have at most ${LIST_LIMITS[list]} entries in ${list}`, [
+        { field: list, message: `Maximum ${LIST_LIMITS[list]}` }
+      ]);
+    }
+  }
+};
+
+const respondWithPreferences = async (req, res, message) => {
+  res.status(200).json({
+    success: true,
+    message,
+    data: { preferences: await loadPreferences(req.user.userId) }
+  });
+};
+
+const requireCategory = async (id) => {
+  if (!await Category.exists({ _id: id })) {
+    throw new NotFoundError('Category');
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+// @desc    Personalised feed of followed authors, categories and tags
+// @route   GET /api/feed?lang=en&ranking=engagement&cursor=...
+// @access  Private
+export const getTimeline = asyncHandler(async (req, res) => {
+  const { lang, cursor, limit } = req.query;
+
+  const user = await User.findById(req.user.userId).select(PREFERENCE_FIELDS).lean();
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const ranking = req.query.ranking || user.feedPreferences?.ranking || 'chronological';
+
+  const { query, sources } = await buildTimelineQuery(user, lang);
+  let page = { items: [], nextCursor: null, hasMore: false };
+  if (query) {
+    page = await fetchTimelinePage(query, ranking, lang, { cursor, limit });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      posts: page.items.map(post => ({ ...post, reasons: feedReasons(post, sources, lang) })),
+      ranking,
+      language: lang,
+      // Nothing followed yet: clients can suggest authors, categories or tags to follow
+      isEmpty: !query,
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
+
+// @desc    Feed follows, mutes and ranking
+// @route   GET /api/feed/preferences
+// @access  Private
+export const getFeedPreferences = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { preferences: await loadPreferences(req.user.userId) }
+  });
+});
+
+// @desc    Change the default feed ranking
+// @route   PUT /api/feed/preferences
+// @access  Private
+export const updateFeedPreferences = asyncHandler(async (req, res) => {
+  const { ranking } = req.body;
+
+  await User.updateOne({ _id: req.user.userId }, { $set: { 'feedPreferences.ranking': ranking } });
+  await respondWithPreferences(req, res, 'Feed preferences updated');
+});
+
+// @desc    Follow a category
+// @route   PUT /api/feed/categories/:id
+// @access  Private
+export const followCategory = asyncHandler(async (req, res) => {
+  const categoryId = await requireCategory(req.params.id);
+  await updateList(req.user.userId, 'categories', categoryId, true);
+  await respondWithPreferences(req, res, 'Category followed');
+});
+
+// @desc    Unfollow a category
+// @route   DELETE /api/feed/categories/:id
+// @access  Private
+export const unfollowCategory = asyncHandler(async (req, res) => {
+  await updateList(req.user.userId, 'categories', new mongoose.Types.ObjectId(req.params.id), false);
+  await respondWithPreferences(req, res, 'Category unfollowed');
+});
+
+// @desc    Follow a tag
+// @route   PUT /api/feed/tags/:tag
+// @access  Private
+export const followTag = asyncHandler(async (req, res) => {
+  await updateList(req.user.userId, 'tags', req.params.tag, true);
+  await respondWithPreferences(req, res, 'Tag followed');
+});
+
+// @desc    Unfollow a tag
+// @route   DELETE /api/feed/tags/:tag
+// @access  Private
+export const unfollowTag = asyncHandler(async (req, res) => {
+  await updateList(req.user.userId, 'tags', req.params.tag, false);
+  await respondWithPreferences(req, res, 'Tag unfollowed');
+});
+
+// @desc    Hide an author's posts from the feed
+// @route   PUT /api/feed/mutes/authors/:id
+// @access  Private
+export const muteAuthor = asyncHandler(async (req, res) => {
+  if (req.params.id === req.user.userId) {
+    throw new ValidationError('Cannot mute yourself');
+  }
+  if (!await User.exists({ _id: req.params.id })) {
+    throw new NotFoundError('User');
+  }
+
+  await updateList(req.user.userId, 'mutedAuthors', new mongoose.Types.ObjectId(req.params.id), true);
+  await respondWithPreferences(req, res, 'Author muted');
+});
+
+// @desc    Show an author's posts in the feed again
+// @route   DELETE /api/feed/mutes/authors/:id
+// @access  Private
+export const unmuteAuthor = asyncHandler(async (req, res) => {
+  await updateList(req.user.userId, 'mutedAuthors', new mongoose.Types.ObjectId(req.params.id), false);
+  await respondWithPreferences(req, res, 'Author unmuted');
+});
+
+// @desc    Hide a category's posts from the feed
+// @route   PUT /api/feed/mutes/categories/:id
+// @access  Private
+export const muteCategory = asyncHandler(async (req, res) => {
+  const categoryId = await requireCategory(req.params.id);
+  await updateList(req.user.userId, 'mutedCategories', categoryId, true);
+  await respondWithPreferences(req, res, 'Category muted');
+});
+
+// @desc    Show a category's posts in the feed again
+// @route   DELETE /api/feed/mutes/categories/:id
+// @access  Private
+export const unmuteCategory = asyncHandler(async (req, res) => {
+  await updateList(req.user.userId, 'mutedCategories', new mongoose.Types.ObjectId(req.params.id), false);
+  await respondWithPreferences(req, res, 'Category unmuted');
+});
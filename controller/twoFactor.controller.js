@@ -0,0 +1,205 @@
+import User from '../model/user.model.js';
+import Session from '../model/session.model.js';
+import { asyncHandler, NotFoundError, ValidationError, AuthenticationError } from '../utils/errorHandler.js';
+import { isTwoFactorRequired } from '../utils/securitySettings.js';
+import { recordAuthEvent } from '../utils/authAudit.js';
+import {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  hashBackupCode
+} from '../utils/totp.js';
+
+const ISSUER = 'News and Niche';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const findUserWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  return user;
+};
+
+// Replace the backup codes and return the plain codes, which are only shown once
+const issueBackupCodes = (user) => {
+  const codes = generateBackupCodes();
+  user.twoFactor.backupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// @desc    Get two-factor status for the current user
+// @route   GET /api/users/2fa
+// @access  Private
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0,
+      required: await isTwoFactorRequired(user.role)
+    }
+  });
+});
+
+// @desc    Start enrolment: create a secret and return its otpauth URI
+// @route   POST /api/users/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user.userId);
+
+  if (user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  recordAuthEvent(req, '2fa_setup', user._id, true, { email: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+    }
+  });
+});
+
+// @desc    Finish enrolment by confirming a code from the new secret
+// @route   POST /api/users/2fa/enable
+// @access  Private
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await findUserWithSecrets(req.user.userId);
+
+  if (user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    recordAuthEvent(req, '2fa_enable', user._id, false, { reason: 'invalid_code' });
+    throw new ValidationError('Invalid authentication code', [
+      { field: 'code', message: 'Code does not match the authenticator secret' }
+    ]);
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  const backupCodes = issueBackupCodes(user);
+  await user.save();
+
+  // Other devices signed in with the password alone
+  await Session.revokeAll(user._id, 'revoked_all', { except: req.user.sessionId });
+
+  recordAuthEvent(req, '2fa_enable', user._id, true, { email: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these backup codes somewhere safe',
+    data: { backupCodes }
+  });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/users/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+  const user = await User.findById(req.user.userId).select(`+password ${SECRET_FIELDS}`);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  if (!user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+  if (await isTwoFactorRequired(user.role)) {
+    throw new ValidationError('Two-factor authentication is required for your role and cannot be disabled');
+  }
+  if (!password || !(await user.comparePassword(password))) {
+    throw new AuthenticationError('Password is incorrect');
+  }
+  if (!(await user.verifySecondFactor({ code, backupCode }))) {
+    throw new AuthenticationError('Invalid authentication code');
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.enabledAt = null;
+  await user.save();
+
+  recordAuthEvent(req, '2fa_disable', user._id, true, { email: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/users/2fa/backup-codes
+// @access  Private
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await findUserWithSecrets(req.user.userId);
+
+  if (!user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+  if (!(await user.verifySecondFactor({ code }))) {
+    throw new AuthenticationError('Invalid authentication code');
+  }
+
+  const backupCodes = issueBackupCodes(user);
+  await user.save();
+
+  recordAuthEvent(req, '2fa_backup_codes', user._id, true, { email: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated. Previous codes no longer work',
+    data: { backupCodes }
+  });
+});
+
+// @desc    Reset two-factor authentication for a user who lost their device
+// @route   DELETE /api/users/:id/2fa
+// @access  Private/Admin
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.params.id);
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.enabledAt = null;
+  await user.save();
+
+  await Session.revokeAll(user._id, 'revoked_all');
+
+  recordAuthEvent(req, '2fa_reset', user._id, true, { resetBy: req.user.userId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication reset. The user has been signed out everywhere'
+  });
+});
@@ -1,905 +1,1060 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import User from '../model/user.model.js';
+import User, { USER_LIST_SORTS } from '../model/user.model.js';
+import Session from '../model/session.model.js';
 import logger from '../utils/logger.js';
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { sendEmail } from '../utils/emailService.js';
+import { emailVerificationEmail } from '../utils/emailTemplates.js';
+import { isTwoFactorRequired } from '../utils/securitySettings.js';
+import AuthEvent from '../model/authEvent.model.js';
+import Role, { mergePermissions } from '../model/role.model.js';
+import { recordAuthEvent } from '../utils/authAudit.js';
+import { lockRemainingSeconds, recordLoginFailure, resetLoginFailures } from '../utils/accountLockout.js';
+import { notifyNewFollower } from '../utils/notificationService.js';
+import { paginateWithCursor, parseFields, paginationInfo } from '../utils/cursorPagination.js';
+import {
+  asyncHandler, AppError, ValidationError, AuthenticationError, NotFoundError, ConflictError
+} from '../utils/errorHandler.js';
+
+// Generate a short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId, type: 'access' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m'
+  });
+};
+
+// Start a session for this device and issue its access and refresh tokens
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, req);
+  return { token: generateToken(userId, session._id), refreshToken };
+};
+
+// Same shape as the rate limiter responses, so clients handle both alike
+const lockedResponse = (res, retryAfter) => res.status(429).json({
+  success: false,
+  message: 'Too many failed login attempts. Please try again later',
+  retryAfter
+});
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+// Unexpected failures of account actions still land in the auth audit trail;
+// the expected refusals record their own events with a reason
+const withAuthAudit = (action, handler) => asyncHandler(async (req, res, next) => {
+  try {
+    return await handler(req, res, next);
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      recordAuthEvent(req, action, req.user?.userId || 'unknown', false, { error: error.message });
+    }
+    throw error;
+  }
+});
+
+// Minimum gap between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Create a fresh verification token and email it; callers decide whether a send failure matters
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/${user.language}/verify-email?token=${token}`;
+  const email = emailVerificationEmail({
+    name: user.name,
+    verifyUrl,
+    language: user.language,
+    expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24
   });
+
+  await sendEmail({ to: user.email, ...email });
 };
 
 // @desc    Register a new user
 // @route   POST /api/users/register
 // @access  Public
-export const registerUser = async (req, res) => {
+export const registerUser = withAuthAudit('register', async (req, res) => {
+  const { name, email, password, language } = req.body;
+
+  // Check if user already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError('User with this email already exists');
+  }
+
+  // Determine role: first user is admin, others are user
+  const userCount = await User.countDocuments();
+  const role = userCount === 0 ? 'admin' : 'user';
+
+  // Only allow whitelisted fields
+  const userData = { name, email, password, language, role };
+  const user = await User.create(userData);
+  // Remove password from user object before sending
+  const userObj = user.toObject();
+  delete userObj.password;
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user._id, req);
+
   try {
-    console.log('Register payload:', req.body);
-    const { name, email, password, language = 'en' } = req.body;
-
-    // Check if all required fields are provided
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide name, email and password'
-      });
-    }
+    await sendVerificationEmail(user);
+  } catch (emailError) {
+    // The user can request another email, so signup still succeeds
+    logger.error('Verification email failed', { error: emailError.message, userId: user._id });
+  }
 
-    // Validate language preference
-    if (language && !['en', 'bn'].includes(language)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Language must be either "en" or "bn"'
-      });
-    }
+  recordAuthEvent(req, 'register', user._id, true, { email, language });
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    data: {
+      user: userObj,
+      token,
+      refreshToken
     }
+  });
+});
 
-    // Determine role: first user is admin, others are user
-    const userCount = await User.countDocuments();
-    const role = userCount === 0 ? 'admin' : 'user';
+// @desc    Login user
+// @route   POST /api/users/login
+// @access  Public
+export const loginUser = withAuthAudit('login', async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user by email
+  const user = await User.findOne({ email });
+  if (!user) {
+    recordAuthEvent(req, 'login', 'unknown', false, { email, reason: 'user_not_found' });
+    throw new AuthenticationError('Invalid email or password');
+  }
 
-    // Only allow whitelisted fields
-    const userData = { name, email, password, language, role };
-    const user = await User.create(userData);
-    // Remove password from user object before sending
-    const userObj = user.toObject();
-    delete userObj.password;
+  // Locked accounts are refused before the password is even checked
+  const lockSeconds = lockRemainingSeconds(user);
+  if (lockSeconds > 0) {
+    recordAuthEvent(req, 'login', user._id, false, { email, reason: 'account_locked' });
+    return lockedResponse(res, lockSeconds);
+  }
 
-    // Generate token
-    const token = generateToken(user._id);
+  // Check password
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    recordAuthEvent(req, 'login', user._id, false, { email, reason: 'invalid_password' });
+    const { lockedUntil } = await recordLoginFailure(user, req, 'invalid_password');
+    if (lockedUntil) {
+      return lockedResponse(res, lockRemainingSeconds({ loginSecurity: { lockedUntil } }));
+    }
+    throw new AuthenticationError('Invalid email or password');
+  }
 
-    logger.logAuth('register', user._id, true, { email, language });
+  // Accounts with 2FA get a short-lived challenge instead of a session
+  if (user.twoFactor?.enabled) {
+    const challengeToken = jwt.sign(
+      { userId: user._id, type: '2fa_challenge' },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+
+    recordAuthEvent(req, 'login_2fa_challenge', user._id, true, { email });
 
-    res.status(201).json({
+    return res.status(200).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'Two-factor authentication required',
       data: {
-        user: userObj,
-        token
+        twoFactorRequired: true,
+        challengeToken
       }
     });
+  }
 
-  } catch (error) {
-    console.error('Register error:', error);
-    logger.logAuth('register', 'unknown', false, { error: error.message });
-    
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
-    }
+  // 2FA accounts keep their failure count until the second step succeeds
+  await resetLoginFailures(user);
 
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-};
+  // Remove password from user object before sending
+  const userObj = user.toObject();
+  delete userObj.password;
 
-// @desc    Login user
-// @route   POST /api/users/login
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user._id, req);
+
+  recordAuthEvent(req, 'login', user._id, true, { email, language: user.language });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userObj,
+      token,
+      refreshToken,
+      twoFactorSetupRequired: await isTwoFactorRequired(user.role)
+    }
+  });
+});
+
+// @desc    Second login step for accounts with two-factor authentication
+// @route   POST /api/users/login/2fa
 // @access  Public
-export const loginUser = async (req, res) => {
+export const verifyTwoFactorLogin = withAuthAudit('login_2fa', async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  let decoded;
   try {
-    console.log('Login payload:', req.body);
-    const { email, password } = req.body;
-
-    // Check if email and password are provided
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    throw new AuthenticationError('Login challenge expired. Please log in again');
+  }
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      logger.logAuth('login', 'unknown', false, { email, reason: 'user_not_found' });
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+  if (decoded.type !== '2fa_challenge') {
+    throw new AuthenticationError('Invalid challenge token');
+  }
+
+  const user = await User.findById(decoded.userId)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor?.enabled) {
+    throw new AuthenticationError('Invalid challenge token');
+  }
+
+  const lockSeconds = lockRemainingSeconds(user);
+  if (lockSeconds > 0) {
+    recordAuthEvent(req, 'login_2fa', user._id, false, { email: user.email, reason: 'account_locked' });
+    return lockedResponse(res, lockSeconds);
+  }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      logger.logAuth('login', user._id, false, { email, reason: 'invalid_password' });
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+  const method = await user.verifySecondFactor({ code, backupCode });
+  if (!method) {
+    recordAuthEvent(req, 'login_2fa', user._id, false, { email: user.email, reason: 'invalid_code' });
+    const { lockedUntil } = await recordLoginFailure(user, req, 'invalid_2fa_code');
+    if (lockedUntil) {
+      return lockedResponse(res, lockRemainingSeconds({ loginSecurity: { lockedUntil } }));
     }
+    throw new AuthenticationError('Invalid authentication code');
+  }
 
-    // Remove password from user object before sending
-    const userObj = user.toObject();
-    delete userObj.password;
+  await resetLoginFailures(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+  const userObj = user.toJSON();
+  delete userObj.password;
 
-    logger.logAuth('login', user._id, true, { email, language: user.language });
+  const { token, refreshToken } = await issueTokens(user._id, req);
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: userObj,
-        token
-      }
-    });
+  recordAuthEvent(req, 'login', user._id, true, { email: user.email, language: user.language, method });
 
-  } catch (error) {
-    console.error('Login error:', error);
-    logger.logAuth('login', 'unknown', false, { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-};
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userObj,
+      token,
+      refreshToken,
+      backupCodesRemaining: method === 'backup_code' ? user.twoFactor.backupCodes.length - 1 : undefined
+    }
+  });
+});
 
 // @desc    Get current user profile
 // @route   GET /api/users/profile
 // @access  Private
-export const getUserProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      data: { user }
-    });
-
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+export const getUserProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  
+  if (!user) {
+    throw new NotFoundError('User');
   }
-};
+
+  res.status(200).json({
+    success: true,
+    data: { user }
+  });
+});
 
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
-export const updateUserProfile = async (req, res) => {
-  try {
-    const { 
-      name, 
-      username, 
-      email, 
-      bio, 
-      location, 
-      website, 
-      socialLinks, 
-      profileImage,
-      language 
-    } = req.body;
-    
-    const updateData = {};
-
-    // Basic fields
-    if (name !== undefined) updateData.name = name;
-    if (username !== undefined) updateData.username = username;
-    if (email !== undefined) updateData.email = email;
-    if (bio !== undefined) updateData.bio = bio;
-    if (location !== undefined) updateData.location = location;
-    if (website !== undefined) updateData.website = website;
-    if (profileImage !== undefined) updateData.profileImage = profileImage;
-    
-    // Social links
-    if (socialLinks) {
-      updateData.socialLinks = {
-        twitter: socialLinks.twitter || '',
-        linkedin: socialLinks.linkedin || '',
-        github: socialLinks.github || ''
-      };
-    }
+export const updateUserProfile = asyncHandler(async (req, res) => {
+  const { 
+    name, 
+    username, 
+    email, 
+    bio, 
+    location, 
+    website, 
+    socialLinks, 
+    profileImage,
+    language,
+    emailNotifications
+  } = req.body;
+  
+  const updateData = {};
+  const emailChanged = email !== undefined && email !== req.user.email;
+
+  // Basic fields
+  if (name !== undefined) updateData.name = name;
+  if (username !== undefined) updateData.username = username;
+  if (emailChanged) {
+    // A new address has to be verified again before it counts
+    updateData.email = email;
+    updateData.emailVerified = false;
+  }
+  if (bio !== undefined) updateData.bio = bio;
+  if (location !== undefined) updateData.location = location;
+  if (website !== undefined) updateData.website = website;
+  if (profileImage !== undefined) updateData.profileImage = profileImage;
+  
+  // Social links
+  if (socialLinks) {
+    updateData.socialLinks = {
+      twitter: socialLinks.twitter || '',
+      linkedin: socialLinks.linkedin || '',
+      github: socialLinks.github || ''
+    };
+  }
 
-    // Language validation
-    if (language) {
-      if (!['en', 'bn'].includes(language)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Language must be either "en" or "bn"'
-        });
-      }
-      updateData.language = language;
+  // Email notification preferences: the route schema keeps only known switches
+  if (emailNotifications) {
+    for (const [key, enabled] of Object.entries(emailNotifications)) {
+      updateData[`emailNotifications.${key}`] = enabled;
     }
+  }
 
-    // Check if username is being changed and if it's already taken
-    if (username && username !== req.user.username) {
-      const existingUser = await User.findOne({ username });
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Username is already taken'
-        });
-      }
-    }
+  if (language) updateData.language = language;
 
-    // Check if email is being changed and if it's already taken
-    if (email && email !== req.user.email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email is already taken'
-        });
-      }
+  // Check if username is being changed and if it's already taken
+  if (username && username !== req.user.username) {
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      throw new ConflictError('Username is already taken');
     }
+  }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updateData,
-      { new: true, runValidators: true }
-    );
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+  // Check if email is being changed and if it's already taken
+  if (emailChanged) {
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      throw new ConflictError('Email is already taken');
     }
+  }
 
-    logger.info('User profile updated', { userId: req.user.userId, updates: Object.keys(updateData) });
+  const user = await User.findByIdAndUpdate(
+    req.user.userId,
+    updateData,
+    { new: true, runValidators: true }
+  );
 
-    res.status(200).json({
-      success: true,
-      message: 'Profile updated successfully',
-      data: { user }
-    });
+  if (!user) {
+    throw new NotFoundError('User');
+  }
 
-  } catch (error) {
-    console.error('Update profile error:', error);
-    
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: messages.join(', ')
-      });
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      // The user can request another email, so the update still succeeds
+      logger.error('Verification email failed', { error: emailError.message, userId: user._id });
     }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
   }
-};
 
-// @desc    Get all users (Admin only)
-// @route   GET /api/users
-// @access  Private (Admin only)
-export const getAllUsers = async (req, res) => {
-  try {
-    // Check if current user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can view all users'
-      });
-    }
+  logger.info('User profile updated', { userId: req.user.userId, updates: Object.keys(updateData) });
 
-    const { page = 1, limit = 20, role, search, sort = 'createdAt' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: { user }
+  });
+});
 
-    // Build query
-    let query = {};
-    
-    if (role) {
-      query.role = role;
-    }
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { username: { $regex: search, $options: 'i' } }
-      ];
-    }
+// Fields the user list may be narrowed to with ?fields=
+const USER_LIST_FIELDS = [
+  'name', 'email', 'username', 'displayName', 'role', 'isActive', 'isVerified', 'emailVerified', 'lastLogin',
+  'profileImage', 'bio', 'language', 'totalViews', 'totalLikes', 'totalComments', 'isPremium', 'createdAt', 'updatedAt'
+];
 
-    // Build sort object
-    let sortObj = {};
-    switch (sort) {
-      case 'name':
-        sortObj = { name: 1 };
-        break;
-      case 'email':
-        sortObj = { email: 1 };
-        break;
-      case 'role':
-        sortObj = { role: 1 };
-        break;
-      case 'lastLogin':
-        sortObj = { lastLogin: -1 };
-        break;
-      default:
-        sortObj = { createdAt: -1 };
-    }
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (list_users)
+export const getAllUsers = asyncHandler(async (req, res) => {
+  const { role, search, sort } = req.query;
+  const { limit, cursor, includeTotal } = req.query;
+
+  // Build query
+  let query = {};
+  
+  if (role) {
+    query.role = role;
+  }
+  
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { username: { $regex: search, $options: 'i' } }
+    ];
+  }
 
-    const users = await User.find(query)
-      .select('-password -verificationToken -emailVerificationToken')
+  const sortObj = USER_LIST_SORTS[sort];
+  const select = parseFields(req.query.fields, { allowed: USER_LIST_FIELDS, sort: sortObj })
+    || '-password -verificationToken -emailVerificationToken';
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => User.find({ $and: [query, filter] })
+      .select(select)
       .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit));
+      .limit(pageLimit),
+    { sort: sortObj, cursor, limit, count: includeTotal ? () => User.countDocuments(query) : null }
+  );
+
+  // Get role statistics
+  const roleStats = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: page.items,
+      pagination: paginationInfo(page, limit),
+      roleStats: roleStats.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {})
+    }
+  });
+});
 
-    const total = await User.countDocuments(query);
+// @desc    Update user role
+// @route   PUT /api/users/:id/role
+// @access  Private (manage_roles)
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Validate role against the Role collection
+  const roleDoc = typeof role === 'string' ? await Role.getRole(role) : null;
+  if (!roleDoc) {
+    const roleMap = await Role.getRoleMap();
+    throw new ValidationError(`Invalid role. Must be one of: ${[...roleMap.keys()].join(', ')}`);
+  }
 
-    // Get role statistics
-    const roleStats = await User.aggregate([
-      { $group: { _id: '$role', count: { $sum: 1 } } }
-    ]);
+  // Prevent role managers from locking themselves out
+  if (id === req.user.userId) {
+    const self = await User.findById(id).select('permissions deniedPermissions');
+    if (!mergePermissions(roleDoc.permissions, self?.permissions, self?.deniedPermissions).includes('manage_roles')) {
+      throw new ValidationError('Cannot remove your own role management access');
+    }
+  }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        users,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / parseInt(limit))
-        },
-        roleStats: roleStats.reduce((acc, stat) => {
-          acc[stat._id] = stat.count;
-          return acc;
-        }, {})
-      }
-    });
+  // Find and update user
+  const user = await User.findByIdAndUpdate(
+    id,
+    { role: roleDoc.name },
+    { new: true, runValidators: true }
+  ).select('-password');
 
-  } catch (error) {
-    console.error('Get all users error:', error);
-    logger.error('Get all users failed', { error: error.message, adminId: req.user?.userId });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  if (!user) {
+    throw new NotFoundError('User');
   }
-};
 
-// @desc    Update user role (Admin only)
-// @route   PUT /api/users/:id/role
-// @access  Private (Admin only)
-export const updateUserRole = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { role } = req.body;
-
-    // Check if current user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins can update user roles'
-      });
-    }
+  logger.info('User role updated', { 
+    adminId: req.user.userId, 
+    userId: id, 
+    oldRole: user.role, 
+    newRole: role 
+  });
 
-    // Validate role
-    const validRoles = ['user', 'editor', 'moderator', 'admin'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role. Must be one of: user, editor, moderator, admin'
-      });
-    }
+  res.status(200).json({
+    success: true,
+    message: `User role updated to ${role}`,
+    data: { user }
+  });
+});
 
-    // Prevent admin from demoting themselves
-    if (id === req.user.userId && role !== 'admin') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot demote yourself from admin role'
-      });
-    }
+// @desc    Update user status (admin only)
+// @route   PUT /api/users/:id/status
+// @access  Private/Admin
+export const updateUserStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { isActive } = req.body;
+  
+  const user = await User.findByIdAndUpdate(
+    id,
+    { isActive },
+    { new: true, runValidators: true }
+  ).select('-password');
+  
+  if (!user) {
+    throw new NotFoundError('User');
+  }
 
-    // Find and update user
-    const user = await User.findByIdAndUpdate(
-      id,
-      { role },
-      { new: true, runValidators: true }
-    ).select('-password');
+  if (!isActive) {
+    await Session.revokeAll(user._id, 'account_disabled');
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'User status updated successfully',
+    data: { user }
+  });
+});
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+// @desc    Unlock an account locked after failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lastFailedAt': null, 'loginSecurity.lockedUntil': null } },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    throw new NotFoundError('User');
+  }
 
-    logger.info('User role updated', { 
-      adminId: req.user.userId, 
-      userId: id, 
-      oldRole: user.role, 
-      newRole: role 
-    });
+  recordAuthEvent(req, 'account_unlock', user._id, true, { email: user.email, unlockedBy: req.user.userId });
 
-    res.status(200).json({
-      success: true,
-      message: `User role updated to ${role}`,
-      data: { user }
-    });
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked successfully',
+    data: { user }
+  });
+});
 
-  } catch (error) {
-    console.error('Update user role error:', error);
-    logger.error('User role update failed', { 
-      error: error.message, 
-      adminId: req.user?.userId,
-      userId: req.params.id 
-    });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-};
+const AUTH_EVENT_SORT = { createdAt: -1, _id: -1 };
 
-// @desc    Update user status (admin only)
-// @route   PUT /api/users/:id/status
+// @desc    Authentication audit trail (admin only)
+// @route   GET /api/users/auth-events
 // @access  Private/Admin
-export const updateUserStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { isActive } = req.body;
-    
-    if (typeof isActive !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        message: 'isActive must be a boolean value'
-      });
-    }
-    
-    const user = await User.findByIdAndUpdate(
-      id,
-      { isActive },
-      { new: true, runValidators: true }
-    ).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    res.status(200).json({
-      success: true,
-      message: 'User status updated successfully',
-      data: { user }
-    });
-
-  } catch (error) {
-    console.error('Update user status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+export const getAuthEvents = asyncHandler(async (req, res) => {
+  const { limit, cursor, includeTotal, user, email, ip, action, success, from, to } = req.query;
+
+  const query = {};
+  if (user) query.user = user;
+  if (email) query.email = email;
+  if (ip) query.ip = ip;
+  if (action) query.action = action;
+  if (success !== undefined) query.success = success;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
   }
-};
+
+  const page = await paginateWithCursor(
+    (filter, pageLimit) => AuthEvent.find({ $and: [query, filter] })
+      .populate('user', 'name email username')
+      .sort(AUTH_EVENT_SORT)
+      .limit(pageLimit)
+      .lean(),
+    { sort: AUTH_EVENT_SORT, cursor, limit, count: includeTotal ? () => AuthEvent.countDocuments(query) : null }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events: page.items,
+      pagination: paginationInfo(page, limit)
+    }
+  });
+});
 
 // @desc    Delete user (admin only)
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
-export const deleteUser = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Prevent deleting own account
-    if (id === req.user.userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot delete your own account'
-      });
-    }
-    
-    const user = await User.findByIdAndDelete(id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    res.status(200).json({
-      success: true,
-      message: 'User deleted successfully'
-    });
-
-  } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+export const deleteUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  // Prevent deleting own account
+  if (id === req.user.userId) {
+    throw new ValidationError('Cannot delete your own account');
   }
-};
+  
+  const user = await User.findByIdAndDelete(id);
+  
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  
+  await Session.deleteMany({ user: user._id });
+  
+  res.status(200).json({
+    success: true,
+    message: 'User deleted successfully'
+  });
+});
 
 // @desc    Get user profile by username
 // @route   GET /api/users/profile/:username
 // @access  Public
-export const getUserProfileByUsername = async (req, res) => {
-  try {
-    const { username } = req.params;
+export const getUserProfileByUsername = asyncHandler(async (req, res) => {
+  const { username } = req.params;
 
-    const user = await User.findOne({ username })
-      .select('-password -verificationToken -emailVerificationToken')
-      .populate('followers', 'name username profileImage')
-      .populate('following', 'name username profileImage');
+  const user = await User.findOne({ username })
+    .select('-password -verificationToken -emailVerificationToken')
+    .populate('followers', 'name username profileImage')
+    .populate('following', 'name username profileImage');
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  // Get user's blogs count
+  const blogsCount = await mongoose.model('Blog').countDocuments({
+    'author.user': user._id,
+    status: 'published'
+  });
+
+  // Get user's comments count
+  const commentsCount = await mongoose.model('Comment').countDocuments({
+    author: user._id,
+    isApproved: true
+  });
+
+  const profileData = {
+    ...user.toJSON(),
+    stats: {
+      blogsCount,
+      commentsCount,
+      followerCount: user.followers.length,
+      followingCount: user.following.length
     }
+  };
 
-    // Get user's blogs count
-    const blogsCount = await mongoose.model('Blog').countDocuments({
-      'author.user': user._id,
-      status: 'published'
-    });
+  res.status(200).json({
+    success: true,
+    data: { user: profileData }
+  });
+});
 
-    // Get user's comments count
-    const commentsCount = await mongoose.model('Comment').countDocuments({
-      author: user._id,
-      isApproved: true
-    });
+// @desc    Follow/Unfollow user
+// @route   POST /api/users/:id/follow
+// @access  Private
+export const toggleFollow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUserId = req.user.userId;
 
-    const profileData = {
-      ...user.toJSON(),
-      stats: {
-        blogsCount,
-        commentsCount,
-        followerCount: user.followers.length,
-        followingCount: user.following.length
-      }
-    };
+  // Cannot follow yourself
+  if (id === currentUserId) {
+    throw new ValidationError('Cannot follow yourself');
+  }
+
+  const currentUser = await User.findById(currentUserId);
+  const targetUser = await User.findById(id);
 
+  if (!targetUser) {
+    throw new NotFoundError('User');
+  }
+
+  const isFollowing = currentUser.isFollowing(id);
+
+  if (isFollowing) {
+    await currentUser.unfollow(id);
     res.status(200).json({
       success: true,
-      data: { user: profileData }
+      message: 'Unfollowed successfully',
+      data: { following: false }
     });
-
-  } catch (error) {
-    console.error('Get user profile error:', error);
-    logger.error('Get user profile failed', { error: error.message, username: req.params.username });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+  } else {
+    await currentUser.follow(id);
+    notifyNewFollower(currentUserId, id);
+    res.status(200).json({
+      success: true,
+      message: 'Followed successfully',
+      data: { following: true }
     });
   }
-};
+}); 
 
-// @desc    Follow/Unfollow user
-// @route   POST /api/users/:id/follow
+// @desc    Change password
+// @route   PUT /api/users/change-password
 // @access  Private
-export const toggleFollow = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const currentUserId = req.user.userId;
-
-    // Cannot follow yourself
-    if (id === currentUserId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot follow yourself'
-      });
-    }
+export const changePassword = withAuthAudit('password_change', async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-    const currentUser = await User.findById(currentUserId);
-    const targetUser = await User.findById(id);
+  // Get user with password
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
 
-    if (!targetUser) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  // Verify current password
+  const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+  if (!isCurrentPasswordValid) {
+    throw new ValidationError('Current password is incorrect');
+  }
+
+  // Update password
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every device, then start a fresh session for this one
+  await Session.revokeAll(user._id, 'password_change');
+  const { token, refreshToken } = await issueTokens(user._id, req);
 
-    const isFollowing = currentUser.isFollowing(id);
-
-    if (isFollowing) {
-      await currentUser.unfollow(id);
-      res.status(200).json({
-        success: true,
-        message: 'Unfollowed successfully',
-        data: { following: false }
-      });
-    } else {
-      await currentUser.follow(id);
-      res.status(200).json({
-        success: true,
-        message: 'Followed successfully',
-        data: { following: true }
-      });
+  recordAuthEvent(req, 'password_change', user._id, true, { email: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully',
+    data: {
+      token,
+      refreshToken
     }
+  });
+});
 
-  } catch (error) {
-    console.error('Toggle follow error:', error);
-    logger.error('Toggle follow failed', { error: error.message, userId: req.user?.userId });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+// @desc    Forgot password - send reset email
+// @route   POST /api/users/forgot-password
+// @access  Public
+export const forgotPassword = withAuthAudit('forgot_password', async (req, res) => {
+  const { email } = req.body;
+
+  // Find user
+  const user = await User.findOne({ email });
+  if (!user) {
+    // Don't reveal if user exists or not for security
+    return res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
     });
   }
-}; 
 
-// @desc    Change password
-// @route   PUT /api/users/change-password
-// @access  Private
-export const changePassword = async (req, res) => {
+  // Generate reset token (link) and OTP code
+  const resetToken = jwt.sign(
+    { userId: user._id, type: 'password_reset' },
+    process.env.JWT_SECRET,
+    { expiresIn: '1h' }
+  );
+  const otpCode = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit
+  const otpHash = await bcrypt.hash(otpCode, 12);
+
+  // Save token and OTP to user
+  user.resetPasswordToken = resetToken;
+  user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+  user.resetPasswordOTPHash = otpHash;
+  user.resetPasswordOTPExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  user.resetPasswordOTPTryCount = 0;
+  user.lastResetOTPAt = new Date();
+  await user.save();
+
+  // Send email
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+  
+  const emailContent = {
+    to: user.email,
+    subject: 'Password Reset Request - News and Niche',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1976d2;">Password Reset Request</h2>
+        <p>Hello ${user.name},</p>
+        <p>You requested a password reset for your News and Niche account.</p>
+        <p>Click the button below to reset your password:</p>
+        <a href="${resetUrl}" style="display: inline-block; background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; margin: 20px 0;">Reset Password</a>
+        <p>This link will expire in 1 hour.</p>
+        <p>If you didn't request this reset, please ignore this email.</p>
+        <p>Best regards,<br>The News and Niche Team</p>
+        <p>Your one-time code (valid for 10 minutes): <strong style="font-size:18px; letter-spacing:2px;">${otpCode}</strong></p>
+        <p>Alternatively, you can reset via the link above if you prefer.</p>
+      </div>
+    `,
+    text: `
+      Password Reset Request
+      
+      Hello ${user.name},
+      
+      You requested a password reset for your News and Niche account.
+      
+      Click the link below to reset your password, or use the one-time code below:
+      ${resetUrl}
+      
+      OTP Code (valid 10 minutes): ${otpCode}
+      
+      This link will expire in 1 hour.
+      
+      If you didn't request this reset, please ignore this email.
+      
+      Best regards,
+      The News and Niche Team
+    `
+  };
+
   try {
-    const { currentPassword, newPassword } = req.body;
-
-    // Validate input
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide current password and new password'
-      });
+    const { sendEmail } = await import('../utils/emailService.js');
+    await sendEmail(emailContent);
+  } catch (emailError) {
+    logger.error('Password reset email failed', { error: emailError.message, userId: user._id });
+    // Don't fail the request if email fails
+  }
+
+  recordAuthEvent(req, 'forgot_password', user._id, true, { email });
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  });
+});
+
+// @desc    Reset password with token
+// @route   POST /api/users/reset-password
+// @access  Public
+export const resetPassword = withAuthAudit('password_reset', async (req, res) => {
+  const { token, newPassword, email, otp } = req.body;
+
+  // Path A: Token-based reset
+  if (token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      throw new ValidationError('Invalid or expired reset token');
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 6 characters long'
-      });
+    if (decoded.type !== 'password_reset') {
+      throw new ValidationError('Invalid token type');
     }
 
-    // Get user with password
-    const user = await User.findById(req.user.userId);
+    const user = await User.findOne({
+      _id: decoded.userId,
+      resetPasswordToken: token,
+      resetPasswordExpires: { $gt: Date.now() }
+    });
+
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+      throw new ValidationError('Invalid or expired reset token');
     }
 
-    // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    if (!isCurrentPasswordValid) {
-      return res.status(400).json({
-        success: false,
-        message: 'Current password is incorrect'
-      });
+    user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    user.resetPasswordOTPHash = undefined;
+    user.resetPasswordOTPExpires = undefined;
+    user.resetPasswordOTPTryCount = 0;
+    await user.save();
+    await Session.revokeAll(user._id, 'password_reset');
+
+    recordAuthEvent(req, 'password_reset', user._id, true, { email: user.email, method: 'token' });
+    return res.status(200).json({ success: true, message: 'Password reset successfully' });
+  }
+
+  // Path B: OTP-based reset
+  if (email && otp) {
+    const user = await User.findOne({ email });
+    if (!user || !user.resetPasswordOTPHash || !user.resetPasswordOTPExpires) {
+      throw new ValidationError('Invalid or expired OTP');
+    }
+    if (user.resetPasswordOTPTryCount >= 5) {
+      throw new AppError('Too many attempts. Please request a new code.', 429);
+    }
+    if (user.resetPasswordOTPExpires < new Date()) {
+      throw new ValidationError('OTP expired. Please request a new code.');
+    }
+    const ok = await bcrypt.compare(otp, user.resetPasswordOTPHash);
+    user.resetPasswordOTPTryCount += 1;
+    if (!ok) {
+      await user.save();
+      throw new ValidationError('Invalid OTP');
     }
 
-    // Update password
     user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    user.resetPasswordOTPHash = undefined;
+    user.resetPasswordOTPExpires = undefined;
+    user.resetPasswordOTPTryCount = 0;
     await user.save();
+    await Session.revokeAll(user._id, 'password_reset');
 
-    logger.logAuth('password_change', user._id, true, { email: user.email });
+    recordAuthEvent(req, 'password_reset', user._id, true, { email: user.email, method: 'otp' });
+    return res.status(200).json({ success: true, message: 'Password reset successfully' });
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Password changed successfully'
-    });
+  throw new ValidationError('Provide reset token or email+otp');
+});
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/users/refresh-token
+// @access  Public
+export const refreshSession = withAuthAudit('refresh_token', async (req, res) => {
+  const { refreshToken } = req.body;
 
-  } catch (error) {
-    console.error('Change password error:', error);
-    logger.logAuth('password_change', req.user?.userId, false, { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
+  const result = await Session.rotate(refreshToken, req);
+
+  if (result.status === 'reused') {
+    recordAuthEvent(req, 'refresh_token_reuse', result.session.user, false, {
+      sessionId: result.session._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
     });
+    throw new AuthenticationError('Refresh token has already been used. Please log in again');
   }
-};
 
-// @desc    Forgot password - send reset email
-// @route   POST /api/users/forgot-password
-// @access  Public
-export const forgotPassword = async (req, res) => {
-  try {
-    const { email } = req.body;
+  if (result.status !== 'rotated') {
+    throw new AuthenticationError('Invalid or expired refresh token');
+  }
 
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide an email address'
-      });
-    }
+  const { session } = result;
+  const user = await User.findById(session.user).select('_id');
+  if (!user) {
+    await Session.revokeAll(session.user, 'revoked');
+    throw new AuthenticationError('Invalid or expired refresh token');
+  }
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      // Don't reveal if user exists or not for security
-      return res.status(200).json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent'
-      });
+  recordAuthEvent(req, 'refresh_token', user._id, true, { sessionId: session._id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: generateToken(user._id, session._id),
+      refreshToken: result.refreshToken
     }
+  });
+});
 
-    // Generate reset token (link) and OTP code
-    const resetToken = jwt.sign(
-      { userId: user._id, type: 'password_reset' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-    const otpCode = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit
-    const otpHash = await bcrypt.hash(otpCode, 12);
-
-    // Save token and OTP to user
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    user.resetPasswordOTPHash = otpHash;
-    user.resetPasswordOTPExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-    user.resetPasswordOTPTryCount = 0;
-    user.lastResetOTPAt = new Date();
-    await user.save();
+// @desc    Log out the current session
+// @route   POST /api/users/logout
+// @access  Private
+export const logoutUser = withAuthAudit('logout', async (req, res) => {
+  await Session.updateOne(
+    { _id: req.user.sessionId, user: req.user.userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
 
-    // Send email
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    
-    const emailContent = {
-      to: user.email,
-      subject: 'Password Reset Request - News and Niche',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #1976d2;">Password Reset Request</h2>
-          <p>Hello ${user.name},</p>
-          <p>You requested a password reset for your News and Niche account.</p>
-          <p>Click the button below to reset your password:</p>
-          <a href="${resetUrl}" style="display: inline-block; background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; margin: 20px 0;">Reset Password</a>
-          <p>This link will expire in 1 hour.</p>
-          <p>If you didn't request this reset, please ignore this email.</p>
-          <p>Best regards,<br>The News and Niche Team</p>
-          <p>Your one-time code (valid for 10 minutes): <strong style="font-size:18px; letter-spacing:2px;">${otpCode}</strong></p>
-          <p>Alternatively, you can reset via the link above if you prefer.</p>
-        </div>
-      `,
-      text: `
-        Password Reset Request
-        
-        Hello ${user.name},
-        
-        You requested a password reset for your News and Niche account.
-        
-        Click the link below to reset your password, or use the one-time code below:
-        ${resetUrl}
-        
-        OTP Code (valid 10 minutes): ${otpCode}
-        
-        This link will expire in 1 hour.
-        
-        If you didn't request this reset, please ignore this email.
-        
-        Best regards,
-        The News and Niche Team
-      `
-    };
+  recordAuthEvent(req, 'logout', req.user.userId, true, { sessionId: req.user.sessionId });
 
-    try {
-      const { sendEmail } = await import('../utils/emailService.js');
-      await sendEmail(emailContent);
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the request if email fails
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/users/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ip lastSeenAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.user.sessionId
+      }))
     }
+  });
+});
 
-    logger.logAuth('forgot_password', user._id, true, { email });
+// @desc    Revoke one session
+// @route   DELETE /api/users/sessions/:id
+// @access  Private
+export const revokeSession = withAuthAudit('session_revoke', async (req, res) => {
+  const { id } = req.params;
 
-    res.status(200).json({
-      success: true,
-      message: 'If an account with that email exists, a password reset link has been sent'
-    });
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError('Session');
+  }
 
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    logger.logAuth('forgot_password', 'unknown', false, { error: error.message });
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  const result = await Session.updateOne(
+    { _id: id, user: req.user.userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new NotFoundError('Session');
   }
-};
 
-// @desc    Reset password with token
-// @route   POST /api/users/reset-password
-// @access  Public
-export const resetPassword = async (req, res) => {
-  try {
-    const { token, newPassword, email, otp } = req.body;
+  recordAuthEvent(req, 'session_revoke', req.user.userId, true, { sessionId: id });
 
-    if (!newPassword || newPassword.length < 6) {
-      return res.status(400).json({ success: false, message: 'New password must be at least 6 characters long' });
-    }
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
 
-    // Path A: Token-based reset
-    if (token) {
-      let decoded;
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-      } catch (jwtError) {
-        return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
-      }
+// @desc    Revoke all sessions; ?keepCurrent=true keeps this device signed in
+// @route   DELETE /api/users/sessions
+// @access  Private
+export const revokeAllSessions = withAuthAudit('session_revoke_all', async (req, res) => {
+  const { keepCurrent } = req.query;
 
-      if (decoded.type !== 'password_reset') {
-        return res.status(400).json({ success: false, message: 'Invalid token type' });
-      }
+  const result = await Session.revokeAll(req.user.userId, 'revoked_all', {
+    except: keepCurrent ? req.user.sessionId : null
+  });
 
-      const user = await User.findOne({
-        _id: decoded.userId,
-        resetPasswordToken: token,
-        resetPasswordExpires: { $gt: Date.now() }
-      });
+  recordAuthEvent(req, 'session_revoke_all', req.user.userId, true, {
+    revoked: result.modifiedCount,
+    keepCurrent
+  });
 
-      if (!user) {
-        return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
-      }
+  res.status(200).json({
+    success: true,
+    message: 'Sessions revoked successfully',
+    data: { revoked: result.modifiedCount }
+  });
+});
 
-      user.password = newPassword;
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpires = undefined;
-      user.resetPasswordOTPHash = undefined;
-      user.resetPasswordOTPExpires = undefined;
-      user.resetPasswordOTPTryCount = 0;
-      await user.save();
+// @desc    Confirm an email address
+// @route   POST /api/users/verify-email
+// @access  Public
+export const verifyEmail = withAuthAudit('email_verify', async (req, res) => {
+  const { token } = req.body;
 
-      logger.logAuth('password_reset', user._id, true, { email: user.email, method: 'token' });
-      return res.status(200).json({ success: true, message: 'Password reset successfully' });
-    }
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const user = await User.findOne({
+    emailVerificationToken: tokenHash,
+    emailVerificationExpires: { $gt: new Date() }
+  });
 
-    // Path B: OTP-based reset
-    if (email && otp) {
-      const user = await User.findOne({ email });
-      if (!user || !user.resetPasswordOTPHash || !user.resetPasswordOTPExpires) {
-        return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
-      }
-      if (user.resetPasswordOTPTryCount >= 5) {
-        return res.status(429).json({ success: false, message: 'Too many attempts. Please request a new code.' });
-      }
-      if (user.resetPasswordOTPExpires < new Date()) {
-        return res.status(400).json({ success: false, message: 'OTP expired. Please request a new code.' });
-      }
-      const ok = await bcrypt.compare(otp, user.resetPasswordOTPHash);
-      user.resetPasswordOTPTryCount += 1;
-      if (!ok) {
-        await user.save();
-        return res.status(400).json({ success: false, message: 'Invalid OTP' });
-      }
+  if (!user) {
+    recordAuthEvent(req, 'email_verify', 'unknown', false, { reason: 'invalid_or_expired_token' });
+    throw new ValidationError('Invalid or expired verification token');
+  }
 
-      user.password = newPassword;
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpires = undefined;
-      user.resetPasswordOTPHash = undefined;
-      user.resetPasswordOTPExpires = undefined;
-      user.resetPasswordOTPTryCount = 0;
-      await user.save();
+  user.emailVerified = true;
+  user.emailVerificationToken = null;
+  user.emailVerificationExpires = null;
+  await user.save();
 
-      logger.logAuth('password_reset', user._id, true, { email: user.email, method: 'otp' });
-      return res.status(200).json({ success: true, message: 'Password reset successfully' });
-    }
+  recordAuthEvent(req, 'email_verify', user._id, true, { email: user.email });
 
-    return res.status(400).json({ success: false, message: 'Provide reset token or email+otp' });
-  } catch (error) {
-    console.error('Reset password error:', error);
-    logger.logAuth('password_reset', 'unknown', false, { error: error.message });
-    res.status(500).json({ success: false, message: 'Server error' });
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+// @desc    Resend the verification email
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+export const resendVerificationEmail = withAuthAudit('email_verification_resend', async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  if (user.emailVerified) {
+    throw new ValidationError('Email is already verified');
   }
-};
\ No newline at end of file
+
+  const elapsed = user.emailVerificationSentAt ? Date.now() - user.emailVerificationSentAt.getTime() : Infinity;
+  if (elapsed < VERIFICATION_RESEND_COOLDOWN_MS) {
+    return res.status(429).json({
+      success: false,
+      message: 'Please wait before requesting another verification email',
+      retryAfter: Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - elapsed) / 1000)
+    });
+  }
+
+  await sendVerificationEmail(user);
+
+  recordAuthEvent(req, 'email_verification_resend', user._id, true, { email: user.email });
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
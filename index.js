@@ -6,16 +6,15 @@ import express from 'express';
 import morgan from 'morgan';
 import cors from 'cors';
 import connectDB from './config/db.js';
-import userRoutes from './routes/user.route.js';
-import blogRoutes from './routes/blog.route.js';
-import uploadRoutes from './routes/upload.route.js';
-import categoryRoutes from './routes/category.route.js';
-import commentRoutes from './routes/comment.route.js';
-import newsletterRoutes from './routes/newsletter.route.js';
-import sponsoredPostRoutes from './routes/sponsoredPost.route.js';
-import guestPostRoutes from './routes/guestPost.route.js';
+import apiRoutes from './routes/api.route.js';
+import docsRoutes from './routes/docs.route.js';
+import sitemapRoutes from './routes/sitemap.route.js';
 import { errorHandler, notFound } from './utils/errorHandler.js';
+import { apiV2, deprecateV1 } from './middleware/apiVersion.middleware.js';
 import logger from './utils/logger.js';
+import { startScheduledPublisher, stopScheduledPublisher } from './utils/scheduledPublisher.js';
+import { closeEventStreams } from './utils/realtime.js';
+import { startViewTracker, stopViewTracker } from './utils/viewTracker.js';
 import { 
   generalLimiter, 
   speedLimiter 
@@ -37,8 +36,11 @@ const app = express();
 app.set('trust proxy', 1);
 app.disable('x-powered-by');
 
-// Connect to MongoDB Atlas
-connectDB();
+// Connect to MongoDB Atlas, then start background jobs that need the database
+connectDB().then(() => {
+  startScheduledPublisher();
+  startViewTracker();
+});
 
 // Middleware
 app.use(cors({
@@ -48,7 +50,8 @@ app.use(cors({
     'http://localhost:3000',
     'http://127.0.0.1:3000'
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['API-Version', 'Deprecation', 'Sunset', 'Link']
 }));
 
 // Optimize JSON parsing with smaller limits
@@ -66,22 +69,27 @@ app.use(express.urlencoded({
 app.use(logger.logRequest);
 
 if (process.env.NODE_ENV === 'development') {
-  app.use(morgan('dev'));
+  // Paths only: event stream URLs carry ?access_token=
+  morgan.token('path', (req) => req.originalUrl.split('?')[0]);
+  app.use(morgan(':method :path :status :response-time ms - :res[content-length]'));
 }
 
+// API reference, outside the versioned routes
+app.use('/api/docs', docsRoutes);
+
+// Response envelope for v2, deprecation headers for v1; ahead of rate limiting so
+// its responses are versioned too
+app.use('/api/v2', apiV2);
+app.use('/api', deprecateV1);
+
 // Apply rate limiting middleware
 app.use(generalLimiter);
 app.use(speedLimiter);
 
-// Routes
-app.use('/api/users', userRoutes);
-app.use('/api/blogs', blogRoutes);
-app.use('/api/upload', uploadRoutes);
-app.use('/api/categories', categoryRoutes);
-app.use('/api/comments', commentRoutes);
-app.use('/api/newsletter', newsletterRoutes);
-app.use('/api/sponsored-posts', sponsoredPostRoutes);
-app.use('/api/guest-posts', guestPostRoutes);
+// Routes, served as v1 under /api and as v2 under /api/v2
+app.use('/api/v2', apiRoutes);
+app.use('/api', apiRoutes);
+app.use(sitemapRoutes);
 
 app.get('/', (req, res) => {
   res.send('API is running...');
@@ -143,7 +151,10 @@ server.on('error', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  stopScheduledPublisher();
+  closeEventStreams();
+  server.close(async () => {
+    await stopViewTracker();
     console.log('Process terminated');
     process.exit(0);
   });
@@ -151,7 +162,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
+  stopScheduledPublisher();
+  closeEventStreams();
+  server.close(async () => {
+    await stopViewTracker();
     console.log('Process terminated');
     process.exit(0);
   });
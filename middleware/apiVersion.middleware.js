@@ -0,0 +1,119 @@
+import { STATUS_CODES } from 'http';
+import { errorCodeForStatus } from '../utils/errorHandler.js';
+
+// API versions. v1 is the original, unversioned /api/* surface; it keeps working
+// but answers with deprecation headers pointing at the same path under /api/v2.
+// v2 serves the same routes with every JSON response in one envelope:
+//
+//   success  { success: true,  data, message?, meta: { apiVersion, pagination? } }
+//   error    { success: false, error: { code, message, details?, context? }, meta: { apiVersion } }
+//
+// `data` is what the v1 route returned under `data` (or its other top-level fields
+// when it had none); list pagination moves to meta.pagination. `code` is one of
+// ERROR_CODES in utils/errorHandler.js or a more specific code such as
+// VALIDATION_FAILED; `details` lists per-field problems as { field?, message };
+// `context` carries any extra fields of the error, such as retryAfter.
+
+export const CURRENT_API_VERSION = '2';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const errorDetails = (errors) => {
+  if (!Array.isArray(errors) || errors.length === 0) {
+    return undefined;
+  }
+  return errors.map(detail => (typeof detail === 'string' ? { message: detail } : detail));
+};
+
+/**
+ * Convert a v1 response body to the v2 envelope
+ * @param {*} body - Body passed to res.json
+ * @param {number} statusCode - Response status
+ * @returns {object}
+ */
+export const toV2Body = (body, statusCode) => {
+  const meta = { apiVersion: CURRENT_API_VERSION };
+
+  if (statusCode >= 400 || body?.success === false) {
+    const source = isPlainObject(body) ? body : {};
+    const { success, message, error, code, errors, ...context } = source;
+    return {
+      success: false,
+      error: {
+        code: code || errorCodeForStatus(statusCode),
+        message: message || (typeof error === 'string' ? error : STATUS_CODES[statusCode]),
+        ...(errorDetails(errors) && { details: errorDetails(errors) }),
+        ...(Object.keys(context).length > 0 && { context })
+      },
+      meta
+    };
+  }
+
+  if (!isPlainObject(body) || body.success !== true) {
+    return { success: true, data: body ?? null, meta };
+  }
+
+  const { success, message, data, ...rest } = body;
+  let payload;
+  if (data === undefined) {
+    payload = Object.keys(rest).length > 0 ? rest : null;
+  } else if (isPlainObject(data) && Object.keys(rest).length > 0) {
+    payload = { ...rest, ...data };
+  } else {
+    payload = data;
+  }
+
+  if (isPlainObject(payload) && payload.pagination) {
+    const { pagination, ...items } = payload;
+    payload = items;
+    meta.pagination = pagination;
+  }
+
+  return {
+    success: true,
+    data: payload,
+    ...(message && { message }),
+    meta
+  };
+};
+
+/**
+ * Mounted on /api/v2 ahead of everything else, so rate limits, routes and the
+ * error handler all answer in the v2 envelope. Middleware that serializes a body
+ * itself (the response cache) applies res.locals.formatBody first.
+ */
+export const apiV2 = (req, res, next) => {
+  res.set('API-Version', CURRENT_API_VERSION);
+  res.locals.formatBody = body => toV2Body(body, res.statusCode);
+
+  const json = res.json.bind(res);
+  res.json = body => json(toV2Body(body, res.statusCode));
+  next();
+};
+
+const httpDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Mounted on /api: marks v1 responses deprecated (RFC 9745 Deprecation, RFC 8594
+ * Sunset) and links each one to its v2 successor. Dates come from
+ * API_V1_DEPRECATED_AT and API_V1_SUNSET_AT when set.
+ */
+export const deprecateV1 = (req, res, next) => {
+  if (req.path === '/v2' || req.path.startsWith('/v2/')) {
+    return next();
+  }
+
+  const deprecatedAt = httpDate(process.env.API_V1_DEPRECATED_AT);
+  const sunsetAt = httpDate(process.env.API_V1_SUNSET_AT);
+
+  res.set('API-Version', '1');
+  res.set('Deprecation', deprecatedAt ? `@${Math.floor(deprecatedAt.getTime() / 1000)}` : 'true');
+  if (sunsetAt) {
+    res.set('Sunset', sunsetAt.toUTCString());
+  }
+  res.append('Link', `</api/v2${req.path}>; rel="successor-version"`);
+  next();
+};
@@ -1,55 +1,149 @@
 import jwt from 'jsonwebtoken';
 import User from '../model/user.model.js';
+import Session from '../model/session.model.js';
+import { isTwoFactorRequired } from '../utils/securitySettings.js';
+import { getRequestPermissions } from './permissions.middleware.js';
 
-export const protect = async (req, res, next) => {
-  try {
-    let token;
+const authenticate = ({ allowTwoFactorSetup = false, allowQueryToken = false, optional = false } = {}) => {
+  const middleware = async (req, res, next) => {
+    // Optional authentication treats a token it cannot accept as no token at all
+    const reject = (status, body) => (optional ? next() : res.status(status).json(body));
 
-    // Check if token exists in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    try {
+      let token;
 
-    // Check if token exists
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized, no token'
-      });
-    }
+      // Check if token exists in headers
+      if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+      } else if (allowQueryToken && typeof req.query.access_token === 'string') {
+        // EventSource cannot send headers, so streams may pass the token in the URL
+        token = req.query.access_token;
+      }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user) {
+      // Anonymous requests pass through optional authentication without req.user
+      if (!token && optional) {
+        return next();
+      }
+
+      // Check if token exists
+      if (!token) {
         return res.status(401).json({
           success: false,
-          message: 'Not authorized, user not found'
+          message: 'Not authorized, no token'
         });
       }
 
-      // Add user information to req.user
-      req.user = {
-        userId: decoded.userId,
-        role: user.role,
-        email: user.email
-      };
-      next();
+      try {
+        // Verify token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Access tokens are tied to a session so they die with it; reset and
+        // edit-link tokens signed with the same secret are not accepted here
+        const isAccessToken = decoded.type === 'access' && decoded.sid;
+        const session = isAccessToken ? await Session.findActive(decoded.sid, decoded.userId) : null;
+        if (!session) {
+          return reject(401, {
+            success: false,
+            message: 'Not authorized, session expired'
+          });
+        }
+      
+        // Get user from token
+        const user = await User.findById(decoded.userId).select('-password');
+      
+        if (!user) {
+          return reject(401, {
+            success: false,
+            message: 'Not authorized, user not found'
+          });
+        }
+
+        // Roles covered by the 2FA policy can only reach the enrolment endpoints until they enrol
+        const twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user.role);
+        if (twoFactorSetupRequired && !allowTwoFactorSetup) {
+          return reject(403, {
+            success: false,
+            message: 'Two-factor authentication is required for your role. Please set it up to continue',
+            twoFactorSetupRequired: true
+          });
+        }
+
+        // Add user information to req.user
+        req.user = {
+          userId: decoded.userId,
+          role: user.role,
+          email: user.email,
+          emailVerified: user.emailVerified,
+          sessionId: decoded.sid,
+          twoFactorSetupRequired,
+          // Per-user overrides, merged with the role by requirePermission
+          grantedPermissions: user.permissions || [],
+          deniedPermissions: user.deniedPermissions || []
+        };
+        next();
+      } catch (error) {
+        return reject(401, {
+          success: false,
+          message: 'Not authorized, token failed'
+        });
+      }
     } catch (error) {
-      return res.status(401).json({
+      console.error('Auth middleware error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Not authorized, token failed'
+        message: 'Server error'
       });
     }
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(500).json({
+  };
+
+  // Read by the OpenAPI builder (utils/openapi.js)
+  middleware.authentication = optional ? 'optional' : 'required';
+  return middleware;
+};
+
+export const protect = authenticate();
+
+// Same as protect, but lets accounts that still have to enrol in 2FA through
+export const protectTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Sets req.user when a valid token is sent, so public endpoints can personalise their answer;
+// a missing, expired or otherwise unusable token leaves the request anonymous
+export const optionalAuth = authenticate({ optional: true });
+
+// For the event stream: the same access token as protect, also accepted as
+// ?access_token=, and anonymous clients allowed through for public channels
+export const streamAuth = authenticate({ allowQueryToken: true, optional: true });
+
+// Actions that need a verified email, e.g. EMAIL_VERIFICATION_REQUIRED_FOR=comment,guest_post
+// Off unless set: accounts created before verification existed have never verified.
+const verifiedEmailActions = () => (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+const ACTION_LABELS = {
+  comment: 'commenting',
+  guest_post: 'submitting a guest post',
+  sponsored_post: 'submitting a sponsored post'
+};
+
+// Block unverified accounts from an action when the policy covers it; use after protect
+export const requireVerifiedEmail = (action) => {
+  return async (req, res, next) => {
+    try {
+      if (!verifiedEmailActions().includes(action) ||
+          req.user?.emailVerified ||
+          (req.user && (await getRequestPermissions(req)).includes('skip_email_verification'))) {
+        return next();
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    return res.status(403).json({
       success: false,
-      message: 'Server error'
+      message: `Please verify your email address before ${ACTION_LABELS[action] || 'continuing'}`,
+      emailVerificationRequired: true
     });
-  }
-}; 
\ No newline at end of file
+  };
+};
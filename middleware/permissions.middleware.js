@@ -1,8 +1,23 @@
+import Role from '../model/role.model.js';
 import User from '../model/user.model.js';
 
-// Check if user has specific permission
+// Effective permissions for the authenticated user, resolved once per request
+export const getRequestPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.resolvePermissions({
+      role: req.user.role,
+      permissions: req.user.grantedPermissions,
+      deniedPermissions: req.user.deniedPermissions
+    });
+  }
+  return req.permissions;
+};
+
+// Check if user has a specific permission; pass an array to accept any of several
 export const requirePermission = (permission) => {
-  return async (req, res, next) => {
+  const accepted = Array.isArray(permission) ? permission : [permission];
+
+  const middleware = async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(401).json({
@@ -11,20 +26,21 @@ export const requirePermission = (permission) => {
         });
       }
 
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return res.status(401).json({
+      // Staff access needs 2FA when the security policy requires it for this role
+      if (req.user.twoFactorSetupRequired) {
+        return res.status(403).json({
           success: false,
-          message: 'User not found'
+          message: 'Two-factor authentication is required for your role. Please set it up to continue',
+          twoFactorSetupRequired: true
         });
       }
 
-      const permissions = user.getPermissions();
-      
-      if (!permissions.includes(permission)) {
+      const permissions = await getRequestPermissions(req);
+
+      if (!accepted.some(name => permissions.includes(name))) {
         return res.status(403).json({
           success: false,
-          message: `Permission denied: ${permission} required`
+          message: `Permission denied: ${accepted.join(' or ')} required`
         });
       }
 
@@ -37,68 +53,16 @@ export const requirePermission = (permission) => {
       });
     }
   };
-};
-
-// Check if user has admin role
-export const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  }
-
-  next();
-};
-
-// Check if user has moderator or admin role
-export const requireModerator = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  if (!['admin', 'moderator'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Moderator or admin access required'
-    });
-  }
-
-  next();
-};
-
-// Check if user has editor, moderator, or admin role
-export const requireEditor = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  if (!['admin', 'moderator', 'editor'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Editor, moderator, or admin access required'
-    });
-  }
 
-  next();
+  // Read by the OpenAPI builder (utils/openapi.js)
+  middleware.permissions = accepted;
+  return middleware;
 };
 
-// Check if user can manage a specific resource
-export const canManageResource = (resourceType) => {
-  return async (req, res, next) => {
+// Check if user can act on a specific resource: `<action>_all_<type>s` covers
+// every resource, `<action>_own_<type>` only the user's own
+export const canManageResource = (resourceType, action = 'edit') => {
+  const middleware = async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(401).json({
@@ -107,42 +71,27 @@ export const canManageResource = (resourceType) => {
         });
       }
 
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+      const permissions = await getRequestPermissions(req);
 
-      // Admins can manage everything
-      if (user.role === 'admin') {
+      if (permissions.includes(`${action}_all_${resourceType}s`)) {
         return next();
       }
 
-      // Moderators can manage most things
-      if (user.role === 'moderator') {
-        return next();
-      }
-
-      // Editors can manage their own content
-      if (user.role === 'editor') {
-        if (resourceType === 'blog') {
-          // Check if user is the author of the blog
-          const blogId = req.params.id || req.body.blogId;
-          if (blogId) {
-            const Blog = (await import('../model/blog.model.js')).default;
-            const blog = await Blog.findById(blogId);
-            if (blog && blog.author?.user?.toString() === user._id.toString()) {
-              return next();
-            }
+      if (permissions.includes(`${action}_own_${resourceType}`) && resourceType === 'blog') {
+        // Check if user is the author of the blog
+        const blogId = req.params.id || req.body.blogId;
+        if (blogId) {
+          const Blog = (await import('../model/blog.model.js')).default;
+          const blog = await Blog.findById(blogId);
+          if (blog && blog.author?.user?.toString() === req.user.userId.toString()) {
+            return next();
           }
         }
       }
 
       return res.status(403).json({
         success: false,
-        message: `Permission denied: Cannot manage ${resourceType}`
+        message: `Permission denied: Cannot ${action} ${resourceType}`
       });
 
     } catch (error) {
@@ -153,118 +102,12 @@ export const canManageResource = (resourceType) => {
       });
     }
   };
-};
-
-// Check if user can view admin dashboard
-export const canViewAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  // Only admin, moderator, and editor can view admin dashboard
-  if (!['admin', 'moderator', 'editor'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied: Admin dashboard requires elevated privileges'
-    });
-  }
 
-  next();
+  middleware.permissions = [`${action}_all_${resourceType}s`, `${action}_own_${resourceType}`];
+  return middleware;
 };
 
-// Check if user can manage users
-export const canManageUsers = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  // Only admin and moderator can manage users
-  if (!['admin', 'moderator'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied: User management requires admin or moderator privileges'
-    });
-  }
-
-  next();
-};
-
-// Check if user can manage roles
-export const canManageRoles = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  // Only admin can manage roles
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied: Role management requires admin privileges'
-    });
-  }
-
-  next();
-};
-
-// Check if user can manage system settings
-export const canManageSystem = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  // Only admin can manage system settings
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied: System management requires admin privileges'
-    });
-  }
-
-  next();
-};
-
-export const requireRole = (roles) => {
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentication required'
-        });
-      }
-
-      const userRoles = Array.isArray(roles) ? roles : [roles];
-      
-      if (!userRoles.includes(req.user.role)) {
-        return res.status(403).json({
-          success: false,
-          message: 'Insufficient role permissions'
-        });
-      }
-
-      next();
-    } catch (error) {
-      return res.status(500).json({
-        success: false,
-        message: 'Role check failed'
-      });
-    }
-  };
-};
-
-export const canEditBlog = async (req, res, next) => {
+const loadBlogFor = (check, deniedMessage) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({
@@ -275,7 +118,7 @@ export const canEditBlog = async (req, res, next) => {
 
     const { id } = req.params;
     const Blog = (await import('../model/blog.model.js')).default;
-    const blog = await Blog.findById(id);
+    const [blog, user] = await Promise.all([Blog.findById(id), User.findById(req.user.userId)]);
 
     if (!blog) {
       return res.status(404).json({
@@ -284,10 +127,10 @@ export const canEditBlog = async (req, res, next) => {
       });
     }
 
-    if (!req.user.canEditBlog(blog)) {
+    if (!user || !(await user[check](blog))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to edit this blog'
+        message: deniedMessage
       });
     }
 
@@ -301,39 +144,6 @@ export const canEditBlog = async (req, res, next) => {
   }
 };
 
-export const canDeleteBlog = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    const { id } = req.params;
-    const Blog = (await import('../model/blog.model.js')).default;
-    const blog = await Blog.findById(id);
+export const canEditBlog = loadBlogFor('canEditBlog', 'Not authorized to edit this blog');
 
-    if (!blog) {
-      return res.status(404).json({
-        success: false,
-        message: 'Blog not found'
-      });
-    }
-
-    if (!req.user.canDeleteBlog(blog)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this blog'
-      });
-    }
-
-    req.blog = blog;
-    next();
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: 'Authorization check failed'
-    });
-  }
-}; 
\ No newline at end of file
+export const canDeleteBlog = loadBlogFor('canDeleteBlog', 'Not authorized to delete this blog');
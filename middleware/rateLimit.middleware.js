@@ -42,7 +42,7 @@ export const authLimiter = rateLimit({
 // Very strict rate limiter for login attempts
 export const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 3, // limit each IP to 3 login attempts per windowMs
+  max: 20, // per-IP ceiling; repeated failures on one account are handled by account lockout
   message: {
     success: false,
     message: 'Too many login attempts, please try again later.'
@@ -58,6 +58,44 @@ export const loginLimiter = rateLimit({
   }
 });
 
+// Rate limiter for refresh token exchanges; clients refresh every few minutes per tab
+export const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit each IP to 60 refreshes per windowMs
+  message: {
+    success: false,
+    message: 'Too many token refresh attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many token refresh attempts, please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
+
+// Rate limiter for email verification confirm/resend
+export const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 verification requests per hour
+  message: {
+    success: false,
+    message: 'Too many verification attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many verification attempts, please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
+
 // Rate limiter for registration
 export const registerLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -0,0 +1,89 @@
+import Joi from 'joi';
+import { ValidationError } from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import { toV2Body } from './apiVersion.middleware.js';
+
+// Declarative request contracts. A route declares its inputs and output once:
+//
+//   router.get('/:lang', validate({
+//     summary: 'List published posts in a language',
+//     params: langParams,
+//     query: Joi.object({ ...pageQuery, category: Joi.string() }),
+//     response: Joi.object({ blogs: Joi.array().items(blogSummary) })
+//   }), getBlogsByLanguage);
+//
+// params, query and body are checked with joi before the handler runs: values are
+// coerced to their declared types, defaults filled in and unknown keys dropped, and
+// every problem is reported at once in ValidationError.errors as { field, message }.
+// The declaration also feeds the OpenAPI document (utils/openapi.js), where
+// `response` describes `data` in the v2 envelope. Other documentation keys:
+// summary, description, tags, operationId, status (success status, default 200)
+// and contentType (request body type, default application/json).
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  errors: { wrap: { label: false } }
+};
+
+const fieldErrors = (part, error) => error.details.map(detail => ({
+  field: detail.path.length > 0 ? detail.path.join('.') : part,
+  message: detail.message
+}));
+
+// Development aid: log responses that stray from the declared schema
+const checkResponses = (req, res, schema) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 300 && body?.success === true) {
+      const { data } = toV2Body(JSON.parse(JSON.stringify(body)), res.statusCode);
+      const { error } = schema.validate(data, { abortEarly: false, allowUnknown: true });
+      if (error) {
+        logger.warn('Response does not match its declared schema', {
+          route: `${req.method} ${req.baseUrl}${req.route?.path || ''}`,
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+    }
+    return json(body);
+  };
+};
+
+/**
+ * Validate and normalize a request against its declared schemas
+ * @param {object} spec - { params?, query?, body?, response? } joi schemas plus documentation keys
+ * @returns {Function} Express middleware carrying the spec as `apiSpec`
+ */
+export const validate = (spec) => {
+  const schemas = REQUEST_PARTS
+    .filter(part => spec[part])
+    .map(part => [part, Joi.compile(spec[part])]);
+  const response = spec.response ? Joi.compile(spec.response) : null;
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const [part, schema] of schemas) {
+      const { value, error } = schema.validate(req[part] ?? {}, VALIDATION_OPTIONS);
+      if (error) {
+        errors.push(...fieldErrors(part, error));
+      } else {
+        req[part] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors.map(error => error.message).join(', '), errors));
+    }
+
+    if (response && process.env.NODE_ENV === 'development') {
+      checkResponses(req, res, response);
+    }
+    next();
+  };
+
+  middleware.apiSpec = spec;
+  return middleware;
+};
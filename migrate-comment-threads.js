@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+// Backfills the stored like/dislike counters and the materialized path
+// (ancestors/depth) on comments created before threads were nested.
+async function migrateCommentThreads() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const Comment = (await import('./model/comment.model.js')).default;
+
+    console.log('\n🔢 Recounting likes and dislikes...');
+    const counters = await Comment.updateMany({}, [{
+      $set: {
+        likeCount: { $size: { $ifNull: ['$likes', []] } },
+        dislikeCount: { $size: { $ifNull: ['$dislikes', []] } }
+      }
+    }]);
+    console.log(`✅ Updated counters on ${counters.modifiedCount} comment(s)`);
+
+    console.log('\n🌳 Building thread paths...');
+    await Comment.updateMany({ parentComment: null }, { $set: { ancestors: [], depth: 0 } });
+
+    // Walk the tree one level at a time, starting from the top-level comments
+    let level = await Comment.find({ parentComment: null }).select('_id ancestors').lean();
+    let depth = 0;
+    let updated = 0;
+
+    while (level.length > 0) {
+      depth++;
+      const next = [];
+
+      for (const parent of level) {
+        const ancestors = [...(parent.ancestors || []), parent._id];
+        const { modifiedCount } = await Comment.updateMany(
+          { parentComment: parent._id },
+          { $set: { ancestors, depth } }
+        );
+        updated += modifiedCount;
+
+        const children = await Comment.find({ parentComment: parent._id }).select('_id').lean();
+        next.push(...children.map(child => ({ _id: child._id, ancestors })));
+      }
+
+      level = next;
+    }
+    console.log(`✅ Set paths on ${updated} repl${updated === 1 ? 'y' : 'ies'}, deepest level ${Math.max(depth - 1, 0)}`);
+
+    // Replies whose parent was deleted can never be reached from a thread
+    const parentIds = await Comment.distinct('_id');
+    const orphaned = await Comment.countDocuments({ parentComment: { $ne: null, $nin: parentIds } });
+    if (orphaned > 0) {
+      console.log(`\n⚠️  ${orphaned} repl${orphaned === 1 ? 'y has' : 'ies have'} a missing parent comment`);
+    }
+
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateCommentThreads();
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+// Seeds the built-in roles. Existing roles keep their edited permissions
+// unless the script is run with --reset.
+async function migrateRoles() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const { default: Role, DEFAULT_ROLES, PERMISSIONS } = await import('./model/role.model.js');
+    const User = (await import('./model/user.model.js')).default;
+    const reset = process.argv.includes('--reset');
+
+    console.log(`\n🔧 Seeding roles${reset ? ' (resetting permissions)' : ''}...`);
+
+    for (const { name, displayName, description, level, permissions } of DEFAULT_ROLES) {
+      const defaults = { displayName, description, level, permissions };
+      const result = await Role.updateOne(
+        { name },
+        reset
+          ? { $set: { ...defaults, isSystem: true } }
+          : { $set: { isSystem: true }, $setOnInsert: defaults },
+        { upsert: true }
+      );
+      console.log(`${result.upsertedCount ? '✅ Created' : '📝 Kept'}: ${name} (${permissions.length} default permissions)`);
+    }
+
+    // Administrators hold every permission, including ones added after their role was seeded
+    const admin = await Role.updateOne({ name: 'admin' }, { $addToSet: { permissions: { $each: PERMISSIONS } } });
+    if (admin.modifiedCount > 0) {
+      console.log('✅ Granted admin the permissions added since it was seeded');
+    }
+
+    // Per-user overrides may hold names that were never real permissions
+    const { modifiedCount } = await User.updateMany(
+      {},
+      [{
+        $set: {
+          permissions: { $filter: { input: { $ifNull: ['$permissions', []] }, cond: { $in: ['$$this', PERMISSIONS] } } },
+          deniedPermissions: { $ifNull: ['$deniedPermissions', []] }
+        }
+      }]
+    );
+    console.log(`\n🧹 Normalised permission overrides on ${modifiedCount} user(s)`);
+
+    // Users whose role has no Role document would end up without permissions
+    const roleNames = await Role.distinct('name');
+    const orphaned = await User.find({ role: { $nin: roleNames } }).select('email role');
+    if (orphaned.length > 0) {
+      console.log('\n⚠️  Users with unknown roles:');
+      orphaned.forEach(user => console.log(`   ${user.email}: ${user.role}`));
+    }
+
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateRoles();
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Audit trail of authentication events (logins, lockouts, 2FA, sessions...)
+const authEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ email: 1, createdAt: -1 });
+authEventSchema.index({ ip: 1, createdAt: -1 });
+authEventSchema.index({ action: 1, success: 1, createdAt: -1 });
+// Keep the trail for 180 days
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+export default AuthEvent;
@@ -1,4 +1,19 @@
 import mongoose from 'mongoose';
+import SearchDocument from './searchDocument.model.js';
+import BlogRevision from './blogRevision.model.js';
+import BlogReaction, { REACTION_TYPES } from './blogReaction.model.js';
+import logger from '../utils/logger.js';
+import { cacheTags, invalidateCacheTags } from '../utils/responseCache.js';
+
+// Fields post lists can be sorted on with ?sortBy=
+export const LIST_SORT_FIELDS = ['publishedAt', 'createdAt', 'updatedAt', 'viewCount', 'reactionTotal'];
+
+// Orderings for the trending and popular lists, chosen with ?sortBy=
+export const POPULARITY_SORTS = {
+  views: { viewCount: -1, publishedAt: -1 },
+  reactions: { reactionTotal: -1, viewCount: -1, publishedAt: -1 },
+  saves: { saveCount: -1, viewCount: -1, publishedAt: -1 }
+};
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -135,13 +150,39 @@ const blogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived', 'rejected'],
+    enum: ['draft', 'scheduled', 'published', 'archived', 'rejected'],
     default: 'draft'
   },
   publishedAt: {
     type: Date,
     default: null
   },
+  // Scheduled publishing fields
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  publishAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextPublishAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastPublishError: {
+    type: String,
+    default: null
+  },
   readTime: {
     en: {
       type: Number,
@@ -156,6 +197,26 @@ const blogSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Popularity signals kept by the bookmark and reading list endpoints
+  bookmarkCount: {
+    type: Number,
+    default: 0
+  },
+  readingListCount: {
+    type: Number,
+    default: 0
+  },
+  // Bookmarks plus reading list entries, for sorting
+  saveCount: {
+    type: Number,
+    default: 0
+  },
+  // Reactions per type, and their sum for sorting
+  reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])),
+  reactionTotal: {
+    type: Number,
+    default: 0
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -278,13 +339,21 @@ blogSchema.pre('validate', function(next) {
   if (!hasEnglish && !hasBengali) {
     return next(new Error('At least one language (English or Bengali) must be provided with all required fields'));
   }
+
+  if (this.status === 'scheduled' && !this.scheduledFor) {
+    return next(new Error('Scheduled posts must have a scheduledFor date'));
+  }
   
   next();
 });
 
 // Indexes for better performance
 blogSchema.index({ status: 1, publishedAt: -1 });
+blogSchema.index({ status: 1, scheduledFor: 1 });
 blogSchema.index({ author: 1 });
+blogSchema.index({ 'author.user': 1, publishedAt: -1 });
+blogSchema.index({ status: 1, reactionTotal: -1, publishedAt: -1 });
+blogSchema.index({ status: 1, saveCount: -1, publishedAt: -1 });
 blogSchema.index({ 'category.en': 1 });
 blogSchema.index({ 'category.bn': 1 });
 blogSchema.index({ isFeatured: 1, publishedAt: -1 });
@@ -311,15 +380,114 @@ blogSchema.pre('save', function(next) {
   next();
 });
 
-// Method to increment view count
-blogSchema.methods.incrementViewCount = async function() {
-  this.viewCount += 1;
-  return await this.save();
+// Fields copied into the search index
+const SEARCH_FIELDS = ['title', 'content', 'excerpt', 'slug', 'category', 'tags', 'status', 'publishedAt', 'postType', 'author'];
+
+// Fields copied into revision snapshots
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'slug', 'category', 'tags', 'featuredImage', 'seoTitle', 'seoDescription', 'seoKeywords'];
+
+// Remember what needs refreshing before the modified paths are reset
+blogSchema.pre('save', function(next) {
+  this.$locals.searchDirty = this.isNew || SEARCH_FIELDS.some(field => this.isModified(field));
+  this.$locals.revisionDirty = this.isNew || REVISION_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+// Cached public lists a post appears in: the published lists of each of its languages
+const listCacheTags = (...states) => {
+  const tags = new Set();
+  for (const state of states) {
+    if (state?.status !== 'published') continue;
+    ['en', 'bn'].filter(lang => state.title?.[lang]).forEach(lang => tags.add(cacheTags.blogs(lang)));
+  }
+  return [...tags];
 };
 
-// Static method to get published posts by language
-blogSchema.statics.getPublishedByLanguage = function(language, limit = 10, skip = 0) {
-  return this.find({
+const CACHE_STATE_FIELDS = 'status title.en title.bn';
+
+// A post that leaves the published lists must purge the lists it was in
+blogSchema.pre('save', async function() {
+  if (!this.isNew && (this.isModified('status') || this.isModified('title'))) {
+    this.$locals.cachePrevious = await this.constructor.findById(this._id).select(CACHE_STATE_FIELDS).lean();
+  }
+});
+
+blogSchema.pre('findOneAndUpdate', async function() {
+  this._cachePrevious = await this.model.findOne(this.getFilter()).select(CACHE_STATE_FIELDS).lean();
+});
+
+// Keep the search index in sync with blog writes
+const syncSearchIndex = async (blog) => {
+  try {
+    await SearchDocument.indexBlog(blog);
+  } catch (error) {
+    logger.error('Search index update failed', { error: error.message, blogId: blog._id });
+  }
+};
+
+// Store a revision; callers pass the acting user through $locals or query options
+const saveRevision = async (blog, options = {}) => {
+  try {
+    await BlogRevision.recordRevision(blog, options);
+  } catch (error) {
+    logger.error('Blog revision recording failed', { error: error.message, blogId: blog._id });
+  }
+};
+
+blogSchema.post('save', async function(doc) {
+  await invalidateCacheTags(listCacheTags(doc.$locals.cachePrevious, doc));
+  if (doc.$locals.searchDirty) {
+    await syncSearchIndex(doc);
+  }
+  if (doc.$locals.revisionDirty || doc.$locals.restoredFrom) {
+    await saveRevision(doc, {
+      author: doc.$locals.revisionAuthor,
+      restoredFrom: doc.$locals.restoredFrom ?? null
+    });
+  }
+});
+
+blogSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc) return;
+
+  await invalidateCacheTags(listCacheTags(this._cachePrevious, doc));
+
+  await syncSearchIndex(doc);
+
+  const update = this.getUpdate() || {};
+  const updatedPaths = [...Object.keys(update), ...Object.keys(update.$set || {})];
+  if (updatedPaths.some(path => REVISION_FIELDS.includes(path.split('.')[0]))) {
+    await saveRevision(doc, { author: this.getOptions().revisionAuthor });
+  }
+});
+
+blogSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await invalidateCacheTags(listCacheTags(doc));
+    await SearchDocument.removeBlog(doc._id).catch(error => {
+      logger.error('Search index removal failed', { error: error.message, blogId: doc._id });
+    });
+    await BlogRevision.deleteMany({ blog: doc._id }).catch(error => {
+      logger.error('Blog revision removal failed', { error: error.message, blogId: doc._id });
+    });
+    // The author's totalLikes no longer includes this post's reactions
+    await BlogReaction.deleteMany({ blog: doc._id }).catch(error => {
+      logger.error('Blog reaction removal failed', { error: error.message, blogId: doc._id });
+    });
+    if (doc.author?.user && doc.reactionTotal > 0) {
+      await mongoose.model('User').updateOne(
+        { _id: doc.author.user },
+        { $inc: { totalLikes: -doc.reactionTotal } }
+      ).catch(error => {
+        logger.error('Author like count update failed', { error: error.message, blogId: doc._id });
+      });
+    }
+  }
+});
+
+// Static method to build the filter for published posts that are complete in a language
+blogSchema.statics.publishedLanguageFilter = function(language) {
+  return {
     status: 'published',
     publishedAt: { $lte: new Date() },
     [`title.${language}`]: { $exists: true, $ne: null, $ne: '' },
@@ -327,7 +495,12 @@ blogSchema.statics.getPublishedByLanguage = function(language, limit = 10, skip
     [`excerpt.${language}`]: { $exists: true, $ne: null, $ne: '' },
     [`slug.${language}`]: { $exists: true, $ne: null, $ne: '' },
     [`category.${language}`]: { $exists: true, $ne: null, $ne: '' }
-  })
+  };
+};
+
+// Static method to get published posts by language
+blogSchema.statics.getPublishedByLanguage = function(language, limit = 10, skip = 0) {
+  return this.find(this.publishedLanguageFilter(language))
   .select(`title.${language} content.${language} excerpt.${language} slug.${language} category.${language} featuredImage publishedAt readTime.${language} viewCount author`)
   .populate('author', 'name')
   .sort({ publishedAt: -1 })
@@ -338,14 +511,8 @@ blogSchema.statics.getPublishedByLanguage = function(language, limit = 10, skip
 // Static method to get featured posts by language
 blogSchema.statics.getFeaturedByLanguage = function(language, limit = 5) {
   return this.find({
-    status: 'published',
-    isFeatured: true,
-    publishedAt: { $lte: new Date() },
-    [`title.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`content.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`excerpt.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`slug.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`category.${language}`]: { $exists: true, $ne: null, $ne: '' }
+    ...this.publishedLanguageFilter(language),
+    isFeatured: true
   })
   .select(`title.${language} content.${language} excerpt.${language} slug.${language} category.${language} featuredImage publishedAt readTime.${language} viewCount author`)
   .populate('author', 'name')
@@ -356,14 +523,8 @@ blogSchema.statics.getFeaturedByLanguage = function(language, limit = 5) {
 // Static method to get sponsored posts by language
 blogSchema.statics.getSponsoredByLanguage = function(language, limit = 10) {
   return this.find({
-    status: 'published',
-    postType: 'sponsored',
-    publishedAt: { $lte: new Date() },
-    [`title.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`content.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`excerpt.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`slug.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`category.${language}`]: { $exists: true, $ne: null, $ne: '' }
+    ...this.publishedLanguageFilter(language),
+    postType: 'sponsored'
   })
   .select(`title.${language} content.${language} excerpt.${language} slug.${language} category.${language} featuredImage publishedAt readTime.${language} viewCount author sponsorship`)
   .populate('author', 'name')
@@ -374,14 +535,8 @@ blogSchema.statics.getSponsoredByLanguage = function(language, limit = 10) {
 // Static method to get guest posts by language
 blogSchema.statics.getGuestPostsByLanguage = function(language, limit = 10) {
   return this.find({
-    status: 'published',
-    postType: 'guest',
-    publishedAt: { $lte: new Date() },
-    [`title.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`content.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`excerpt.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`slug.${language}`]: { $exists: true, $ne: null, $ne: '' },
-    [`category.${language}`]: { $exists: true, $ne: null, $ne: '' }
+    ...this.publishedLanguageFilter(language),
+    postType: 'guest'
   })
   .select(`title.${language} content.${language} excerpt.${language} slug.${language} category.${language} featuredImage publishedAt readTime.${language} viewCount author guestAuthor`)
   .populate('author', 'name')
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// The fixed reaction set; every reaction counts towards the author's totalLikes
+export const REACTION_TYPES = ['like', 'love', 'insightful', 'laugh', 'wow'];
+
+export const REACTION_EMOJI = {
+  like: '👍',
+  love: '❤️',
+  insightful: '💡',
+  laugh: '😂',
+  wow: '😮'
+};
+
+// One reaction per user and post; counters are kept on the Blog
+const blogReactionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+blogReactionSchema.index({ blog: 1, user: 1 }, { unique: true });
+blogReactionSchema.index({ blog: 1, updatedAt: -1, _id: -1 });
+blogReactionSchema.index({ blog: 1, type: 1, updatedAt: -1, _id: -1 });
+
+const BlogReaction = mongoose.model('BlogReaction', blogReactionSchema);
+
+export default BlogReaction;
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+// Language-specific fields that make up a revision snapshot
+export const REVISION_LANG_FIELDS = ['title', 'content', 'excerpt', 'slug', 'category', 'seoTitle', 'seoDescription', 'seoKeywords'];
+
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedFields: [{
+    type: String
+  }],
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+blogRevisionSchema.index({ author: 1, createdAt: -1 });
+
+// Copy the versioned fields out of a blog document
+export const buildSnapshot = (blog) => {
+  const snapshot = {};
+
+  for (const field of REVISION_LANG_FIELDS) {
+    snapshot[field] = {
+      en: blog[field]?.en ?? null,
+      bn: blog[field]?.bn ?? null
+    };
+  }
+
+  // Keywords are arrays; copy them so later edits cannot leak into the snapshot
+  snapshot.seoKeywords = {
+    en: blog.seoKeywords?.en ? [...blog.seoKeywords.en] : [],
+    bn: blog.seoKeywords?.bn ? [...blog.seoKeywords.bn] : []
+  };
+  snapshot.tags = (blog.tags || []).map(tag => ({ en: tag?.en ?? null, bn: tag?.bn ?? null }));
+  snapshot.featuredImage = blog.featuredImage ?? null;
+
+  return snapshot;
+};
+
+// List the field paths ('title.en', 'tags.bn', 'featuredImage') that differ between two snapshots
+export const compareSnapshots = (previous, current) => {
+  const changed = [];
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  for (const field of REVISION_LANG_FIELDS) {
+    for (const lang of ['en', 'bn']) {
+      if (!same(previous?.[field]?.[lang], current[field]?.[lang])) {
+        changed.push(`${field}.${lang}`);
+      }
+    }
+  }
+
+  for (const lang of ['en', 'bn']) {
+    const tagsFor = (snapshot) => (snapshot?.tags || []).map(tag => tag?.[lang]).filter(Boolean);
+    if (!same(tagsFor(previous), tagsFor(current))) {
+      changed.push(`tags.${lang}`);
+    }
+  }
+
+  if (!same(previous?.featuredImage, current.featuredImage)) {
+    changed.push('featuredImage');
+  }
+
+  // A first revision only lists the fields that actually have content
+  if (!previous) {
+    return changed.filter(path => {
+      const [field, lang] = path.split('.');
+      if (field === 'tags') return current.tags.some(tag => tag?.[lang]);
+      const value = lang ? current[field]?.[lang] : current[field];
+      return Array.isArray(value) ? value.length > 0 : !!value;
+    });
+  }
+
+  return changed;
+};
+
+// Static method to record a revision when the versioned fields changed
+blogRevisionSchema.statics.recordRevision = async function(blog, { author = null, restoredFrom = null } = {}) {
+  const snapshot = buildSnapshot(blog);
+
+  // Retry once if another save took the same revision number
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await this.findOne({ blog: blog._id }).sort({ revision: -1 }).lean();
+    const changedFields = compareSnapshots(latest?.snapshot, snapshot);
+
+    if (latest && changedFields.length === 0 && restoredFrom === null) {
+      return null;
+    }
+
+    try {
+      return await this.create({
+        blog: blog._id,
+        revision: (latest?.revision || 0) + 1,
+        author: author || blog.author?.user || null,
+        changedFields,
+        restoredFrom,
+        snapshot
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 1) throw error;
+    }
+  }
+
+  return null;
+};
+
+const BlogRevision = mongoose.model('BlogRevision', blogRevisionSchema);
+
+export default BlogRevision;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Most posts one saved-status lookup may ask about
+export const MAX_STATUS_IDS = 100;
+
+// A post a reader saved for later
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bookmarkSchema.index({ user: 1, blog: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+export default Bookmark;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { cacheTags, invalidateCacheTags } from '../utils/responseCache.js';
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -100,6 +101,13 @@ categorySchema.pre('validate', function(next) {
   next();
 });
 
+// Category names, slugs and ordering feed the cached public category lists
+const purgeCategoryCache = () => invalidateCacheTags([cacheTags.categories]);
+
+categorySchema.post('save', purgeCategoryCache);
+categorySchema.post('findOneAndUpdate', purgeCategoryCache);
+categorySchema.post('findOneAndDelete', purgeCategoryCache);
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category; 
\ No newline at end of file
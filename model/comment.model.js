@@ -23,6 +23,15 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Materialized path: every comment above this one, root first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
   replies: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
@@ -35,6 +44,27 @@ const commentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Users @mentioned in the content
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set once notifications for the comment have gone out
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Stored counters so threads can be sorted by popularity
+  likeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dislikeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isApproved: {
     type: Boolean,
     default: false
@@ -43,6 +73,36 @@ const commentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isRejected: {
+    type: Boolean,
+    default: false
+  },
+  // 0-100 from the spam heuristic; signals explain the score to moderators
+  spamScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  spamSignals: [{
+    _id: false,
+    rule: String,
+    score: Number,
+    detail: String
+  }],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    default: null
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -66,68 +126,100 @@ const commentSchema = new mongoose.Schema({
 // Indexes
 commentSchema.index({ blog: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
-commentSchema.index({ parentComment: 1 });
-commentSchema.index({ isApproved: 1, isSpam: 1 });
+commentSchema.index({ parentComment: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ ancestors: 1 });
+commentSchema.index({ blog: 1, parentComment: 1, likeCount: -1, dislikeCount: 1, _id: -1 });
+commentSchema.index({ isApproved: 1, isSpam: 1, isRejected: 1, createdAt: -1 });
+commentSchema.index({ spamScore: -1 });
 
-// Virtual for like count
-commentSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
-});
+// Moderation states are stored as flags so existing approved comments need no migration
+export const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
 
-// Virtual for dislike count
-commentSchema.virtual('dislikeCount').get(function() {
-  return this.dislikes.length;
-});
+export const MODERATION_STATUS_QUERIES = {
+  pending: { isApproved: false, isSpam: false, isRejected: { $ne: true } },
+  approved: { isApproved: true, isSpam: false },
+  rejected: { isRejected: true, isSpam: false },
+  spam: { isSpam: true }
+};
+
+// Flags written by each moderation action
+export const MODERATION_ACTIONS = {
+  approve: { isApproved: true, isSpam: false, isRejected: false },
+  reject: { isApproved: false, isSpam: false, isRejected: true },
+  spam: { isApproved: false, isSpam: true, isRejected: false }
+};
+
+// Most comments one bulk moderation request may act on
+export const MAX_BULK_IDS = 100;
+
+// Thread orderings; each ends with _id so cursors are unique, and popular uses the stored counters
+export const THREAD_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  popular: { likeCount: -1, dislikeCount: 1, _id: -1 }
+};
 
-// Virtual for reply count
-commentSchema.virtual('replyCount').get(function() {
-  return this.replies.length;
+// Direct replies shown under each comment before "load more replies"
+export const DEFAULT_REPLY_PREVIEW = 3;
+export const MAX_REPLY_PREVIEW = 20;
+
+// Virtual for moderation status
+commentSchema.virtual('moderationStatus').get(function() {
+  if (this.isSpam) return 'spam';
+  if (this.isRejected) return 'rejected';
+  return this.isApproved ? 'approved' : 'pending';
 });
 
+// Reactions are updated atomically so the stored counters always match the arrays.
+// Each step is guarded by the array membership it changes, so repeated or
+// concurrent clicks cannot double count.
+const REACTION_FIELDS = {
+  like: { list: 'likes', counter: 'likeCount', opposite: 'dislike' },
+  dislike: { list: 'dislikes', counter: 'dislikeCount', opposite: 'like' }
+};
+
+commentSchema.methods.toggleReaction = async function(type, userId) {
+  const Comment = this.constructor;
+  const { list, counter, opposite } = REACTION_FIELDS[type];
+  const other = REACTION_FIELDS[opposite];
+
+  const removed = await Comment.updateOne(
+    { _id: this._id, [list]: userId },
+    { $pull: { [list]: userId }, $inc: { [counter]: -1 } }
+  );
+
+  if (removed.modifiedCount === 0) {
+    await Comment.updateOne(
+      { _id: this._id, [list]: { $ne: userId } },
+      { $push: { [list]: userId }, $inc: { [counter]: 1 } }
+    );
+    await Comment.updateOne(
+      { _id: this._id, [other.list]: userId },
+      { $pull: { [other.list]: userId }, $inc: { [other.counter]: -1 } }
+    );
+  }
+
+  return Comment.findById(this._id);
+};
+
 // Method to toggle like
 commentSchema.methods.toggleLike = function(userId) {
-  const likeIndex = this.likes.indexOf(userId);
-  const dislikeIndex = this.dislikes.indexOf(userId);
-
-  if (likeIndex > -1) {
-    // Remove like
-    this.likes.splice(likeIndex, 1);
-  } else {
-    // Add like and remove dislike if exists
-    this.likes.push(userId);
-    if (dislikeIndex > -1) {
-      this.dislikes.splice(dislikeIndex, 1);
-    }
-  }
-  return this.save();
+  return this.toggleReaction('like', userId);
 };
 
 // Method to toggle dislike
 commentSchema.methods.toggleDislike = function(userId) {
-  const dislikeIndex = this.dislikes.indexOf(userId);
-  const likeIndex = this.likes.indexOf(userId);
-
-  if (dislikeIndex > -1) {
-    // Remove dislike
-    this.dislikes.splice(dislikeIndex, 1);
-  } else {
-    // Add dislike and remove like if exists
-    this.dislikes.push(userId);
-    if (likeIndex > -1) {
-      this.likes.splice(likeIndex, 1);
-    }
-  }
-  return this.save();
+  return this.toggleReaction('dislike', userId);
 };
 
 // Method to check if user has liked
 commentSchema.methods.hasLiked = function(userId) {
-  return this.likes.includes(userId);
+  return this.likes.some(id => id.toString() === userId.toString());
 };
 
 // Method to check if user has disliked
 commentSchema.methods.hasDisliked = function(userId) {
-  return this.dislikes.includes(userId);
+  return this.dislikes.some(id => id.toString() === userId.toString());
 };
 
 // Ensure virtuals are serialized
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Decision log for the comment moderation queue: one entry per comment per decision
+const commentModerationSchema = new mongoose.Schema({
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: true
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  commentAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['approve', 'reject', 'spam'],
+    required: true
+  },
+  previousStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'spam'],
+    required: true
+  },
+  // null when the spam heuristic made the decision on its own
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  spamScore: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+commentModerationSchema.index({ comment: 1, createdAt: -1 });
+commentModerationSchema.index({ moderator: 1, createdAt: -1 });
+commentModerationSchema.index({ blog: 1, createdAt: -1 });
+
+const CommentModeration = mongoose.model('CommentModeration', commentModerationSchema);
+
+export default CommentModeration;
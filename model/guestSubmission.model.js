@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Fields submission lists can be sorted on with ?sortBy=
+export const SUBMISSION_SORT_FIELDS = ['submissionDate', 'reviewDate', 'approvalDate', 'publishDate', 'createdAt', 'updatedAt'];
+
 const guestSubmissionSchema = new mongoose.Schema({
   // Owner (submitter)
   owner: {
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+// Every event that can land in a user's inbox. `category` groups types in the
+// inbox and settings UI; `emailPreference` names the emailNotifications switch
+// that also sends the event by email (null for in-app only).
+export const NOTIFICATION_CATALOGUE = {
+  comment_on_post: {
+    category: 'comments',
+    description: 'Someone commented on your post',
+    emailPreference: 'newComments'
+  },
+  comment_reply: {
+    category: 'comments',
+    description: 'Someone replied to your comment',
+    emailPreference: 'newComments'
+  },
+  comment_mention: {
+    category: 'comments',
+    description: 'Someone @mentioned you in a comment',
+    emailPreference: 'mentions'
+  },
+  new_follower: {
+    category: 'social',
+    description: 'Someone started following you',
+    emailPreference: 'newFollowers'
+  },
+  blog_approved: {
+    category: 'publishing',
+    description: 'Your post was approved and published',
+    emailPreference: null
+  },
+  blog_rejected: {
+    category: 'publishing',
+    description: 'Your post was rejected',
+    emailPreference: null
+  },
+  guest_submission_status: {
+    category: 'submissions',
+    description: 'Your guest post submission changed status',
+    emailPreference: null
+  },
+  sponsored_submission_status: {
+    category: 'submissions',
+    description: 'Your sponsored post submission changed status',
+    emailPreference: null
+  }
+};
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_CATALOGUE);
+
+export const NOTIFICATION_CATEGORIES = [...new Set(Object.values(NOTIFICATION_CATALOGUE).map(entry => entry.category))];
+
+// In-app notifications; emails are sent alongside when the recipient allows it
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // User whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Snapshot for rendering without extra lookups, e.g. { blogTitle, excerpt, url }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  // Optional identity of the event for types without a comment, e.g. follow:<userId>,
+  // so the same event is never delivered twice to one recipient
+  key: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, archivedAt: 1, readAt: 1 });
+// One notification per recipient, type and comment, so retries do not duplicate
+notificationSchema.index(
+  { recipient: 1, type: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { comment: { $type: 'objectId' } } }
+);
+notificationSchema.index(
+  { recipient: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+
+// Static method to count unread notifications; archived ones are out of the inbox
+notificationSchema.statics.unreadCount = function(recipient) {
+  return this.countDocuments({ recipient, archivedAt: null, readAt: null });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+export const MAX_LIST_ITEMS = 500;
+
+// Items are kept in the order the owner chose
+const readingListItemSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const readingListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+  // Share link; stays the same when the list is renamed
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  items: {
+    type: [readingListItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_LIST_ITEMS,
+      message: `A reading list can hold at most ${MAX_LIST_ITEMS} posts`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+readingListSchema.index({ owner: 1, updatedAt: -1 });
+readingListSchema.index({ 'items.blog': 1 });
+
+const ReadingList = mongoose.model('ReadingList', readingListSchema);
+
+export default ReadingList;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Progress at or above which a post counts as read
+export const COMPLETED_PROGRESS = 95;
+
+// How far a reader scrolled through a post, for "continue reading"
+const readingProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'bn'],
+    default: 'en'
+  },
+  // Percentage of the article scrolled through, 0-100
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+readingProgressSchema.index({ user: 1, blog: 1 }, { unique: true });
+readingProgressSchema.index({ user: 1, completedAt: 1, lastReadAt: -1, _id: -1 });
+
+const ReadingProgress = mongoose.model('ReadingProgress', readingProgressSchema);
+
+export default ReadingProgress;
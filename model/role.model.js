@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+
+// Every permission the application checks. Roles and per-user overrides may
+// only use names from this list.
+export const PERMISSIONS = [
+  // Content
+  'view_blogs',
+  'create_blog',
+  'edit_own_blog',
+  'edit_all_blogs',
+  'delete_own_blog',
+  'delete_all_blogs',
+  'publish_own_blog',
+  'publish_blog',
+  'manage_submissions',
+  'delete_submissions',
+  // Comments
+  'create_comment',
+  'edit_own_comment',
+  'edit_all_comments',
+  'delete_own_comment',
+  'like_comment',
+  'approve_comments',
+  'delete_comments',
+  // Community
+  'follow_user',
+  'view_user_profiles',
+  // Administration
+  'view_admin',
+  'view_analytics',
+  'list_users',
+  'manage_users',
+  'delete_users',
+  'manage_user_security',
+  'skip_email_verification',
+  'manage_categories',
+  'manage_newsletter',
+  'manage_roles',
+  'manage_system'
+];
+
+const USER_PERMISSIONS = [
+  'view_blogs',
+  'create_comment',
+  'edit_own_comment',
+  'delete_own_comment',
+  'like_comment',
+  'follow_user',
+  'view_user_profiles'
+];
+
+const EDITOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'create_blog',
+  'edit_own_blog',
+  'delete_own_blog',
+  'publish_own_blog',
+  'view_admin',
+  'view_analytics'
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  'edit_all_blogs',
+  'delete_all_blogs',
+  'publish_blog',
+  'manage_submissions',
+  'approve_comments',
+  'delete_comments',
+  'manage_users',
+  'skip_email_verification'
+];
+
+// The four built-in roles, seeded by migrate-roles.js and used as a fallback
+// until the migration has run
+export const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    displayName: 'User',
+    description: 'Registered reader who can comment and follow authors',
+    level: 0,
+    permissions: USER_PERMISSIONS
+  },
+  {
+    name: 'editor',
+    displayName: 'Editor',
+    description: 'Writes and publishes their own posts',
+    level: 1,
+    permissions: EDITOR_PERMISSIONS
+  },
+  {
+    name: 'moderator',
+    displayName: 'Moderator',
+    description: 'Reviews all content, submissions, comments and users',
+    level: 2,
+    permissions: MODERATOR_PERMISSIONS
+  },
+  {
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Full access, including roles and system settings',
+    level: 3,
+    permissions: [...PERMISSIONS]
+  }
+];
+
+// Roles are read on every permission check, so they are cached in memory
+// for a short time, like settings
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 characters of lowercase letters, digits, _ or -']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  // Position in the hierarchy, used by policies such as the 2FA requirement
+  level: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  // Built-in roles can be edited but not deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.post('save', () => { cache = null; });
+roleSchema.post('findOneAndUpdate', () => { cache = null; });
+roleSchema.post('findOneAndDelete', () => { cache = null; });
+
+// Static method to get all roles by name, falling back to the built-in defaults
+roleSchema.statics.getRoleMap = async function() {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.roles;
+  }
+
+  const roles = new Map(DEFAULT_ROLES.map(role => [role.name, role]));
+  const stored = await this.find().lean();
+  for (const role of stored) {
+    roles.set(role.name, role);
+  }
+  cache = { roles, expiresAt: Date.now() + CACHE_TTL_MS };
+
+  return roles;
+};
+
+// Static method to get one role, or null when it does not exist
+roleSchema.statics.getRole = async function(name) {
+  const roles = await this.getRoleMap();
+  return roles.get(name) || null;
+};
+
+/**
+ * Effective permissions: the role's set plus the user's grants, minus the user's denies.
+ * Denies win, so a grant and a deny of the same permission leaves it off.
+ * @param {string[]} rolePermissions - Permissions of the user's role
+ * @param {string[]} granted - Extra permissions for this user
+ * @param {string[]} denied - Permissions taken away from this user
+ * @returns {string[]}
+ */
+export const mergePermissions = (rolePermissions = [], granted = [], denied = []) => {
+  const deniedSet = new Set(denied);
+  return [...new Set([...rolePermissions, ...granted])].filter(permission => !deniedSet.has(permission));
+};
+
+// Static method to resolve a user's effective permissions
+roleSchema.statics.resolvePermissions = async function({ role, permissions = [], deniedPermissions = [] }) {
+  const roleDoc = await this.getRole(role);
+  return mergePermissions(roleDoc?.permissions, permissions, deniedPermissions);
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
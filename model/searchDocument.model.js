@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { TEXT_LANGUAGES, normalizeText, stripHtml, tokenize } from '../utils/searchText.js';
+
+// One search document per blog and language. MongoDB allows a single text
+// index per collection, so the bilingual Blog documents are split here and
+// each row carries its own analyzer in `textLanguage`.
+const searchDocumentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'bn'],
+    required: true
+  },
+  textLanguage: {
+    type: String,
+    default: 'english'
+  },
+  // Normalized copies used by the text index
+  title: { type: String, default: '' },
+  excerpt: { type: String, default: '' },
+  tags: [{ type: String }],
+  content: { type: String, default: '' },
+  // Unique normalized terms, used for prefix queries
+  terms: [{ type: String }],
+  // Original plain text, used for snippets and highlighting
+  display: {
+    title: { type: String, default: '' },
+    excerpt: { type: String, default: '' },
+    content: { type: String, default: '' }
+  },
+  // Filter fields copied from the blog
+  status: { type: String },
+  publishedAt: { type: Date, default: null },
+  category: { type: String, default: null },
+  postType: { type: String, default: 'regular' },
+  authorUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Weighted text index: title > excerpt > tags > content
+searchDocumentSchema.index(
+  { title: 'text', excerpt: 'text', tags: 'text', content: 'text' },
+  {
+    name: 'search_text',
+    weights: { title: 10, excerpt: 5, tags: 3, content: 1 },
+    default_language: 'english',
+    language_override: 'textLanguage'
+  }
+);
+searchDocumentSchema.index({ blog: 1, language: 1 }, { unique: true });
+searchDocumentSchema.index({ language: 1, status: 1, publishedAt: -1 });
+searchDocumentSchema.index({ language: 1, terms: 1 });
+
+// Build the search documents for every complete language of a blog
+const buildSearchDocuments = (blog) => {
+  const documents = [];
+
+  for (const language of ['en', 'bn']) {
+    const isComplete = blog.title?.[language] && blog.content?.[language] && blog.excerpt?.[language] &&
+      blog.slug?.[language] && blog.category?.[language];
+    if (!isComplete) continue;
+
+    const title = blog.title[language];
+    const excerpt = blog.excerpt[language];
+    const content = stripHtml(blog.content[language]);
+    const tags = (blog.tags || []).map(tag => tag?.[language]).filter(Boolean);
+
+    documents.push({
+      blog: blog._id,
+      language,
+      textLanguage: TEXT_LANGUAGES[language],
+      title: normalizeText(title, language),
+      excerpt: normalizeText(excerpt, language),
+      tags: tags.map(tag => normalizeText(tag, language)),
+      content: normalizeText(content, language),
+      terms: tokenize([title, excerpt, tags.join(' '), content].join(' '), language),
+      display: { title, excerpt, content },
+      status: blog.status,
+      publishedAt: blog.publishedAt || null,
+      category: blog.category[language],
+      postType: blog.postType || 'regular',
+      authorUser: blog.author?.user || null
+    });
+  }
+
+  return documents;
+};
+
+// Static method to (re)index a blog, dropping languages it no longer has
+searchDocumentSchema.statics.indexBlog = async function(blog) {
+  const documents = buildSearchDocuments(blog);
+  const languages = documents.map(doc => doc.language);
+
+  await Promise.all(documents.map(doc => this.findOneAndUpdate(
+    { blog: doc.blog, language: doc.language },
+    doc,
+    { upsert: true, setDefaultsOnInsert: true }
+  )));
+
+  await this.deleteMany({ blog: blog._id, language: { $nin: languages } });
+};
+
+// Static method to remove a blog from the index
+searchDocumentSchema.statics.removeBlog = function(blogId) {
+  return this.deleteMany({ blog: blogId });
+};
+
+const SearchDocument = mongoose.model('SearchDocument', searchDocumentSchema);
+
+export default SearchDocument;
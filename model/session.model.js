@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Only touch lastSeenAt this often, so most protected requests stay read-only
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+// One session per signed-in device. The refresh token rotates on every use;
+// only the hash of the current token is stored, so presenting an older token
+// from the same family means it was copied and the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'password_change', 'password_reset', 'reuse_detected', 'account_disabled', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newExpiry = () => {
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without the secret
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, hash: hashToken(secret) };
+};
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').substring(0, 500),
+  ip: req.ip || ''
+});
+
+// Static method to start a session and return its first refresh token
+sessionSchema.statics.start = async function(userId, req) {
+  const session = new this({
+    user: userId,
+    expiresAt: newExpiry(),
+    ...clientInfo(req)
+  });
+  const { token, hash } = buildRefreshToken(session._id);
+  session.tokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken: token };
+};
+
+/**
+ * Exchange a refresh token for a new one.
+ * @returns {Promise<{status: string, session?: object, refreshToken?: string}>}
+ *   status is 'rotated', 'invalid' or 'reused'
+ */
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { status: 'invalid' };
+  }
+
+  const { token, hash } = buildRefreshToken(parsed.sessionId);
+  const now = new Date();
+
+  // Matching on the current hash makes the rotation atomic
+  const session = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: parsed.hash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { tokenHash: hash, lastSeenAt: now, expiresAt: newExpiry(), ...clientInfo(req) } },
+    { new: true }
+  );
+
+  if (session) {
+    return { status: 'rotated', session, refreshToken: token };
+  }
+
+  // A live session with a different current token: this one was already used
+  const reused = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'reuse_detected' } },
+    { new: true }
+  );
+
+  return reused ? { status: 'reused', session: reused } : { status: 'invalid' };
+};
+
+// Static method to find an active session for an access token
+sessionSchema.statics.findActive = async function(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const session = await this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+
+  if (session && Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await this.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+  }
+
+  return session;
+};
+
+// Static method to revoke sessions of a user, optionally sparing one
+sessionSchema.statics.revokeAll = function(userId, reason, { except = null } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Settings are read on hot paths (e.g. every protected request), so values
+// are cached in memory for a short time.
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Static method to read a setting, falling back to a default
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : defaultValue;
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return value;
+};
+
+// Static method to write a setting
+settingSchema.statics.setValue = async function(key, value, updatedBy = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true }
+  );
+  cache.delete(key);
+
+  return setting;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
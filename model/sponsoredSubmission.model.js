@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Fields request lists can be sorted on with ?sortBy=
+export const SUBMISSION_SORT_FIELDS = ['requestDate', 'reviewDate', 'approvalDate', 'publishDate', 'expiryDate', 'createdAt', 'updatedAt'];
+
 const sponsoredSubmissionSchema = new mongoose.Schema({
   // Owner (submitter)
   owner: {
@@ -1,5 +1,35 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { verifyTotp, decryptSecret, hashBackupCode } from '../utils/totp.js';
+import Role, { PERMISSIONS } from './role.model.js';
+import { NOTIFICATION_TYPES } from './notification.model.js';
+
+// Built-in role hierarchy, lowest to highest; custom roles carry their own level
+export const ROLE_LEVELS = {
+  user: 0,
+  editor: 1,
+  moderator: 2,
+  admin: 3
+};
+
+// Switches under emailNotifications that users can change
+export const EMAIL_NOTIFICATION_PREFERENCES = ['newFollowers', 'newComments', 'mentions', 'weeklyDigest', 'marketing'];
+
+// Orderings of the personalised feed
+export const FEED_RANKINGS = ['chronological', 'engagement'];
+
+// Longest tag the feed can follow
+export const MAX_TAG_LENGTH = 50;
+
+// Orderings for the user list, ending with _id for cursors
+export const USER_LIST_SORTS = {
+  name: { name: 1, _id: 1 },
+  email: { email: 1, _id: 1 },
+  role: { role: 1, _id: 1 },
+  lastLogin: { lastLogin: -1, _id: -1 },
+  createdAt: { createdAt: -1, _id: -1 }
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -28,24 +58,21 @@ const userSchema = new mongoose.Schema({
     default: 'en',
     required: true
   },
+  // Name of a Role document; checked against the Role collection when assigned
   role: {
     type: String,
-    enum: ['user', 'editor', 'moderator', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
+  // Per-user overrides merged with the role's permissions; denies win
   permissions: [{
     type: String,
-    enum: [
-      'create_blog',
-      'edit_own_blog',
-      'edit_all_blogs',
-      'delete_own_blog',
-      'delete_all_blogs',
-      'publish_blog',
-      'manage_users',
-      'manage_categories',
-      'view_analytics'
-    ]
+    enum: PERMISSIONS
+  }],
+  deniedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
   }],
   isActive: {
     type: Boolean,
@@ -109,6 +136,31 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // What the personalised feed shows besides followed authors, and what it hides
+  feedPreferences: {
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    tags: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Tag cannot exceed 50 characters']
+    }],
+    mutedAuthors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    mutedCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    ranking: {
+      type: String,
+      enum: FEED_RANKINGS,
+      default: 'chronological'
+    }
+  },
   totalViews: {
     type: Number,
     default: 0
@@ -134,9 +186,15 @@ const userSchema = new mongoose.Schema({
   emailNotifications: {
     newFollowers: { type: Boolean, default: true },
     newComments: { type: Boolean, default: true },
+    mentions: { type: Boolean, default: true },
     weeklyDigest: { type: Boolean, default: true },
     marketing: { type: Boolean, default: false }
   },
+  // Notification types the user opted out of entirely (no inbox entry, no email)
+  mutedNotifications: [{
+    type: String,
+    enum: NOTIFICATION_TYPES
+  }],
   // Verification & Trust
   isVerified: {
     type: Boolean,
@@ -154,6 +212,14 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
   // Password reset fields
   resetPasswordToken: {
     type: String,
@@ -180,6 +246,21 @@ const userSchema = new mongoose.Schema({
   lastResetOTPAt: {
     type: Date,
     default: null
+  },
+  // Per-account login failures and temporary lockout
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null }
+  },
+  // Two-factor authentication; secrets are encrypted, backup codes hashed
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null, select: false },
+    pendingSecret: { type: String, default: null, select: false },
+    backupCodes: { type: [String], default: [], select: false },
+    lastUsedStep: { type: Number, default: -1, select: false },
+    enabledAt: { type: Date, default: null }
   }
 }, {
   timestamps: true
@@ -222,104 +303,80 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+// Check a TOTP code or a backup code; needs the twoFactor secret fields selected.
+// Used codes are consumed atomically so a code cannot be replayed.
+userSchema.methods.verifySecondFactor = async function({ code, backupCode } = {}) {
+  const User = mongoose.model('User');
+
+  if (code && this.twoFactor?.secret) {
+    const step = verifyTotp(decryptSecret(this.twoFactor.secret), code, {
+      afterStep: this.twoFactor.lastUsedStep ?? -1
+    });
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const result = await User.updateOne(
+      { _id: this._id, 'twoFactor.backupCodes': hashBackupCode(backupCode) },
+      { $pull: { 'twoFactor.backupCodes': hashBackupCode(backupCode) } }
+    );
+    return result.modifiedCount === 1 ? 'backup_code' : null;
+  }
+
+  return null;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Get user permissions based on role
+// Get the user's effective permissions (role permissions merged with per-user overrides)
 userSchema.methods.getPermissions = function() {
-  const rolePermissions = {
-    user: [
-      'view_blogs',
-      'create_comment',
-      'edit_own_comment',
-      'delete_own_comment',
-      'like_comment',
-      'follow_user',
-      'view_user_profiles'
-    ],
-    editor: [
-      'view_blogs',
-      'create_blog',
-      'edit_own_blog',
-      'delete_own_blog',
-      'publish_own_blog',
-      'create_comment',
-      'edit_own_comment',
-      'delete_own_comment',
-      'like_comment',
-      'follow_user',
-      'view_user_profiles',
-      'view_analytics'
-    ],
-    moderator: [
-      'view_blogs',
-      'create_blog',
-      'edit_own_blog',
-      'delete_own_blog',
-      'publish_own_blog',
-      'edit_all_blogs',
-      'delete_all_blogs',
-      'approve_comments',
-      'delete_comments',
-      'manage_users',
-      'create_comment',
-      'edit_own_comment',
-      'delete_own_comment',
-      'like_comment',
-      'follow_user',
-      'view_user_profiles',
-      'view_analytics'
-    ],
-    admin: [
-      'view_blogs',
-      'create_blog',
-      'edit_own_blog',
-      'edit_all_blogs',
-      'delete_own_blog',
-      'delete_all_blogs',
-      'publish_blog',
-      'approve_comments',
-      'delete_comments',
-      'manage_users',
-      'manage_categories',
-      'manage_roles',
-      'view_analytics',
-      'manage_system',
-      'create_comment',
-      'edit_own_comment',
-      'delete_own_comment',
-      'like_comment',
-      'follow_user',
-      'view_user_profiles'
-    ]
-  };
-
-  return rolePermissions[this.role] || rolePermissions.user;
+  return Role.resolvePermissions(this);
 };
 
 // Check if user has specific permission
-userSchema.methods.hasPermission = function(permission) {
-  const permissions = this.getPermissions();
+userSchema.methods.hasPermission = async function(permission) {
+  const permissions = await this.getPermissions();
   return permissions.includes(permission);
 };
 
-// Check if user can edit a specific blog
-userSchema.methods.canEditBlog = function(blog) {
-  if (this.role === 'admin') return true;
-  if (this.role === 'editor' && this.hasPermission('edit_all_blogs')) return true;
+const isBlogAuthor = (user, blog) => {
   const authorId = blog.author?.user || blog.author;
-  if (authorId && authorId.toString() === this._id.toString()) return true;
-  return false;
+  return Boolean(authorId && authorId.toString() === user._id.toString());
+};
+
+// Check if user can edit a specific blog
+userSchema.methods.canEditBlog = async function(blog) {
+  const permissions = await this.getPermissions();
+  return permissions.includes('edit_all_blogs') ||
+    (permissions.includes('edit_own_blog') && isBlogAuthor(this, blog));
 };
 
 // Check if user can delete a specific blog
-userSchema.methods.canDeleteBlog = function(blog) {
-  if (this.role === 'admin') return true;
-  const authorId = blog.author?.user || blog.author;
-  if (authorId && authorId.toString() === this._id.toString()) return true;
-  return false;
+userSchema.methods.canDeleteBlog = async function(blog) {
+  const permissions = await this.getPermissions();
+  return permissions.includes('delete_all_blogs') ||
+    (permissions.includes('delete_own_blog') && isBlogAuthor(this, blog));
 };
 
 // Follow/Unfollow methods
@@ -370,6 +427,12 @@ userSchema.methods.toJSON = function() {
   delete user.password;
   delete user.verificationToken;
   delete user.emailVerificationToken;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.backupCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
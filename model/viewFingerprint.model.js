@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One counted view per visitor, post and dedup window. The unique index does
+// the deduplication; documents expire once their window has passed.
+const viewFingerprintSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Salted hash of the signed-in user id, or of the client IP and user agent
+  visitor: {
+    type: String,
+    required: true
+  },
+  // Index of the dedup window since the epoch
+  window: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+viewFingerprintSchema.index({ blog: 1, visitor: 1, window: 1 }, { unique: true });
+viewFingerprintSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ViewFingerprint = mongoose.model('ViewFingerprint', viewFingerprintSchema);
+
+export default ViewFingerprint;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Deduplicated views per day, post, language and referrer. The category is
+// copied from the post so category trends need no join.
+const viewRollupSchema = new mongoose.Schema({
+  // Start of the day, UTC
+  day: {
+    type: Date,
+    required: true
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  language: {
+    type: String,
+    enum: ['en', 'bn'],
+    required: true
+  },
+  category: {
+    type: String,
+    default: ''
+  },
+  // Referring host without www., "internal" for our own site, "direct" when none
+  referrer: {
+    type: String,
+    default: 'direct'
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+viewRollupSchema.index({ day: 1, blog: 1, language: 1, referrer: 1 }, { unique: true });
+viewRollupSchema.index({ blog: 1, day: -1 });
+viewRollupSchema.index({ category: 1, day: -1 });
+viewRollupSchema.index({ referrer: 1, day: -1 });
+
+const ViewRollup = mongoose.model('ViewRollup', viewRollupSchema);
+
+export default ViewRollup;
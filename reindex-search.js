@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+async function reindexSearch() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const Blog = (await import('./model/blog.model.js')).default;
+    const SearchDocument = (await import('./model/searchDocument.model.js')).default;
+
+    console.log('\n🔧 Building search indexes...');
+    await SearchDocument.syncIndexes();
+
+    console.log('\n📚 Reindexing blogs...');
+    let indexed = 0;
+    let failed = 0;
+
+    for await (const blog of Blog.find({}).cursor()) {
+      try {
+        await SearchDocument.indexBlog(blog);
+        indexed++;
+      } catch (error) {
+        failed++;
+        console.log(`❌ Failed to index blog ${blog._id}: ${error.message}`);
+      }
+    }
+
+    // Drop search documents whose blog no longer exists
+    const blogIds = await Blog.distinct('_id');
+    const { deletedCount } = await SearchDocument.deleteMany({ blog: { $nin: blogIds } });
+
+    console.log(`\n✅ Indexed ${indexed} blog(s), ${failed} failed, removed ${deletedCount} orphaned entr${deletedCount === 1 ? 'y' : 'ies'}`);
+
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+reindexSearch();
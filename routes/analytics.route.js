@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getOverview,
+  getPublishingStats,
+  getEngagementStats,
+  getTopPosts,
+  getTopAuthors,
+  getCategoryStats,
+  getSubmissionFunnel,
+  getNewsletterGrowth,
+  SITE_ANALYTICS_PERMISSION
+} from '../controller/analytics.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as analyticsSchemas from '../validation/analytics.validation.js';
+
+const router = express.Router();
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month&format=json|csv
+router.use(protect, requirePermission('view_analytics'));
+
+router.get('/overview', validate(analyticsSchemas.getOverview), getOverview);
+router.get('/posts', validate(analyticsSchemas.getPublishingStats), getPublishingStats);
+router.get('/engagement', validate(analyticsSchemas.getEngagementStats), getEngagementStats);
+router.get('/top-posts', validate(analyticsSchemas.getTopPosts), getTopPosts);
+router.get('/categories', validate(analyticsSchemas.getCategoryStats), getCategoryStats);
+
+// Site-wide reports
+router.get('/top-authors', requirePermission(SITE_ANALYTICS_PERMISSION), validate(analyticsSchemas.getTopAuthors), getTopAuthors);
+router.get('/submissions', requirePermission('manage_submissions'), validate(analyticsSchemas.getSubmissionFunnel), getSubmissionFunnel);
+router.get('/newsletter', requirePermission('manage_newsletter'), validate(analyticsSchemas.getNewsletterGrowth), getNewsletterGrowth);
+
+export default router;
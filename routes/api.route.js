@@ -0,0 +1,52 @@
+import express from 'express';
+import userRoutes from './user.route.js';
+import blogRoutes from './blog.route.js';
+import uploadRoutes from './upload.route.js';
+import categoryRoutes from './category.route.js';
+import commentRoutes from './comment.route.js';
+import newsletterRoutes from './newsletter.route.js';
+import sponsoredPostRoutes from './sponsoredPost.route.js';
+import guestPostRoutes from './guestPost.route.js';
+import feedRoutes from './feed.route.js';
+import settingRoutes from './setting.route.js';
+import roleRoutes from './role.route.js';
+import notificationRoutes from './notification.route.js';
+import eventRoutes from './event.route.js';
+import timelineRoutes from './timeline.route.js';
+import bookmarkRoutes from './bookmark.route.js';
+import readingListRoutes from './readingList.route.js';
+import readingProgressRoutes from './readingProgress.route.js';
+import analyticsRoutes from './analytics.route.js';
+import { documentRoutes } from '../utils/openapi.js';
+
+// Every API router, served as v1 under /api and as v2 under /api/v2, and listed
+// in the OpenAPI document
+const API_ROUTES = [
+  ['/users', userRoutes],
+  ['/blogs', blogRoutes],
+  ['/upload', uploadRoutes],
+  ['/categories', categoryRoutes],
+  ['/comments', commentRoutes],
+  ['/newsletter', newsletterRoutes],
+  ['/sponsored-posts', sponsoredPostRoutes],
+  ['/guest-posts', guestPostRoutes],
+  ['/feeds', feedRoutes],
+  ['/settings', settingRoutes],
+  ['/roles', roleRoutes],
+  ['/notifications', notificationRoutes],
+  ['/events', eventRoutes],
+  ['/feed', timelineRoutes],
+  ['/bookmarks', bookmarkRoutes],
+  ['/reading-lists', readingListRoutes],
+  ['/reading-progress', readingProgressRoutes],
+  ['/analytics', analyticsRoutes]
+];
+
+const router = express.Router();
+
+for (const [path, routes] of API_ROUTES) {
+  router.use(path, routes);
+  documentRoutes(path, routes);
+}
+
+export default router;
@@ -19,18 +19,33 @@ import {
   getBlogsByLanguage,
   getCategoriesWithCount,
   getTrendingBlogs,
-  getHomepageData
+  getHomepageData,
+  scheduleBlog,
+  cancelScheduledBlog,
+  getScheduledBlogs
 } from '../controller/blog.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
+import {
+  getBlogRevisions,
+  getBlogRevision,
+  diffBlogRevisions,
+  restoreBlogRevision
+} from '../controller/blogRevision.controller.js';
+import {
+  getBlogReactions,
+  getBlogReactionUsers,
+  setBlogReaction,
+  removeBlogReaction
+} from '../controller/blogReaction.controller.js';
+import { protect, optionalAuth } from '../middleware/auth.middleware.js';
 import { 
-  requireEditor, 
-  requireModerator, 
-  requireAdmin, 
   canManageResource,
   requirePermission 
 } from '../middleware/permissions.middleware.js';
 import upload from '../middleware/upload.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { cacheResponse, cacheTags } from '../utils/responseCache.js';
 import Blog from '../model/blog.model.js'; // Added import for Blog model
+import * as blogSchemas from '../validation/blog.validation.js';
 import { 
   blogActionLimiter, 
   adminActionLimiter 
@@ -39,26 +54,27 @@ import {
 const router = express.Router();
 
 // Public routes
-router.get('/', getAllBlogs);
-router.get('/search', searchBlogs);
-router.get('/recent', getRecentBlogs);
-router.get('/popular', getPopularBlogs);
+router.get('/', validate(blogSchemas.getAllBlogs), getAllBlogs);
+router.get('/search', validate(blogSchemas.searchBlogs), searchBlogs);
+router.get('/recent', validate(blogSchemas.getRecentBlogs), getRecentBlogs);
+router.get('/popular', validate(blogSchemas.getPopularBlogs), getPopularBlogs);
 router.get('/category/:categorySlug', getBlogsByCategory);
 
-// New homepage and trending routes
-router.get('/:lang/homepage', getHomepageData);
-router.get('/:lang/trending', getTrendingBlogs);
-router.get('/:lang/featured', getFeaturedBlogs);
-router.get('/:lang/category/:category', getBlogsByCategory);
+// New homepage and trending routes, cached until a post in the language changes
+const blogListCache = cacheResponse({ tags: req => [cacheTags.blogs(req.params.lang)] });
+router.get('/:lang/homepage', validate(blogSchemas.getHomepageData), blogListCache, getHomepageData);
+router.get('/:lang/trending', validate(blogSchemas.getTrendingBlogs), blogListCache, getTrendingBlogs);
+router.get('/:lang/featured', validate(blogSchemas.getFeaturedBlogs), getFeaturedBlogs);
+router.get('/:lang/category/:category', validate(blogSchemas.getBlogsByCategory), getBlogsByCategory);
 
-router.get('/author/:authorId', getBlogsByAuthor);
+router.get('/author/:authorId', validate(blogSchemas.getBlogsByAuthor), getBlogsByAuthor);
 router.get('/:lang/categories', getCategoriesWithCount);
-router.get('/:lang/slug/:slug', getBlogBySlug);
-router.get('/:lang', getBlogsByLanguage);
+router.get('/:lang/slug/:slug', validate(blogSchemas.getBlogBySlug), getBlogBySlug);
+router.get('/:lang', validate(blogSchemas.getBlogsByLanguage), getBlogsByLanguage);
 router.get('/:slug', getBlogBySlug);
 
 // Get related posts for a specific blog
-router.get('/:id/related', async (req, res) => {
+router.get('/:id/related', validate(blogSchemas.getRelatedBlogs), async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 3, lang = 'en' } = req.query;
@@ -89,11 +105,11 @@ router.get('/:id/related', async (req, res) => {
     // Find related posts
     let relatedPosts = await Blog.find(relatedQuery)
       .sort({ publishedAt: -1 })
-      .limit(parseInt(limit))
+      .limit(limit)
       .populate('author', 'name avatar bio');
 
     // If not enough posts found, get posts from same category
-    if (relatedPosts.length < parseInt(limit) && currentBlog.category && currentBlog.category[lang]) {
+    if (relatedPosts.length < limit && currentBlog.category && currentBlog.category[lang]) {
       const additionalPosts = await Blog.find({
         _id: { $ne: id },
         status: 'published',
@@ -101,21 +117,21 @@ router.get('/:id/related', async (req, res) => {
         [`title.${lang}`]: { $exists: true, $ne: '' }
       })
         .sort({ publishedAt: -1 })
-        .limit(parseInt(limit) - relatedPosts.length)
+        .limit(limit - relatedPosts.length)
         .populate('author', 'name avatar bio');
 
       relatedPosts = [...relatedPosts, ...additionalPosts];
     }
 
     // If still not enough, get recent posts from same language
-    if (relatedPosts.length < parseInt(limit)) {
+    if (relatedPosts.length < limit) {
       const recentPosts = await Blog.find({
         _id: { $ne: id },
         status: 'published',
         [`title.${lang}`]: { $exists: true, $ne: '' }
       })
         .sort({ publishedAt: -1 })
-        .limit(parseInt(limit) - relatedPosts.length)
+        .limit(limit - relatedPosts.length)
         .populate('author', 'name avatar bio');
 
       relatedPosts = [...relatedPosts, ...recentPosts];
@@ -129,7 +145,7 @@ router.get('/:id/related', async (req, res) => {
     res.json({
       success: true,
       data: {
-        relatedPosts: uniquePosts.slice(0, parseInt(limit))
+        relatedPosts: uniquePosts.slice(0, limit)
       }
     });
   } catch (error) {
@@ -138,16 +154,31 @@ router.get('/:id/related', async (req, res) => {
   }
 });
 
+// Reactions: anyone can see them, signed-in readers can react
+router.get('/:id/reactions', optionalAuth, getBlogReactions);
+router.get('/:id/reactions/users', validate(blogSchemas.getBlogReactionUsers), getBlogReactionUsers);
+router.put('/:id/reactions', protect, validate(blogSchemas.setBlogReaction), setBlogReaction);
+router.delete('/:id/reactions', protect, removeBlogReaction);
+
 // Protected routes - require editor or higher
-router.post('/', protect, requireEditor, blogActionLimiter, upload.single('featuredImage'), createBlog);
-router.get('/admin/:id', protect, requireEditor, getBlogById);
-router.put('/:id', protect, canManageResource('blog'), blogActionLimiter, upload.single('featuredImage'), updateBlog);
-router.delete('/:id', protect, canManageResource('blog'), blogActionLimiter, deleteBlog);
+router.post('/', protect, requirePermission('create_blog'), blogActionLimiter, upload.single('featuredImage'), validate(blogSchemas.createBlog), createBlog);
+router.get('/admin/scheduled', protect, requirePermission('view_admin'), getScheduledBlogs);
+router.get('/admin/:id', protect, requirePermission('view_admin'), getBlogById);
+router.put('/:id', protect, canManageResource('blog'), blogActionLimiter, upload.single('featuredImage'), validate(blogSchemas.updateBlog), updateBlog);
+router.delete('/:id', protect, canManageResource('blog', 'delete'), blogActionLimiter, deleteBlog);
+router.put('/:id/schedule', protect, canManageResource('blog'), blogActionLimiter, validate(blogSchemas.scheduleBlog), scheduleBlog);
+router.delete('/:id/schedule', protect, canManageResource('blog'), blogActionLimiter, cancelScheduledBlog);
+
+// Revision history
+router.get('/:id/revisions', protect, canManageResource('blog'), validate(blogSchemas.getBlogRevisions), getBlogRevisions);
+router.get('/:id/revisions/diff', protect, canManageResource('blog'), validate(blogSchemas.diffBlogRevisions), diffBlogRevisions);
+router.get('/:id/revisions/:revision', protect, canManageResource('blog'), validate(blogSchemas.getBlogRevision), getBlogRevision);
+router.post('/:id/revisions/:revision/restore', protect, canManageResource('blog'), blogActionLimiter, validate(blogSchemas.restoreBlogRevision), restoreBlogRevision);
 
 // Admin/Moderator only routes
-router.put('/:id/status', protect, requireModerator, adminActionLimiter, toggleBlogStatus);
-router.put('/:id/featured', protect, requireModerator, adminActionLimiter, toggleBlogFeatured);
-router.put('/:id/approve', protect, requireModerator, adminActionLimiter, approveBlog);
-router.put('/:id/reject', protect, requireModerator, adminActionLimiter, rejectBlog);
+router.put('/:id/status', protect, requirePermission('publish_blog'), adminActionLimiter, validate(blogSchemas.toggleBlogStatus), toggleBlogStatus);
+router.put('/:id/featured', protect, requirePermission('publish_blog'), adminActionLimiter, toggleBlogFeatured);
+router.put('/:id/approve', protect, requirePermission('publish_blog'), adminActionLimiter, approveBlog);
+router.put('/:id/reject', protect, requirePermission('publish_blog'), adminActionLimiter, validate(blogSchemas.rejectBlog), rejectBlog);
 
 export default router; 
\ No newline at end of file
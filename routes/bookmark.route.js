@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getBookmarks,
+  getBookmarkStatus,
+  addBookmark,
+  removeBookmark
+} from '../controller/bookmark.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as bookmarkSchemas from '../validation/bookmark.validation.js';
+
+const router = express.Router();
+
+// Bookmarks belong to the signed-in user
+router.use(protect);
+
+router.get('/', validate(bookmarkSchemas.getBookmarks), getBookmarks);
+router.get('/status', validate(bookmarkSchemas.getBookmarkStatus), getBookmarkStatus);
+router.put('/:blogId', validate(bookmarkSchemas.addBookmark), addBookmark);
+router.delete('/:blogId', validate(bookmarkSchemas.removeBookmark), removeBookmark);
+
+export default router;
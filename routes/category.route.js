@@ -10,23 +10,27 @@ import {
   getCategoryHighlights
 } from '../controller/category.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { requirePermission, requireRole } from '../middleware/permissions.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { cacheResponse, cacheTags } from '../utils/responseCache.js';
+import * as categorySchemas from '../validation/category.validation.js';
 
 const router = express.Router();
 
 // Public routes
-router.get('/', getCategories);
-router.get('/all/:lang', getAllCategoriesWithCount);
+router.get('/', validate(categorySchemas.getCategories), getCategories);
+router.get('/all/:lang', validate(categorySchemas.getAllCategoriesWithCount), getAllCategoriesWithCount);
 
-// New homepage category routes
-router.get('/:lang/with-counts', getCategoriesWithCounts);
-router.get('/:lang/highlights', getCategoryHighlights);
+// New homepage category routes, cached until a category or a post in the language changes
+const categoryListCache = cacheResponse({ tags: req => [cacheTags.categories, cacheTags.blogs(req.params.lang)] });
+router.get('/:lang/with-counts', validate(categorySchemas.getCategoriesWithCounts), categoryListCache, getCategoriesWithCounts);
+router.get('/:lang/highlights', validate(categorySchemas.getCategoryHighlights), categoryListCache, getCategoryHighlights);
 
-router.get('/:id', getCategory);
+router.get('/:id', validate(categorySchemas.getCategory), getCategory);
 
 // Protected routes
-router.post('/', protect, requirePermission('manage_categories'), createCategory);
-router.put('/:id', protect, requirePermission('manage_categories'), updateCategory);
-router.delete('/:id', protect, requireRole('admin'), deleteCategory);
+router.post('/', protect, requirePermission('manage_categories'), validate(categorySchemas.createCategory), createCategory);
+router.put('/:id', protect, requirePermission('manage_categories'), validate(categorySchemas.updateCategory), updateCategory);
+router.delete('/:id', protect, requirePermission('manage_categories'), validate(categorySchemas.deleteCategory), deleteCategory);
 
 export default router; 
\ No newline at end of file
@@ -1,24 +1,43 @@
 import express from 'express';
 import { 
   getBlogComments, 
+  getCommentReplies,
   createComment, 
   updateComment, 
   deleteComment,
   toggleLike,
   toggleDislike
 } from '../controller/comment.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
+import {
+  getModerationQueue,
+  getModerationStats,
+  getModerationLog,
+  moderateComment,
+  bulkModerateComments
+} from '../controller/commentModeration.controller.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.middleware.js';
 import { requirePermission } from '../middleware/permissions.middleware.js';
-import { commentLimiter } from '../middleware/rateLimit.middleware.js';
+import { commentLimiter, adminActionLimiter } from '../middleware/rateLimit.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as commentSchemas from '../validation/comment.validation.js';
 
 const router = express.Router();
 
 // Public routes
-router.get('/blog/:blogId', getBlogComments);
+router.get('/blog/:blogId', validate(commentSchemas.getBlogComments), getBlogComments);
+router.get('/:id/replies', validate(commentSchemas.getCommentReplies), getCommentReplies);
+
+// Moderation queue
+const canModerate = requirePermission('approve_comments');
+router.get('/moderation', protect, canModerate, validate(commentSchemas.getModerationQueue), getModerationQueue);
+router.get('/moderation/stats', protect, canModerate, getModerationStats);
+router.get('/moderation/log', protect, canModerate, validate(commentSchemas.getModerationLog), getModerationLog);
+router.post('/moderation/bulk', protect, canModerate, adminActionLimiter, validate(commentSchemas.bulkModerateComments), bulkModerateComments);
+router.put('/:id/moderation', protect, canModerate, adminActionLimiter, validate(commentSchemas.moderateComment), moderateComment);
 
 // Protected routes
-router.post('/', protect, commentLimiter, createComment);
-router.put('/:id', protect, commentLimiter, updateComment);
+router.post('/', protect, requireVerifiedEmail('comment'), commentLimiter, validate(commentSchemas.createComment), createComment);
+router.put('/:id', protect, commentLimiter, validate(commentSchemas.updateComment), updateComment);
 router.delete('/:id', protect, commentLimiter, deleteComment);
 router.post('/:id/like', protect, commentLimiter, toggleLike);
 router.post('/:id/dislike', protect, commentLimiter, toggleDislike);
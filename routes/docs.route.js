@@ -0,0 +1,10 @@
+import express from 'express';
+import { getOpenApiDocument, getDocsViewer } from '../controller/docs.controller.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getDocsViewer);
+router.get('/openapi.json', getOpenApiDocument);
+
+export default router;
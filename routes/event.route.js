@@ -0,0 +1,11 @@
+import express from 'express';
+import { streamEvents } from '../controller/event.controller.js';
+import { streamAuth } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as eventSchemas from '../validation/event.validation.js';
+
+const router = express.Router();
+
+router.get('/', streamAuth, validate(eventSchemas.streamEvents), streamEvents);
+
+export default router;
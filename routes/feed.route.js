@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getLanguageFeed,
+  getCategoryFeed,
+  getAuthorFeed
+} from '../controller/feed.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as feedSchemas from '../validation/feed.validation.js';
+
+const router = express.Router();
+
+// Public routes - the extension picks the format: .xml (RSS 2.0), .atom or .json (JSON Feed)
+router.get('/:lang.:ext', validate(feedSchemas.getLanguageFeed), getLanguageFeed);
+router.get('/:lang/category/:slug.:ext', validate(feedSchemas.getCategoryFeed), getCategoryFeed);
+router.get('/:lang/author/:id.:ext', validate(feedSchemas.getAuthorFeed), getAuthorFeed);
+router.get('/:lang/author/:id', validate(feedSchemas.getAuthorFeed), getAuthorFeed);
+
+export default router;
@@ -9,27 +9,29 @@ import {
   getGuestPostStats,
   getMyGuestSubmissions
 } from '../controller/guestPost.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
-import { requireModerator, requireAdmin } from '../middleware/permissions.middleware.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
 import { adminActionLimiter, blogActionLimiter } from '../middleware/rateLimit.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as guestPostSchemas from '../validation/guestPost.validation.js';
 
 const router = express.Router();
 
 // Submit requires authentication
-router.post('/submit', protect, blogActionLimiter, submitGuestPost);
+router.post('/submit', protect, requireVerifiedEmail('guest_post'), blogActionLimiter, validate(guestPostSchemas.submitGuestPost), submitGuestPost);
 
 // Protected routes (Admin/Moderator)
-router.use(protect, requireModerator);
+router.use(protect, requirePermission('manage_submissions'));
 
-router.get('/', getAllGuestSubmissions);
-router.get('/my', protect, getMyGuestSubmissions);
+router.get('/', validate(guestPostSchemas.getAllGuestSubmissions), getAllGuestSubmissions);
+router.get('/my', protect, validate(guestPostSchemas.getMyGuestSubmissions), getMyGuestSubmissions);
 router.get('/stats/overview', getGuestPostStats);
-router.get('/:id', getGuestSubmissionById);
+router.get('/:id', validate(guestPostSchemas.getGuestSubmissionById), getGuestSubmissionById);
 // Public edit endpoints guarded by signed token will be added later if needed
-router.put('/:id/status', adminActionLimiter, updateGuestSubmissionStatus);
-router.post('/:id/publish', adminActionLimiter, publishGuestPost);
+router.put('/:id/status', adminActionLimiter, validate(guestPostSchemas.updateGuestSubmissionStatus), updateGuestSubmissionStatus);
+router.post('/:id/publish', adminActionLimiter, validate(guestPostSchemas.publishGuestPost), publishGuestPost);
 
 // Admin only routes
-router.delete('/:id', requireAdmin, adminActionLimiter, deleteGuestSubmission);
+router.delete('/:id', requirePermission('delete_submissions'), adminActionLimiter, validate(guestPostSchemas.deleteGuestSubmission), deleteGuestSubmission);
 
 export default router;
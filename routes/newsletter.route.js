@@ -9,7 +9,9 @@ import {
   getNewsletterStats
 } from '../controller/newsletter.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { requireAdmin } from '../middleware/permissions.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as newsletterSchemas from '../validation/newsletter.validation.js';
 
 const router = express.Router();
 
@@ -31,16 +33,16 @@ const subscribeRateLimit = rateLimit({
 });
 
 // Public routes
-router.post('/subscribe', subscribeRateLimit, subscribe);
-router.get('/confirm/:token', confirmSubscription);
-router.get('/unsubscribe/:token', unsubscribe);
-router.get('/resubscribe/:token', resubscribe);
-router.get('/status', getSubscriptionStatus);
+router.post('/subscribe', subscribeRateLimit, validate(newsletterSchemas.subscribe), subscribe);
+router.get('/confirm/:token', validate(newsletterSchemas.confirmSubscription), confirmSubscription);
+router.get('/unsubscribe/:token', validate(newsletterSchemas.unsubscribe), unsubscribe);
+router.get('/resubscribe/:token', validate(newsletterSchemas.resubscribe), resubscribe);
+router.get('/status', validate(newsletterSchemas.getSubscriptionStatus), getSubscriptionStatus);
 
 // Admin routes (protected)
 router.get('/stats', 
   protect, 
-  requireAdmin, 
+  requirePermission('manage_newsletter'), 
   getNewsletterStats
 );
 
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  archiveNotification,
+  unarchiveNotification,
+  archiveReadNotifications,
+  getNotificationSettings,
+  updateNotificationSettings
+} from '../controller/notification.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as notificationSchemas from '../validation/notification.validation.js';
+
+const router = express.Router();
+
+// All notification routes are for the signed-in user
+router.use(protect);
+
+router.get('/', validate(notificationSchemas.getNotifications), getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.get('/settings', getNotificationSettings);
+router.put('/settings', validate(notificationSchemas.updateNotificationSettings), updateNotificationSettings);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/archive-read', archiveReadNotifications);
+router.put('/:id/read', validate(notificationSchemas.markNotificationRead), markNotificationRead);
+router.put('/:id/archive', validate(notificationSchemas.archiveNotification), archiveNotification);
+router.put('/:id/unarchive', validate(notificationSchemas.unarchiveNotification), unarchiveNotification);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getMyReadingLists,
+  createReadingList,
+  getReadingList,
+  getSharedReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addReadingListItem,
+  updateReadingListItem,
+  removeReadingListItem,
+  reorderReadingList
+} from '../controller/readingList.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as readingListSchemas from '../validation/readingList.validation.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/shared/:slug', validate(readingListSchemas.getSharedReadingList), getSharedReadingList);
+
+// Protected routes (owner only)
+router.get('/', protect, getMyReadingLists);
+router.post('/', protect, validate(readingListSchemas.createReadingList), createReadingList);
+router.get('/:id', protect, validate(readingListSchemas.getReadingList), getReadingList);
+router.put('/:id', protect, validate(readingListSchemas.updateReadingList), updateReadingList);
+router.delete('/:id', protect, validate(readingListSchemas.deleteReadingList), deleteReadingList);
+router.post('/:id/items', protect, validate(readingListSchemas.addReadingListItem), addReadingListItem);
+router.put('/:id/order', protect, validate(readingListSchemas.reorderReadingList), reorderReadingList);
+router.put('/:id/items/:blogId', protect, validate(readingListSchemas.updateReadingListItem), updateReadingListItem);
+router.delete('/:id/items/:blogId', protect, validate(readingListSchemas.removeReadingListItem), removeReadingListItem);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getContinueReading,
+  getReadingProgress,
+  updateReadingProgress,
+  deleteReadingProgress
+} from '../controller/readingProgress.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as readingProgressSchemas from '../validation/readingProgress.validation.js';
+
+const router = express.Router();
+
+// Reading progress belongs to the signed-in user
+router.use(protect);
+
+router.get('/continue', validate(readingProgressSchemas.getContinueReading), getContinueReading);
+router.get('/:blogId', validate(readingProgressSchemas.getReadingProgress), getReadingProgress);
+router.put('/:blogId', validate(readingProgressSchemas.updateReadingProgress), updateReadingProgress);
+router.delete('/:blogId', validate(readingProgressSchemas.deleteReadingProgress), deleteReadingProgress);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controller/role.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
+import { adminActionLimiter } from '../middleware/rateLimit.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as roleSchemas from '../validation/role.validation.js';
+
+const router = express.Router();
+
+// Role management
+router.use(protect, requirePermission('manage_roles'));
+
+router.get('/', getRoles);
+router.get('/:name', validate(roleSchemas.getRole), getRole);
+router.post('/', adminActionLimiter, validate(roleSchemas.createRole), createRole);
+router.put('/:name', adminActionLimiter, validate(roleSchemas.updateRole), updateRole);
+router.delete('/:name', adminActionLimiter, validate(roleSchemas.deleteRole), deleteRole);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getSecuritySettingsHandler,
+  updateSecuritySettings
+} from '../controller/setting.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
+import { adminActionLimiter } from '../middleware/rateLimit.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as settingSchemas from '../validation/setting.validation.js';
+
+const router = express.Router();
+
+// Admin only routes
+router.get('/security', protect, requirePermission('manage_system'), getSecuritySettingsHandler);
+router.put('/security', protect, requirePermission('manage_system'), adminActionLimiter, validate(settingSchemas.updateSecuritySettings), updateSecuritySettings);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getSitemapIndex,
+  getPagesSitemap,
+  getCategorySitemap,
+  getAuthorsSitemap
+} from '../controller/sitemap.controller.js';
+
+const router = express.Router();
+
+// Public routes - mounted at the site root so crawlers find /sitemap.xml
+router.get('/sitemap.xml', getSitemapIndex);
+router.get('/sitemaps/:lang/pages.xml', getPagesSitemap);
+router.get('/sitemaps/:lang/category/:category/:page.xml', getCategorySitemap);
+router.get('/sitemaps/:lang/authors/:page.xml', getAuthorsSitemap);
+
+export default router;
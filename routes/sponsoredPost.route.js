@@ -9,27 +9,29 @@ import {
   getSponsoredPostStats,
   getMySponsoredSubmissions
 } from '../controller/sponsoredPost.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
-import { requireModerator, requireAdmin } from '../middleware/permissions.middleware.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
 import { adminActionLimiter, blogActionLimiter } from '../middleware/rateLimit.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as sponsoredPostSchemas from '../validation/sponsoredPost.validation.js';
 
 const router = express.Router();
 
 // Submit requires authentication
-router.post('/submit', protect, blogActionLimiter, submitSponsoredPost);
+router.post('/submit', protect, requireVerifiedEmail('sponsored_post'), blogActionLimiter, validate(sponsoredPostSchemas.submitSponsoredPost), submitSponsoredPost);
 
 // Protected routes (Admin/Moderator)
-router.use(protect, requireModerator);
+router.use(protect, requirePermission('manage_submissions'));
 
-router.get('/', getAllSponsoredSubmissions);
-router.get('/my', protect, getMySponsoredSubmissions);
+router.get('/', validate(sponsoredPostSchemas.getAllSponsoredSubmissions), getAllSponsoredSubmissions);
+router.get('/my', protect, validate(sponsoredPostSchemas.getMySponsoredSubmissions), getMySponsoredSubmissions);
 router.get('/stats/overview', getSponsoredPostStats);
-router.get('/:id', getSponsoredSubmissionById);
+router.get('/:id', validate(sponsoredPostSchemas.getSponsoredSubmissionById), getSponsoredSubmissionById);
 // Public edit endpoints guarded by signed token will be added later if needed
-router.put('/:id/status', adminActionLimiter, updateSponsoredSubmissionStatus);
-router.post('/:id/publish', adminActionLimiter, publishSponsoredPost);
+router.put('/:id/status', adminActionLimiter, validate(sponsoredPostSchemas.updateSponsoredSubmissionStatus), updateSponsoredSubmissionStatus);
+router.post('/:id/publish', adminActionLimiter, validate(sponsoredPostSchemas.publishSponsoredPost), publishSponsoredPost);
 
 // Admin only routes
-router.delete('/:id', requireAdmin, adminActionLimiter, deleteSponsoredSubmission);
+router.delete('/:id', requirePermission('delete_submissions'), adminActionLimiter, validate(sponsoredPostSchemas.deleteSponsoredSubmission), deleteSponsoredSubmission);
 
 export default router;
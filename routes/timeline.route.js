@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getTimeline,
+  getFeedPreferences,
+  updateFeedPreferences,
+  followCategory,
+  unfollowCategory,
+  followTag,
+  unfollowTag,
+  muteAuthor,
+  unmuteAuthor,
+  muteCategory,
+  unmuteCategory
+} from '../controller/timeline.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as timelineSchemas from '../validation/timeline.validation.js';
+
+const router = express.Router();
+
+// The personalised feed belongs to the signed-in user
+router.use(protect);
+
+router.get('/', validate(timelineSchemas.getTimeline), getTimeline);
+router.get('/preferences', getFeedPreferences);
+router.put('/preferences', validate(timelineSchemas.updateFeedPreferences), updateFeedPreferences);
+router.put('/categories/:id', validate(timelineSchemas.followCategory), followCategory);
+router.delete('/categories/:id', validate(timelineSchemas.unfollowCategory), unfollowCategory);
+router.put('/tags/:tag', validate(timelineSchemas.followTag), followTag);
+router.delete('/tags/:tag', validate(timelineSchemas.unfollowTag), unfollowTag);
+router.put('/mutes/authors/:id', validate(timelineSchemas.muteAuthor), muteAuthor);
+router.delete('/mutes/authors/:id', validate(timelineSchemas.unmuteAuthor), unmuteAuthor);
+router.put('/mutes/categories/:id', validate(timelineSchemas.muteCategory), muteCategory);
+router.delete('/mutes/categories/:id', validate(timelineSchemas.unmuteCategory), unmuteCategory);
+
+export default router;
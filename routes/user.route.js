@@ -12,42 +12,85 @@ import {
   toggleFollow,
   changePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin,
+  unlockUser,
+  getAuthEvents
 } from '../controller/user.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
-import { 
-  requireAdmin, 
-  requireModerator, 
-  canManageUsers, 
-  canManageRoles 
-} from '../middleware/permissions.middleware.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetUserTwoFactor
+} from '../controller/twoFactor.controller.js';
+import { protect, protectTwoFactorSetup } from '../middleware/auth.middleware.js';
+import {
+  getUserPermissions,
+  updateUserPermissions
+} from '../controller/role.controller.js';
+import { requirePermission } from '../middleware/permissions.middleware.js';
 import { 
   loginLimiter, 
   registerLimiter, 
-  authLimiter 
+  authLimiter,
+  refreshLimiter,
+  verificationLimiter,
+  adminActionLimiter
 } from '../middleware/rateLimit.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import * as userSchemas from '../validation/user.validation.js';
+import * as roleSchemas from '../validation/role.validation.js';
 
 const router = express.Router();
 
 // Public routes with rate limiting
-router.post('/register', registerLimiter, registerUser);
-router.post('/login', loginLimiter, loginUser);
-router.post('/forgot-password', authLimiter, forgotPassword);
-router.post('/reset-password', authLimiter, resetPassword);
-router.get('/profile/:username', authLimiter, getUserProfileByUsername);
+router.post('/register', registerLimiter, validate(userSchemas.registerUser), registerUser);
+router.post('/login', loginLimiter, validate(userSchemas.loginUser), loginUser);
+router.post('/login/2fa', authLimiter, validate(userSchemas.verifyTwoFactorLogin), verifyTwoFactorLogin);
+router.post('/forgot-password', authLimiter, validate(userSchemas.forgotPassword), forgotPassword);
+router.post('/reset-password', authLimiter, validate(userSchemas.resetPassword), resetPassword);
+router.post('/refresh-token', refreshLimiter, validate(userSchemas.refreshSession), refreshSession);
+router.post('/verify-email', verificationLimiter, validate(userSchemas.verifyEmail), verifyEmail);
+router.get('/profile/:username', authLimiter, validate(userSchemas.getUserProfileByUsername), getUserProfileByUsername);
 
 // Protected routes
 router.get('/profile', protect, getUserProfile);
-router.put('/profile', protect, updateUserProfile);
-router.put('/change-password', protect, changePassword);
-router.post('/:id/follow', protect, toggleFollow);
+router.put('/profile', protect, validate(userSchemas.updateUserProfile), updateUserProfile);
+router.put('/change-password', protect, validate(userSchemas.changePassword), changePassword);
+router.post('/:id/follow', protect, validate(userSchemas.toggleFollow), toggleFollow);
+router.post('/logout', protectTwoFactorSetup, logoutUser);
+router.post('/verify-email/resend', protect, verificationLimiter, resendVerificationEmail);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, validate(userSchemas.revokeAllSessions), revokeAllSessions);
+router.delete('/sessions/:id', protect, validate(userSchemas.revokeSession), revokeSession);
+
+// Two-factor enrolment stays reachable for accounts the 2FA policy is holding back
+router.get('/2fa', protectTwoFactorSetup, getTwoFactorStatus);
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, validate(userSchemas.enableTwoFactor), enableTwoFactor);
+router.post('/2fa/disable', protect, authLimiter, validate(userSchemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/backup-codes', protect, authLimiter, validate(userSchemas.regenerateBackupCodes), regenerateBackupCodes);
 
-// Admin/Moderator only routes
-router.get('/', protect, canManageUsers, getAllUsers);
-router.put('/:id/status', protect, canManageUsers, updateUserStatus);
-router.delete('/:id', protect, requireAdmin, deleteUser);
+// User management
+router.get('/', protect, requirePermission('list_users'), validate(userSchemas.getAllUsers), getAllUsers);
+router.get('/auth-events', protect, requirePermission('manage_user_security'), validate(userSchemas.getAuthEvents), getAuthEvents);
+router.put('/:id/status', protect, requirePermission('manage_users'), validate(userSchemas.updateUserStatus), updateUserStatus);
+router.delete('/:id', protect, requirePermission('delete_users'), validate(userSchemas.deleteUser), deleteUser);
+router.delete('/:id/2fa', protect, requirePermission('manage_user_security'), validate(userSchemas.resetUserTwoFactor), resetUserTwoFactor);
+router.post('/:id/unlock', protect, requirePermission('manage_user_security'), validate(userSchemas.unlockUser), unlockUser);
 
-// Admin only routes
-router.put('/:id/role', protect, canManageRoles, updateUserRole);
+// Role and permission management
+router.put('/:id/role', protect, requirePermission('manage_roles'), validate(userSchemas.updateUserRole), updateUserRole);
+router.get('/:id/permissions', protect, requirePermission('manage_roles'), validate(roleSchemas.getUserPermissions), getUserPermissions);
+router.put('/:id/permissions', protect, requirePermission('manage_roles'), adminActionLimiter, validate(roleSchemas.updateUserPermissions), updateUserPermissions);
 
 export default router; 
\ No newline at end of file
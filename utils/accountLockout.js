@@ -0,0 +1,102 @@
+import User from '../model/user.model.js';
+import { sendEmail } from './emailService.js';
+import { accountLockedEmail } from './emailTemplates.js';
+import logger from './logger.js';
+import { getSecuritySettings } from './securitySettings.js';
+import { recordAuthEvent } from './authAudit.js';
+
+/**
+ * Seconds until a locked account can try again
+ * @param {object} user - User document
+ * @returns {number} - 0 when the account is not locked
+ */
+export const lockRemainingSeconds = (user) => {
+  const lockedUntil = user.loginSecurity?.lockedUntil;
+  if (!lockedUntil || lockedUntil <= new Date()) {
+    return 0;
+  }
+  return Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+};
+
+const sendLockoutEmail = async (user, lockedUntil) => {
+  try {
+    const language = user.language || 'en';
+    await sendEmail({
+      to: user.email,
+      ...accountLockedEmail({
+        name: user.name,
+        lockedUntil,
+        resetUrl: `${process.env.FRONTEND_URL}/${language}/forgot-password`,
+        language
+      })
+    });
+  } catch (error) {
+    logger.error('Lockout email failed', { error: error.message, userId: user._id });
+  }
+};
+
+/**
+ * Count a failed login for an account and lock it once the threshold is reached.
+ * The counter is updated atomically, so parallel attempts cannot slip past it.
+ * @returns {Promise<{failedAttempts: number, lockedUntil: Date|null}>}
+ */
+export const recordLoginFailure = async (user, req, reason) => {
+  const settings = await getSecuritySettings();
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - settings.failureWindowMinutes * 60 * 1000);
+
+  // Old failures are forgotten instead of adding up forever
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [{
+      $set: {
+        'loginSecurity.failedAttempts': {
+          $cond: [
+            { $lt: ['$loginSecurity.lastFailedAt', windowStart] },
+            1,
+            { $add: [{ $ifNull: ['$loginSecurity.failedAttempts', 0] }, 1] }
+          ]
+        },
+        'loginSecurity.lastFailedAt': now
+      }
+    }],
+    { new: true }
+  ).select('loginSecurity');
+
+  const failedAttempts = updated?.loginSecurity?.failedAttempts || 1;
+  let lockedUntil = null;
+
+  if (failedAttempts >= settings.lockoutThreshold) {
+    // Exponential backoff: every failure past the threshold doubles the lock
+    const exponent = failedAttempts - settings.lockoutThreshold;
+    const minutes = Math.min(settings.lockoutBaseMinutes * 2 ** exponent, settings.lockoutMaxMinutes);
+    lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+    await User.updateOne({ _id: user._id }, { $set: { 'loginSecurity.lockedUntil': lockedUntil } });
+
+    recordAuthEvent(req, 'account_locked', user._id, false, {
+      email: user.email,
+      reason,
+      failedAttempts,
+      lockedUntil
+    });
+
+    // Only the first lock of a run sends an email
+    if (failedAttempts === settings.lockoutThreshold) {
+      sendLockoutEmail(user, lockedUntil);
+    }
+  }
+
+  return { failedAttempts, lockedUntil };
+};
+
+// Clear the failure counter after a successful login
+export const resetLoginFailures = (user) => {
+  if (!user.loginSecurity?.failedAttempts && !user.loginSecurity?.lockedUntil) {
+    return Promise.resolve();
+  }
+  return User.updateOne(
+    { _id: user._id },
+    { $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lastFailedAt': null, 'loginSecurity.lockedUntil': null } }
+  );
+};
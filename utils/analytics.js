@@ -0,0 +1,185 @@
+import { ValidationError } from './errorHandler.js';
+
+// Shared pieces of the /api/analytics reports: date ranges, time buckets and CSV.
+// Dates are whole UTC days; `to` is inclusive.
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// What the top posts report can rank by
+export const TOP_POST_METRICS = ['views', 'reactions', 'comments'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDay = (value, field) => {
+  const date = DATE_PATTERN.test(value) ? new Date(`${value}T00:00:00.000Z`) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${field} date`, [{ field, message: 'Use YYYY-MM-DD' }]);
+  }
+  return date;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Read ?from, ?to and ?interval. Defaults to the last 30 days, by day.
+ * @param {object} query - req.query
+ * @returns {{from: Date, to: Date, end: Date, interval: string}} - end is the exclusive upper bound
+ */
+export const parseRange = (query) => {
+  const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+  const to = query.to ? parseDay(query.to, 'to') : today;
+  const from = query.from ? parseDay(query.from, 'from') : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  const interval = query.interval || 'day';
+
+  if (from > to) {
+    throw new ValidationError('from must not be after to', [{ field: 'from', message: 'Must be on or before to' }]);
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new ValidationError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw new ValidationError(`Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`, [
+      { field: 'interval', message: `Must be one of: ${ANALYTICS_INTERVALS.join(', ')}` }
+    ]);
+  }
+
+  return { from, to, end: new Date(to.getTime() + DAY_MS), interval };
+};
+
+/**
+ * Match stage condition for a date field within the range
+ * @param {object} range - From parseRange
+ * @returns {object}
+ */
+export const inRange = (range) => ({ $gte: range.from, $lt: range.end });
+
+// Weeks start on Monday, as $dateTrunc is told below
+const periodStart = (date, interval) => {
+  const day = new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+  if (interval === 'week') {
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  if (interval === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  }
+  return day;
+};
+
+const nextPeriod = (date, interval) => {
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+  return new Date(date.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+};
+
+/**
+ * Every period in the range, so series have no gaps
+ * @param {object} range - From parseRange
+ * @returns {string[]} - Period start dates, YYYY-MM-DD
+ */
+export const periodKeys = (range) => {
+  const keys = [];
+  for (let period = periodStart(range.from, range.interval); period < range.end; period = nextPeriod(period, range.interval)) {
+    keys.push(formatDay(period));
+  }
+  return keys;
+};
+
+/**
+ * Aggregation expression truncating a date field to the start of its period
+ * @param {string} field - Date field name
+ * @param {string} interval - day, week or month
+ * @returns {object}
+ */
+export const periodExpression = (field, interval) => ({
+  $dateTrunc: {
+    date: `$${field}`,
+    unit: interval,
+    timezone: 'UTC',
+    ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+/**
+ * Count (or sum) documents per period
+ * @param {Model} Model - Mongoose model
+ * @param {object} match - Filter, without the date condition
+ * @param {string} dateField - Field bucketed by period
+ * @param {object} range - From parseRange
+ * @param {number|string} value - 1 to count, or a field path such as '$views' to sum
+ * @returns {Promise<Map<string, number>>} - Period start date to total
+ */
+export const countByPeriod = async (Model, match, dateField, range, value = 1) => {
+  const rows = await Model.aggregate([
+    { $match: { ...match, [dateField]: inRange(range) } },
+    { $group: { _id: periodExpression(dateField, range.interval), total: { $sum: value } } }
+  ]);
+  return new Map(rows.map(row => [formatDay(row._id), row.total]));
+};
+
+/**
+ * Build a gap-free series from per-period totals
+ * @param {object} range - From parseRange
+ * @param {object<string, Map>} metrics - Metric name to totals from countByPeriod
+ * @returns {object[]} - [{ period, <metric>: number, ... }]
+ */
+export const buildSeries = (range, metrics) => periodKeys(range).map(period => ({
+  period,
+  ...Object.fromEntries(Object.entries(metrics).map(([name, totals]) => [name, totals.get(period) || 0]))
+}));
+
+export const describeRange = (range) => ({
+  from: formatDay(range.from),
+  to: formatDay(range.to),
+  interval: range.interval
+});
+
+// Quote every cell, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value instanceof Date ? value.toISOString() : value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Render rows as CSV
+ * @param {object[]} rows - Flat objects
+ * @param {string[]} columns - Keys to export, in order; also the header row
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Send a report as JSON, or as a CSV download when ?format=csv
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} report - { name, range, data, rows, columns }; rows and columns are the CSV view of data
+ */
+export const sendReport = (req, res, { name, range, data, rows, columns }) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    throw new ValidationError('Format must be json or csv', [{ field: 'format', message: 'Must be json or csv' }]);
+  }
+
+  if (format === 'csv') {
+    const { from, to } = describeRange(range);
+    res.status(200)
+      .type('text/csv')
+      .attachment(`${name}-${from}-to-${to}.csv`)
+      .send(toCsv(rows, columns));
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { range: describeRange(range), ...data }
+  });
+};
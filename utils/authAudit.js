@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import AuthEvent from '../model/authEvent.model.js';
+import logger from './logger.js';
+
+/**
+ * Record an authentication event: logs it through logger.logAuth and stores it
+ * in the audit trail. Storage failures are logged, never thrown, so auditing
+ * cannot break a login.
+ * @param {object} req - Express request, for IP and user agent
+ * @param {string} action - Event name, e.g. 'login'
+ * @param {string|object} userId - User id, or 'unknown'
+ * @param {boolean} success - Outcome
+ * @param {object} details - Extra context; `email` and `reason` are stored in their own fields
+ */
+export const recordAuthEvent = async (req, action, userId, success = true, details = {}) => {
+  logger.logAuth(action, userId, success, details);
+
+  const { email = null, reason = null, ...rest } = details;
+  const user = userId && mongoose.Types.ObjectId.isValid(userId) ? userId : null;
+
+  try {
+    await AuthEvent.create({
+      action,
+      success,
+      user,
+      email: typeof email === 'string' ? email : null,
+      ip: req?.ip || '',
+      userAgent: (req?.get?.('user-agent') || '').substring(0, 500),
+      reason,
+      details: rest
+    });
+  } catch (error) {
+    logger.error('Auth audit write failed', { error: error.message, action });
+  }
+};
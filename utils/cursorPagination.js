@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import { ValidationError } from './errorHandler.js';
+
+// Keyset ("cursor") pagination. A cursor is an opaque, URL-safe token holding
+// the sort values of the last item on the previous page, so pages stay stable
+// while new documents are added and deep pages cost the same as the first one.
+// The sort must end with _id so every position is unique.
+
+const DATE_PREFIX = '$date:';
+const ID_PREFIX = '$oid:';
+
+const serializeValue = (value) => {
+  if (value instanceof Date) return `${DATE_PREFIX}${value.toISOString()}`;
+  if (value instanceof mongoose.Types.ObjectId) return `${ID_PREFIX}${value.toString()}`;
+  return value ?? null;
+};
+
+const deserializeValue = (value) => {
+  if (typeof value === 'string' && value.startsWith(DATE_PREFIX)) return new Date(value.slice(DATE_PREFIX.length));
+  if (typeof value === 'string' && value.startsWith(ID_PREFIX)) return new mongoose.Types.ObjectId(value.slice(ID_PREFIX.length));
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Encode the position of a document in a sort
+ * @param {object} doc - Last document of the page
+ * @param {object} sort - Mongo sort object ending with _id, e.g. { createdAt: -1, _id: -1 }
+ * @returns {string} - Opaque cursor
+ */
+export const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(path => serializeValue(getPath(doc, path)));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort
+ * @throws {ValidationError} - When the cursor is malformed
+ */
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+      throw new Error('Cursor does not match sort');
+    }
+    return values.map(deserializeValue);
+  } catch {
+    throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'Cursor is malformed or expired' }]);
+  }
+};
+
+/**
+ * Filter selecting the documents after a cursor position:
+ * (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ... following each sort direction.
+ * Missing and null values sort first, as in Mongo, so a descending sort reaches
+ * them last: "after v" there is "not >= v", which includes them.
+ * @param {object} sort - Mongo sort object ending with _id
+ * @param {string} cursor - Cursor from the previous page
+ * @returns {object} - Mongo filter, empty when there is no cursor
+ */
+export const cursorFilter = (sort, cursor) => {
+  if (!cursor) {
+    return {};
+  }
+
+  const paths = Object.keys(sort);
+  const values = decodeCursor(cursor, sort);
+
+  const after = (path, value) => {
+    if (value === null) {
+      // Nothing sorts below null; ascending, everything non-null comes after it
+      return sort[path] === -1 ? undefined : { $ne: null };
+    }
+    if (sort[path] === 1) {
+      return { $gt: value };
+    }
+    return path === '_id' ? { $lt: value } : { $not: { $gte: value } };
+  };
+
+  const clauses = [];
+  paths.forEach((path, index) => {
+    const condition = after(path, values[index]);
+    if (condition === undefined) {
+      return;
+    }
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      clause[paths[i]] = values[i];
+    }
+    clause[path] = condition;
+    clauses.push(clause);
+  });
+
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+};
+
+/**
+ * Fetch one page after a cursor. One extra document is read to know whether
+ * another page exists.
+ * @param {Function} fetch - (filter, limit) => Promise<docs>, already sorted by `sort`
+ * @param {object} options - { sort, cursor, limit, count }; count is an optional
+ *   () => Promise<number> for the total, run alongside the page
+ * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean, total?: number}>}
+ */
+export const paginateWithCursor = async (fetch, { sort, cursor, limit, count }) => {
+  const [docs, total] = await Promise.all([
+    fetch(cursorFilter(sort, cursor), limit + 1),
+    count ? count() : undefined
+  ]);
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+    hasMore,
+    ...(total !== undefined ? { total } : {})
+  };
+};
+
+// Position-based cursors, for orders that cannot be keyed on document values
+// (e.g. text relevance). Same opaque format to clients as keyset cursors.
+const OFFSET_PREFIX = '$offset:';
+
+const decodeOffset = (cursor) => {
+  if (!cursor) {
+    return 0;
+  }
+  const [value] = decodeCursor(cursor, { offset: 1 });
+  const offset = typeof value === 'string' && value.startsWith(OFFSET_PREFIX) ? Number(value.slice(OFFSET_PREFIX.length)) : NaN;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('Invalid cursor', [{ field: 'cursor', message: 'Cursor is malformed or expired' }]);
+  }
+  return offset;
+};
+
+/**
+ * Fetch one page by position, for sorts paginateWithCursor cannot key on
+ * @param {Function} fetch - (skip, limit) => Promise<docs>
+ * @param {object} options - { cursor, limit, count }, as for paginateWithCursor
+ * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean, total?: number}>}
+ */
+export const paginateWithOffset = async (fetch, { cursor, limit, count }) => {
+  const offset = decodeOffset(cursor);
+  const [docs, total] = await Promise.all([
+    fetch(offset, limit + 1),
+    count ? count() : undefined
+  ]);
+  const hasMore = docs.length > limit;
+
+  return {
+    items: hasMore ? docs.slice(0, limit) : docs,
+    nextCursor: hasMore ? encodeCursor({ offset: `${OFFSET_PREFIX}${offset + limit}` }, { offset: 1 }) : null,
+    hasMore,
+    ...(total !== undefined ? { total } : {})
+  };
+};
+
+/**
+ * Sort on one whitelisted field, with _id as the tie-breaker cursors need
+ * @param {string} field - Requested sort field
+ * @param {string} order - asc or desc (default)
+ * @param {string[]} allowed - Fields that may be sorted on
+ * @returns {object} - Mongo sort object
+ */
+export const buildSort = (field, order, allowed) => {
+  if (!allowed.includes(field)) {
+    throw new ValidationError(`Cannot sort by ${field}`, [
+      { field: 'sortBy', message: `Must be one of: ${allowed.join(', ')}` }
+    ]);
+  }
+  const direction = order === 'asc' ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+/**
+ * Parse ?fields=a,b into a select string for sparse responses. Sort paths are
+ * always selected so the next cursor can be built.
+ * @param {string} value - Comma-separated field names from the request
+ * @param {object} options
+ * @param {string[]} options.allowed - Names clients may ask for
+ * @param {object} [options.sort] - Sort of the list
+ * @param {Function} [options.expand] - name => path or paths, e.g. title => title.en
+ * @param {string|null} [options.defaults] - Select used when no fields are asked for; null selects everything
+ * @returns {string|null}
+ */
+export const parseFields = (value, { allowed, sort = {}, expand = name => name, defaults = null }) => {
+  if (!value) {
+    return defaults ? [...new Set([...defaults.split(/\s+/), ...Object.keys(sort)])].join(' ') : null;
+  }
+
+  const names = [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown fields: ${unknown.join(', ')}`, [
+      { field: 'fields', message: `Must be from: ${allowed.join(', ')}` }
+    ]);
+  }
+
+  return [...new Set([...names.flatMap(name => [].concat(expand(name))), ...Object.keys(sort)])].join(' ');
+};
+
+/**
+ * The pagination block every list response carries
+ * @param {object} page - Result of paginateWithCursor or paginateWithOffset
+ * @param {number} limit - Page size
+ * @returns {{limit: number, nextCursor: string|null, hasMore: boolean, total?: number}}
+ */
+export const paginationInfo = (page, limit) => ({
+  limit,
+  nextCursor: page.nextCursor,
+  hasMore: page.hasMore,
+  ...(page.total !== undefined ? { total: page.total } : {})
+});
@@ -0,0 +1,133 @@
+// Self-contained API reference page: loads the OpenAPI document and lists every
+// operation by tag with its parameters, request body and response. No external
+// scripts or styles, so it works offline and behind strict networks.
+
+const STYLES = `
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { padding: 16px 24px; background: #24292f; color: #fff; }
+  header h1 { margin: 0; font-size: 20px; }
+  header p { margin: 4px 0 0; color: #d0d7de; max-width: 960px; }
+  main { padding: 16px 24px; max-width: 1100px; }
+  input { width: 100%; padding: 8px; font-size: 14px; box-sizing: border-box; margin-bottom: 16px; }
+  h2 { margin: 24px 0 8px; text-transform: capitalize; }
+  details { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 6px; }
+  summary { cursor: pointer; padding: 8px 12px; display: flex; gap: 10px; align-items: center; }
+  .method { font: bold 12px monospace; text-transform: uppercase; min-width: 56px; text-align: center;
+    padding: 2px 6px; border-radius: 4px; color: #fff; background: #57606a; }
+  .get { background: #0969da; } .post { background: #1a7f37; } .put, .patch { background: #9a6700; } .delete { background: #cf222e; }
+  .path { font-family: monospace; }
+  .note { color: #57606a; }
+  .body { padding: 0 12px 12px; }
+  table { border-collapse: collapse; width: 100%; margin: 6px 0; }
+  th, td { text-align: left; border-bottom: 1px solid #eaeef2; padding: 4px 6px; vertical-align: top; }
+  pre { background: #f6f8fa; padding: 8px; overflow: auto; margin: 6px 0; }
+`;
+
+const SCRIPT = `
+  const escape = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+  // Readable outline of a schema; named components are shown by name
+  const outline = (schema, depth = 0) => {
+    if (!schema) return 'any';
+    if (schema.$ref) return schema.$ref.split('/').pop();
+    if (depth > 6) return '…';
+    const pad = '  '.repeat(depth + 1);
+    if (schema.anyOf || schema.oneOf) return (schema.anyOf || schema.oneOf).map(s => outline(s, depth)).join(' | ');
+    if (schema.type === 'array') return outline(schema.items, depth) + '[]';
+    if (schema.type === 'object' || schema.properties) {
+      const required = schema.required || [];
+      const lines = Object.entries(schema.properties || {}).map(([name, prop]) =>
+        pad + name + (required.includes(name) ? '' : '?') + ': ' + outline(prop, depth + 1));
+      return lines.length ? '{\\n' + lines.join('\\n') + '\\n' + '  '.repeat(depth) + '}' : 'object';
+    }
+    let text = schema.enum ? schema.enum.map(v => JSON.stringify(v)).join(' | ') : (schema.format || schema.type || 'any');
+    if (schema.nullable) text += ' | null';
+    return text;
+  };
+
+  const parameterTable = (parameters) => '<table><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr>' +
+    parameters.map(p => '<tr><td><code>' + escape(p.name) + '</code>' + (p.required ? ' *' : '') + '</td><td>' + p.in +
+      '</td><td><code>' + escape(outline(p.schema)) + '</code></td><td>' + escape(p.description || '') + '</td></tr>').join('') +
+    '</table>';
+
+  const operationHtml = (path, method, op) => {
+    const success = Object.entries(op.responses).find(([status]) => status.startsWith('2'));
+    const content = (body) => body && Object.entries(body.content || {})[0];
+    const request = content(op.requestBody);
+    const response = success && content(success[1]);
+    const notes = [
+      op.security && (op.security.some(s => !Object.keys(s).length) ? 'optional sign-in' : 'sign-in required'),
+      op['x-permissions'] && 'permission: ' + op['x-permissions'].join(' or ')
+    ].filter(Boolean).join(' · ');
+    return '<details data-search="' + escape((method + ' ' + path + ' ' + (op.summary || '')).toLowerCase()) + '"><summary>' +
+      '<span class="method ' + method + '">' + method + '</span><span class="path">' + escape(path) + '</span>' +
+      '<span class="note">' + escape(op.summary || '') + '</span></summary><div class="body">' +
+      (op.description ? '<p>' + escape(op.description) + '</p>' : '') +
+      (notes ? '<p class="note">' + escape(notes) + '</p>' : '') +
+      (op.parameters ? parameterTable(op.parameters) : '') +
+      (request ? '<h4>Request body (' + escape(request[0]) + ')</h4><pre>' + escape(outline(request[1].schema)) + '</pre>' : '') +
+      (response ? '<h4>Response ' + success[0] + '</h4><pre>' + escape(outline(response[1].schema)) + '</pre>' : '') +
+      '<p class="note">Errors: ' + Object.keys(op.responses).filter(s => !s.startsWith('2')).join(', ') + '</p>' +
+      '</div></details>';
+  };
+
+  const render = (doc) => {
+    document.getElementById('description').textContent = doc.info.description || '';
+    const byTag = new Map();
+    for (const [path, item] of Object.entries(doc.paths)) {
+      for (const [method, op] of Object.entries(item)) {
+        const tag = (op.tags || ['other'])[0];
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(operationHtml(path, method, op));
+      }
+    }
+    const schemas = Object.entries(doc.components.schemas || {}).map(([name, schema]) =>
+      '<details><summary><span class="path">' + escape(name) + '</span></summary><div class="body"><pre>' +
+      escape(outline(schema)) + '</pre></div></details>').join('');
+    document.getElementById('operations').innerHTML =
+      [...byTag].map(([tag, ops]) => '<section><h2>' + escape(tag) + '</h2>' + ops.join('') + '</section>').join('') +
+      '<section><h2>Schemas</h2>' + schemas + '</section>';
+  };
+
+  document.getElementById('filter').addEventListener('input', (event) => {
+    const term = event.target.value.trim().toLowerCase();
+    document.querySelectorAll('details[data-search]').forEach(item => {
+      item.style.display = item.dataset.search.includes(term) ? '' : 'none';
+    });
+  });
+
+  fetch(SPEC_URL)
+    .then(response => response.json())
+    .then(render)
+    .catch(error => { document.getElementById('operations').textContent = 'Could not load ' + SPEC_URL + ': ' + error.message; });
+`;
+
+/**
+ * Render the API reference page
+ * @param {string} specUrl - Where the page loads the OpenAPI document from
+ * @returns {string} HTML
+ */
+export const renderDocsViewer = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>API reference</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>API reference</h1>
+<p id="description"></p>
+</header>
+<main>
+<p><a href="${specUrl}">OpenAPI document</a></p>
+<input id="filter" type="search" placeholder="Filter by path, method or summary">
+<div id="operations">Loading…</div>
+</main>
+<script>
+const SPEC_URL = ${JSON.stringify(specUrl).replace(/</g, '\\u003c')};
+${SCRIPT}
+</script>
+</body>
+</html>`;
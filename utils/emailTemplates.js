@@ -24,4 +24,167 @@ export function sponsoredApprovalEmail({ name, submissionId, editUrl }) {
   };
 }
 
+// Bilingual: the account language comes first, the other language follows
+export function emailVerificationEmail({ name, verifyUrl, language = 'en', expiresInHours = 24 }) {
+  const copy = {
+    en: {
+      greeting: `Hi ${name},`,
+      body: 'Please confirm your email address to finish setting up your News and Niche account.',
+      button: 'Verify Email',
+      expiry: `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+    },
+    bn: {
+      greeting: `প্রিয় ${name},`,
+      body: 'আপনার News and Niche অ্যাকাউন্ট সম্পূর্ণ করতে অনুগ্রহ করে আপনার ইমেইল ঠিকানা নিশ্চিত করুন।',
+      button: 'ইমেইল যাচাই করুন',
+      expiry: `এই লিংকটি ${expiresInHours} ঘণ্টা পর্যন্ত কার্যকর থাকবে। আপনি যদি অ্যাকাউন্ট না খুলে থাকেন, তাহলে এই ইমেইলটি উপেক্ষা করুন।`
+    }
+  };
+  const order = language === 'bn' ? ['bn', 'en'] : ['en', 'bn'];
+
+  return {
+    subject: language === 'bn'
+      ? 'আপনার ইমেইল যাচাই করুন / Verify your email – News and Niche'
+      : 'Verify your email / আপনার ইমেইল যাচাই করুন – News and Niche',
+    html: order.map(lang => `
+      <div lang="${lang}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto 24px;">
+        <p>${copy[lang].greeting}</p>
+        <p>${copy[lang].body}</p>
+        <p><a href="${verifyUrl}" style="display: inline-block; background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">${copy[lang].button}</a></p>
+        <p>${copy[lang].expiry}</p>
+      </div>
+    `).join('<hr/>'),
+    text: order.map(lang =>
+      `${copy[lang].greeting}\n${copy[lang].body}\n${verifyUrl}\n${copy[lang].expiry}`
+    ).join('\n\n---\n\n')
+  };
+}
+
+export function accountLockedEmail({ name, lockedUntil, resetUrl, language = 'en' }) {
+  const until = new Date(lockedUntil).toUTCString();
+  const copy = {
+    en: {
+      greeting: `Hi ${name},`,
+      body: 'We noticed several failed sign-in attempts on your News and Niche account, so we have temporarily locked it.',
+      until: `You can try again after ${until}.`,
+      advice: 'If this was not you, we recommend resetting your password.',
+      button: 'Reset Password'
+    },
+    bn: {
+      greeting: `প্রিয় ${name},`,
+      body: 'আপনার News and Niche অ্যাকাউন্টে একাধিকবার ব্যর্থ লগইন চেষ্টা হয়েছে, তাই অ্যাকাউন্টটি সাময়িকভাবে লক করা হয়েছে।',
+      until: `${until}-এর পর আবার চেষ্টা করতে পারবেন।`,
+      advice: 'এটি যদি আপনি না হন, তাহলে পাসওয়ার্ড পরিবর্তন করার পরামর্শ দিচ্ছি।',
+      button: 'পাসওয়ার্ড রিসেট করুন'
+    }
+  };
+  const order = language === 'bn' ? ['bn', 'en'] : ['en', 'bn'];
+
+  return {
+    subject: language === 'bn'
+      ? 'আপনার অ্যাকাউন্ট সাময়িকভাবে লক করা হয়েছে / Account temporarily locked'
+      : 'Account temporarily locked / আপনার অ্যাকাউন্ট সাময়িকভাবে লক করা হয়েছে',
+    html: order.map(lang => `
+      <div lang="${lang}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto 24px;">
+        <p>${copy[lang].greeting}</p>
+        <p>${copy[lang].body}</p>
+        <p>${copy[lang].until}</p>
+        <p>${copy[lang].advice}</p>
+        <p><a href="${resetUrl}" style="display: inline-block; background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">${copy[lang].button}</a></p>
+      </div>
+    `).join('<hr/>'),
+    text: order.map(lang =>
+      `${copy[lang].greeting}\n${copy[lang].body}\n${copy[lang].until}\n${copy[lang].advice}\n${resetUrl}`
+    ).join('\n\n---\n\n')
+  };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
+const COMMENT_HEADLINES = {
+  comment_on_post: {
+    en: (actor, title) => `${actor} commented on your post "${title}".`,
+    bn: (actor, title) => `${actor} আপনার লেখা "${title}"-এ মন্তব্য করেছেন।`
+  },
+  comment_reply: {
+    en: (actor, title) => `${actor} replied to your comment on "${title}".`,
+    bn: (actor, title) => `${actor} "${title}"-এ আপনার মন্তব্যের উত্তর দিয়েছেন।`
+  },
+  comment_mention: {
+    en: (actor, title) => `${actor} mentioned you in a comment on "${title}".`,
+    bn: (actor, title) => `${actor} "${title}"-এ একটি মন্তব্যে আপনাকে উল্লেখ করেছেন।`
+  }
+};
+
+// New comment on a post, reply to a comment, or @mention in a comment.
+// Names, titles and the excerpt are user content, so they are escaped in the HTML part.
+export function commentNotificationEmail({ name, type, actorName, blogTitle, excerpt, url, language = 'en' }) {
+  const copy = {
+    en: {
+      greeting: 'Hi',
+      button: 'View Comment',
+      footer: 'You can turn off these emails in your notification settings.'
+    },
+    bn: {
+      greeting: 'প্রিয়',
+      button: 'মন্তব্য দেখুন',
+      footer: 'নোটিফিকেশন সেটিংস থেকে এই ইমেইলগুলো বন্ধ করতে পারেন।'
+    }
+  };
+  const headline = (lang, escape = value => value) => COMMENT_HEADLINES[type][lang](escape(actorName), escape(blogTitle));
+  const order = language === 'bn' ? ['bn', 'en'] : ['en', 'bn'];
+
+  return {
+    subject: headline(order[0]),
+    html: order.map(lang => `
+      <div lang="${lang}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto 24px;">
+        <p>${copy[lang].greeting} ${escapeHtml(name)},</p>
+        <p>${headline(lang, escapeHtml)}</p>
+        <blockquote style="border-left: 3px solid #ccc; margin: 0; padding-left: 12px; color: #555;">${escapeHtml(excerpt)}</blockquote>
+        <p><a href="${url}" style="display: inline-block; background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">${copy[lang].button}</a></p>
+        <p style="font-size: 12px; color: #888;">${copy[lang].footer}</p>
+      </div>
+    `).join('<hr/>'),
+    text: order.map(lang =>
+      `${copy[lang].greeting} ${name},\n${headline(lang)}\n\n"${excerpt}"\n\n${url}\n\n${copy[lang].footer}`
+    ).join('\n\n---\n\n')
+  };
+}
+
+// Someone started following the recipient
+export function followerNotificationEmail({ name, actorName, url, language = 'en' }) {
+  const copy = {
+    en: {
+      greeting: 'Hi',
+      headline: actor => `${actor} started following you.`,
+      button: 'View Profile',
+      footer: 'You can turn off these emails in your notification settings.'
+    },
+    bn: {
+      greeting: 'প্রিয়',
+      headline: actor => `${actor} আপনাকে অনুসরণ করা শুরু করেছেন।`,
+      button: 'প্রোফাইল দেখুন',
+      footer: 'নোটিফিকেশন সেটিংস থেকে এই ইমেইলগুলো বন্ধ করতে পারেন।'
+    }
+  };
+  const order = language === 'bn' ? ['bn', 'en'] : ['en', 'bn'];
+
+  return {
+    subject: copy[order[0]].headline(actorName),
+    html: order.map(lang => `
+      <div lang="${lang}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto 24px;">
+        <p>${copy[lang].greeting} ${escapeHtml(name)},</p>
+        <p>${copy[lang].headline(escapeHtml(actorName))}</p>
+        <p><a href="${url}" style="display: inline-block; background-color: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">${copy[lang].button}</a></p>
+        <p style="font-size: 12px; color: #888;">${copy[lang].footer}</p>
+      </div>
+    `).join('<hr/>'),
+    text: order.map(lang =>
+      `${copy[lang].greeting} ${name},\n${copy[lang].headline(actorName)}\n\n${url}\n\n${copy[lang].footer}`
+    ).join('\n\n---\n\n')
+  };
+}
@@ -0,0 +1,13 @@
+// Settings read from the environment. Modules call these when a value is needed
+// rather than at import time, since some of them load before dotenv has run.
+
+/**
+ * A positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Used when the variable is unset, not a number or not positive
+ * @returns {number}
+ */
+export const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
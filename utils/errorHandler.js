@@ -1,12 +1,32 @@
 import logger from './logger.js';
 
+// Machine-readable error codes sent with every error response. Clients should
+// branch on these rather than on messages, which may change or be translated.
+export const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  423: 'LOCKED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Code for a status without a more specific one
+export const errorCodeForStatus = (statusCode) =>
+  ERROR_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
 // Custom error classes
 export class AppError extends Error {
-  constructor(message, statusCode, isOperational = true) {
+  constructor(message, statusCode, isOperational = true, code = errorCodeForStatus(statusCode)) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = isOperational;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.code = code;
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -14,7 +34,7 @@ export class AppError extends Error {
 
 export class ValidationError extends AppError {
   constructor(message, errors = []) {
-    super(message, 400);
+    super(message, 400, true, 'VALIDATION_FAILED');
     this.errors = errors;
   }
 }
@@ -52,7 +72,7 @@ export const errorHandler = (err, req, res, next) => {
   logger.error({
     error: err.message,
     stack: err.stack,
-    url: req.url,
+    url: logger.redactUrl(req.url),
     method: req.method,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
@@ -101,10 +121,13 @@ export const errorHandler = (err, req, res, next) => {
     error = new ValidationError(message);
   }
 
-  // Send error response
-  res.status(error.statusCode || 500).json({
+  // Send error response; codes of non-application errors (driver, system) are not exposed
+  const statusCode = error.statusCode || 500;
+  const isAppError = err instanceof AppError || error instanceof AppError;
+  res.status(statusCode).json({
     success: false,
     message: error.message || 'Internal server error',
+    code: isAppError && error.code ? error.code : errorCodeForStatus(statusCode),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     ...(error.errors && { errors: error.errors })
   });
@@ -119,26 +142,10 @@ export const asyncHandler = (fn) => {
 
 // Not found handler
 export const notFound = (req, res, next) => {
-  const error = new NotFoundError(`Route ${req.originalUrl} not found`);
+  const error = new NotFoundError(`Route ${req.originalUrl}`);
   next(error);
 };
 
-// Validation helper
-export const validateRequest = (schema) => {
-  return (req, res, next) => {
-    try {
-      const { error } = schema.validate(req.body);
-      if (error) {
-        const message = error.details.map(detail => detail.message).join(', ');
-        throw new ValidationError(message);
-      }
-      next();
-    } catch (err) {
-      next(err);
-    }
-  };
-};
-
 // Language validation
 export const validateLanguage = (req, res, next) => {
   const { lang } = req.params;
@@ -0,0 +1,204 @@
+// Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+// Controllers build one normalized feed object and pick the output format:
+//
+// {
+//   title, description, language, homeUrl, feedUrl, updated,
+//   alternates: [{ hreflang, href }],           // same feed in other languages
+//   items: [{
+//     id, url, title, summary, contentHtml, publishedAt, updatedAt,
+//     author, categories: [], image, alternates: [{ hreflang, href }]
+//   }]
+// }
+
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+// Map a URL extension to a feed format
+export const FEED_EXTENSIONS = {
+  xml: 'rss',
+  rss: 'rss',
+  atom: 'atom',
+  json: 'json'
+};
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export const escapeXml = (value) => String(value ?? '')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Guess an image MIME type from its URL
+ * @param {string} url - Image URL
+ * @returns {string} - MIME type, image/jpeg when unknown
+ */
+export const imageMimeType = (url) => {
+  const extension = String(url || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+const element = (name, value, attributes = '') =>
+  `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {object} feed - Normalized feed
+ * @returns {string} - XML document
+ */
+export const buildRss = (feed) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.homeUrl),
+    element('description', feed.description),
+    element('language', feed.language),
+    element('lastBuildDate', toDate(feed.updated).toUTCString()),
+    `<atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    ...(feed.alternates || []).map(alt =>
+      `<atom:link rel="alternate" type="application/rss+xml" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`
+    )
+  ];
+
+  for (const item of feed.items) {
+    lines.push(
+      '<item>',
+      element('title', item.title),
+      element('link', item.url),
+      element('guid', item.id, ' isPermaLink="true"'),
+      element('pubDate', toDate(item.publishedAt).toUTCString()),
+      element('description', item.summary),
+      element('content:encoded', item.contentHtml)
+    );
+    if (item.author) {
+      lines.push(element('dc:creator', item.author));
+    }
+    for (const category of item.categories || []) {
+      lines.push(element('category', category));
+    }
+    // Feed readers expect a length; 0 is the accepted value when it is unknown
+    if (item.image) {
+      lines.push(`<enclosure url="${escapeXml(item.image)}" length="0" type="${imageMimeType(item.image)}"/>`);
+    }
+    for (const alt of item.alternates || []) {
+      lines.push(`<atom:link rel="alternate" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`);
+    }
+    lines.push('</item>');
+  }
+
+  lines.push('</channel>', '</rss>');
+  return lines.join('\n');
+};
+
+/**
+ * Render a feed as Atom 1.0
+ * @param {object} feed - Normalized feed
+ * @returns {string} - XML document
+ */
+export const buildAtom = (feed) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    element('id', feed.feedUrl),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', toDate(feed.updated).toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" hreflang="${escapeXml(feed.language)}" href="${escapeXml(feed.homeUrl)}"/>`,
+    ...(feed.alternates || []).map(alt =>
+      `<link rel="alternate" type="application/atom+xml" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`
+    )
+  ];
+
+  for (const item of feed.items) {
+    lines.push(
+      '<entry>',
+      element('id', item.id),
+      element('title', item.title),
+      `<link rel="alternate" type="text/html" hreflang="${escapeXml(feed.language)}" href="${escapeXml(item.url)}"/>`,
+      element('published', toDate(item.publishedAt).toISOString()),
+      element('updated', toDate(item.updatedAt || item.publishedAt).toISOString())
+    );
+    for (const alt of item.alternates || []) {
+      lines.push(`<link rel="alternate" type="text/html" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`);
+    }
+    if (item.author) {
+      lines.push('<author>', element('name', item.author), '</author>');
+    }
+    for (const category of item.categories || []) {
+      lines.push(`<category term="${escapeXml(category)}"/>`);
+    }
+    if (item.image) {
+      lines.push(`<link rel="enclosure" type="${imageMimeType(item.image)}" href="${escapeXml(item.image)}"/>`);
+    }
+    lines.push(
+      element('summary', item.summary, ' type="html"'),
+      element('content', item.contentHtml, ' type="html"'),
+      '</entry>'
+    );
+  }
+
+  lines.push('</feed>');
+  return lines.join('\n');
+};
+
+/**
+ * Render a feed as JSON Feed 1.1
+ * @param {object} feed - Normalized feed
+ * @returns {string} - JSON document
+ */
+export const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: feed.language,
+  // JSON Feed has no hreflang field; custom extensions are prefixed with an underscore
+  _hreflang: { alternates: feed.alternates || [] },
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    content_html: item.contentHtml,
+    image: item.image || undefined,
+    date_published: toDate(item.publishedAt).toISOString(),
+    date_modified: toDate(item.updatedAt || item.publishedAt).toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories?.length ? item.categories : undefined,
+    language: feed.language,
+    attachments: item.image ? [{ url: item.image, mime_type: imageMimeType(item.image) }] : undefined,
+    _hreflang: item.alternates?.length ? { alternates: item.alternates } : undefined
+  }))
+});
+
+export const FEED_BUILDERS = {
+  rss: buildRss,
+  atom: buildAtom,
+  json: buildJsonFeed
+};
@@ -72,6 +72,11 @@ class Logger {
     }
   }
 
+  // Stream URLs can carry an access token
+  redactUrl(url) {
+    return url.replace(/([?&]access_token=)[^&]*/, '$1[redacted]');
+  }
+
   // Request logging
   logRequest(req, res, next) {
     const start = Date.now();
@@ -82,7 +87,7 @@ class Logger {
       const duration = Date.now() - start;
       const logData = {
         method: req.method,
-        url: req.url,
+        url: logger.redactUrl(req.url),
         status: res.statusCode,
         duration: `${duration}ms`,
         ip: req.ip,
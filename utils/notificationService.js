@@ -0,0 +1,349 @@
+import Notification, { NOTIFICATION_CATALOGUE } from '../model/notification.model.js';
+import Comment, { MODERATION_STATUS_QUERIES } from '../model/comment.model.js';
+import Blog from '../model/blog.model.js';
+import User from '../model/user.model.js';
+import { sendEmail } from './emailService.js';
+import { commentNotificationEmail, followerNotificationEmail } from './emailTemplates.js';
+import { blogUrl, profileUrl } from './siteUrls.js';
+import { publishNotification } from './realtime.js';
+import logger from './logger.js';
+
+// Recipient fields needed to decide on and render a delivery
+const RECIPIENT_FIELDS = 'name email language emailNotifications mutedNotifications';
+
+const commentEmail = ({ type, data }, recipient) => commentNotificationEmail({
+  name: recipient.name,
+  type,
+  actorName: data.actorName,
+  blogTitle: data.blogTitle,
+  excerpt: data.excerpt,
+  url: data.url,
+  language: recipient.language
+});
+
+// Email renderers; types without one are in-app only
+const EMAIL_TEMPLATES = {
+  comment_on_post: commentEmail,
+  comment_reply: commentEmail,
+  comment_mention: commentEmail,
+  new_follower: ({ data }, recipient) => followerNotificationEmail({
+    name: recipient.name,
+    actorName: data.actorName,
+    url: data.url,
+    language: recipient.language
+  })
+};
+
+// @username, not preceded by a word character (so emails do not match)
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_]{3,30})(?![\w])/g;
+const MAX_MENTIONS = 10;
+
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Usernames @mentioned in a text, without duplicates
+ * @param {string} content - Comment text
+ * @returns {string[]}
+ */
+export const extractMentions = (content) => {
+  const usernames = new Set();
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2]);
+    if (usernames.size >= MAX_MENTIONS) break;
+  }
+  return [...usernames];
+};
+
+/**
+ * Ids of the active users @mentioned in a text
+ * @param {string} content - Comment text
+ * @returns {Promise<ObjectId[]>}
+ */
+export const resolveMentions = async (content) => {
+  const usernames = extractMentions(content);
+  if (usernames.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id').lean();
+  return users.map(user => user._id);
+};
+
+const excerptOf = (content) => {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+// Title and link in the recipient's language, falling back to the other one
+const blogLinkFor = (blog, language, commentId = null) => {
+  const lang = blog.slug?.[language] ? language : (blog.slug?.en ? 'en' : 'bn');
+  const url = blogUrl(lang, blog.slug?.[lang] || '');
+  return {
+    blogTitle: blog.title?.[lang] || blog.title?.en || blog.title?.bn || '',
+    url: commentId ? `${url}#comment-${commentId}` : url
+  };
+};
+
+const sendNotificationEmail = async (notification, recipient) => {
+  try {
+    await sendEmail({
+      to: recipient.email,
+      ...EMAIL_TEMPLATES[notification.type](notification, recipient)
+    });
+    await Notification.updateOne({ _id: notification._id }, { $set: { emailedAt: new Date() } });
+  } catch (error) {
+    logger.error('Notification email failed', { error: error.message, notificationId: notification._id });
+  }
+};
+
+const wantsEmail = (recipient, type) => {
+  const preference = NOTIFICATION_CATALOGUE[type].emailPreference;
+  return Boolean(preference && EMAIL_TEMPLATES[type]) && recipient.emailNotifications?.[preference] !== false;
+};
+
+// Store one notification unless the recipient muted the type, then email it when allowed.
+// Returns null when nothing was stored (muted or already delivered).
+const deliver = async (recipient, fields) => {
+  if ((recipient.mutedNotifications || []).includes(fields.type)) {
+    return null;
+  }
+
+  let notification;
+  try {
+    notification = await Notification.create({ recipient: recipient._id, ...fields });
+  } catch (error) {
+    // Same comment or key already delivered to this recipient
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  publishNotification(notification);
+  if (wantsEmail(recipient, fields.type)) {
+    sendNotificationEmail(notification, recipient);
+  }
+  return notification;
+};
+
+/**
+ * Send one notification from the catalogue to a user. Nothing is sent to the
+ * actor themselves, to inactive users or for types the recipient muted.
+ * Never throws; notifications must not break the action that caused them.
+ * @param {object} options
+ * @param {string|ObjectId} options.recipient - User to notify
+ * @param {string} options.type - Key of NOTIFICATION_CATALOGUE
+ * @param {string|ObjectId} [options.actor] - User whose action caused it
+ * @param {object|Function} [options.data] - Render snapshot, or recipient => snapshot for localized links
+ * @param {string} [options.key] - Event identity, delivered at most once per recipient
+ * @returns {Promise<object|null>} - Stored notification, or null when none was sent
+ */
+export const notify = async ({ recipient, type, actor = null, blog = null, comment = null, data = {}, key = null }) => {
+  try {
+    if (!NOTIFICATION_CATALOGUE[type]) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+    if (!recipient || (actor && recipient.toString() === actor.toString())) {
+      return null;
+    }
+
+    const user = await User.findOne({ _id: recipient, isActive: true }).select(RECIPIENT_FIELDS).lean();
+    if (!user) {
+      return null;
+    }
+
+    return await deliver(user, {
+      type,
+      actor,
+      blog,
+      comment,
+      key,
+      data: typeof data === 'function' ? data(user) : data
+    });
+  } catch (error) {
+    logger.error('Notification failed', { error: error.message, type, recipient });
+    return null;
+  }
+};
+
+// Store one comment notification per recipient and email those who allow it
+const deliverCommentNotifications = async (comment, recipientTypes) => {
+  if (recipientTypes.size === 0) {
+    return;
+  }
+
+  const [blog, actor, recipients] = await Promise.all([
+    Blog.findById(comment.blog).select('title slug').lean(),
+    User.findById(comment.author).select('name username').lean(),
+    User.find({ _id: { $in: [...recipientTypes.keys()] }, isActive: true })
+      .select(RECIPIENT_FIELDS)
+      .lean()
+  ]);
+  if (!blog) {
+    return;
+  }
+
+  await Promise.all(recipients.map(async (recipient) => {
+    const type = recipientTypes.get(recipient._id.toString());
+    const { blogTitle, url } = blogLinkFor(blog, recipient.language, comment._id);
+
+    await deliver(recipient, {
+      type,
+      actor: comment.author,
+      blog: comment.blog,
+      comment: comment._id,
+      data: {
+        actorName: actor?.name || 'Someone',
+        actorUsername: actor?.username || null,
+        blogTitle,
+        excerpt: excerptOf(comment.content),
+        url
+      }
+    });
+  }));
+};
+
+/**
+ * Notify about a newly visible comment: the parent commenter (reply), @mentioned
+ * users and the post's author each get one notification, the most specific
+ * reason winning. Runs once per comment, however often it is approved.
+ * Never throws; notifications must not break commenting or moderation.
+ * @param {string|ObjectId} commentId - Comment id
+ */
+export const notifyCommentPublished = async (commentId) => {
+  try {
+    const comment = await Comment.findOneAndUpdate(
+      { _id: commentId, notifiedAt: null, ...MODERATION_STATUS_QUERIES.approved },
+      { $set: { notifiedAt: new Date() } },
+      { new: true }
+    ).select('blog author content parentComment mentions').lean();
+    if (!comment) {
+      return;
+    }
+
+    const [blog, parent] = await Promise.all([
+      Blog.findById(comment.blog).select('author.user').lean(),
+      comment.parentComment ? Comment.findById(comment.parentComment).select('author').lean() : null
+    ]);
+
+    const recipientTypes = new Map();
+    const add = (userId, type) => {
+      const key = userId?.toString();
+      if (key && key !== comment.author.toString() && !recipientTypes.has(key)) {
+        recipientTypes.set(key, type);
+      }
+    };
+    add(parent?.author, 'comment_reply');
+    (comment.mentions || []).forEach(userId => add(userId, 'comment_mention'));
+    add(blog?.author?.user, 'comment_on_post');
+
+    await deliverCommentNotifications(comment, recipientTypes);
+  } catch (error) {
+    logger.error('Comment notifications failed', { error: error.message, commentId });
+  }
+};
+
+/**
+ * Notify users newly @mentioned when a published comment is edited
+ * @param {object} comment - Comment after the edit
+ * @param {Array} previousMentions - Mention ids before the edit
+ */
+export const notifyNewMentions = async (comment, previousMentions = []) => {
+  try {
+    if (!comment.notifiedAt) {
+      // Not published yet; notifyCommentPublished will cover every mention
+      return;
+    }
+
+    const previous = new Set(previousMentions.map(String));
+    const recipientTypes = new Map(
+      (comment.mentions || [])
+        .map(String)
+        .filter(userId => !previous.has(userId) && userId !== comment.author.toString())
+        .map(userId => [userId, 'comment_mention'])
+    );
+
+    await deliverCommentNotifications(comment, recipientTypes);
+  } catch (error) {
+    logger.error('Mention notifications failed', { error: error.message, commentId: comment._id });
+  }
+};
+
+/**
+ * Tell a user that someone started following them. Re-following after an
+ * unfollow does not notify again.
+ * @param {string|ObjectId} followerId - User who followed
+ * @param {string|ObjectId} followedId - User who was followed
+ */
+export const notifyNewFollower = async (followerId, followedId) => {
+  let follower;
+  try {
+    follower = await User.findById(followerId).select('name username').lean();
+  } catch (error) {
+    logger.error('Follower notification failed', { error: error.message, followerId });
+  }
+  if (!follower) {
+    return null;
+  }
+
+  return notify({
+    recipient: followedId,
+    type: 'new_follower',
+    actor: followerId,
+    key: `follow:${followerId}`,
+    data: recipient => ({
+      actorName: follower.name,
+      actorUsername: follower.username || null,
+      url: follower.username ? profileUrl(recipient.language || 'en', follower.username) : null
+    })
+  });
+};
+
+/**
+ * Tell a post's author that it was approved or rejected
+ * @param {object} blog - Blog after the decision
+ * @param {'blog_approved'|'blog_rejected'} type - Decision
+ * @param {string|ObjectId} moderatorId - User who decided
+ */
+export const notifyBlogReviewed = (blog, type, moderatorId) => notify({
+  recipient: blog.author?.user,
+  type,
+  actor: moderatorId,
+  blog: blog._id,
+  data: (recipient) => {
+    const { blogTitle, url } = blogLinkFor(blog, recipient.language);
+    return type === 'blog_approved'
+      ? { blogTitle, url }
+      : { blogTitle, reason: blog.rejectionReason || null };
+  }
+});
+
+/**
+ * Tell the owner of a guest or sponsored submission that its status changed.
+ * Anonymous submissions have no owner and are skipped.
+ * @param {'guest_submission_status'|'sponsored_submission_status'} type - Submission kind
+ * @param {object} submission - Submission after the change
+ * @param {string} previousStatus - Status before the change
+ * @param {string|ObjectId} actorId - Reviewer who changed it
+ */
+export const notifySubmissionStatus = (type, submission, previousStatus, actorId) => {
+  if (!submission.owner || submission.status === previousStatus) {
+    return Promise.resolve(null);
+  }
+
+  const reasons = {
+    rejected: submission.rejectionReason,
+    needs_revision: submission.revisionNotes
+  };
+
+  return notify({
+    recipient: submission.owner,
+    type,
+    actor: actorId,
+    data: {
+      submissionId: submission._id,
+      title: submission.post?.title?.en || submission.post?.title?.bn || '',
+      status: submission.status,
+      previousStatus,
+      reason: reasons[submission.status] || null
+    }
+  });
+};
@@ -0,0 +1,411 @@
+import Joi from 'joi';
+import { ERROR_CODES } from './errorHandler.js';
+import { CURRENT_API_VERSION } from '../middleware/apiVersion.middleware.js';
+
+// OpenAPI 3 document for the API, compiled from the routers themselves. Every
+// route mounted through documentRoutes is listed; what it says about a route comes
+// from its middleware:
+//   validate(spec)                  parameters, request body, response, summary
+//   protect / optionalAuth / ...    bearer authentication, required or optional
+//   requirePermission(...)          x-permissions and the 403 response
+// Joi schemas become JSON schemas; one tagged with .meta({ component: 'Name' })
+// is emitted once under components.schemas and referenced from everywhere else.
+
+const OPENAPI_VERSION = '3.0.3';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// [path prefix, router] in mount order
+const mounts = [];
+let cachedDocument = null;
+
+/**
+ * Include a router in the OpenAPI document
+ * @param {string} prefix - Mount path under the API root, e.g. /blogs
+ * @param {Function} router - Express router
+ */
+export const documentRoutes = (prefix, router) => {
+  mounts.push([prefix, router]);
+  cachedDocument = null;
+};
+
+// The last one wins, so schema.keys({...}).meta({ component }) names the extended schema
+const metaValue = (description, name) => [...(description.metas || [])].reverse().find(meta => meta[name] !== undefined)?.[name];
+
+const ruleArgs = (description, name) => description.rules?.find(rule => rule.name === name)?.args;
+
+// '/^a+$/i' as joi describes it, to an ECMA pattern without delimiters
+const regexSource = (regex) => String(regex).replace(/^\/(.*)\/[a-z]*$/s, '$1');
+
+const applyStringRules = (schema, description) => {
+  for (const rule of description.rules || []) {
+    const { name, args = {} } = rule;
+    if (name === 'min') schema.minLength = args.limit;
+    if (name === 'max') schema.maxLength = args.limit;
+    if (name === 'length') schema.minLength = schema.maxLength = args.limit;
+    if (name === 'pattern') schema.pattern = regexSource(args.regex);
+    if (name === 'email') schema.format = 'email';
+    if (name === 'uri') schema.format = 'uri';
+    if (name === 'guid') schema.format = 'uuid';
+    if (name === 'isoDate') schema.format = 'date-time';
+  }
+};
+
+const applyNumberRules = (schema, description) => {
+  for (const { name, args = {} } of description.rules || []) {
+    if (name === 'integer') schema.type = 'integer';
+    if (name === 'min') schema.minimum = args.limit;
+    if (name === 'max') schema.maximum = args.limit;
+  }
+};
+
+const baseSchema = (description, components) => {
+  switch (description.type) {
+    case 'string': {
+      const schema = { type: 'string' };
+      applyStringRules(schema, description);
+      return schema;
+    }
+    case 'number': {
+      const schema = { type: 'number' };
+      applyNumberRules(schema, description);
+      return schema;
+    }
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'date':
+      return { type: 'string', format: 'date-time' };
+    case 'array': {
+      const items = (description.items || []).map(item => toSchema(item, components));
+      const schema = { type: 'array', items: items.length > 1 ? { oneOf: items } : items[0] || {} };
+      const min = ruleArgs(description, 'min');
+      const max = ruleArgs(description, 'max');
+      if (min) schema.minItems = min.limit;
+      if (max) schema.maxItems = max.limit;
+      if (description.rules?.some(rule => rule.name === 'unique')) schema.uniqueItems = true;
+      return schema;
+    }
+    case 'object': {
+      const schema = { type: 'object' };
+      const keys = Object.entries(description.keys || {})
+        .filter(([, key]) => key.flags?.presence !== 'forbidden');
+      if (keys.length > 0) {
+        schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, toSchema(key, components)]));
+        const required = keys.filter(([, key]) => key.flags?.presence === 'required').map(([name]) => name);
+        if (required.length > 0) schema.required = required;
+      }
+      if (description.patterns?.length > 0) {
+        schema.additionalProperties = toSchema(description.patterns[0].rule, components);
+      } else if (!description.keys || description.flags?.unknown === true) {
+        schema.additionalProperties = true;
+      } else {
+        schema.additionalProperties = false;
+      }
+      return schema;
+    }
+    case 'alternatives':
+      return {
+        anyOf: (description.matches || [])
+          .flatMap(match => [match.schema, match.then, match.otherwise])
+          .filter(Boolean)
+          .map(match => toSchema(match, components))
+      };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Convert a joi description to an OpenAPI schema object
+ * @param {object} description - Result of joiSchema.describe()
+ * @param {object} components - components.schemas being built; named schemas are added here
+ * @returns {object}
+ */
+const toSchema = (description, components) => {
+  const component = metaValue(description, 'component');
+  if (component) {
+    if (!components[component]) {
+      // Placeholder first, so a schema that refers to itself terminates
+      components[component] = {};
+      components[component] = toSchema({ ...description, metas: [] }, components);
+    }
+    return { $ref: `#/components/schemas/${component}` };
+  }
+
+  // Joi.when(): document the branches a value may take
+  const branches = (description.whens || [])
+    .flatMap(when => [when.then, when.otherwise])
+    .filter(branch => branch && branch.flags?.result !== 'strip');
+  const schema = branches.length > 0
+    ? (branches.length === 1 ? toSchema(branches[0], components) : { anyOf: branches.map(branch => toSchema(branch, components)) })
+    : baseSchema(description, components);
+  const flags = description.flags || {};
+  const allowed = description.allow || [];
+
+  if (allowed.includes(null)) schema.nullable = true;
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null);
+  }
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (description.examples?.length > 0) schema.example = description.examples[0];
+
+  return schema;
+};
+
+const describe = (schema) => Joi.compile(schema).describe();
+
+// Express path to an OpenAPI template, plus its parameter names
+const templatePath = (path) => {
+  const names = [];
+  const template = path.replace(/:(\w+)\??/g, (match, name) => {
+    names.push(name);
+    return `{${name}}`;
+  });
+  return { template: template.length > 1 ? template.replace(/\/$/, '') : template, names };
+};
+
+// Template with parameter names blanked, for spotting paths Express treats alike
+const pathShape = (template) => template.replace(/\{\w+\}/g, '{}');
+
+// names: the path template's parameter names; routeNames: what the route itself calls
+// them, which decides the schema when the two differ
+const parametersFor = (location, schema, components, names = null, routeNames = names) => {
+  const description = schema ? describe(schema) : null;
+  const keys = description?.keys || {};
+  const parameterNames = names || Object.keys(keys);
+
+  return parameterNames.map((name, index) => {
+    const key = keys[routeNames?.[index]] || keys[name];
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || key?.flags?.presence === 'required',
+      schema: key ? toSchema({ ...key, flags: { ...key.flags, description: undefined } }, components) : { type: 'string' }
+    };
+    const renamed = routeNames && routeNames[index] !== name ? routeNames[index] : null;
+    const text = key?.flags?.description || (renamed && `The ${renamed} for this operation`);
+    if (text) {
+      parameter.description = text;
+    }
+    return parameter;
+  });
+};
+
+// e.g. get /blogs/{lang}/slug/{slug} -> getBlogsByLangSlugBySlug
+const operationId = (method, template) => method + template
+  .replace(/\{(\w+)\}/g, ' By $1 ')
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join('');
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+});
+
+const successResponse = (spec, components) => ({
+  description: 'Success',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['success', 'data', 'meta'],
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          data: spec?.response ? toSchema(describe(spec.response), components) : {},
+          message: { type: 'string' },
+          meta: { $ref: '#/components/schemas/Meta' }
+        }
+      }
+    }
+  }
+});
+
+// routeTemplate: the route's own path, which names the operation even when it is
+// listed under a sibling's template
+const buildOperation = ({ method, template, routeTemplate = template, names, routeNames, handlers, tag }, components) => {
+  const spec = handlers.find(handler => handler.apiSpec)?.apiSpec;
+  const authentication = handlers.find(handler => handler.authentication)?.authentication;
+  const permissions = [...new Set(handlers.flatMap(handler => handler.permissions || []))];
+
+  const operation = {
+    tags: spec?.tags || [tag],
+    operationId: spec?.operationId || operationId(method, routeTemplate),
+    ...(spec?.summary && { summary: spec.summary }),
+    ...(spec?.description && { description: spec.description })
+  };
+
+  const parameters = [
+    ...parametersFor('path', spec?.params, components, names, routeNames),
+    ...(spec?.query ? parametersFor('query', spec.query, components) : [])
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (spec?.body) {
+    operation.requestBody = {
+      required: true,
+      content: { [spec.contentType || 'application/json']: { schema: toSchema(describe(spec.body), components) } }
+    };
+  }
+
+  if (authentication === 'required') {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (authentication === 'optional') {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+  if (permissions.length > 0) {
+    operation['x-permissions'] = permissions;
+  }
+
+  operation.responses = {
+    [spec?.status || 200]: successResponse(spec, components),
+    ...((spec?.params || spec?.query || spec?.body) && { 400: errorResponse('Invalid request (VALIDATION_FAILED)') }),
+    ...(authentication === 'required' && { 401: errorResponse('Not signed in') }),
+    ...(permissions.length > 0 && { 403: errorResponse(`Requires ${permissions.join(' or ')}`) }),
+    ...(names.length > 0 && { 404: errorResponse('Not found') }),
+    default: errorResponse('Error')
+  };
+
+  return operation;
+};
+
+// Routes of a router in match order, with the router-level middleware before each
+const collectRoutes = (prefix, router) => {
+  const routes = [];
+  const shared = [];
+
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      // router.use(...) without a path applies to every route after it
+      if (layer.regexp?.fast_slash) {
+        shared.push(layer.handle);
+      }
+      continue;
+    }
+
+    const paths = [].concat(layer.route.path).filter(path => typeof path === 'string');
+    for (const path of paths) {
+      const { template, names } = templatePath(`${prefix}${path}`);
+      for (const method of HTTP_METHODS.filter(name => layer.route.methods[name])) {
+        const handlers = [...shared, ...layer.route.stack.filter(item => item.method === method).map(item => item.handle)];
+        routes.push({ method, template, names, handlers, tag: prefix.replace(/^\//, '') });
+      }
+    }
+  }
+  return routes;
+};
+
+const sharedComponents = (components) => {
+  components.Pagination = {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer' },
+      nextCursor: { type: 'string', nullable: true, description: 'Pass as ?cursor= for the next page' },
+      hasMore: { type: 'boolean' },
+      total: { type: 'integer', description: 'Only with ?includeTotal=true' }
+    }
+  };
+  components.Meta = {
+    type: 'object',
+    required: ['apiVersion'],
+    properties: {
+      apiVersion: { type: 'string', enum: [CURRENT_API_VERSION] },
+      pagination: { $ref: '#/components/schemas/Pagination' }
+    }
+  };
+  components.ErrorResponse = {
+    type: 'object',
+    required: ['success', 'error', 'meta'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: {
+            type: 'string',
+            description: 'Stable machine-readable code; more specific codes may be added',
+            example: 'VALIDATION_FAILED',
+            'x-known-values': [...new Set([...Object.values(ERROR_CODES), 'VALIDATION_FAILED'])]
+          },
+          message: { type: 'string' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { field: { type: 'string' }, message: { type: 'string' } }
+            }
+          },
+          context: { type: 'object', additionalProperties: true }
+        }
+      },
+      meta: { $ref: '#/components/schemas/Meta' }
+    }
+  };
+};
+
+/**
+ * Compile the OpenAPI document for every documented router. Built once and
+ * reused until another router is documented.
+ * @returns {object}
+ */
+export const buildOpenApiDocument = () => {
+  if (cachedDocument) {
+    return cachedDocument;
+  }
+
+  const components = {};
+  sharedComponents(components);
+
+  const paths = {};
+  // Express path shape and method to the template already listed for it
+  const listed = new Map();
+
+  for (const [prefix, router] of mounts) {
+    for (const route of collectRoutes(prefix, router)) {
+      const shape = pathShape(route.template);
+      const key = `${route.method} ${shape}`;
+      if (listed.has(key)) {
+        // Express never reaches a route an earlier one with the same shape matches
+        continue;
+      }
+
+      // OpenAPI allows one template per shape: reuse the first one's parameter names
+      const existing = [...listed.entries()].find(([entry]) => entry.endsWith(` ${shape}`))?.[1];
+      const template = existing || route.template;
+      const names = templatePath(template.replace(/\{(\w+)\}/g, ':$1')).names;
+      listed.set(key, template);
+
+      paths[template] = paths[template] || {};
+      paths[template][route.method] = buildOperation(
+        { ...route, template, routeTemplate: route.template, names, routeNames: route.names },
+        components
+      );
+    }
+  }
+
+  cachedDocument = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'News and Niche API',
+      version: CURRENT_API_VERSION,
+      description: 'Every response uses the v2 envelope: `{ success, data, message?, meta }` on success and ' +
+        '`{ success: false, error: { code, message, details?, context? }, meta }` on failure. List endpoints ' +
+        'return `meta.pagination`; pass its `nextCursor` back as `?cursor=`. The unversioned /api paths serve ' +
+        'the same routes without the envelope and are deprecated.'
+    },
+    servers: [{ url: '/api/v2' }],
+    tags: [...new Set(mounts.map(([prefix]) => prefix.replace(/^\//, '')))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: components
+    }
+  };
+  return cachedDocument;
+};
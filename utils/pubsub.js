@@ -0,0 +1,74 @@
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+
+// Publish/subscribe bus behind the real-time event stream. The default adapter
+// keeps everything in this process; with several API instances behind a load
+// balancer, swap in an adapter backed by a shared broker (e.g. Redis pub/sub)
+// through setPubSubAdapter so every instance sees every event.
+//
+// An adapter implements:
+//   publish(channel, message)      message is a plain JSON-serializable object
+//   subscribe(channel, handler)    handler(message) for every message on the channel
+//   unsubscribe(channel, handler)
+// Each method may return a promise.
+
+export class MemoryPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream and channel, so the default cap of 10 does not apply
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+  }
+
+  unsubscribe(channel, handler) {
+    this.emitter.off(channel, handler);
+  }
+}
+
+let adapter = new MemoryPubSub();
+
+/**
+ * Replace the pub/sub backend, e.g. with a Redis-backed adapter at startup
+ * @param {object} next - Object implementing publish, subscribe and unsubscribe
+ */
+export const setPubSubAdapter = (next) => {
+  const missing = ['publish', 'subscribe', 'unsubscribe'].filter(method => typeof next?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Pub/sub adapter is missing: ${missing.join(', ')}`);
+  }
+  adapter = next;
+};
+
+/**
+ * Publish an event on a channel. Never throws; a broker outage must not break
+ * the request that produced the event.
+ * @param {string} channel - Channel name, e.g. blog:<id>:comments
+ * @param {string} event - Event name, e.g. comment.created
+ * @param {object} data - JSON-serializable payload
+ */
+export const publish = async (channel, event, data) => {
+  try {
+    await adapter.publish(channel, { event, data, publishedAt: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Event publish failed', { error: error.message, channel, event });
+  }
+};
+
+/**
+ * Listen to a channel
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with { event, data, publishedAt }
+ * @returns {Promise<Function>} - Call to stop listening
+ */
+export const subscribe = async (channel, handler) => {
+  const current = adapter;
+  await current.subscribe(channel, handler);
+  return () => current.unsubscribe(channel, handler);
+};
@@ -0,0 +1,203 @@
+import Comment from '../model/comment.model.js';
+import Session from '../model/session.model.js';
+import { publish, subscribe } from './pubsub.js';
+import logger from './logger.js';
+
+// Channels served by GET /api/events and the events published on each:
+//   blog:<id>:comments        comment.created            anyone
+//   blog:<id>:views           views.updated              anyone
+//   moderation                queue.changed              approve_comments
+//   submissions               submission.created/updated manage_submissions
+//   user:<id>:notifications   notification.created       that user ("user:me:notifications" works too)
+
+const OBJECT_ID = '[a-f0-9]{24}';
+
+// Most channels one stream may subscribe to
+export const MAX_CHANNELS = 20;
+
+const CHANNELS = [
+  { pattern: new RegExp(`^blog:${OBJECT_ID}:comments$`) },
+  { pattern: new RegExp(`^blog:${OBJECT_ID}:views$`) },
+  { pattern: /^moderation$/, permission: 'approve_comments' },
+  { pattern: /^submissions$/, permission: 'manage_submissions' },
+  { pattern: new RegExp(`^user:(${OBJECT_ID}):notifications$`), owner: 1 }
+];
+
+export const channels = {
+  blogComments: (blogId) => `blog:${blogId}:comments`,
+  blogViews: (blogId) => `blog:${blogId}:views`,
+  moderation: () => 'moderation',
+  submissions: () => 'submissions',
+  userNotifications: (userId) => `user:${userId}:notifications`
+};
+
+/**
+ * Who may subscribe to a channel
+ * @param {string} channel - Channel name, with user:me already resolved
+ * @returns {{ permission?: string, ownerId?: string }|null} - Requirements, or null for an unknown channel
+ */
+export const channelRequirements = (channel) => {
+  for (const definition of CHANNELS) {
+    const match = channel.match(definition.pattern);
+    if (match) {
+      return {
+        permission: definition.permission,
+        ownerId: definition.owner ? match[definition.owner] : undefined
+      };
+    }
+  }
+  return null;
+};
+
+// Fields of a comment safe to broadcast to anyone reading the post
+const BROADCAST_COMMENT_FIELDS = 'blog parentComment depth content author likeCount dislikeCount createdAt';
+
+/**
+ * Broadcast a comment that just became visible to readers of its post
+ * @param {string|ObjectId} commentId - Approved comment
+ */
+export const publishCommentCreated = async (commentId) => {
+  try {
+    const comment = await Comment.findById(commentId)
+      .select(BROADCAST_COMMENT_FIELDS)
+      .populate('author', 'name profileImage')
+      .lean();
+    if (comment) {
+      await publish(channels.blogComments(comment.blog), 'comment.created', { comment });
+    }
+  } catch (error) {
+    logger.error('Comment broadcast failed', { error: error.message, commentId });
+  }
+};
+
+/**
+ * Tell moderators the queue changed
+ * @param {string} action - queued, approve, reject or spam
+ * @param {Array} commentIds - Comments affected
+ * @param {string|ObjectId|null} moderatorId - Who acted, null for automatic decisions and new comments
+ */
+export const publishModerationChange = (action, commentIds, moderatorId = null) =>
+  publish(channels.moderation(), 'queue.changed', { action, comments: commentIds, moderator: moderatorId });
+
+/**
+ * Tell reviewers a guest or sponsored submission arrived or changed status
+ * @param {'guest'|'sponsored'} kind - Submission kind
+ * @param {object} submission - Submission after the change
+ * @param {string|null} previousStatus - Status before, null for new submissions
+ */
+export const publishSubmissionChange = (kind, submission, previousStatus = null) =>
+  publish(channels.submissions(), previousStatus ? 'submission.updated' : 'submission.created', {
+    kind,
+    submissionId: submission._id,
+    title: submission.post?.title?.en || submission.post?.title?.bn || '',
+    status: submission.status,
+    previousStatus
+  });
+
+/**
+ * Push a stored notification to its recipient's open streams
+ * @param {object} notification - Notification document
+ */
+export const publishNotification = (notification) =>
+  publish(channels.userNotifications(notification.recipient), 'notification.created', { notification });
+
+// Latest count per post waiting to be broadcast; views are coalesced so a busy
+// post sends at most one update per interval
+const VIEW_COUNT_INTERVAL_MS = 2000;
+const pendingViewCounts = new Map();
+
+/**
+ * Broadcast a post's view count
+ * @param {string|ObjectId} blogId - Blog
+ * @param {number} viewCount - Count after the latest view
+ */
+export const publishViewCount = (blogId, viewCount) => {
+  const key = blogId.toString();
+  const scheduled = pendingViewCounts.has(key);
+  pendingViewCounts.set(key, viewCount);
+  if (scheduled) {
+    return;
+  }
+
+  setTimeout(() => {
+    const latest = pendingViewCounts.get(key);
+    pendingViewCounts.delete(key);
+    publish(channels.blogViews(key), 'views.updated', { blog: key, viewCount: latest });
+  }, VIEW_COUNT_INTERVAL_MS).unref();
+};
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+// Open streams, ended on shutdown so server.close() does not wait on them
+const openStreams = new Set();
+
+/**
+ * Turn a response into a Server-Sent Events stream of the given channels.
+ * Each message is sent as `event: <name>` with data { channel, data, publishedAt }.
+ * A comment line every 25s keeps proxies from closing the connection; for signed-in
+ * clients it also ends the stream once their session is revoked or expires.
+ * @param {object} req - Express request, req.user set for signed-in clients
+ * @param {object} res - Express response
+ * @param {string[]} channelNames - Channels the client is allowed to receive
+ */
+export const openEventStream = async (req, res, channelNames) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  let closed = false;
+  let unsubscribers = [];
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    openStreams.delete(close);
+    res.end();
+  };
+
+  const heartbeat = setInterval(async () => {
+    res.write(': ping\n\n');
+    if (req.user) {
+      const session = await Session.findActive(req.user.sessionId, req.user.userId).catch(() => true);
+      if (!session) {
+        send('session.expired', {});
+        close();
+      }
+    }
+  }, HEARTBEAT_MS);
+
+  openStreams.add(close);
+  req.on('close', close);
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  unsubscribers = await Promise.all(channelNames.map(channel =>
+    subscribe(channel, ({ event, data, publishedAt }) => send(event, { channel, data, publishedAt }))
+  ));
+  // The client may have gone while the subscriptions were being set up
+  if (closed) {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    return;
+  }
+
+  send('ready', { channels: channelNames });
+};
+
+// End every open stream, e.g. on shutdown
+export const closeEventStreams = () => {
+  [...openStreams].forEach(close => close());
+};
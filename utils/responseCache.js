@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { envNumber } from './env.js';
+
+// Cache for public GET responses that are expensive to build (homepage, trending,
+// category lists). Entries are keyed by route and query (the language is part of
+// the route) and carry tags naming the data they were built from; writes to Blog
+// and Category purge the tags they touch, and a TTL bounds anything else, such as
+// view counts. Every response carries an ETag and Last-Modified so clients can
+// revalidate with If-None-Match / If-Modified-Since and get a 304.
+//
+// The default store is an in-memory LRU. With several API instances, swap in an
+// adapter backed by a shared store through setCacheAdapter. An adapter implements:
+//   get(key)                          entry or null
+//   set(key, entry, { ttlMs, tags })  entry is a plain JSON-serializable object
+//   invalidateTags(tags)              drop every entry carrying any of the tags
+//   clear()
+// Each method may return a promise.
+
+export const cacheTags = {
+  // Lists of published posts in a language
+  blogs: (lang) => `blogs:${lang}`,
+  categories: 'categories'
+};
+
+export class MemoryLRUCache {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    // Insertion order doubles as recency order: reads move an entry to the end
+    this.entries = new Map();
+    this.keysByTag = new Map();
+  }
+
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return null;
+    }
+    if (item.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  set(key, entry, { ttlMs, tags = [] }) {
+    this.delete(key);
+    this.entries.set(key, { entry, tags, expiresAt: Date.now() + ttlMs });
+    for (const tag of tags) {
+      if (!this.keysByTag.has(tag)) {
+        this.keysByTag.set(tag, new Set());
+      }
+      this.keysByTag.get(tag).add(key);
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return;
+    }
+    this.entries.delete(key);
+    for (const tag of item.tags) {
+      const keys = this.keysByTag.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) {
+        this.keysByTag.delete(tag);
+      }
+    }
+  }
+
+  invalidateTags(tags) {
+    let removed = 0;
+    for (const tag of tags) {
+      for (const key of [...(this.keysByTag.get(tag) || [])]) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.keysByTag.clear();
+  }
+}
+
+// Created on first use, once the environment is loaded
+let adapter = null;
+const cache = () => {
+  if (!adapter) {
+    adapter = new MemoryLRUCache({ maxEntries: envNumber('RESPONSE_CACHE_MAX_ENTRIES', 500) });
+  }
+  return adapter;
+};
+
+// When each tag was last purged by this process. A response whose build started
+// before a purge of one of its tags may hold stale data and is not stored.
+const purgedAt = new Map();
+
+/**
+ * Replace the cache store, e.g. with a Redis-backed adapter at startup
+ * @param {object} next - Object implementing get, set, invalidateTags and clear
+ */
+export const setCacheAdapter = (next) => {
+  const missing = ['get', 'set', 'invalidateTags', 'clear'].filter(method => typeof next?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Cache adapter is missing: ${missing.join(', ')}`);
+  }
+  adapter = next;
+};
+
+/**
+ * Purge every cached response built from the given data. Never throws; a cache
+ * outage must not fail the write that triggered it.
+ * @param {string[]} tags - Tags from cacheTags
+ */
+export const invalidateCacheTags = async (tags) => {
+  if (!tags?.length) {
+    return;
+  }
+  const now = Date.now();
+  tags.forEach(tag => purgedAt.set(tag, now));
+
+  try {
+    await cache().invalidateTags(tags);
+  } catch (error) {
+    logger.error('Response cache invalidation failed', { error: error.message, tags });
+  }
+};
+
+// Route plus query with sorted keys, so ?a=1&b=2 and ?b=2&a=1 share an entry
+const cacheKey = (req) => {
+  const query = Object.keys(req.query)
+    .sort()
+    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(JSON.stringify(req.query[name]))}`)
+    .join('&');
+  return `${req.baseUrl}${req.path}?${query}`;
+};
+
+// Express answers 304 itself when the request's validators match these headers
+const sendEntry = (res, entry, status) => {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': new Date(entry.lastModified).toUTCString(),
+    'Cache-Control': 'public, no-cache',
+    'X-Cache': status
+  });
+  res.type('application/json');
+  return res.send(entry.body);
+};
+
+/**
+ * Serve a public GET route from the response cache. Only 200 responses sent with
+ * res.json are stored.
+ * @param {object} options
+ * @param {Function} options.tags - (req) => string[] of cacheTags the response is built from
+ * @param {number} [options.ttlSeconds] - Defaults to RESPONSE_CACHE_TTL_SECONDS, 60
+ * @returns {Function} Express middleware
+ */
+export const cacheResponse = ({ tags, ttlSeconds } = {}) => async (req, res, next) => {
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  const key = cacheKey(req);
+  try {
+    const cached = await cache().get(key);
+    if (cached) {
+      return sendEntry(res, cached, 'HIT');
+    }
+  } catch (error) {
+    logger.error('Response cache read failed', { error: error.message, key });
+  }
+
+  const startedAt = Date.now();
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) {
+      return json(body);
+    }
+
+    // Versioned routes reshape the body (middleware/apiVersion.middleware.js)
+    const payload = JSON.stringify(res.locals.formatBody ? res.locals.formatBody(body) : body);
+    const entry = {
+      body: payload,
+      etag: `W/"${crypto.createHash('sha1').update(payload).digest('base64url')}"`,
+      lastModified: startedAt
+    };
+    const entryTags = tags ? tags(req) : [];
+    if (!entryTags.some(tag => (purgedAt.get(tag) || 0) >= startedAt)) {
+      const ttlMs = (ttlSeconds || envNumber('RESPONSE_CACHE_TTL_SECONDS', 60)) * 1000;
+      Promise.resolve()
+        .then(() => cache().set(key, entry, { ttlMs, tags: entryTags }))
+        .catch(error => logger.error('Response cache write failed', { error: error.message, key }));
+    }
+    return sendEntry(res, entry, 'MISS');
+  };
+
+  next();
+};
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import Blog from '../model/blog.model.js';
+import { NotFoundError, ValidationError } from './errorHandler.js';
+
+// Post fields shown in bookmarks, reading lists and "continue reading", in both languages
+export const BLOG_CARD_FIELDS = 'title excerpt slug category featuredImage publishedAt readTime author.name author.user viewCount';
+
+// Populate options for a `blog` reference; posts that were unpublished come back as null
+export const populateBlogCard = (path = 'blog') => ({
+  path,
+  select: BLOG_CARD_FIELDS,
+  match: { status: 'published' }
+});
+
+/**
+ * Make sure a post exists and is published before it is saved anywhere
+ * @param {string} blogId - Blog id from the request
+ * @returns {Promise<ObjectId>}
+ */
+export const requirePublishedBlog = async (blogId) => {
+  if (!mongoose.Types.ObjectId.isValid(blogId)) {
+    throw new ValidationError('Invalid blog id', [{ field: 'blogId', message: 'Must be a valid id' }]);
+  }
+  if (!await Blog.exists({ _id: blogId, status: 'published' })) {
+    throw new NotFoundError('Blog');
+  }
+  return new mongoose.Types.ObjectId(blogId);
+};
+
+/**
+ * Adjust a popularity counter (bookmarkCount, readingListCount) on one or more posts,
+ * and saveCount with it. Counters never go below zero.
+ * @param {ObjectId|ObjectId[]} blogIds - Posts to update
+ * @param {string} field - Counter field
+ * @param {number} delta - Amount to add, negative to subtract
+ */
+export const adjustBlogCounter = (blogIds, field, delta) => {
+  const ids = Array.isArray(blogIds) ? blogIds : [blogIds];
+  if (ids.length === 0 || delta === 0) {
+    return Promise.resolve();
+  }
+  const filter = { _id: { $in: ids } };
+  if (delta < 0) {
+    filter[field] = { $gte: -delta };
+  }
+  return Blog.updateMany(filter, { $inc: { [field]: delta, saveCount: delta } });
+};
@@ -0,0 +1,130 @@
+import Blog from '../model/blog.model.js';
+import logger from './logger.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 5;
+
+let timer = null;
+let running = false;
+
+// Exponential backoff between failed attempts: 1, 2, 4, 8... minutes
+const retryDelay = (attempts) => Math.min(2 ** attempts, 60) * 60 * 1000;
+
+/**
+ * Publish a single scheduled post.
+ * The status check in the filter makes the claim atomic, so a post is only
+ * published once even if several processes poll at the same time.
+ * @param {object} blog - Lean blog document with _id and scheduledFor
+ * @returns {Promise<boolean>} - true when this call published the post
+ */
+const publishScheduledPost = async (blog) => {
+  const now = new Date();
+
+  try {
+    const published = await Blog.findOneAndUpdate(
+      { _id: blog._id, status: 'scheduled', scheduledFor: { $lte: now } },
+      {
+        $set: {
+          status: 'published',
+          publishedAt: now,
+          nextPublishAttemptAt: null,
+          lastPublishError: null
+        }
+      },
+      { new: true }
+    );
+
+    if (published) {
+      logger.info('Scheduled blog published', {
+        blogId: published._id,
+        scheduledFor: published.scheduledFor,
+        scheduledBy: published.scheduledBy,
+        title: published.title?.en || published.title?.bn
+      });
+    }
+
+    return !!published;
+  } catch (error) {
+    const attempts = (blog.publishAttempts || 0) + 1;
+
+    await Blog.updateOne(
+      { _id: blog._id, status: 'scheduled' },
+      {
+        $set: {
+          publishAttempts: attempts,
+          lastPublishError: error.message,
+          nextPublishAttemptAt: new Date(now.getTime() + retryDelay(attempts))
+        }
+      }
+    ).catch(() => {});
+
+    logger.error('Scheduled blog publish failed', {
+      blogId: blog._id,
+      attempts,
+      willRetry: attempts < MAX_ATTEMPTS,
+      error: error.message
+    });
+
+    return false;
+  }
+};
+
+/**
+ * Publish every scheduled post whose time has come.
+ * Runs on startup too, so posts that fell due while the server was down are
+ * picked up on the next boot.
+ * @returns {Promise<number>} - Number of posts published
+ */
+export const publishDuePosts = async () => {
+  if (running) return 0;
+  running = true;
+
+  let publishedCount = 0;
+
+  try {
+    const now = new Date();
+    const duePosts = await Blog.find({
+      status: 'scheduled',
+      scheduledFor: { $lte: now },
+      publishAttempts: { $lt: MAX_ATTEMPTS },
+      $or: [
+        { nextPublishAttemptAt: null },
+        { nextPublishAttemptAt: { $lte: now } }
+      ]
+    })
+      .select('_id scheduledFor publishAttempts')
+      .sort({ scheduledFor: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const blog of duePosts) {
+      if (await publishScheduledPost(blog)) {
+        publishedCount++;
+      }
+    }
+  } catch (error) {
+    logger.error('Scheduled publisher run failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+
+  return publishedCount;
+};
+
+export const startScheduledPublisher = () => {
+  if (timer) return;
+
+  publishDuePosts();
+  timer = setInterval(publishDuePosts, POLL_INTERVAL_MS);
+  timer.unref();
+
+  logger.info('Scheduled publisher started', { intervalMs: POLL_INTERVAL_MS });
+};
+
+export const stopScheduledPublisher = () => {
+  if (!timer) return;
+
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,179 @@
+// Text helpers for the blog search index.
+//
+// MongoDB's text analyzer has no Bangla support: it cannot stem Bangla, and its
+// diacritic folding strips the nukta and hasanta marks that Bangla words depend
+// on. Every string that goes into the index or into a query is therefore run
+// through normalizeText() first, and Bangla documents are indexed with the
+// 'none' analyzer so MongoDB only splits on whitespace and punctuation.
+
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+// MongoDB text search language per site language
+export const TEXT_LANGUAGES = {
+  en: 'english',
+  bn: 'none'
+};
+
+/**
+ * Strip HTML tags and collapse whitespace
+ * @param {string} html - Raw HTML or markdown content
+ * @returns {string} - Plain text
+ */
+export const stripHtml = (html) => {
+  if (!html || typeof html !== 'string') return '';
+
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalize text so the index and the query see the same characters
+ * @param {string} text - The text to normalize
+ * @param {string} language - 'en' for English, 'bn' for Bangla
+ * @returns {string} - The normalized text
+ */
+export const normalizeText = (text, language = 'en') => {
+  if (!text || typeof text !== 'string') return '';
+
+  let normalized = text.normalize('NFC').toLowerCase();
+
+  if (language === 'bn') {
+    normalized = normalized
+      .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width joiners used for conjunct shaping
+      .replace(/[০-৯]/g, (digit) => String(BANGLA_DIGITS.indexOf(digit))) // Bangla digits to ASCII
+      .replace(/[।॥]/g, ' '); // Danda and double danda end sentences
+  }
+
+  return normalized.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Split normalized text into unique search terms
+ * @param {string} text - The text to tokenize
+ * @param {string} language - 'en' for English, 'bn' for Bangla
+ * @returns {string[]} - Unique terms
+ */
+export const tokenize = (text, language = 'en') => {
+  const normalized = normalizeText(text, language);
+  if (!normalized) return [];
+
+  const terms = normalized
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(term => term.length > 1 || /\p{N}/u.test(term));
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value - The raw string
+ * @returns {string} - The escaped string
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a user query into terms, quoted phrases, prefixes (foo*) and exclusions (-foo)
+ * @param {string} query - The raw query string
+ * @param {string} language - 'en' for English, 'bn' for Bangla
+ * @returns {{terms: string[], phrases: string[], prefixes: string[], excluded: string[]}}
+ */
+export const parseSearchQuery = (query, language = 'en') => {
+  const parsed = { terms: [], phrases: [], prefixes: [], excluded: [] };
+  if (!query || typeof query !== 'string') return parsed;
+
+  const rest = query.replace(/"([^"]+)"/g, (match, phrase) => {
+    const normalized = normalizeText(phrase, language);
+    if (normalized) parsed.phrases.push(normalized);
+    return ' ';
+  });
+
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith('-') && word.length > 1) {
+      parsed.excluded.push(...tokenize(word.slice(1), language));
+    } else if (word.endsWith('*') && word.length > 1) {
+      const prefix = normalizeText(word.slice(0, -1), language).replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+      if (prefix) parsed.prefixes.push(prefix);
+    } else {
+      parsed.terms.push(...tokenize(word, language));
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Build the $search string for a MongoDB $text query
+ * @param {object} parsed - Output of parseSearchQuery
+ * @returns {string} - The $search value (empty when only prefixes were given)
+ */
+export const buildTextSearch = (parsed) => {
+  const parts = [
+    ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ...parsed.terms
+  ];
+  if (parts.length === 0) return '';
+
+  return [...parts, ...parsed.excluded.map(term => `-${term}`)].join(' ');
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap matches of the query in <mark> tags, returning an HTML-safe string
+ * @param {string} text - Plain text to highlight
+ * @param {object} parsed - Output of parseSearchQuery
+ * @param {string} language - 'en' for English, 'bn' for Bangla
+ * @param {object} options - { maxLength } trims the text to a window around the first match
+ * @returns {string|null} - Highlighted text, or null when the text is empty
+ */
+export const highlightText = (text, parsed, language = 'en', { maxLength } = {}) => {
+  if (!text) return null;
+
+  let source = text.normalize('NFC');
+  if (language === 'bn') source = source.replace(/[\u200B-\u200D\uFEFF]/g, '');
+  const needles = [...parsed.phrases, ...parsed.terms, ...parsed.prefixes]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  // Needles were normalized to ASCII digits, the displayed text may still use Bangla ones
+  const toPattern = (needle) => {
+    const escaped = escapeRegex(needle);
+    return language === 'bn' ? escaped.replace(/[0-9]/g, digit => `[${digit}${BANGLA_DIGITS[digit]}]`) : escaped;
+  };
+
+  // \b does not understand Bangla letters, so match on letter boundaries instead
+  const pattern = needles.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{M}])(${needles.map(toPattern).join('|')})`, 'giu')
+    : null;
+
+  if (maxLength && source.length > maxLength) {
+    const firstMatch = pattern ? source.search(pattern) : -1;
+    const start = Math.max(0, firstMatch - Math.floor(maxLength / 3));
+    const end = Math.min(source.length, start + maxLength);
+    source = `${start > 0 ? '…' : ''}${source.slice(start, end).trim()}${end < source.length ? '…' : ''}`;
+  }
+
+  if (!pattern) return escapeHtml(source);
+
+  let result = '';
+  let lastIndex = 0;
+  for (const match of source.matchAll(pattern)) {
+    result += escapeHtml(source.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return result + escapeHtml(source.slice(lastIndex));
+};
@@ -0,0 +1,38 @@
+import Setting from '../model/setting.model.js';
+import Role from '../model/role.model.js';
+
+export const SECURITY_SETTINGS_KEY = 'security';
+
+export const DEFAULT_SECURITY_SETTINGS = {
+  // Lowest role that must use two-factor authentication; null turns the requirement off
+  twoFactorRequiredFromRole: null,
+  // Failed logins allowed before an account is locked
+  lockoutThreshold: 5,
+  // First lock lasts this long and doubles with every further failure, up to the maximum
+  lockoutBaseMinutes: 1,
+  lockoutMaxMinutes: 24 * 60,
+  // Failures older than this no longer count
+  failureWindowMinutes: 24 * 60
+};
+
+// The account lockout settings, all whole numbers
+export const LOCKOUT_FIELDS = ['lockoutThreshold', 'lockoutBaseMinutes', 'lockoutMaxMinutes', 'failureWindowMinutes'];
+
+export const getSecuritySettings = async () => {
+  const stored = await Setting.getValue(SECURITY_SETTINGS_KEY, {});
+  return { ...DEFAULT_SECURITY_SETTINGS, ...stored };
+};
+
+// Whether accounts with this role must have 2FA enabled
+export const isTwoFactorRequired = async (role) => {
+  const { twoFactorRequiredFromRole } = await getSecuritySettings();
+  if (!twoFactorRequiredFromRole) {
+    return false;
+  }
+
+  const [threshold, current] = await Promise.all([Role.getRole(twoFactorRequiredFromRole), Role.getRole(role)]);
+  if (!threshold) {
+    return false;
+  }
+  return (current?.level ?? 0) >= threshold.level;
+};
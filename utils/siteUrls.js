@@ -0,0 +1,30 @@
+// Public URLs of the frontend, used wherever the API links back to the site
+// (feeds, sitemaps, emails).
+
+export const SITE_NAME = process.env.SITE_NAME || 'News and Niche';
+
+// Read at call time: some importers load before dotenv has run
+const frontendBase = () => (process.env.FRONTEND_URL || 'https://www.newsandniche.com').replace(/\/+$/, '');
+
+// Public base URL of this API, for self-referencing links such as feed URLs
+export const API_URL = (process.env.API_URL || '').replace(/\/+$/, '');
+
+export const LANGUAGES = ['en', 'bn'];
+
+export const siteUrl = (path = '') => `${frontendBase()}${path}`;
+
+export const homeUrl = (lang) => siteUrl(`/${lang}`);
+
+export const blogUrl = (lang, slug) => siteUrl(`/${lang}/blog/${encodeURIComponent(slug)}`);
+
+export const categoryUrl = (lang, slug) => siteUrl(`/${lang}/category/${encodeURIComponent(slug)}`);
+
+export const authorUrl = (lang, authorId) => siteUrl(`/${lang}/author/${authorId}`);
+
+export const profileUrl = (lang, username) => siteUrl(`/${lang}/profile/${encodeURIComponent(username)}`);
+
+// Absolute URL for an API path, falling back to the host of the current request
+export const apiUrl = (req, path) => {
+  const base = API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}${path}`;
+};
@@ -0,0 +1,58 @@
+import { escapeXml } from './feedBuilder.js';
+
+// The sitemap protocol allows at most 50,000 URLs per file
+export const MAX_SITEMAP_URLS = 50000;
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Render a sitemap index
+ * @param {Array<{loc: string, lastmod?: Date}>} sitemaps - Child sitemaps
+ * @returns {string} - XML document
+ */
+export const buildSitemapIndex = (sitemaps) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+  ];
+
+  for (const sitemap of sitemaps) {
+    lines.push('<sitemap>', `<loc>${escapeXml(sitemap.loc)}</loc>`);
+    const lastmod = formatDate(sitemap.lastmod);
+    if (lastmod) {
+      lines.push(`<lastmod>${lastmod}</lastmod>`);
+    }
+    lines.push('</sitemap>');
+  }
+
+  lines.push('</sitemapindex>');
+  return lines.join('\n');
+};
+
+/**
+ * Render a URL set with optional hreflang alternates
+ * @param {Array<{loc: string, lastmod?: Date, alternates?: Array<{hreflang: string, href: string}>}>} urls
+ * @returns {string} - XML document
+ */
+export const buildUrlSet = (urls) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+  ];
+
+  for (const url of urls) {
+    lines.push('<url>', `<loc>${escapeXml(url.loc)}</loc>`);
+    const lastmod = formatDate(url.lastmod);
+    if (lastmod) {
+      lines.push(`<lastmod>${lastmod}</lastmod>`);
+    }
+    // Each language version lists every version, itself included
+    for (const alt of url.alternates || []) {
+      lines.push(`<xhtml:link rel="alternate" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(alt.href)}"/>`);
+    }
+    lines.push('</url>');
+  }
+
+  lines.push('</urlset>');
+  return lines.join('\n');
+};
@@ -0,0 +1,135 @@
+import Comment from '../model/comment.model.js';
+import logger from './logger.js';
+import { BLOCKED_COMPETITOR_HOSTS } from './contentPolicy.js';
+
+// Local spam heuristic for comments. Each rule looks at one signal and returns
+// { score, detail } or null; the comment's score is the capped sum. Rules can
+// be added or replaced with registerSpamRule without touching the callers.
+const rules = new Map();
+
+export const MAX_SPAM_SCORE = 100;
+
+// Comments scoring at or above this are marked as spam without a moderator
+export const getSpamThreshold = () => Number(process.env.COMMENT_SPAM_THRESHOLD) || 70;
+
+const DEFAULT_BLACKLIST = ['viagra', 'casino', 'crypto giveaway', 'free money', 'click here', 'loan offer', 'betting tips'];
+
+// e.g. COMMENT_SPAM_WORDS=casino,jackpot
+const blacklistedWords = () => {
+  const configured = (process.env.COMMENT_SPAM_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_BLACKLIST;
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+const normalizeContent = (content) => String(content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Register or replace a spam rule
+ * @param {string} name - Rule name, shown to moderators in spamSignals
+ * @param {Function} rule - async (context) => ({ score, detail }) | null
+ */
+export const registerSpamRule = (name, rule) => {
+  rules.set(name, rule);
+};
+
+export const unregisterSpamRule = (name) => rules.delete(name);
+
+export const getSpamRules = () => [...rules.keys()];
+
+/**
+ * Score a comment
+ * @param {object} context - { content, authorId, author, blogId, commentId }
+ *   author is the commenter's user document (only createdAt is required);
+ *   commentId excludes the comment itself when an edit is rescored
+ * @returns {Promise<{score: number, signals: Array}>}
+ */
+export const scoreComment = async (context) => {
+  const signals = [];
+
+  for (const [name, rule] of rules) {
+    try {
+      const result = await rule(context);
+      if (result && result.score > 0) {
+        signals.push({ rule: name, score: result.score, detail: result.detail || '' });
+      }
+    } catch (error) {
+      // A broken rule should not block commenting
+      logger.warn('Spam rule failed', { rule: name, error: error.message });
+    }
+  }
+
+  const score = Math.min(MAX_SPAM_SCORE, signals.reduce((sum, signal) => sum + signal.score, 0));
+  return { score, signals };
+};
+
+// Links: a single link is common, many links rarely are
+registerSpamRule('links', ({ content }) => {
+  const links = String(content || '').match(URL_PATTERN) || [];
+  if (links.length === 0) return null;
+
+  const blocked = links.filter(link => {
+    const host = link.replace(/^https?:\/\//i, '').split(/[/?#:]/)[0].replace(/^www\./, '').toLowerCase();
+    return BLOCKED_COMPETITOR_HOSTS.some(blockedHost => host === blockedHost || host.endsWith(`.${blockedHost}`));
+  });
+
+  const score = (links.length >= 3 ? 50 : links.length === 2 ? 25 : 10) + (blocked.length > 0 ? 30 : 0);
+  return { score, detail: `${links.length} link(s)${blocked.length ? `, ${blocked.length} to blocked hosts` : ''}` };
+});
+
+// Repeated content: the same text posted again by the author or across the site
+registerSpamRule('repeated_content', async ({ content, authorId, commentId }) => {
+  const normalized = normalizeContent(content);
+  if (normalized.length < 10) return null;
+
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const recent = await Comment.find({
+    createdAt: { $gte: since },
+    ...(commentId ? { _id: { $ne: commentId } } : {}),
+    content: { $regex: `^${normalized.slice(0, 40).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, $options: 'i' }
+  }).select('author content').limit(50).lean();
+
+  const duplicates = recent.filter(comment => normalizeContent(comment.content) === normalized);
+  const ownDuplicates = duplicates.filter(comment => comment.author?.toString() === authorId?.toString());
+
+  let score = 0;
+  if (ownDuplicates.length > 0) score += 40;
+  if (duplicates.length - ownDuplicates.length >= 2) score += 30;
+
+  // Long runs of one character ("!!!!!!!!!!", "soooooooo")
+  if (/(.)\1{9,}/.test(normalized)) score += 10;
+
+  return score > 0 ? { score, detail: `${duplicates.length} identical comment(s) in the last 7 days` } : null;
+});
+
+// Blacklisted words and phrases
+registerSpamRule('blacklisted_words', ({ content }) => {
+  const normalized = normalizeContent(content);
+  const matches = blacklistedWords().filter(word => normalized.includes(word));
+  if (matches.length === 0) return null;
+  return { score: Math.min(60, matches.length * 30), detail: `Matched: ${matches.join(', ')}` };
+});
+
+// New-account velocity: fresh accounts posting many comments in a short time
+registerSpamRule('new_account_velocity', async ({ author, authorId, commentId }) => {
+  const createdAt = author?.createdAt ? new Date(author.createdAt) : null;
+  const accountAgeHours = createdAt ? (Date.now() - createdAt.getTime()) / (60 * 60 * 1000) : 0;
+  if (accountAgeHours >= 72) return null;
+
+  const lastHour = await Comment.countDocuments({
+    author: authorId,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+    ...(commentId ? { _id: { $ne: commentId } } : {})
+  });
+
+  let score = accountAgeHours < 24 ? 10 : 0;
+  if (lastHour >= 10) score += 40;
+  else if (lastHour >= 5) score += 20;
+
+  return score > 0
+    ? { score, detail: `Account ${Math.floor(accountAgeHours)}h old, ${lastHour} comment(s) in the last hour` }
+    : null;
+});
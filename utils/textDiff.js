@@ -0,0 +1,109 @@
+/**
+ * Split text into diffable tokens
+ * @param {string} text - The text to split
+ * @param {string} mode - 'word' keeps whitespace as separate tokens, 'line' splits on newlines
+ * @returns {string[]} - Tokens that join back into the original text
+ */
+export const splitTokens = (text, mode = 'word') => {
+  if (!text) return [];
+  if (mode === 'line') {
+    return text.split(/(?<=\n)/);
+  }
+  return text.split(/(\s+)/).filter(token => token !== '');
+};
+
+// Beyond this many edits the texts are treated as rewritten; the trace grows with edits squared
+const MAX_EDITS = 2000;
+
+const mergeOps = (ops) => ops.reduce((merged, op) => {
+  const last = merged[merged.length - 1];
+  if (last && last.type === op.type) {
+    last.value += op.value;
+  } else if (op.value !== '') {
+    merged.push({ ...op });
+  }
+  return merged;
+}, []);
+
+/**
+ * Myers O(ND) diff between two token arrays
+ * @param {string[]} a - Old tokens
+ * @param {string[]} b - New tokens
+ * @returns {Array<{type: string, value: string}>} - Ops of type 'equal', 'insert' or 'delete', adjacent ops merged
+ */
+export const diffTokens = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    // Only diagonals -d-1..d+1 are read when backtracking from step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return mergeOps([
+      { type: 'delete', value: a.join('') },
+      { type: 'insert', value: b.join('') }
+    ]);
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (diagonal) => trace[d][diagonal + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', value: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return mergeOps(ops.reverse());
+};
+
+/**
+ * Diff two strings
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @param {string} mode - 'word' or 'line'
+ * @returns {Array<{type: string, value: string}>} - Merged diff ops
+ */
+export const diffText = (oldText, newText, mode = 'word') => {
+  return diffTokens(splitTokens(oldText || '', mode), splitTokens(newText || '', mode));
+};
@@ -0,0 +1,197 @@
+import Blog from '../model/blog.model.js';
+import Category from '../model/category.model.js';
+import Comment, { MODERATION_STATUS_QUERIES } from '../model/comment.model.js';
+import { escapeRegex } from './searchText.js';
+import { paginateWithCursor, paginateWithOffset } from './cursorPagination.js';
+import { envNumber } from './env.js';
+
+// Personalised feed: published posts from followed authors, categories and tags,
+// minus muted authors and categories.
+//
+// Engagement ranking uses a "hot" score that does not decay with the clock:
+//   score = log10(views + comments * FEED_COMMENT_WEIGHT + saves * FEED_SAVE_WEIGHT) + age bonus
+// where a post published FEED_HOURS_PER_TENFOLD hours later gains one point, i.e. it
+// ties with an older post that has ten times its engagement. Saves are bookmarks plus
+// reading list entries. The score moves with live counters, so it cannot key a
+// cursor; this ranking is paged by position instead, and a post whose score changes
+// between requests may show up twice or not at all.
+
+const CHRONOLOGICAL_SORT = { publishedAt: -1, _id: -1 };
+const ENGAGEMENT_SORT = { rankScore: -1, _id: -1 };
+
+// Reference point for the age bonus; any fixed date works
+const RANK_EPOCH = Date.UTC(2024, 0, 1);
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const rankingSettings = () => ({
+  commentWeight: envNumber('FEED_COMMENT_WEIGHT', 5),
+  // Bookmarks and reading list entries
+  saveWeight: envNumber('FEED_SAVE_WEIGHT', 10),
+  hoursPerTenfold: envNumber('FEED_HOURS_PER_TENFOLD', 12.5),
+  windowDays: envNumber('FEED_ENGAGEMENT_WINDOW_DAYS', 30)
+});
+
+export const feedFields = (lang) =>
+  `title.${lang} excerpt.${lang} slug.${lang} category.${lang} tags.${lang} featuredImage publishedAt readTime.${lang} viewCount author postType`;
+
+const categoryNames = async (ids, lang) => {
+  if (!ids?.length) {
+    return [];
+  }
+  const categories = await Category.find({ _id: { $in: ids } }).select(`name.${lang}`).lean();
+  return categories.map(category => category.name?.[lang]).filter(Boolean);
+};
+
+/**
+ * Resolve a user's follows and mutes into a Mongo filter for one language
+ * @param {object} user - User with following and feedPreferences
+ * @param {string} lang - en or bn
+ * @returns {Promise<{query: object|null, sources: object}>} - query is null when the user follows nothing
+ */
+export const buildTimelineQuery = async (user, lang) => {
+  const preferences = user.feedPreferences || {};
+  const [followedCategories, mutedCategories] = await Promise.all([
+    categoryNames(preferences.categories, lang),
+    categoryNames(preferences.mutedCategories, lang)
+  ]);
+
+  const sources = {
+    authors: (user.following || []).map(String),
+    categories: followedCategories,
+    tags: preferences.tags || []
+  };
+
+  const followed = [];
+  if (sources.authors.length > 0) {
+    followed.push({ 'author.user': { $in: user.following } });
+  }
+  if (followedCategories.length > 0) {
+    followed.push({ [`category.${lang}`]: { $in: followedCategories } });
+  }
+  if (sources.tags.length > 0) {
+    // Tags are free text on posts, so match them regardless of case
+    followed.push({ [`tags.${lang}`]: { $in: sources.tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) } });
+  }
+  if (followed.length === 0) {
+    return { query: null, sources };
+  }
+
+  const muted = [];
+  if (preferences.mutedAuthors?.length) {
+    muted.push({ 'author.user': { $nin: preferences.mutedAuthors } });
+  }
+  if (mutedCategories.length > 0) {
+    muted.push({ [`category.${lang}`]: { $nin: mutedCategories } });
+  }
+
+  return {
+    query: {
+      ...Blog.publishedLanguageFilter(lang),
+      $and: [{ $or: followed }, ...muted]
+    },
+    sources
+  };
+};
+
+/**
+ * Why a post is in the feed: followed author, category and/or tag
+ * @param {object} post - Post with author.user, category and tags in `lang`
+ * @param {object} sources - Sources from buildTimelineQuery
+ * @param {string} lang - en or bn
+ * @returns {string[]}
+ */
+export const feedReasons = (post, sources, lang) => {
+  const reasons = [];
+  const authorId = post.author?.user?._id || post.author?.user;
+  if (authorId && sources.authors.includes(authorId.toString())) {
+    reasons.push('author');
+  }
+  if (sources.categories.includes(post.category?.[lang])) {
+    reasons.push('category');
+  }
+  const followedTags = new Set(sources.tags.map(tag => tag.toLowerCase()));
+  if ((post.tags || []).some(tag => followedTags.has(String(tag?.[lang] || '').toLowerCase()))) {
+    reasons.push('tag');
+  }
+  return reasons;
+};
+
+// Inclusion projection for aggregation from a select string
+const projectionOf = (fields) => Object.fromEntries(fields.split(' ').map(field => [field, 1]));
+
+/**
+ * One page of the feed: chronological pages are keyed on publishedAt, engagement
+ * pages by position
+ * @param {object} query - Filter from buildTimelineQuery
+ * @param {string} ranking - chronological or engagement
+ * @param {string} lang - en or bn
+ * @param {object} options - { cursor, limit }
+ * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean}>}
+ */
+export const fetchTimelinePage = (query, ranking, lang, { cursor, limit }) => {
+  const fields = feedFields(lang);
+  const populateAuthor = { path: 'author.user', select: 'name username profileImage' };
+
+  if (ranking !== 'engagement') {
+    const fetch = (filter, pageLimit) => Blog.find({ ...query, ...filter })
+      .select(fields)
+      .populate(populateAuthor)
+      .sort(CHRONOLOGICAL_SORT)
+      .limit(pageLimit)
+      .lean();
+    return paginateWithCursor(fetch, { sort: CHRONOLOGICAL_SORT, cursor, limit });
+  }
+
+  const { commentWeight, saveWeight, hoursPerTenfold, windowDays } = rankingSettings();
+  const fetch = async (skip, pageLimit) => {
+    const posts = await Blog.aggregate([
+      // Only recent posts are scored; older ones have long been outranked
+      { $match: { ...query, publishedAt: { $lte: new Date(), $gte: new Date(Date.now() - windowDays * DAY_MS) } } },
+      {
+        $lookup: {
+          from: Comment.collection.name,
+          let: { blogId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$blog', '$$blogId'] }, ...MODERATION_STATUS_QUERIES.approved } },
+            { $count: 'count' }
+          ],
+          as: 'commentStats'
+        }
+      },
+      {
+        $addFields: {
+          commentCount: { $ifNull: [{ $first: '$commentStats.count' }, 0] }
+        }
+      },
+      {
+        $addFields: {
+          engagement: {
+            $add: [
+              { $ifNull: ['$viewCount', 0] },
+              { $multiply: ['$commentCount', commentWeight] },
+              { $multiply: [{ $add: [{ $ifNull: ['$bookmarkCount', 0] }, { $ifNull: ['$readingListCount', 0] }] }, saveWeight] }
+            ]
+          }
+        }
+      },
+      {
+        $addFields: {
+          rankScore: {
+            $add: [
+              { $log10: { $max: ['$engagement', 1] } },
+              { $divide: [{ $subtract: [{ $toLong: '$publishedAt' }, RANK_EPOCH] }, hoursPerTenfold * HOUR_MS] }
+            ]
+          }
+        }
+      },
+      { $sort: ENGAGEMENT_SORT },
+      { $skip: skip },
+      { $limit: pageLimit },
+      { $project: { ...projectionOf(fields), commentCount: 1, rankScore: 1 } }
+    ]);
+    return Blog.populate(posts, populateAuthor);
+  };
+  return paginateWithOffset(fetch, { cursor, limit });
+};
+
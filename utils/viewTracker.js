@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import Blog from '../model/blog.model.js';
+import ViewFingerprint from '../model/viewFingerprint.model.js';
+import ViewRollup from '../model/viewRollup.model.js';
+import logger from './logger.js';
+import { publishViewCount } from './realtime.js';
+import { envNumber } from './env.js';
+
+// View pipeline: post reads are queued in memory, collapsed per visitor, and
+// written in batches. Each batch first claims a fingerprint per visitor, post and
+// dedup window; only views whose fingerprint is new bump Blog.viewCount and the
+// daily rollups, so refreshes and repeat visits within the window count once even
+// across several server processes.
+
+// Crawlers, link previews, monitors and HTTP libraries
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|scrape|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|httpclient|axios|node-fetch|go-http-client|java\//i;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const trackerSettings = () => ({
+  windowMs: envNumber('VIEW_DEDUP_WINDOW_MINUTES', 30) * MINUTE_MS,
+  flushIntervalMs: envNumber('VIEW_FLUSH_INTERVAL_MS', 5000),
+  maxPending: envNumber('VIEW_MAX_PENDING', 1000)
+});
+
+// Queued views keyed by fingerprint, so a refresh before the next flush is dropped here
+let pending = new Map();
+let timer = null;
+let flushing = null;
+
+/**
+ * Whether a request comes from a crawler, a prefetch or a script rather than a reader
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+export const isBotRequest = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  if (!userAgent.trim() || BOT_PATTERN.test(userAgent)) {
+    return true;
+  }
+  const purpose = `${req.get('purpose') || ''} ${req.get('sec-purpose') || ''} ${req.get('x-moz') || ''}`;
+  return /prefetch|prerender/i.test(purpose);
+};
+
+/**
+ * Visitor key: the signed-in user, otherwise the client IP plus user agent, so
+ * readers sharing one address (offices, mobile carriers) still count separately.
+ * Hashed with a server secret so raw IPs are never stored.
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+export const visitorKey = (req) => {
+  const source = req.user?.userId
+    ? `user:${req.user.userId}`
+    : `ip:${req.ip || ''}|ua:${req.get('user-agent') || ''}`;
+
+  return crypto
+    .createHmac('sha256', process.env.VIEW_HASH_SECRET || process.env.JWT_SECRET || 'views')
+    .update(source)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Referrer bucket for rollups: ?ref= or utm_source when given, else the Referer host
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+export const referrerOf = (req) => {
+  const tagged = req.query?.utm_source || req.query?.ref;
+  if (typeof tagged === 'string' && tagged.trim()) {
+    return tagged.trim().toLowerCase().slice(0, 100);
+  }
+
+  const host = hostOf(req.get('referer') || '');
+  if (!host) {
+    return 'direct';
+  }
+  const ownHost = hostOf(process.env.FRONTEND_URL || '');
+  return host === ownHost ? 'internal' : host;
+};
+
+/**
+ * Queue a view of a published post. Bot traffic is ignored; nothing here waits
+ * on the database.
+ * @param {object} req - Express request
+ * @param {object} blog - Post with _id and category
+ * @param {string} language - en or bn
+ */
+export const recordView = (req, blog, language) => {
+  if (isBotRequest(req)) {
+    return;
+  }
+
+  const { windowMs, maxPending } = trackerSettings();
+  const now = Date.now();
+  const visitor = visitorKey(req);
+  const window = Math.floor(now / windowMs);
+  const key = `${blog._id}:${visitor}:${window}`;
+  if (pending.has(key)) {
+    return;
+  }
+
+  pending.set(key, {
+    blog: blog._id,
+    visitor,
+    window,
+    expiresAt: new Date((window + 1) * windowMs),
+    day: new Date(Math.floor(now / DAY_MS) * DAY_MS),
+    language,
+    category: blog.category?.[language] || '',
+    referrer: referrerOf(req)
+  });
+
+  if (pending.size >= maxPending) {
+    flushViews();
+  }
+};
+
+// Claim fingerprints for a batch; returns the views whose fingerprint was new
+const claimFingerprints = async (views) => {
+  const operations = views.map(view => ({
+    updateOne: {
+      filter: { blog: view.blog, visitor: view.visitor, window: view.window },
+      update: { $setOnInsert: { expiresAt: view.expiresAt } },
+      upsert: true
+    }
+  }));
+
+  let upsertedIds;
+  try {
+    ({ upsertedIds } = await ViewFingerprint.bulkWrite(operations, { ordered: false }));
+  } catch (error) {
+    // Another process claimed some of the same fingerprints at the same moment
+    if (error.code !== 11000 || !error.result) {
+      throw error;
+    }
+    ({ upsertedIds } = error.result);
+  }
+
+  return Object.keys(upsertedIds || {}).map(index => views[index]);
+};
+
+const countBy = (views, keyOf) => {
+  const counts = new Map();
+  for (const view of views) {
+    const key = keyOf(view);
+    const entry = counts.get(key) || { view, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()];
+};
+
+const writeCounters = async (views) => {
+  const perBlog = countBy(views, view => view.blog.toString());
+  const perRollup = countBy(views, view =>
+    `${view.day.getTime()}:${view.blog}:${view.language}:${view.referrer}`);
+
+  await Promise.all([
+    Blog.bulkWrite(perBlog.map(({ view, count }) => ({
+      updateOne: { filter: { _id: view.blog }, update: { $inc: { viewCount: count } } }
+    })), { ordered: false }),
+    ViewRollup.bulkWrite(perRollup.map(({ view, count }) => ({
+      updateOne: {
+        filter: { day: view.day, blog: view.blog, language: view.language, referrer: view.referrer },
+        update: { $inc: { views: count }, $setOnInsert: { category: view.category } },
+        upsert: true
+      }
+    })), { ordered: false })
+  ]);
+
+  const blogs = await Blog.find({ _id: { $in: perBlog.map(({ view }) => view.blog) } })
+    .select('viewCount')
+    .lean();
+  for (const blog of blogs) {
+    publishViewCount(blog._id, blog.viewCount);
+  }
+};
+
+const runFlush = async () => {
+  const views = [...pending.values()];
+  pending = new Map();
+  if (views.length === 0) {
+    return 0;
+  }
+
+  try {
+    const counted = await claimFingerprints(views);
+    if (counted.length > 0) {
+      await writeCounters(counted);
+    }
+    return counted.length;
+  } catch (error) {
+    logger.error('View batch write failed', { error: error.message, views: views.length });
+    return 0;
+  }
+};
+
+/**
+ * Write queued views now. Only one flush runs at a time; views queued meanwhile
+ * wait for the next one.
+ * @returns {Promise<number>} - Number of views counted
+ */
+export const flushViews = () => {
+  if (flushing) {
+    return flushing;
+  }
+  flushing = runFlush().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+};
+
+export const startViewTracker = () => {
+  if (timer) return;
+
+  const { flushIntervalMs } = trackerSettings();
+  timer = setInterval(flushViews, flushIntervalMs);
+  timer.unref();
+
+  logger.info('View tracker started', { flushIntervalMs });
+};
+
+/**
+ * Stop the flush timer and write whatever is still queued
+ * @returns {Promise<void>}
+ */
+export const stopViewTracker = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  await flushing;
+  await flushViews();
+};
@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import { ANALYTICS_INTERVALS, TOP_POST_METRICS } from '../utils/analytics.js';
+import { objectId, language } from './common.validation.js';
+
+// Route contracts for /api/analytics. Every report takes a date range and can be
+// downloaded as CSV; the range itself (order, length) is checked by parseRange.
+
+const day = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD');
+
+const reportQuery = {
+  from: day.description('First day, YYYY-MM-DD; defaults to 30 days before to'),
+  to: day.description('Last day, inclusive; defaults to today'),
+  interval: Joi.string().valid(...ANALYTICS_INTERVALS).default('day'),
+  format: Joi.string().valid('json', 'csv').default('json')
+};
+
+// Reports on posts can be narrowed to one author
+const postReportQuery = {
+  ...reportQuery,
+  author: objectId.description('Author user id; only site-wide viewers may pick someone else')
+};
+
+const limit = Joi.number().integer().min(1).max(100).default(10);
+
+export const getOverview = {
+  summary: 'Headline totals for the range',
+  query: Joi.object(postReportQuery)
+};
+
+export const getPublishingStats = {
+  summary: 'Posts published per period, in total and per language',
+  query: Joi.object(postReportQuery)
+};
+
+export const getEngagementStats = {
+  summary: 'Views, reactions and comments per period',
+  query: Joi.object({ ...postReportQuery, lang: language.description('Only views of this language') })
+};
+
+export const getTopPosts = {
+  summary: 'Posts with the most views, reactions or comments',
+  query: Joi.object({
+    ...postReportQuery,
+    by: Joi.string().valid(...TOP_POST_METRICS).default('views'),
+    limit
+  })
+};
+
+export const getCategoryStats = {
+  summary: 'Posts published and views per category in one language',
+  query: Joi.object({ ...postReportQuery, lang: language.default('en') })
+};
+
+export const getTopAuthors = {
+  summary: 'Authors with the most views',
+  query: Joi.object({ ...reportQuery, limit })
+};
+
+export const getSubmissionFunnel = {
+  summary: 'Guest and sponsored submissions from submission to published',
+  query: Joi.object(reportQuery)
+};
+
+export const getNewsletterGrowth = {
+  summary: 'Newsletter sign-ups, confirmations and unsubscribes per period',
+  query: Joi.object(reportQuery)
+};
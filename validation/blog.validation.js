@@ -0,0 +1,361 @@
+import Joi from 'joi';
+import { REACTION_TYPES } from '../model/blogReaction.model.js';
+import { LIST_SORT_FIELDS, POPULARITY_SORTS } from '../model/blog.model.js';
+import { LANGUAGES } from '../utils/siteUrls.js';
+import {
+  objectId, language, langParams, idParams, pageQuery, sortOrder, localized, dateTime, futureDate,
+  optionalText
+} from './common.validation.js';
+
+// Route contracts for /api/blogs
+
+const BLOG_STATUSES = ['draft', 'scheduled', 'published', 'archived', 'rejected'];
+const POST_TYPES = ['regular', 'guest', 'sponsored'];
+const MIN_CONTENT_LENGTH = 50;
+
+// Fields a post has once per language; a language counts as written when any has text
+const LANGUAGE_FIELDS = ['title', 'content', 'excerpt', 'slug', 'category'];
+// Slugs are generated from the title when left out
+const REQUIRED_LANGUAGE_FIELDS = ['title', 'content', 'excerpt', 'category'];
+const SEO_FIELDS = ['seoTitle', 'seoDescription', 'seoKeywords'];
+
+const localizedText = localized(Joi.string().allow(''));
+
+export const blogSummary = Joi.object({
+  _id: objectId,
+  title: localizedText,
+  excerpt: localizedText,
+  content: localizedText,
+  slug: localizedText,
+  category: localizedText,
+  tags: Joi.array().items(localizedText),
+  featuredImage: Joi.string().allow('', null),
+  publishedAt: Joi.date().allow(null),
+  readTime: localized(Joi.number()),
+  viewCount: Joi.number().integer(),
+  reactionCounts: Joi.object(Object.fromEntries(REACTION_TYPES.map(type => [type, Joi.number().integer()]))),
+  reactionTotal: Joi.number().integer(),
+  saveCount: Joi.number().integer(),
+  author: Joi.object().unknown(true),
+  status: Joi.string().valid(...BLOG_STATUSES),
+  isFeatured: Joi.boolean(),
+  postType: Joi.string().valid(...POST_TYPES)
+}).unknown(true).meta({ component: 'BlogSummary' });
+
+const blogList = Joi.object({ blogs: Joi.array().items(blogSummary) });
+
+const listSort = {
+  sortBy: Joi.string().valid(...LIST_SORT_FIELDS).default('publishedAt'),
+  sortOrder: sortOrder.default('desc')
+};
+
+export const getAllBlogs = {
+  summary: 'List posts with filters',
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(50).default(10),
+    status: Joi.string().valid('all', ...BLOG_STATUSES),
+    lang: language,
+    language,
+    category: Joi.string().description('Category name in the language'),
+    author: objectId.description('Author user id'),
+    search: Joi.string().allow(''),
+    sort: Joi.string().valid(...LIST_SORT_FIELDS),
+    order: sortOrder
+  }),
+  response: blogList
+};
+
+export const searchBlogs = {
+  summary: 'Full-text search over published posts',
+  description: 'Supports "quoted phrases", -excluded words and prefix* terms. Results are ranked by relevance.',
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(50).default(10),
+    q: Joi.string().trim().required(),
+    language: language.default('en'),
+    category: Joi.string(),
+    postType: Joi.string().valid(...POST_TYPES),
+    author: objectId,
+    from: dateTime,
+    to: dateTime
+  }),
+  response: Joi.object({
+    blogs: Joi.array().items(blogSummary.keys({
+      score: Joi.number().allow(null),
+      highlights: Joi.object({ title: Joi.string().allow(''), excerpt: Joi.string().allow(''), snippet: Joi.string().allow('') })
+    }).meta({ component: 'BlogSearchResult' })),
+    query: Joi.object({
+      q: Joi.string(),
+      language,
+      terms: Joi.array().items(Joi.string()),
+      phrases: Joi.array().items(Joi.string()),
+      prefixes: Joi.array().items(Joi.string()),
+      excluded: Joi.array().items(Joi.string())
+    })
+  })
+};
+
+export const getTrendingBlogs = {
+  summary: 'Trending posts in a language',
+  params: langParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).default(6),
+    days: Joi.number().integer().min(1).default(30).description('Published within this many days'),
+    sortBy: Joi.string().valid(...Object.keys(POPULARITY_SORTS))
+  }),
+  response: blogList
+};
+
+export const getBlogsByLanguage = {
+  summary: 'List posts in a language',
+  params: langParams,
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(50).default(10),
+    ...listSort,
+    search: Joi.string().allow(''),
+    category: Joi.string().allow('').description('Category name in the language'),
+    status: Joi.string().valid('all', ...BLOG_STATUSES),
+    featured: Joi.boolean(),
+    exclude: objectId.allow('').description('Post id to leave out')
+  }),
+  response: blogList
+};
+
+export const getBlogsByCategory = {
+  summary: 'List posts in a category',
+  params: langParams.keys({ category: Joi.string().required().description('Category name in the language') }),
+  query: Joi.object({ ...pageQuery, limit: pageQuery.limit.max(50).default(6), ...listSort }),
+  response: blogList
+};
+
+export const getBlogBySlug = {
+  summary: 'Read a published post',
+  description: 'Counts a view for the visitor, at most once per dedup window.',
+  params: langParams.keys({ slug: Joi.string().required() }),
+  query: Joi.object({
+    utm_source: Joi.string().description('Referrer tag for view analytics'),
+    ref: Joi.string().description('Referrer tag for view analytics')
+  }),
+  response: Joi.object({
+    blog: blogSummary.keys({
+      seoTitle: localizedText,
+      seoDescription: localizedText,
+      seoKeywords: localized(Joi.array().items(Joi.string()))
+    }).meta({ component: 'Blog' })
+  })
+};
+
+// Post body fields, shared by create and update. Empty strings are accepted
+// for a language the post is not written in.
+
+const blogTextFields = {
+  title: localized(optionalText(Joi.string().max(200))),
+  content: localized(Joi.string().allow('', null).min(MIN_CONTENT_LENGTH)),
+  excerpt: localized(Joi.string().allow('', null).max(300)),
+  slug: Joi.object({
+    en: optionalText(Joi.string().lowercase().pattern(/^[a-z0-9-]+$/, 'slug')),
+    bn: optionalText(Joi.string().lowercase().pattern(/^[\u0980-\u09FFa-z0-9-]+$/, 'slug'))
+  }),
+  category: localized(optionalText()),
+  tags: Joi.array().items(localized(optionalText())).single(),
+  seoTitle: localized(optionalText()),
+  seoDescription: localized(optionalText()),
+  seoKeywords: localized(Joi.array().items(Joi.string().trim()).single())
+};
+
+const blogAuthor = Joi.object({
+  name: optionalText(Joi.string().max(100)),
+  email: optionalText(Joi.string().email()),
+  bio: optionalText(Joi.string().max(500)),
+  avatar: optionalText(),
+  website: optionalText(),
+  social: Joi.object({
+    twitter: optionalText(),
+    linkedin: optionalText(),
+    github: optionalText()
+  })
+}).description('Byline; a name other than your own makes it a guest byline');
+
+// A written language needs all its required fields; unwritten languages are dropped
+const requireWrittenLanguage = (value, helpers) => {
+  const written = LANGUAGES.filter(lang => LANGUAGE_FIELDS.some(field => value[field]?.[lang]));
+  if (written.length === 0) {
+    return helpers.error('blog.language');
+  }
+
+  for (const lang of LANGUAGES) {
+    if (!written.includes(lang)) {
+      [...LANGUAGE_FIELDS, ...SEO_FIELDS].forEach(field => delete value[field]?.[lang]);
+      continue;
+    }
+    const missing = REQUIRED_LANGUAGE_FIELDS.find(field => !value[field]?.[lang]);
+    if (missing) {
+      return helpers.error('blog.languageField', { lang }, helpers.state.localize([...helpers.state.path, missing, lang]));
+    }
+  }
+  return value;
+};
+
+const blogResponse = Joi.object({ blog: getBlogBySlug.response.extract('blog') });
+
+export const createBlog = {
+  summary: 'Create a post',
+  description: 'Write the post in English, Bangla or both. Each language with any text needs its title, ' +
+    `content (at least ${MIN_CONTENT_LENGTH} characters), excerpt and category; slugs are generated from titles when left out.`,
+  status: 201,
+  body: Joi.object({
+    ...blogTextFields,
+    featuredImage: Joi.string().trim().required(),
+    status: Joi.string().valid('draft', 'scheduled', 'published', 'archived').default('draft'),
+    publishedAt: dateTime,
+    scheduledFor: Joi.when('status', { is: 'scheduled', then: futureDate.required(), otherwise: Joi.any().strip() }),
+    author: blogAuthor
+  })
+    .custom(requireWrittenLanguage)
+    .messages({
+      'blog.language': 'Write the post in at least one language: title, content, excerpt and category',
+      'blog.languageField': '{#label} is required for a post written in {#lang}'
+    }),
+  response: blogResponse
+};
+
+export const updateBlog = {
+  summary: 'Update a post',
+  description: 'Send only the fields to change. Use PUT /blogs/{id}/schedule to schedule a post.',
+  params: idParams,
+  body: Joi.object({
+    ...blogTextFields,
+    featuredImage: Joi.string().trim(),
+    status: Joi.string().valid(...BLOG_STATUSES),
+    publishedAt: dateTime,
+    author: blogAuthor
+  }).min(1),
+  response: blogResponse
+};
+
+export const scheduleBlog = {
+  summary: 'Schedule or reschedule a post',
+  params: idParams,
+  body: Joi.object({ scheduledFor: futureDate.required() }),
+  response: blogResponse
+};
+
+export const toggleBlogStatus = {
+  summary: 'Set the status of a post',
+  params: idParams,
+  body: Joi.object({ status: Joi.string().valid('draft', 'published', 'archived', 'rejected').required() }),
+  response: blogResponse
+};
+
+export const rejectBlog = {
+  summary: 'Reject a post',
+  params: idParams,
+  body: Joi.object({ reason: Joi.string().trim().max(500).allow('') }),
+  response: blogResponse
+};
+
+export const setBlogReaction = {
+  summary: 'React to a post',
+  description: 'Replaces any earlier reaction by the same user.',
+  params: idParams,
+  body: Joi.object({ type: Joi.string().valid(...REACTION_TYPES).required() })
+};
+
+export const getBlogReactionUsers = {
+  summary: 'Who reacted to a post',
+  params: idParams,
+  query: Joi.object({
+    limit: pageQuery.limit.max(100).default(20),
+    cursor: pageQuery.cursor,
+    type: Joi.string().valid(...REACTION_TYPES)
+  })
+};
+
+export const getRecentBlogs = {
+  summary: 'Latest posts, featured ones excluded',
+  query: Joi.object({
+    limit: pageQuery.limit.max(50).default(5),
+    language: language.default('en')
+  }),
+  response: blogList
+};
+
+export const getPopularBlogs = {
+  summary: 'Most read, reacted or saved posts of a period',
+  query: Joi.object({
+    limit: pageQuery.limit.max(50).default(5),
+    language: language.default('en'),
+    period: Joi.string().valid('1d', '7d', '30d').default('7d'),
+    sortBy: Joi.string().valid(...Object.keys(POPULARITY_SORTS))
+  }),
+  response: blogList
+};
+
+export const getHomepageData = {
+  summary: 'Featured, recent, popular and per-category posts for the homepage',
+  params: langParams,
+  query: Joi.object({
+    featuredLimit: pageQuery.limit.max(50).default(6),
+    recentLimit: pageQuery.limit.max(50).default(9),
+    popularLimit: pageQuery.limit.max(50).default(6)
+  })
+};
+
+export const getFeaturedBlogs = {
+  summary: 'Featured posts in a language',
+  params: langParams,
+  query: Joi.object({ limit: pageQuery.limit.max(50).default(5) }),
+  response: blogList
+};
+
+export const getBlogsByAuthor = {
+  summary: 'Published posts by an author',
+  params: Joi.object({ authorId: objectId.required() }),
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(50).default(10)
+  }),
+  response: blogList
+};
+
+export const getRelatedBlogs = {
+  summary: 'Posts related to a post by category and tags',
+  params: idParams,
+  query: Joi.object({
+    limit: pageQuery.limit.max(20).default(3),
+    lang: language.default('en')
+  }),
+  response: Joi.object({ relatedPosts: Joi.array().items(blogSummary) })
+};
+
+export const getBlogRevisions = {
+  summary: 'Revision history of a post',
+  params: idParams,
+  query: Joi.object({ ...pageQuery, limit: pageQuery.limit.max(100).default(20) })
+};
+
+const revisionNumber = Joi.number().integer().min(1);
+
+export const getBlogRevision = {
+  summary: 'One revision of a post',
+  params: idParams.keys({ revision: revisionNumber.required() })
+};
+
+export const diffBlogRevisions = {
+  summary: 'Compare two revisions of a post',
+  description: 'Defaults to the latest revision against the one before it.',
+  params: idParams,
+  query: Joi.object({
+    from: revisionNumber,
+    to: revisionNumber,
+    lang: language
+  })
+};
+
+export const restoreBlogRevision = {
+  summary: 'Restore a post to an earlier revision',
+  params: idParams.keys({ revision: revisionNumber.required() }),
+  response: blogResponse
+};
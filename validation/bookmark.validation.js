@@ -0,0 +1,33 @@
+import Joi from 'joi';
+import { MAX_STATUS_IDS } from '../model/bookmark.model.js';
+import { objectId, pageQuery, commaSeparated } from './common.validation.js';
+
+// Route contracts for /api/bookmarks
+
+const blogParams = Joi.object({ blogId: objectId.required() });
+
+export const getBookmarks = {
+  summary: 'Your bookmarks, newest first',
+  query: Joi.object({
+    limit: pageQuery.limit.max(50).default(20),
+    cursor: pageQuery.cursor
+  })
+};
+
+export const getBookmarkStatus = {
+  summary: 'Which of the given posts you bookmarked',
+  query: Joi.object({
+    blogs: commaSeparated(objectId, { max: MAX_STATUS_IDS }).required().description('Comma-separated post ids')
+  })
+};
+
+export const addBookmark = {
+  summary: 'Bookmark a post, or update the note of an existing bookmark',
+  params: blogParams,
+  body: Joi.object({ note: Joi.string().trim().max(500).allow('') })
+};
+
+export const removeBookmark = {
+  summary: 'Remove a bookmark',
+  params: blogParams
+};
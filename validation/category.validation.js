@@ -0,0 +1,98 @@
+import Joi from 'joi';
+import { objectId, language, langParams, idParams, localized } from './common.validation.js';
+import { blogSummary } from './blog.validation.js';
+
+// Route contracts for /api/categories
+
+export const categorySummary = Joi.object({
+  _id: objectId,
+  name: localized(Joi.string()),
+  slug: localized(Joi.string()),
+  description: localized(Joi.string().allow('')),
+  color: Joi.string(),
+  icon: Joi.string(),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer()
+}).unknown(true).meta({ component: 'Category' });
+
+export const getCategoriesWithCounts = {
+  summary: 'Active categories with published posts, by post count',
+  params: langParams,
+  query: Joi.object({ limit: Joi.number().integer().min(1).default(8) }),
+  response: Joi.object({
+    categories: Joi.array().items(categorySummary.keys({ blogCount: Joi.number().integer() }))
+  })
+};
+
+export const getCategoryHighlights = {
+  summary: 'Top categories with their latest posts',
+  params: langParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).default(4),
+    postsPerCategory: Joi.number().integer().min(1).default(3)
+  }),
+  response: Joi.object({
+    highlights: Joi.array().items(Joi.object({
+      category: categorySummary,
+      posts: Joi.array().items(blogSummary),
+      totalPosts: Joi.number().integer()
+    }))
+  })
+};
+
+export const getCategories = {
+  summary: 'List categories',
+  query: Joi.object({
+    lang: language.default('en'),
+    active: Joi.boolean().description('Only active categories')
+  }),
+  response: Joi.object({ categories: Joi.array().items(categorySummary) })
+};
+
+export const getAllCategoriesWithCount = {
+  summary: 'Active categories with their published post counts',
+  params: langParams,
+  response: getCategoriesWithCounts.response
+};
+
+export const getCategory = {
+  summary: 'Read a category',
+  params: idParams,
+  query: Joi.object({ lang: language.default('en') }),
+  response: Joi.object({ category: categorySummary })
+};
+
+// Empty strings drop the language, so a category can be named in one language only
+const localizedField = (schema) => localized(schema.trim().empty(''));
+
+const categoryFields = {
+  name: localizedField(Joi.string().max(50)),
+  slug: Joi.object({
+    en: Joi.string().trim().empty('').lowercase().pattern(/^[a-z0-9-]+$/, 'slug'),
+    bn: Joi.string().trim().empty('').lowercase().pattern(/^[\u0980-\u09FFa-z0-9-]+$/, 'slug')
+  }),
+  description: localizedField(Joi.string().max(200)),
+  color: Joi.string().pattern(/^#[0-9A-F]{6}$/i, 'hex color'),
+  icon: Joi.string(),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer()
+};
+
+export const createCategory = {
+  summary: 'Create a category',
+  status: 201,
+  body: Joi.object(categoryFields),
+  response: Joi.object({ category: categorySummary })
+};
+
+export const updateCategory = {
+  summary: 'Update a category',
+  params: idParams,
+  body: Joi.object(categoryFields).min(1),
+  response: Joi.object({ category: categorySummary })
+};
+
+export const deleteCategory = {
+  summary: 'Delete a category without posts',
+  params: idParams
+};
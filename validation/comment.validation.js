@@ -0,0 +1,104 @@
+import Joi from 'joi';
+import {
+  MODERATION_STATUSES, MODERATION_ACTIONS, MAX_BULK_IDS, THREAD_SORTS, DEFAULT_REPLY_PREVIEW, MAX_REPLY_PREVIEW
+} from '../model/comment.model.js';
+import { objectId, idParams, pageQuery } from './common.validation.js';
+
+// Route contracts for /api/comments
+
+const content = Joi.string().trim().min(1).max(1000);
+
+const threadQuery = {
+  limit: pageQuery.limit.max(50).default(10),
+  cursor: pageQuery.cursor,
+  replies: Joi.number().integer().min(0).max(MAX_REPLY_PREVIEW).default(DEFAULT_REPLY_PREVIEW)
+    .description('Direct replies to preview under each comment; 0 turns the preview off')
+};
+
+export const getBlogComments = {
+  summary: 'Comment threads on a post',
+  params: Joi.object({ blogId: objectId.required() }),
+  query: Joi.object({
+    ...threadQuery,
+    includeTotal: pageQuery.includeTotal,
+    sort: Joi.string().valid(...Object.keys(THREAD_SORTS)).default('newest')
+  })
+};
+
+export const getCommentReplies = {
+  summary: 'More replies to a comment',
+  params: idParams,
+  query: Joi.object(threadQuery)
+};
+
+export const createComment = {
+  summary: 'Comment on a post or reply to a comment',
+  description: 'Comments from users without the skip-moderation permission wait in the moderation queue.',
+  status: 201,
+  body: Joi.object({
+    blogId: objectId.required(),
+    content: content.required(),
+    parentCommentId: objectId.allow(null)
+  })
+};
+
+export const updateComment = {
+  summary: 'Edit a comment',
+  params: idParams,
+  body: Joi.object({ content: content.required() })
+};
+
+// Approvals speak for themselves; removals need an explanation. Long reasons are cut to fit.
+const reason = Joi.string().trim().truncate().max(500);
+
+const decision = {
+  action: Joi.string().valid(...Object.keys(MODERATION_ACTIONS)).required(),
+  reason: Joi.when('action', {
+    is: 'approve',
+    then: reason.allow('', null),
+    otherwise: reason.required()
+  })
+};
+
+export const moderateComment = {
+  summary: 'Approve, reject or mark a comment as spam',
+  params: idParams,
+  body: Joi.object(decision)
+};
+
+export const bulkModerateComments = {
+  summary: 'Apply one moderation decision to several comments',
+  body: Joi.object({
+    ...decision,
+    ids: Joi.array().items(objectId).min(1).max(MAX_BULK_IDS).required()
+  })
+};
+
+export const getModerationQueue = {
+  summary: 'Moderation queue',
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(100).default(20),
+    status: Joi.string().valid('all', ...MODERATION_STATUSES).default('pending'),
+    blog: objectId,
+    author: objectId,
+    minScore: Joi.number().min(0),
+    maxScore: Joi.number().min(0),
+    olderThanHours: Joi.number().min(0),
+    newerThanHours: Joi.number().min(0),
+    sort: Joi.string().valid('oldest', 'newest', 'score').default('oldest')
+  })
+};
+
+export const getModerationLog = {
+  summary: 'Moderation decisions, newest first',
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(100).default(50),
+    comment: objectId,
+    blog: objectId,
+    moderator: Joi.alternatives(objectId, Joi.string().valid('auto'))
+      .description('Moderator id, or auto for decisions taken by the spam filter'),
+    action: Joi.string().valid(...Object.keys(MODERATION_ACTIONS))
+  })
+};
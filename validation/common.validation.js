@@ -0,0 +1,48 @@
+import Joi from 'joi';
+import { LANGUAGES } from '../utils/siteUrls.js';
+
+// Building blocks shared by the per-resource schemas (see middleware/validate.middleware.js)
+
+export const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/, 'ObjectId');
+
+export const language = Joi.string().valid(...LANGUAGES);
+
+export const langParams = Joi.object({ lang: language.required() });
+
+export const idParams = Joi.object({ id: objectId.required() });
+
+// Query parameters every cursor-paginated list accepts (utils/cursorPagination.js)
+export const pageQuery = {
+  limit: Joi.number().integer().min(1).description('Page size; capped per endpoint'),
+  cursor: Joi.string().description('nextCursor from the previous page'),
+  includeTotal: Joi.boolean().description('Also count every match'),
+  fields: Joi.string().description('Comma-separated fields to return')
+};
+
+export const sortOrder = Joi.string().valid('asc', 'desc');
+
+// Free text a client may leave blank, sent as an empty string or null
+export const optionalText = (schema = Joi.string()) => schema.trim().allow('', null);
+
+// A { en, bn } value as stored on posts and categories
+export const localized = (schema) => Joi.object(Object.fromEntries(LANGUAGES.map(lang => [lang, schema])));
+
+export const dateTime = Joi.date().iso();
+
+export const futureDate = dateTime.greater('now').messages({ 'date.greater': '{#label} must be in the future' });
+
+// ?name=a,b,c checked entry by entry and handed on as an array
+export const commaSeparated = (item, { max = Infinity } = {}) => Joi.string().custom((value, helpers) => {
+  const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    return helpers.error('string.empty');
+  }
+  if (entries.length > max) {
+    return helpers.message({ custom: '{#label} can list at most {#max} entries' }, { max });
+  }
+  const invalid = entries.find(entry => item.validate(entry).error);
+  if (invalid !== undefined) {
+    return helpers.message({ custom: '{#label} has an invalid entry "{#entry}"' }, { entry: invalid });
+  }
+  return entries;
+}).description('Comma-separated list');
@@ -0,0 +1,14 @@
+import Joi from 'joi';
+import { MAX_CHANNELS } from '../utils/realtime.js';
+import { commaSeparated } from './common.validation.js';
+
+// Route contracts for /api/events
+
+export const streamEvents = {
+  summary: 'Stream real-time events over Server-Sent Events',
+  query: Joi.object({
+    channels: commaSeparated(Joi.string(), { max: MAX_CHANNELS }).required()
+      .description('Comma-separated channels, e.g. blog:<id>:comments,user:me:notifications'),
+    access_token: Joi.string().description('Access token for EventSource, which cannot send headers')
+  })
+};
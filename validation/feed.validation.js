@@ -0,0 +1,30 @@
+import Joi from 'joi';
+import { FEED_FORMATS, FEED_EXTENSIONS } from '../utils/feedBuilder.js';
+import { objectId, langParams } from './common.validation.js';
+
+// Route contracts for /api/feeds. The extension picks the format unless ?format= is given.
+
+const extension = Joi.string().valid(...Object.keys(FEED_EXTENSIONS)).description('xml (RSS 2.0), atom or json (JSON Feed)');
+
+const feedQuery = Joi.object({
+  format: Joi.string().valid(...Object.keys(FEED_FORMATS)),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+export const getLanguageFeed = {
+  summary: 'Latest posts feed for a language',
+  params: langParams.keys({ ext: extension.required() }),
+  query: feedQuery
+};
+
+export const getCategoryFeed = {
+  summary: 'Latest posts feed for a category',
+  params: langParams.keys({ slug: Joi.string().required(), ext: extension.required() }),
+  query: feedQuery
+};
+
+export const getAuthorFeed = {
+  summary: 'Latest posts feed for an author',
+  params: langParams.keys({ id: objectId.required(), ext: extension }),
+  query: feedQuery
+};
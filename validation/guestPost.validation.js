@@ -0,0 +1,113 @@
+import Joi from 'joi';
+import GuestSubmission, { SUBMISSION_SORT_FIELDS } from '../model/guestSubmission.model.js';
+import { objectId, idParams, pageQuery, sortOrder, optionalText } from './common.validation.js';
+
+// Route contracts for /api/guest-posts
+
+const SUBMISSION_STATUSES = GuestSubmission.schema.path('status').enumValues;
+const SUBMISSION_TYPES = GuestSubmission.schema.path('submission.type').enumValues;
+
+// Submissions are written in English, Bangla optional
+const MIN_SUBMISSION_CONTENT_LENGTH = 800;
+
+const submissionPost = Joi.object({
+  title: Joi.object({
+    en: Joi.string().trim().max(200).required(),
+    bn: optionalText(Joi.string().max(200))
+  }).required(),
+  excerpt: Joi.object({
+    en: Joi.string().trim().max(300).required(),
+    bn: optionalText(Joi.string().max(300))
+  }).required(),
+  content: Joi.object({
+    en: Joi.string().trim().min(MIN_SUBMISSION_CONTENT_LENGTH).required(),
+    bn: optionalText(Joi.string().min(MIN_SUBMISSION_CONTENT_LENGTH))
+  }).required(),
+  category: Joi.object({
+    en: Joi.string().trim().required(),
+    bn: optionalText()
+  }).required(),
+  tags: Joi.array().items(Joi.object({ en: optionalText(), bn: optionalText() })),
+  featuredImage: Joi.string().trim().required()
+});
+
+const website = Joi.string().trim().uri({ scheme: ['http', 'https'] });
+
+// Lists of submissions share their query with GET /my
+export const submissionListQuery = (statuses, sortFields, defaultSort) => ({
+  ...pageQuery,
+  limit: pageQuery.limit.max(100).default(10),
+  status: Joi.string().valid('all', ...statuses),
+  sortBy: Joi.string().valid(...sortFields).default(defaultSort),
+  sortOrder: sortOrder.default('desc')
+});
+
+export const submitGuestPost = {
+  summary: 'Submit a guest post for review',
+  status: 201,
+  body: Joi.object({
+    author: Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      email: Joi.string().trim().lowercase().email().required(),
+      bio: Joi.string().trim().max(500).required(),
+      website: website.allow(''),
+      company: optionalText(Joi.string().max(100)),
+      social: Joi.object({
+        twitter: optionalText(),
+        linkedin: optionalText(),
+        github: optionalText(),
+        facebook: optionalText(),
+        instagram: optionalText()
+      })
+    }).required(),
+    post: submissionPost.required(),
+    submission: Joi.object({
+      type: Joi.string().valid(...SUBMISSION_TYPES).default('free'),
+      specialNotes: optionalText(Joi.string().max(500)),
+      targetKeywords: Joi.array().items(Joi.string().trim()).single(),
+      targetAudience: optionalText(Joi.string().max(200))
+    })
+  })
+};
+
+export const getAllGuestSubmissions = {
+  summary: 'List guest post submissions',
+  query: Joi.object({
+    ...submissionListQuery(SUBMISSION_STATUSES, SUBMISSION_SORT_FIELDS, 'submissionDate'),
+    type: Joi.string().valid('all', ...SUBMISSION_TYPES)
+  })
+};
+
+export const getMyGuestSubmissions = {
+  summary: 'Your guest post submissions',
+  query: Joi.object({ ...pageQuery, limit: pageQuery.limit.max(100).default(10) })
+};
+
+export const getGuestSubmissionById = {
+  summary: 'Read a guest post submission',
+  params: idParams
+};
+
+export const updateGuestSubmissionStatus = {
+  summary: 'Move a guest post submission through review',
+  description: 'content.en replaces the submitted text; the submitter may send it with the X-Edit-Token from their edit link.',
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid(...SUBMISSION_STATUSES).required(),
+    adminNotes: Joi.string().trim().max(1000),
+    rejectionReason: Joi.string().trim().max(500),
+    revisionNotes: Joi.string().trim().max(1000),
+    assignedTo: objectId,
+    content: Joi.object({ en: Joi.string().trim().min(MIN_SUBMISSION_CONTENT_LENGTH) })
+  })
+};
+
+export const publishGuestPost = {
+  summary: 'Publish an approved guest post',
+  params: idParams
+};
+
+export const deleteGuestSubmission = {
+  summary: 'Delete a guest post submission',
+  params: idParams
+};
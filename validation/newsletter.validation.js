@@ -0,0 +1,47 @@
+import Joi from 'joi';
+import Newsletter from '../model/newsletter.model.js';
+import { language, optionalText } from './common.validation.js';
+
+// Route contracts for /api/newsletter
+
+const email = Joi.string().trim().lowercase().email();
+
+const tokenParams = Joi.object({ token: Joi.string().required() });
+
+export const subscribe = {
+  summary: 'Subscribe to the newsletter',
+  description: 'Sends a confirmation email; a previously unsubscribed address is resubscribed at once.',
+  status: 201,
+  body: Joi.object({
+    email: email.required(),
+    name: optionalText(Joi.string().max(100)),
+    consent: Joi.object({
+      newsletter: Joi.boolean().valid(true).required()
+        .messages({ 'any.only': 'Newsletter consent is required' }),
+      marketing: Joi.boolean(),
+      analytics: Joi.boolean()
+    }).required(),
+    locale: language.default('en'),
+    source: Joi.string().valid(...Newsletter.schema.path('source').enumValues).default('website_signup')
+  })
+};
+
+export const confirmSubscription = {
+  summary: 'Confirm a subscription from the emailed link',
+  params: tokenParams
+};
+
+export const unsubscribe = {
+  summary: 'Unsubscribe from the emailed link',
+  params: tokenParams
+};
+
+export const resubscribe = {
+  summary: 'Resubscribe from the emailed link',
+  params: tokenParams
+};
+
+export const getSubscriptionStatus = {
+  summary: 'Subscription status of an email address',
+  query: Joi.object({ email: email.required() })
+};
@@ -0,0 +1,42 @@
+import Joi from 'joi';
+import { NOTIFICATION_TYPES, NOTIFICATION_CATEGORIES } from '../model/notification.model.js';
+import { idParams, pageQuery, commaSeparated } from './common.validation.js';
+
+// Route contracts for /api/notifications
+
+const notificationType = Joi.string().valid(...NOTIFICATION_TYPES);
+
+export const getNotifications = {
+  summary: 'Your notifications, newest first',
+  query: Joi.object({
+    limit: pageQuery.limit.max(50).default(20),
+    cursor: pageQuery.cursor,
+    unread: Joi.boolean().description('Only unread notifications'),
+    archived: Joi.boolean().description('Only archived notifications; the inbox hides them otherwise'),
+    category: Joi.string().valid(...NOTIFICATION_CATEGORIES),
+    type: commaSeparated(notificationType).description('Comma-separated notification types')
+  })
+};
+
+export const updateNotificationSettings = {
+  summary: 'Turn notification types on or off',
+  body: Joi.object({
+    types: Joi.object().pattern(notificationType, Joi.boolean().required()).min(1).required()
+      .description('Notification type to enabled, e.g. { "new_follower": false }')
+  })
+};
+
+export const markNotificationRead = {
+  summary: 'Mark a notification read',
+  params: idParams
+};
+
+export const archiveNotification = {
+  summary: 'Archive a notification',
+  params: idParams
+};
+
+export const unarchiveNotification = {
+  summary: 'Move a notification back to the inbox',
+  params: idParams
+};
@@ -0,0 +1,70 @@
+import Joi from 'joi';
+import { MAX_LIST_ITEMS } from '../model/readingList.model.js';
+import { objectId, idParams } from './common.validation.js';
+
+// Route contracts for /api/reading-lists
+
+const listFields = {
+  name: Joi.string().trim().max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  isPublic: Joi.boolean().description('Anyone with the share link can read a public list')
+};
+
+const note = Joi.string().trim().max(500).allow('');
+const position = Joi.number().integer().min(0).description('0 is the top of the list; past the end means the end');
+
+const itemParams = idParams.keys({ blogId: objectId.required() });
+
+export const getSharedReadingList = {
+  summary: 'Read a public reading list by its share slug',
+  params: Joi.object({ slug: Joi.string().required() })
+};
+
+export const createReadingList = {
+  summary: 'Create a reading list',
+  status: 201,
+  body: Joi.object({ ...listFields, name: listFields.name.required() })
+};
+
+export const getReadingList = {
+  summary: 'One of your reading lists with its posts',
+  params: idParams
+};
+
+export const updateReadingList = {
+  summary: 'Rename a reading list, change its description or visibility',
+  params: idParams,
+  body: Joi.object(listFields).min(1)
+};
+
+export const deleteReadingList = {
+  summary: 'Delete a reading list',
+  params: idParams
+};
+
+export const addReadingListItem = {
+  summary: 'Add a post to a reading list',
+  status: 201,
+  params: idParams,
+  body: Joi.object({ blogId: objectId.required(), note, position })
+};
+
+export const reorderReadingList = {
+  summary: 'Reorder a whole reading list',
+  params: idParams,
+  body: Joi.object({
+    blogIds: Joi.array().items(objectId).max(MAX_LIST_ITEMS).unique().required()
+      .description('Every post in the list exactly once, in the new order')
+  })
+};
+
+export const updateReadingListItem = {
+  summary: 'Change the note or position of a post in a reading list',
+  params: itemParams,
+  body: Joi.object({ note, position }).min(1)
+};
+
+export const removeReadingListItem = {
+  summary: 'Remove a post from a reading list',
+  params: itemParams
+};
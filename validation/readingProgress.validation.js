@@ -0,0 +1,33 @@
+import Joi from 'joi';
+import { objectId, language, pageQuery } from './common.validation.js';
+
+// Route contracts for /api/reading-progress
+
+const blogParams = Joi.object({ blogId: objectId.required() });
+
+export const getContinueReading = {
+  summary: 'Posts you started but did not finish, most recent first',
+  query: Joi.object({
+    limit: pageQuery.limit.max(50).default(10),
+    cursor: pageQuery.cursor
+  })
+};
+
+export const getReadingProgress = {
+  summary: 'Your progress on a post',
+  params: blogParams
+};
+
+export const updateReadingProgress = {
+  summary: 'Save how far you got through a post',
+  params: blogParams,
+  body: Joi.object({
+    progress: Joi.number().min(0).max(100).required().description('Percentage read'),
+    language: language.default('en')
+  })
+};
+
+export const deleteReadingProgress = {
+  summary: 'Forget your progress on a post',
+  params: blogParams
+};
@@ -0,0 +1,59 @@
+import Joi from 'joi';
+import { PERMISSIONS } from '../model/role.model.js';
+import { idParams } from './common.validation.js';
+
+// Route contracts for /api/roles and the per-user permission routes
+
+const permissionList = Joi.array().items(Joi.string().valid(...PERMISSIONS)).single();
+
+const roleParams = Joi.object({ name: Joi.string().trim().lowercase().required() });
+
+const roleFields = {
+  displayName: Joi.string().trim().max(50),
+  description: Joi.string().trim().max(300).allow(''),
+  level: Joi.number().integer().min(0).max(100).description('Position in the role hierarchy'),
+  permissions: permissionList
+};
+
+export const getRole = {
+  summary: 'Read a role',
+  params: roleParams
+};
+
+export const createRole = {
+  summary: 'Create a custom role',
+  status: 201,
+  body: Joi.object({
+    ...roleFields,
+    name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_-]{1,29}$/, 'role name').required(),
+    displayName: roleFields.displayName.required(),
+    level: roleFields.level.default(0),
+    permissions: roleFields.permissions.default([])
+  })
+};
+
+export const updateRole = {
+  summary: 'Update a role\'s permissions or details',
+  params: roleParams,
+  body: Joi.object(roleFields).min(1)
+};
+
+export const deleteRole = {
+  summary: 'Delete a custom role',
+  description: 'Built-in roles cannot be deleted.',
+  params: roleParams
+};
+
+export const getUserPermissions = {
+  summary: 'A user\'s role, grants, denies and effective permissions',
+  params: idParams
+};
+
+export const updateUserPermissions = {
+  summary: 'Set a user\'s permission grants and denies',
+  params: idParams,
+  body: Joi.object({
+    granted: permissionList.description('Permissions on top of the role'),
+    denied: permissionList.description('Role permissions taken away')
+  }).min(1)
+};
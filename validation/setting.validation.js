@@ -0,0 +1,14 @@
+import Joi from 'joi';
+import { LOCKOUT_FIELDS } from '../utils/securitySettings.js';
+
+// Route contracts for /api/settings
+
+export const updateSecuritySettings = {
+  summary: 'Update security settings',
+  description: 'lockoutBaseMinutes cannot exceed lockoutMaxMinutes.',
+  body: Joi.object({
+    twoFactorRequiredFromRole: Joi.string().trim().lowercase().allow(null)
+      .description('Accounts with this role or a higher one must use 2FA; a role at editor level or above, or null'),
+    ...Object.fromEntries(LOCKOUT_FIELDS.map(field => [field, Joi.number().integer().min(1)]))
+  }).min(1)
+};
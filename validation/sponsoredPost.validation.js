@@ -0,0 +1,87 @@
+import Joi from 'joi';
+import SponsoredSubmission, { SUBMISSION_SORT_FIELDS } from '../model/sponsoredSubmission.model.js';
+import { objectId, idParams, pageQuery, optionalText } from './common.validation.js';
+import { submissionListQuery } from './guestPost.validation.js';
+
+// Route contracts for /api/sponsored-posts
+
+const SUBMISSION_STATUSES = SponsoredSubmission.schema.path('status').enumValues;
+const MIN_BUDGET = 50;
+
+// English fields are required; lengths and the website format are left to the model
+const localizedText = (schema = Joi.string()) => Joi.object({
+  en: schema.trim().required(),
+  bn: optionalText()
+});
+
+const sponsoredPost = Joi.object({
+  title: localizedText().required(),
+  excerpt: localizedText().required(),
+  content: localizedText().required(),
+  category: localizedText().required(),
+  tags: Joi.array().items(Joi.object({ en: optionalText(), bn: optionalText() })),
+  featuredImage: Joi.string().trim().required()
+});
+
+export const submitSponsoredPost = {
+  summary: 'Request a sponsored post',
+  status: 201,
+  body: Joi.object({
+    client: Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      email: Joi.string().trim().lowercase().email().required(),
+      phone: optionalText(),
+      company: Joi.string().trim().max(100).required(),
+      website: Joi.string().trim().required(),
+      industry: Joi.string().trim().required(),
+      logo: optionalText()
+    }).required(),
+    post: sponsoredPost.required(),
+    sponsorship: Joi.object({
+      budget: Joi.number().min(MIN_BUDGET).required().description(`In US dollars, at least ${MIN_BUDGET}`),
+      duration: Joi.string().valid(...SponsoredSubmission.schema.path('sponsorship.duration').enumValues),
+      placement: Joi.string().valid(...SponsoredSubmission.schema.path('sponsorship.placement').enumValues),
+      disclosureText: Joi.object({ en: Joi.string().trim(), bn: Joi.string().trim() }),
+      specialRequirements: optionalText(Joi.string().max(500))
+    }).required()
+  })
+};
+
+export const getAllSponsoredSubmissions = {
+  summary: 'List sponsored post requests',
+  query: Joi.object(submissionListQuery(SUBMISSION_STATUSES, SUBMISSION_SORT_FIELDS, 'requestDate'))
+};
+
+export const getMySponsoredSubmissions = {
+  summary: 'Your sponsored post requests',
+  query: Joi.object({ ...pageQuery, limit: pageQuery.limit.max(100).default(10) })
+};
+
+export const getSponsoredSubmissionById = {
+  summary: 'Read a sponsored post request',
+  params: idParams
+};
+
+export const updateSponsoredSubmissionStatus = {
+  summary: 'Move a sponsored post request through review',
+  description: 'content.en replaces the submitted text; the sponsor may send it with the X-Edit-Token from their edit link.',
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid(...SUBMISSION_STATUSES).required(),
+    adminNotes: Joi.string().trim().max(1000),
+    rejectionReason: Joi.string().trim().max(500),
+    assignedTo: objectId,
+    content: Joi.object({ en: Joi.string().trim() })
+  })
+};
+
+export const publishSponsoredPost = {
+  summary: 'Publish an approved sponsored post',
+  params: idParams
+};
+
+export const deleteSponsoredSubmission = {
+  summary: 'Delete a sponsored post request',
+  description: 'Published sponsored posts cannot be deleted.',
+  params: idParams
+};
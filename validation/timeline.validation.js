@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import { FEED_RANKINGS, MAX_TAG_LENGTH } from '../model/user.model.js';
+import { language, idParams, pageQuery } from './common.validation.js';
+
+// Route contracts for /api/feed
+
+const ranking = Joi.string().valid(...FEED_RANKINGS);
+
+// Tags are stored lowercased with single spaces
+const tagParams = Joi.object({
+  tag: Joi.string().replace(/\s+/g, ' ').trim().lowercase().max(MAX_TAG_LENGTH).required()
+});
+
+export const getTimeline = {
+  summary: 'Your feed of followed authors, categories and tags',
+  query: Joi.object({
+    lang: language.default('en'),
+    ranking: ranking.description('Defaults to your saved ranking'),
+    limit: pageQuery.limit.max(50).default(20),
+    cursor: pageQuery.cursor
+  })
+};
+
+export const updateFeedPreferences = {
+  summary: 'Change the default feed ranking',
+  body: Joi.object({ ranking: ranking.required() })
+};
+
+export const followCategory = {
+  summary: 'Follow a category',
+  params: idParams
+};
+
+export const unfollowCategory = {
+  summary: 'Unfollow a category',
+  params: idParams
+};
+
+export const followTag = {
+  summary: 'Follow a tag',
+  params: tagParams
+};
+
+export const unfollowTag = {
+  summary: 'Unfollow a tag',
+  params: tagParams
+};
+
+export const muteAuthor = {
+  summary: 'Hide an author\'s posts from your feed',
+  params: idParams
+};
+
+export const unmuteAuthor = {
+  summary: 'Show an author\'s posts in your feed again',
+  params: idParams
+};
+
+export const muteCategory = {
+  summary: 'Hide a category\'s posts from your feed',
+  params: idParams
+};
+
+export const unmuteCategory = {
+  summary: 'Show a category\'s posts in your feed again',
+  params: idParams
+};
@@ -0,0 +1,189 @@
+import Joi from 'joi';
+import { EMAIL_NOTIFICATION_PREFERENCES, USER_LIST_SORTS } from '../model/user.model.js';
+import { objectId, idParams, language, pageQuery, dateTime, optionalText } from './common.validation.js';
+
+// Route contracts for /api/users, including sessions and two-factor authentication
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const email = Joi.string().trim().lowercase().email();
+// Passwords are taken as typed, surrounding spaces included
+const password = Joi.string();
+const newPassword = password.min(MIN_PASSWORD_LENGTH);
+const authCode = Joi.string().trim().description('Code from the authenticator app');
+const backupCode = Joi.string().trim().description('One of the single-use backup codes');
+
+export const registerUser = {
+  summary: 'Create an account',
+  description: 'The first account becomes the administrator.',
+  status: 201,
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(50).required(),
+    email: email.required(),
+    password: newPassword.required(),
+    language: language.default('en')
+  })
+};
+
+export const loginUser = {
+  summary: 'Sign in with email and password',
+  description: 'Accounts with two-factor authentication get a challengeToken to finish with POST /users/login/2fa.',
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().required(),
+    password: password.required()
+  })
+};
+
+export const verifyTwoFactorLogin = {
+  summary: 'Finish signing in with a two-factor code',
+  body: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: authCode,
+    backupCode
+  }).or('code', 'backupCode')
+};
+
+export const forgotPassword = {
+  summary: 'Email a password reset link and code',
+  body: Joi.object({ email: email.required() })
+};
+
+export const resetPassword = {
+  summary: 'Set a new password with a reset token, or an email and reset code',
+  body: Joi.object({
+    token: Joi.string(),
+    email,
+    otp: Joi.string().trim(),
+    newPassword: newPassword.required()
+  }).xor('token', 'otp').with('otp', 'email')
+};
+
+export const refreshSession = {
+  summary: 'Exchange a refresh token for new tokens',
+  body: Joi.object({ refreshToken: Joi.string().required() })
+};
+
+export const verifyEmail = {
+  summary: 'Confirm an email address',
+  body: Joi.object({ token: Joi.string().required() })
+};
+
+export const getUserProfileByUsername = {
+  summary: 'Public profile of a user',
+  params: Joi.object({ username: Joi.string().trim().required() })
+};
+
+export const updateUserProfile = {
+  summary: 'Update your profile',
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(50),
+    username: Joi.string().trim().min(3).max(30).pattern(/^[a-zA-Z0-9_]+$/, 'username'),
+    email,
+    bio: optionalText(Joi.string().max(500)),
+    location: optionalText(Joi.string().max(100)),
+    website: optionalText(Joi.string().uri({ scheme: ['http', 'https'] })),
+    socialLinks: Joi.object({
+      twitter: optionalText(),
+      linkedin: optionalText(),
+      github: optionalText()
+    }),
+    profileImage: optionalText(),
+    language,
+    emailNotifications: Joi.object(Object.fromEntries(EMAIL_NOTIFICATION_PREFERENCES.map(key => [key, Joi.boolean()])))
+  }).min(1)
+};
+
+export const changePassword = {
+  summary: 'Change your password',
+  body: Joi.object({
+    currentPassword: password.required(),
+    newPassword: newPassword.required()
+  })
+};
+
+export const toggleFollow = {
+  summary: 'Follow or unfollow a user',
+  params: idParams
+};
+
+export const revokeAllSessions = {
+  summary: 'Sign out everywhere',
+  query: Joi.object({ keepCurrent: Joi.boolean().default(false).description('Keep this device signed in') })
+};
+
+export const revokeSession = {
+  summary: 'Sign out one session',
+  params: idParams
+};
+
+export const enableTwoFactor = {
+  summary: 'Finish two-factor enrolment with a code from the new secret',
+  body: Joi.object({ code: authCode.required() })
+};
+
+export const disableTwoFactor = {
+  summary: 'Turn off two-factor authentication',
+  body: Joi.object({
+    password: password.required(),
+    code: authCode,
+    backupCode
+  }).or('code', 'backupCode')
+};
+
+export const regenerateBackupCodes = {
+  summary: 'Replace your backup codes',
+  body: Joi.object({ code: authCode.required() })
+};
+
+export const getAllUsers = {
+  summary: 'List users',
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(100).default(20),
+    role: Joi.string().trim().lowercase(),
+    search: Joi.string().trim().allow(''),
+    sort: Joi.string().valid(...Object.keys(USER_LIST_SORTS)).default('createdAt')
+  })
+};
+
+export const getAuthEvents = {
+  summary: 'Authentication audit trail',
+  query: Joi.object({
+    ...pageQuery,
+    limit: pageQuery.limit.max(200).default(50),
+    user: objectId,
+    email: Joi.string().trim().lowercase(),
+    ip: Joi.string().trim(),
+    action: Joi.string().trim(),
+    success: Joi.boolean(),
+    from: dateTime,
+    to: dateTime
+  })
+};
+
+export const updateUserStatus = {
+  summary: 'Activate or deactivate a user',
+  params: idParams,
+  body: Joi.object({ isActive: Joi.boolean().required() })
+};
+
+export const deleteUser = {
+  summary: 'Delete a user',
+  params: idParams
+};
+
+export const resetUserTwoFactor = {
+  summary: 'Turn off a user\'s two-factor authentication',
+  params: idParams
+};
+
+export const unlockUser = {
+  summary: 'Lift a login lockout',
+  params: idParams
+};
+
+export const updateUserRole = {
+  summary: 'Change a user\'s role',
+  params: idParams,
+  body: Joi.object({ role: Joi.string().trim().lowercase().required() })
+};